@@ -13,10 +13,56 @@ const {
 } = require('./middleware/validation');
 
 const investmentV3Routes = require('./routes/investmentV3');
+const authRoutes = require('./routes/auth');
+const subscriptionRoutes = require('./routes/subscriptions');
+const createKeeperRoutes = require('./routes/keeper');
+const createPricePusherRoutes = require('./routes/pricePusher');
+const createDivergenceRoutes = require('./routes/oracleDivergence');
+const createAdminRoutes = require('./routes/admin');
+const createAdminTxRoutes = require('./routes/adminTx');
+const EventIndexer = require('./services/eventIndexer');
+const SubscriptionScheduler = require('./services/subscriptionScheduler');
+const BatchKeeper = require('./services/batchKeeper');
+const PricePusher = require('./services/pricePusher');
+const PriceRecorder = require('./services/priceRecorder');
+const DivergenceMonitor = require('./services/divergenceMonitor');
+const FeedRegistrySync = require('./services/feedRegistrySync');
+const EngineAdmin = require('./services/engineAdmin');
+const SafeProposals = require('./services/safeProposals');
+const { closeDatabase } = require('./services/database');
 const { validateContractAddresses } = require('./config/contracts');
+const { getFeedRegistry } = require('./config/feedRegistry');
+const { shouldLoadDevSigner, validateDevSignerConfig } = require('./config/devSigner');
+const { validateAuthConfig } = require('./config/auth');
 
 const app = express();
 
+// Background services (created on server start)
+let eventIndexer = null;
+let subscriptionScheduler = null;
+let priceRecorder = null;
+
+// Entropy batch keeper (controlled through /api/v3/admin/keeper, optionally started on boot)
+const batchKeeper = new BatchKeeper();
+
+// Pyth price pusher (controlled through /api/v3/admin/price-pusher). Only built with PRICE_PUSHER_ENABLED=true, so a bad
+// PRICE_PUSHER_FEEDS cannot stop the API from starting while the pusher is off
+const pricePusher = process.env.PRICE_PUSHER_ENABLED === 'true' ? new PricePusher() : null;
+
+// Hermes vs on-chain divergence monitor (queried through /api/v3/oracle/divergence, optionally started on boot)
+const divergenceMonitor = new DivergenceMonitor();
+
+// Role-checked, simulated and audited engine setters (through /api/v3/admin). Live calls are queued on its
+// ADMIN_PRIVATE_KEY transaction manager, whose jobs are served at /api/admin/tx/:jobId
+const engineAdmin = new EngineAdmin();
+const adminTxManager = engineAdmin.txManager;
+
+// Writes the feed registry to the engine's priceFeedIds (through /api/v3/admin/feed-registry), on the same queue
+const feedRegistrySync = new FeedRegistrySync({ txManager: adminTxManager });
+
+// Admin actions exported for the Safe that owns the contracts (through /api/v3/admin/safe)
+const safeProposals = new SafeProposals({ engineAdmin });
+
 // Security middleware
 app.use(helmet());
 app.use(securityHeaders);
@@ -40,11 +86,32 @@ app.get('/health', (req, res) => {
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: process.env.npm_package_version || '1.0.0'
+    version: process.env.npm_package_version || '1.0.0',
+    indexer: eventIndexer ? eventIndexer.getStatus() : { running: false },
+    subscriptionScheduler: subscriptionScheduler ? subscriptionScheduler.getStatus() : { running: false },
+    keeper: batchKeeper.getStatus(),
+    pricePusher: pricePusher ? pricePusher.getStatus() : { running: false },
+    priceRecorder: priceRecorder ? priceRecorder.getStatus() : { running: false },
+    divergenceMonitor: divergenceMonitor.getStatus()
   });
 });
 
 // API routes
+app.use('/api/v3/auth', authRoutes);
+app.use('/api/v3/subscriptions', subscriptionRoutes);
+app.use('/api/v3/keeper', createKeeperRoutes(batchKeeper));
+app.use('/api/v3/price-pusher', createPricePusherRoutes(pricePusher));
+app.use('/api/v3/oracle', createDivergenceRoutes(divergenceMonitor));
+app.use('/api/admin', createAdminTxRoutes(adminTxManager.signer ? adminTxManager : null));
+app.use('/api/v3/admin', createAdminRoutes(engineAdmin, feedRegistrySync, safeProposals, { batchKeeper, pricePusher, divergenceMonitor }));
+
+// Anvil dev signer, only loaded on the local network (DEV_SIGNER_ENABLED=true)
+if (shouldLoadDevSigner()) {
+  const DevSigner = require('./services/devSigner');
+  const createDevSignerRoutes = require('./routes/devSigner');
+  app.use('/api/v3/dev', createDevSignerRoutes(new DevSigner()));
+}
+
 app.use('/api/v3', investmentV3Routes);
 
 // API documentation endpoint
@@ -57,22 +124,71 @@ app.get('/api/docs', (req, res) => {
       description: 'REST API for 404 Poverty Not Found - InvestmentEngineV3 with Uniswap V4 integration',
       baseUrl: `${req.protocol}://${req.get('host')}/api/v3`,
       endpoints: {
+        'GET /auth/nonce': 'Get a single-use nonce for a Sign-In with Ethereum message',
+        'POST /auth/verify': 'Verify a signed SIWE message and get a session token (body: message, signature)',
+        'GET /auth/session': 'Get the current session',
+        'POST /auth/logout': 'Revoke the current session',
         'GET /status': 'Get contract status and configuration',
         'GET /plans': 'Get all available investment plans',
         'GET /plans/:planId': 'Get specific investment plan',
-        'POST /quote': 'Get investment quote',
-        'POST /prepare-investment': 'Prepare investment transaction data',
+        'POST /quote': 'Get a signed investment quote (quoteId, expiresAt, signature)',
+        'GET /quotes/:quoteId': 'Get a stored quote with its status and recorded execution',
+        'POST /quotes/:quoteId/execution': 'Record the investment transaction for a quote and compare quoted vs executed outputs',
+        'POST /prepare-investment': 'Prepare investment transaction data, optionally from a quoteId; simulated against pending state (422 if it would revert)',
+        'POST /invest-with-price-update': 'Prepare an investment with Pyth price updates for the plan\'s feeds',
         'GET /investments/:investmentId': 'Get investment details',
         'GET /users/:userAddress/investments': 'Get user investments',
         'GET /users/:userAddress/portfolio': 'Get user portfolio',
-        'GET /events': 'Get recent investment events',
-        'GET /stats': 'Get platform statistics'
+        'GET /users/:userAddress/queued': 'Get a user\'s pending fair-mode queue entries',
+        'GET /queue': 'Get the Entropy fair-mode queue (size, pending entries, oldest age)',
+        'GET /queue/:queueId': 'Get a queue entry with its estimated execution time',
+        'GET /batches/:batchId/verify': 'Verify a batch execution order against its random seed',
+        'GET /events': 'Get indexed events (filters: event, user, planId, fromBlock, toBlock, fromTime, toTime; cursor pagination)',
+        'GET /prices/stream': 'Stream live prices as Server-Sent Events (symbols, Last-Event-ID)',
+        'GET /prices/:symbol/history': 'Get OHLC candles from recorded prices (interval, from, to, gaps=fill|skip)',
+        'GET /stats': 'Get platform statistics',
+        'POST /subscriptions': 'Create a recurring investment subscription',
+        'GET /subscriptions': 'List subscriptions (filters: userAddress, status)',
+        'GET /subscriptions/:subscriptionId': 'Get subscription details',
+        'PATCH /subscriptions/:subscriptionId': 'Update amount, plan, cadence or end date',
+        'DELETE /subscriptions/:subscriptionId': 'Cancel a subscription',
+        'POST /subscriptions/:subscriptionId/pause': 'Pause a subscription',
+        'POST /subscriptions/:subscriptionId/resume': 'Resume a paused subscription',
+        'POST /subscriptions/:subscriptionId/skip': 'Skip the next scheduled run',
+        'GET /subscriptions/:subscriptionId/intents': 'Get investment intents produced by the scheduler',
+        'GET /keeper/status': 'Get Entropy batch keeper status and recent batches',
+        'GET /price-pusher/status': 'Get Pyth price pusher status, daily budget and recent pushes',
+        'GET /oracle/divergence': 'Hermes vs on-chain price divergence and staleness gap per asset from the last check',
+        'GET /admin/actions': 'List engine admin actions with their roles and params (admin session)',
+        'POST /admin/actions/:action': 'Simulate and queue an admin action (body: params, dryRun; role per action; 202 with a jobId for /api/admin/tx/:jobId)',
+        'GET /admin/audit': 'Get the append-only admin audit log (filters: action, actor, status)',
+        'GET /admin/feed-registry': 'Get the feed registry with each token\'s on-chain feed ID (admin session)',
+        'POST /admin/feed-registry/sync': 'Queue registry feed IDs for the engine (body: dryRun; risk role; 202 with a jobId)',
+        'GET /admin/safe': 'Get the Safe that owns the contracts: version, nonce, threshold, owners (admin session)',
+        'POST /admin/safe/proposals': 'Export admin actions as a Safe transaction (body: actions, nonce, description)',
+        'GET /admin/safe/proposals/:proposalId': 'Get a Safe proposal with its confirmations and execTransaction calldata',
+        'GET /admin/safe/proposals/:proposalId/batch': 'Download the Transaction Builder JSON batch',
+        'POST /admin/safe/proposals/:proposalId/signatures': 'Verify owner signatures over the safeTxHash (body: signatures)',
+        'POST /admin/keeper/start': 'Start the batch keeper (body: dryRun; operator role)',
+        'POST /admin/keeper/stop': 'Stop the batch keeper (operator role)',
+        'POST /admin/price-pusher/start': 'Start the price pusher (body: dryRun; operator role)',
+        'POST /admin/price-pusher/stop': 'Stop the price pusher (operator role)',
+        'POST /admin/oracle/divergence/refresh': 'Measure price divergence now without alerting (risk role)',
+        ...(shouldLoadDevSigner()
+          ? {
+              'GET /dev/accounts': 'List the Anvil accounts of the dev signer (localhost only)',
+              'POST /dev/execute-investment': 'Approve and invest from an Anvil account (body: accountIndex, planId, amount; localhost only)'
+            }
+          : {})
       },
-      authentication: 'None required for read operations',
+      authentication: 'Sign-In with Ethereum: send Authorization: Bearer <token> from POST /auth/verify to user-scoped routes (/users/:userAddress/*, /subscriptions); AUTH_PUBLIC_MODE=true disables the check',
       rateLimit: '100 requests per 15 minutes per IP',
       errors: {
         400: 'Bad Request - Invalid parameters',
+        401: 'Unauthorized - Missing, invalid or revoked session token',
+        403: 'Forbidden - Session address does not own the resource or lacks the admin role',
         404: 'Not Found - Resource not found',
+        422: 'Unprocessable - Quote refused by price guardrails, or a simulated transaction would revert',
         429: 'Too Many Requests - Rate limit exceeded',
         500: 'Internal Server Error - Server error'
       }
@@ -104,6 +220,17 @@ const validateConfig = () => {
   try {
     validateContractAddresses();
     console.log('✅ Contract configuration validated');
+
+    const registry = getFeedRegistry();
+    console.log(`✅ Feed registry v${registry.version} validated (${Object.keys(registry.assets).length} assets)`);
+
+    validateAuthConfig();
+    console.log('✅ Sign-In with Ethereum configuration validated');
+
+    validateDevSignerConfig();
+    if (shouldLoadDevSigner()) {
+      console.log('⚠️  Dev signer enabled: /api/v3/dev signs with Anvil accounts');
+    }
   } catch (error) {
     console.error('❌ Configuration validation failed:', error.message);
     process.exit(1);
@@ -117,6 +244,38 @@ const startServer = () => {
   try {
     validateConfig();
 
+    if (process.env.INDEXER_ENABLED !== 'false') {
+      eventIndexer = new EventIndexer();
+      eventIndexer.start();
+    }
+
+    if (process.env.SUBSCRIPTION_SCHEDULER_ENABLED !== 'false') {
+      subscriptionScheduler = new SubscriptionScheduler();
+      subscriptionScheduler.start();
+    }
+
+    if (process.env.PRICE_RECORDER_ENABLED !== 'false') {
+      priceRecorder = new PriceRecorder();
+      priceRecorder.start();
+    }
+
+    if (process.env.KEEPER_ENABLED === 'true') {
+      batchKeeper.start();
+    }
+
+    if (pricePusher) {
+      pricePusher.start();
+    }
+
+    if (process.env.DIVERGENCE_MONITOR_ENABLED === 'true') {
+      divergenceMonitor.start();
+    }
+
+    // Broadcasts queued admin transactions, including ones left over from a restart
+    if (adminTxManager.signer) {
+      adminTxManager.start();
+    }
+
     app.listen(PORT, () => {
       console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -144,6 +303,23 @@ const startServer = () => {
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
 
+  if (eventIndexer) {
+    eventIndexer.stop();
+  }
+  if (subscriptionScheduler) {
+    subscriptionScheduler.stop();
+  }
+  if (priceRecorder) {
+    priceRecorder.stop();
+  }
+  batchKeeper.stop();
+  if (pricePusher) {
+    pricePusher.stop();
+  }
+  divergenceMonitor.stop();
+  adminTxManager.stop();
+  closeDatabase();
+
   setTimeout(() => {
     console.log('🔴 Force shutting down...');
     process.exit(1);
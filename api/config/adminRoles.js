@@ -0,0 +1,40 @@
+// Admin roles: which SIWE-authenticated addresses may call the admin API, and for what
+
+const ADMIN_ROLES = {
+  OPERATOR: 'operator', // Entropy queue and batch settings
+  RISK: 'risk', // slippage and price feeds
+  SUPERADMIN: 'superadmin' // everything, including router, plan manager, plans and token rescue
+};
+
+// Comma-separated address list per role
+const ROLE_ENV = {
+  [ADMIN_ROLES.OPERATOR]: 'ADMIN_OPERATORS',
+  [ADMIN_ROLES.RISK]: 'ADMIN_RISK_MANAGERS',
+  [ADMIN_ROLES.SUPERADMIN]: 'ADMIN_SUPERADMINS'
+};
+
+// Get the roles granted to an address (empty if it is not an admin)
+const getAdminRoles = (address) => {
+  if (!address) {
+    return [];
+  }
+
+  return Object.entries(ROLE_ENV)
+    .filter(([, name]) =>
+      (process.env[name] || '')
+        .split(',')
+        .map((entry) => entry.trim().toLowerCase())
+        .includes(address.toLowerCase())
+    )
+    .map(([role]) => role);
+};
+
+// Superadmins hold every role
+const hasAdminRole = (roles, allowed) =>
+  roles.includes(ADMIN_ROLES.SUPERADMIN) || roles.some((role) => allowed.includes(role));
+
+module.exports = {
+  ADMIN_ROLES,
+  getAdminRoles,
+  hasAdminRole
+};
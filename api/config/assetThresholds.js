@@ -0,0 +1,40 @@
+// Per-asset threshold lists: PRICE_PUSHER_FEEDS, PRICE_GUARDRAILS and DIVERGENCE_MONITOR_FEEDS
+
+const { getCurrentNetwork } = require('./contracts');
+
+/**
+ * Symbols of the current network's deployed tokens, e.g. the default list of monitored assets
+ * @param {Function} hasFeed - (symbol) => truthy if the token has a price feed
+ * @returns {string[]} Symbols
+ */
+const getNetworkTokenSymbols = (hasFeed) =>
+  Object.entries(getCurrentNetwork().contracts.TOKENS)
+    .filter(([symbol, address]) => address && hasFeed(symbol))
+    .map(([symbol]) => symbol);
+
+/**
+ * Parse a comma-separated list of SYMBOL[:first[:second]] entries, e.g. "WETH:0.5:600,WBTC"
+ * @param {string} value - List to parse; when empty, the default symbols get default thresholds
+ * @param {Object[]} fields - { name, parse, defaultValue } for each value after the symbol, in order
+ * @param {Function} getDefaultSymbols - Returns the symbols used when value is empty (optional)
+ * @returns {Object[]} Entries with the upper-cased symbol and one property per field
+ */
+const parseAssetThresholds = (value, fields, getDefaultSymbols = () => []) => {
+  const entries = value
+    ? value.split(',').map((entry) => entry.trim()).filter(Boolean)
+    : getDefaultSymbols();
+
+  return entries.map((entry) => {
+    const [symbol, ...values] = entry.split(':');
+    const thresholds = { symbol: symbol.toUpperCase() };
+    fields.forEach(({ name, parse, defaultValue }, index) => {
+      thresholds[name] = values[index] ? parse(values[index]) : defaultValue;
+    });
+    return thresholds;
+  });
+};
+
+module.exports = {
+  getNetworkTokenSymbols,
+  parseAssetThresholds
+};
@@ -0,0 +1,62 @@
+// Sign-In with Ethereum configuration: outside the local network the SIWE domain and session secret must be set
+
+// Network on which SIWE_DOMAIN and AUTH_JWT_SECRET may be left unset
+const AUTH_LOCAL_NETWORK = 'localhost';
+
+const getNetworkName = () => process.env.NETWORK || 'localhost';
+
+/**
+ * Domain SIWE messages must be signed for. Never taken from the request: a client
+ * could otherwise sign in with a message the victim signed for another site.
+ * On localhost it defaults to the API's own localhost:PORT.
+ * @returns {string} Expected SIWE domain
+ */
+const getSiweDomain = () => {
+  if (process.env.SIWE_DOMAIN) {
+    return process.env.SIWE_DOMAIN;
+  }
+
+  const networkName = getNetworkName();
+  if (networkName !== AUTH_LOCAL_NETWORK) {
+    throw new Error(`SIWE_DOMAIN must be set on NETWORK=${networkName} (it may only be left unset on NETWORK=${AUTH_LOCAL_NETWORK})`);
+  }
+  return `localhost:${process.env.PORT || 3000}`;
+};
+
+/**
+ * Session JWT secret. On localhost it may be unset, and the caller signs with a per-process key.
+ * @returns {string|null} AUTH_JWT_SECRET, or null on localhost without one
+ */
+const getAuthJwtSecret = () => {
+  if (process.env.AUTH_JWT_SECRET) {
+    return process.env.AUTH_JWT_SECRET;
+  }
+
+  const networkName = getNetworkName();
+  if (networkName !== AUTH_LOCAL_NETWORK) {
+    throw new Error(`AUTH_JWT_SECRET must be set on NETWORK=${networkName} (it may only be left unset on NETWORK=${AUTH_LOCAL_NETWORK})`);
+  }
+  return null;
+};
+
+// Throw if the API issuing sessions (app.js) is missing its SIWE configuration, so it refuses to start
+const validateAuthConfig = () => {
+  getSiweDomain();
+  getAuthJwtSecret();
+};
+
+// Throw if the legacy server (server.js) cannot check the sessions app.js issues. It has no /auth routes, so
+// it needs app.js's AUTH_JWT_SECRET (and DATABASE_PATH, which holds the sessions) on every network.
+const validateSharedSessionConfig = () => {
+  if (!process.env.AUTH_JWT_SECRET) {
+    throw new Error('AUTH_JWT_SECRET must be set to the value app.js uses: server.js accepts the sessions app.js issues at POST /api/v3/auth/verify');
+  }
+};
+
+module.exports = {
+  AUTH_LOCAL_NETWORK,
+  getSiweDomain,
+  getAuthJwtSecret,
+  validateAuthConfig,
+  validateSharedSessionConfig
+};
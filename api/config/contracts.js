@@ -1,5 +1,6 @@
 // Contract configuration for InvestmentEngineV3 API
 const { ethers } = require('ethers');
+const { getNetworkTokens } = require('./feedRegistry');
 
 // Network configurations
 const NETWORKS = {
@@ -29,53 +30,35 @@ const NETWORKS = {
   }
 };
 
-// Contract addresses by network
+// Contract addresses by network (token addresses come from the feed registry)
 const CONTRACT_ADDRESSES = {
   localhost: {
     INVESTMENT_ENGINE_V3: process.env.LOCAL_INVESTMENT_ENGINE_V3_ADDRESS,
     PLAN_MANAGER: process.env.LOCAL_PLAN_MANAGER_ADDRESS,
     UNISWAP_V4_ROUTER: process.env.LOCAL_UNISWAP_V4_ROUTER_ADDRESS,
-    TOKENS: {
-      USDC: process.env.LOCAL_USDC_ADDRESS,
-      WETH: process.env.LOCAL_WETH_ADDRESS,
-      WBTC: process.env.LOCAL_WBTC_ADDRESS,
-      LINK: process.env.LOCAL_LINK_ADDRESS,
-      PYUSD: process.env.LOCAL_PYUSD_ADDRESS
-    }
+    UNISWAP_QUOTER: process.env.LOCAL_UNISWAP_QUOTER_ADDRESS, // QuoterV2 used for swap quotes
+    SAFE: process.env.LOCAL_SAFE_ADDRESS // Safe that owns the engine and PlanManager (admin proposals)
   },
   sepolia: {
     INVESTMENT_ENGINE_V3: process.env.SEPOLIA_INVESTMENT_ENGINE_V3_ADDRESS,
     PLAN_MANAGER: process.env.SEPOLIA_PLAN_MANAGER_ADDRESS,
     UNISWAP_V4_ROUTER: process.env.SEPOLIA_UNISWAP_V4_ROUTER_ADDRESS || '0xE592427A0AEce92De3Edee1F18E0157C05861564', // V3 Router fallback
-    TOKENS: {
-      USDC: process.env.SEPOLIA_USDC_ADDRESS || '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
-      WETH: process.env.SEPOLIA_WETH_ADDRESS || '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
-      WBTC: process.env.SEPOLIA_WBTC_ADDRESS,
-      LINK: process.env.SEPOLIA_LINK_ADDRESS || '0x779877A7B0D9E8603169DdbD7836e478b4624789',
-      PYUSD: process.env.SEPOLIA_PYUSD_ADDRESS || '0xCaC524BcA292aaade2DF8A05cC58F0a65B1B3bB9'
-    }
+    UNISWAP_QUOTER: process.env.SEPOLIA_UNISWAP_QUOTER_ADDRESS,
+    SAFE: process.env.SEPOLIA_SAFE_ADDRESS
   },
   base_sepolia: {
     INVESTMENT_ENGINE_V3: process.env.BASE_SEPOLIA_INVESTMENT_ENGINE_V3_ADDRESS,
     PLAN_MANAGER: process.env.BASE_SEPOLIA_PLAN_MANAGER_ADDRESS,
     UNISWAP_V4_ROUTER: process.env.BASE_SEPOLIA_UNISWAP_V4_ROUTER_ADDRESS,
-    TOKENS: {
-      USDC: process.env.BASE_SEPOLIA_USDC_ADDRESS,
-      WETH: process.env.BASE_SEPOLIA_WETH_ADDRESS,
-      WBTC: process.env.BASE_SEPOLIA_WBTC_ADDRESS,
-      LINK: process.env.BASE_SEPOLIA_LINK_ADDRESS
-    }
+    UNISWAP_QUOTER: process.env.BASE_SEPOLIA_UNISWAP_QUOTER_ADDRESS,
+    SAFE: process.env.BASE_SEPOLIA_SAFE_ADDRESS
   },
   arbitrum_sepolia: {
     INVESTMENT_ENGINE_V3: process.env.ARBITRUM_SEPOLIA_INVESTMENT_ENGINE_V3_ADDRESS,
     PLAN_MANAGER: process.env.ARBITRUM_SEPOLIA_PLAN_MANAGER_ADDRESS,
     UNISWAP_V4_ROUTER: process.env.ARBITRUM_SEPOLIA_UNISWAP_V4_ROUTER_ADDRESS,
-    TOKENS: {
-      USDC: process.env.ARBITRUM_SEPOLIA_USDC_ADDRESS,
-      WETH: process.env.ARBITRUM_SEPOLIA_WETH_ADDRESS,
-      WBTC: process.env.ARBITRUM_SEPOLIA_WBTC_ADDRESS,
-      LINK: process.env.ARBITRUM_SEPOLIA_LINK_ADDRESS
-    }
+    UNISWAP_QUOTER: process.env.ARBITRUM_SEPOLIA_UNISWAP_QUOTER_ADDRESS,
+    SAFE: process.env.ARBITRUM_SEPOLIA_SAFE_ADDRESS
   }
 };
 
@@ -87,9 +70,15 @@ const getCurrentNetwork = () => {
     throw new Error(`Unsupported network: ${networkName}`);
   }
 
+  const tokens = getNetworkTokens(networkName);
+
   return {
     ...NETWORKS[networkName],
-    contracts: CONTRACT_ADDRESSES[networkName]
+    contracts: {
+      ...CONTRACT_ADDRESSES[networkName],
+      TOKENS: Object.fromEntries(tokens.map((token) => [token.symbol, token.address || undefined]))
+    },
+    tokens
   };
 };
 
@@ -0,0 +1,35 @@
+// Dev signer: signs local test investments with Anvil's deterministic accounts (NETWORK=localhost only)
+
+// Network the dev signer may run on
+const DEV_SIGNER_NETWORK = 'localhost';
+
+// Anvil's default mnemonic and the number of accounts it funds
+const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+const ANVIL_ACCOUNT_COUNT = 10;
+
+// DEV_SIGNER_ENABLED=true turns on the /api/v3/dev routes
+const isDevSignerEnabled = () => process.env.DEV_SIGNER_ENABLED === 'true';
+
+// Only mount the dev signer when it is enabled and the API runs against the local chain
+const shouldLoadDevSigner = () =>
+  isDevSignerEnabled() && (process.env.NETWORK || 'localhost') === DEV_SIGNER_NETWORK;
+
+// Throw if the dev signer is enabled on any other network, so the server refuses to start
+const validateDevSignerConfig = () => {
+  const networkName = process.env.NETWORK || 'localhost';
+
+  if (isDevSignerEnabled() && networkName !== DEV_SIGNER_NETWORK) {
+    throw new Error(
+      `DEV_SIGNER_ENABLED=true is only allowed on NETWORK=${DEV_SIGNER_NETWORK} (current network: ${networkName})`
+    );
+  }
+};
+
+module.exports = {
+  DEV_SIGNER_NETWORK,
+  ANVIL_MNEMONIC,
+  ANVIL_ACCOUNT_COUNT,
+  isDevSignerEnabled,
+  shouldLoadDevSigner,
+  validateDevSignerConfig
+};
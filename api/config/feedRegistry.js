@@ -0,0 +1,149 @@
+// Price feed registry: token metadata and Pyth feed IDs per network, loaded from a versioned JSON/YAML file
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'feedRegistry.json');
+
+// Registry file versions this API understands
+const SUPPORTED_VERSIONS = [1];
+
+// Mirrors IPlanManager.AssetClass
+const ASSET_CLASSES = ['Crypto', 'RWA', 'Liquidity', 'Stablecoin'];
+
+const RISK_TIERS = ['low', 'medium', 'high'];
+
+// Replace ${VAR} and ${VAR:-default} with environment values so addresses can stay in .env
+const interpolate = (value) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (match, name, fallback) =>
+      process.env[name] || fallback || ''
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolate);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, interpolate(entry)]));
+  }
+  return value;
+};
+
+// Collect every problem in a parsed registry; an empty list means it is valid
+const validateFeedRegistry = (registry) => {
+  const errors = [];
+
+  if (!registry || typeof registry !== 'object') {
+    return ['registry must be an object'];
+  }
+  if (!SUPPORTED_VERSIONS.includes(registry.version)) {
+    errors.push(`unsupported version ${registry.version} (expected ${SUPPORTED_VERSIONS.join(', ')})`);
+  }
+
+  const assets = registry.assets || {};
+  if (Object.keys(assets).length === 0) {
+    errors.push('assets must list at least one asset');
+  }
+
+  for (const [symbol, asset] of Object.entries(assets)) {
+    if (symbol !== symbol.toUpperCase()) {
+      errors.push(`assets.${symbol}: symbol must be upper case`);
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(asset.feedId || '')) {
+      errors.push(`assets.${symbol}.feedId must be a 32-byte hex string`);
+    }
+    if (!Number.isInteger(asset.decimals) || asset.decimals < 0 || asset.decimals > 36) {
+      errors.push(`assets.${symbol}.decimals must be an integer between 0 and 36`);
+    }
+    if (!ASSET_CLASSES.includes(asset.assetClass)) {
+      errors.push(`assets.${symbol}.assetClass must be one of ${ASSET_CLASSES.join(', ')}`);
+    }
+    if (!RISK_TIERS.includes(asset.riskTier)) {
+      errors.push(`assets.${symbol}.riskTier must be one of ${RISK_TIERS.join(', ')}`);
+    }
+  }
+
+  for (const [networkName, tokens] of Object.entries(registry.networks || {})) {
+    const seen = new Map();
+    for (const [symbol, token] of Object.entries(tokens || {})) {
+      const where = `networks.${networkName}.${symbol}`;
+      if (!assets[symbol]) {
+        errors.push(`${where}: no asset named ${symbol}`);
+      }
+      if (token.address && !ethers.isAddress(token.address)) {
+        errors.push(`${where}.address is not a valid address: ${token.address}`);
+      } else if (token.address) {
+        const key = token.address.toLowerCase();
+        if (seen.has(key)) {
+          errors.push(`${where}.address is already used by ${seen.get(key)}`);
+        }
+        seen.set(key, symbol);
+      }
+      if (token.decimals !== undefined && (!Number.isInteger(token.decimals) || token.decimals < 0)) {
+        errors.push(`${where}.decimals must be a non-negative integer`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Read, interpolate, validate and normalize a registry file (.json, .yaml or .yml)
+const loadFeedRegistry = (registryPath = process.env.FEED_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) => {
+  const content = fs.readFileSync(registryPath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(registryPath) ? yaml.load(content) : JSON.parse(content);
+  const registry = interpolate(parsed);
+
+  const errors = validateFeedRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid feed registry ${registryPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const assets = Object.fromEntries(
+    Object.entries(registry.assets).map(([symbol, asset]) => [symbol, { symbol, ...asset }])
+  );
+  const networks = Object.fromEntries(
+    Object.entries(registry.networks || {}).map(([networkName, tokens]) => [
+      networkName,
+      Object.entries(tokens || {}).map(([symbol, token]) => ({
+        ...assets[symbol],
+        address: token.address ? ethers.getAddress(token.address) : null,
+        decimals: token.decimals !== undefined ? token.decimals : assets[symbol].decimals
+      }))
+    ])
+  );
+
+  return { version: registry.version, path: registryPath, assets, networks };
+};
+
+let cachedRegistry = null;
+
+// Get the registry, loading and validating it on first use
+const getFeedRegistry = () => {
+  if (!cachedRegistry) {
+    cachedRegistry = loadFeedRegistry();
+  }
+  return cachedRegistry;
+};
+
+// Get an asset by symbol (undefined if not registered)
+const getAsset = (symbol) => getFeedRegistry().assets[symbol.toUpperCase()];
+
+// Get the tokens registered for a network; tokens without a deployed address have address null
+const getNetworkTokens = (networkName) => getFeedRegistry().networks[networkName] || [];
+
+// Get a network token by address (undefined if not registered)
+const getTokenByAddress = (networkName, address) =>
+  getNetworkTokens(networkName).find((token) => token.address && token.address.toLowerCase() === address.toLowerCase());
+
+module.exports = {
+  ASSET_CLASSES,
+  RISK_TIERS,
+  validateFeedRegistry,
+  loadFeedRegistry,
+  getFeedRegistry,
+  getAsset,
+  getNetworkTokens,
+  getTokenByAddress
+};
@@ -0,0 +1,27 @@
+// Pyth price feed configuration shared by every price source
+const { HermesClient } = require('@pythnetwork/hermes-client');
+const { getFeedRegistry } = require('./feedRegistry');
+
+const HERMES_URL = process.env.HERMES_URL || 'https://hermes.pyth.network';
+
+// Pyth price feed IDs by symbol from the feed registry (the same IDs are used by Hermes and the on-chain Pyth contract)
+const PRICE_FEEDS = Object.fromEntries(
+  Object.values(getFeedRegistry().assets).map((asset) => [asset.symbol, asset.feedId])
+);
+
+// Get the price feed ID for a symbol (undefined if unsupported)
+const getPriceFeedId = (symbol) => PRICE_FEEDS[symbol.toUpperCase()];
+
+// Get every symbol with a configured price feed
+const getSupportedSymbols = () => Object.keys(PRICE_FEEDS);
+
+// Create a Hermes client for the configured endpoint
+const createHermesClient = () => new HermesClient(HERMES_URL);
+
+module.exports = {
+  HERMES_URL,
+  PRICE_FEEDS,
+  getPriceFeedId,
+  getSupportedSymbols,
+  createHermesClient
+};
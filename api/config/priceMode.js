@@ -0,0 +1,36 @@
+// Price mode configuration: where price-bearing responses get their prices from
+
+const PRICE_MODES = {
+  LIVE: 'live', // real sources (PRICE_PROVIDERS)
+  REPLAY: 'replay', // recorded Hermes responses played back on a seeded clock
+  FIXTURE: 'fixture' // static fixture prices
+};
+
+// Get the configured price mode (PRICE_MODE, default live)
+const getPriceMode = () => {
+  const mode = (process.env.PRICE_MODE || PRICE_MODES.LIVE).toLowerCase();
+
+  if (!Object.values(PRICE_MODES).includes(mode)) {
+    throw new Error(`Unsupported PRICE_MODE: ${mode} (expected ${Object.values(PRICE_MODES).join(', ')})`);
+  }
+
+  return mode;
+};
+
+// Replay and fixture prices are synthetic; only live mode serves real market data
+const isSyntheticMode = (mode = getPriceMode()) => mode !== PRICE_MODES.LIVE;
+
+// Throw unless prices are live (for flows that must never act on synthetic data)
+const requireLivePrices = (action) => {
+  const mode = getPriceMode();
+  if (isSyntheticMode(mode)) {
+    throw new Error(`${action} requires PRICE_MODE=live (current mode: ${mode})`);
+  }
+};
+
+module.exports = {
+  PRICE_MODES,
+  getPriceMode,
+  isSyntheticMode,
+  requireLivePrices
+};
@@ -1,5 +1,9 @@
 const { ethers } = require('ethers');
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidCadence } = require('../services/cadence');
+const SiweAuth = require('../services/siweAuth');
+const { ADMIN_ROLES, getAdminRoles, hasAdminRole } = require('../config/adminRoles');
+const { ANVIL_ACCOUNT_COUNT } = require('../config/devSigner');
 
 // Custom validation functions
 const isEthereumAddress = (value) => {
@@ -48,6 +52,24 @@ const validateInvestmentId = [
   handleValidationErrors
 ];
 
+const validateQueueId = [
+  param('queueId')
+    .isInt({ min: 1 })
+    .withMessage('Queue ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateBatchVerification = [
+  param('batchId')
+    .isInt({ min: 1 })
+    .withMessage('Batch ID must be a positive integer (the batch block timestamp)'),
+  query('transactionHash')
+    .optional()
+    .matches(/^0x[0-9a-fA-F]{64}$/)
+    .withMessage('transactionHash must be a 32-byte hex string'),
+  handleValidationErrors
+];
+
 const validatePlanId = [
   param('planId')
     .isInt({ min: 1 })
@@ -64,6 +86,10 @@ const validateQuoteRequest = [
   body('planId')
     .isInt({ min: 1 })
     .withMessage('Plan ID must be a positive integer'),
+  body('userAddress')
+    .optional()
+    .custom(isEthereumAddress)
+    .withMessage('Invalid Ethereum address'),
   handleValidationErrors
 ];
 
@@ -82,6 +108,78 @@ const validateInvestmentPreparation = [
   handleValidationErrors
 ];
 
+// Dev signer investments pick an Anvil account by index instead of sending an address
+const validateDevInvestment = [
+  body('accountIndex')
+    .isInt({ min: 0, max: ANVIL_ACCOUNT_COUNT - 1 })
+    .withMessage(`accountIndex must be an integer between 0 and ${ANVIL_ACCOUNT_COUNT - 1}`),
+  body('amount')
+    .custom(isBigIntString)
+    .withMessage('Amount must be a valid number string')
+    .custom((value) => BigInt(value) > 0)
+    .withMessage('Amount must be greater than 0'),
+  body('planId')
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  handleValidationErrors
+];
+
+// amount and planId come from the quote when a quoteId is given
+const validateQuotedInvestmentPreparation = [
+  body('userAddress')
+    .custom(isEthereumAddress)
+    .withMessage('Invalid Ethereum address'),
+  body('quoteId')
+    .optional()
+    .isUUID()
+    .withMessage('quoteId must be a UUID'),
+  body('amount')
+    .if(body('quoteId').not().exists())
+    .custom(isBigIntString)
+    .withMessage('Amount must be a valid number string')
+    .custom((value) => BigInt(value) > 0)
+    .withMessage('Amount must be greater than 0'),
+  body('amount')
+    .if(body('quoteId').exists())
+    .optional()
+    .custom(isBigIntString)
+    .withMessage('Amount must be a valid number string'),
+  body('planId')
+    .if(body('quoteId').not().exists())
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  body('planId')
+    .if(body('quoteId').exists())
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateQuoteId = [
+  param('quoteId')
+    .isUUID()
+    .withMessage('quoteId must be a UUID'),
+  handleValidationErrors
+];
+
+const validateTxJobId = [
+  param('jobId')
+    .isUUID()
+    .withMessage('jobId must be a UUID'),
+  handleValidationErrors
+];
+
+const validateQuoteExecution = [
+  param('quoteId')
+    .isUUID()
+    .withMessage('quoteId must be a UUID'),
+  body('transactionHash')
+    .matches(/^0x[0-9a-fA-F]{64}$/)
+    .withMessage('transactionHash must be a 32-byte hex string'),
+  handleValidationErrors
+];
+
 const validatePagination = [
   query('page')
     .optional()
@@ -94,6 +192,10 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+const isTimestamp = (value) => {
+  return /^\d+$/.test(value) || !isNaN(Date.parse(value));
+};
+
 const validateEventQuery = [
   query('fromBlock')
     .optional()
@@ -101,13 +203,296 @@ const validateEventQuery = [
       return value === 'latest' || isPositiveInteger(value);
     })
     .withMessage('fromBlock must be "latest" or a positive integer'),
+  query('toBlock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('toBlock must be a non-negative integer'),
   query('limit')
     .optional()
     .isInt({ min: 1, max: 1000 })
     .withMessage('Limit must be between 1 and 1000'),
+  query('event')
+    .optional()
+    .matches(/^[A-Za-z]+(,[A-Za-z]+)*$/)
+    .withMessage('event must be an event name or a comma-separated list of names'),
+  query('user')
+    .optional()
+    .custom(isEthereumAddress)
+    .withMessage('user must be a valid Ethereum address'),
+  query('planId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  query(['fromTime', 'toTime'])
+    .optional()
+    .custom(isTimestamp)
+    .withMessage('Time filters must be unix seconds or an ISO 8601 date'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be "asc" or "desc"'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Invalid cursor'),
   handleValidationErrors
 ];
 
+const validatePriceHistory = [
+  param('symbol')
+    .isAlpha()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Symbol must be 1-10 letters'),
+  query('interval')
+    .optional()
+    .isIn(['1m', '5m', '15m', '1h', '4h', '1d'])
+    .withMessage('interval must be one of 1m, 5m, 15m, 1h, 4h, 1d'),
+  query(['from', 'to'])
+    .optional()
+    .custom(isTimestamp)
+    .withMessage('from and to must be unix seconds or an ISO 8601 date'),
+  query('gaps')
+    .optional()
+    .isIn(['fill', 'skip'])
+    .withMessage('gaps must be "fill" or "skip"'),
+  handleValidationErrors
+];
+
+const validateSubscriptionId = [
+  param('subscriptionId')
+    .isInt({ min: 1 })
+    .withMessage('Subscription ID must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateSubscriptionQuery = [
+  query('userAddress')
+    .optional()
+    .custom(isEthereumAddress)
+    .withMessage('Invalid Ethereum address'),
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'completed', 'cancelled'])
+    .withMessage('Status must be one of: active, paused, completed, cancelled'),
+  handleValidationErrors
+];
+
+const validateSubscriptionCreate = [
+  body('userAddress')
+    .custom(isEthereumAddress)
+    .withMessage('Invalid Ethereum address'),
+  body('planId')
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  body('amount')
+    .custom(isBigIntString)
+    .withMessage('Amount must be a valid number string')
+    .custom((value) => BigInt(value) > 0)
+    .withMessage('Amount must be greater than 0'),
+  body('cadence')
+    .custom(isValidCadence)
+    .withMessage('Cadence must be daily, weekly, monthly or a cron expression'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be an ISO 8601 date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('endDate must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+const validateSubscriptionUpdate = [
+  param('subscriptionId')
+    .isInt({ min: 1 })
+    .withMessage('Subscription ID must be a positive integer'),
+  body('planId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Plan ID must be a positive integer'),
+  body('amount')
+    .optional()
+    .custom(isBigIntString)
+    .withMessage('Amount must be a valid number string')
+    .custom((value) => BigInt(value) > 0)
+    .withMessage('Amount must be greater than 0'),
+  body('cadence')
+    .optional()
+    .custom(isValidCadence)
+    .withMessage('Cadence must be daily, weekly, monthly or a cron expression'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('endDate must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+const validateSiweVerification = [
+  body('message')
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage('message must be a SIWE (EIP-4361) message'),
+  body('signature')
+    .matches(/^0x[0-9a-fA-F]+$/)
+    .withMessage('signature must be a hex string'),
+  handleValidationErrors
+];
+
+const validateAdminAction = [
+  param('action')
+    .matches(/^[a-zA-Z]+$/)
+    .withMessage('Invalid admin action'),
+  body('params')
+    .optional()
+    .isObject()
+    .withMessage('params must be an object'),
+  body('dryRun')
+    .optional()
+    .custom((value) => typeof value === 'boolean')
+    .withMessage('dryRun must be a boolean'),
+  handleValidationErrors
+];
+
+const validateSafeProposal = [
+  body('actions')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('actions must be an array of 1 to 20 admin actions'),
+  body('actions.*.action')
+    .matches(/^[a-zA-Z]+$/)
+    .withMessage('Invalid admin action'),
+  body('actions.*.params')
+    .optional()
+    .isObject()
+    .withMessage('params must be an object'),
+  body('nonce')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('nonce must be a non-negative integer'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('description must be a string of at most 500 characters'),
+  handleValidationErrors
+];
+
+const validateSafeProposalId = [
+  param('proposalId')
+    .isUUID()
+    .withMessage('proposalId must be a UUID'),
+  handleValidationErrors
+];
+
+const validateSafeSignatures = [
+  param('proposalId')
+    .isUUID()
+    .withMessage('proposalId must be a UUID'),
+  body('signatures')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('signatures must be a non-empty array'),
+  body('signatures.*')
+    .matches(/^0x[0-9a-fA-F]{130}$/)
+    .withMessage('Each signature must be 65 bytes of hex'),
+  handleValidationErrors
+];
+
+const validateAdminAuditQuery = [
+  query('actor')
+    .optional()
+    .custom(isEthereumAddress)
+    .withMessage('Invalid Ethereum address'),
+  query('action')
+    .optional()
+    .matches(/^[a-zA-Z]+$/)
+    .withMessage('Invalid admin action'),
+  query('status')
+    .optional()
+    .isIn(['denied', 'invalid', 'reverted', 'simulated', 'proposed', 'queued', 'confirmed', 'executed', 'failed'])
+    .withMessage('Status must be one of: denied, invalid, reverted, simulated, proposed, queued, confirmed, executed, failed'),
+  handleValidationErrors
+];
+
+// Sign-In with Ethereum sessions, shared by the auth routes and the middleware below
+let siweAuth = null;
+const getSiweAuth = () => {
+  if (!siweAuth) {
+    siweAuth = new SiweAuth();
+  }
+  return siweAuth;
+};
+
+// AUTH_PUBLIC_MODE=true opts out of sessions: user-scoped routes are served to anyone
+const isPublicMode = () => process.env.AUTH_PUBLIC_MODE === 'true';
+
+// Require a session JWT (Authorization: Bearer <token>) and attach the session as req.auth
+const authenticate = (req, res, next) => {
+  if (req.auth) {
+    return next();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required (Authorization: Bearer <session token> from POST /api/v3/auth/verify on the InvestmentEngineV3 API, app.js)'
+    });
+  }
+
+  try {
+    req.auth = getSiweAuth().verifySession(token);
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Require a session unless public mode is on
+const requireSession = (req, res, next) => (isPublicMode() ? next() : authenticate(req, res, next));
+
+// Restrict a route to the address it is scoped to; getAddress reads that address from the request
+const requireAddress = (getAddress) => (req, res, next) => {
+  if (isPublicMode()) {
+    return next();
+  }
+
+  authenticate(req, res, () => {
+    const address = getAddress(req);
+    if (address && address.toLowerCase() !== req.auth.address) {
+      return res.status(403).json({
+        success: false,
+        error: 'Session address does not match the requested address'
+      });
+    }
+    next();
+  });
+};
+
+// Routes with a :userAddress parameter
+const requireUserAddress = requireAddress((req) => req.params.userAddress);
+
+// Require a session whose address holds one of the given admin roles (any role if none are given).
+// Public mode does not apply to admin routes. Sets req.adminRoles.
+const requireAdmin = (...roles) => (req, res, next) => {
+  authenticate(req, res, () => {
+    req.adminRoles = getAdminRoles(req.auth.address);
+    const allowed = roles.length === 0 ? req.adminRoles.length > 0 : hasAdminRole(req.adminRoles, roles);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: roles.length === 0
+          ? 'Admin role required'
+          : `Requires one of the roles: ${[...new Set([...roles, ADMIN_ROLES.SUPERADMIN])].join(', ')}`
+      });
+    }
+    next();
+  });
+};
+
 // Rate limiting for expensive operations
 const rateLimit = require('express-rate-limit');
 
@@ -138,6 +523,12 @@ const rateLimits = {
     'Too many expensive requests from this IP, please try again later'
   ),
 
+  investment: createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    30, // limit each IP to 30 investment bundles per windowMs (each one hits Hermes and the RPC)
+    'Too many investment requests from this IP, please try again later'
+  ),
+
   events: createRateLimit(
     60 * 1000, // 1 minute
     10, // limit each IP to 10 requests per minute for event queries
@@ -197,7 +588,7 @@ const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ?
     process.env.ALLOWED_ORIGINS.split(',') :
     ['http://localhost:3000', 'http://localhost:3001'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   credentials: true
 };
@@ -214,11 +605,36 @@ const securityHeaders = (req, res, next) => {
 module.exports = {
   validateUserAddress,
   validateInvestmentId,
+  validateQueueId,
+  validateBatchVerification,
   validatePlanId,
   validateQuoteRequest,
   validateInvestmentPreparation,
+  validateQuotedInvestmentPreparation,
+  validateDevInvestment,
+  validateQuoteId,
+  validateTxJobId,
+  validateQuoteExecution,
   validatePagination,
   validateEventQuery,
+  validatePriceHistory,
+  validateSubscriptionId,
+  validateSubscriptionQuery,
+  validateSubscriptionCreate,
+  validateSubscriptionUpdate,
+  validateSiweVerification,
+  validateAdminAction,
+  validateAdminAuditQuery,
+  validateSafeProposal,
+  validateSafeProposalId,
+  validateSafeSignatures,
+  getSiweAuth,
+  isPublicMode,
+  authenticate,
+  requireSession,
+  requireAddress,
+  requireUserAddress,
+  requireAdmin,
   rateLimits,
   logRequest,
   errorHandler,
@@ -0,0 +1,150 @@
+const express = require('express');
+
+const {
+  validateAdminAction,
+  validateAdminAuditQuery,
+  validatePagination,
+  requireAdmin,
+  rateLimits
+} = require('../middleware/validation');
+const createFeedRegistryRoutes = require('./feedRegistry');
+const createSafeProposalRoutes = require('./safeProposals');
+const createAdminOperationRoutes = require('./adminOperations');
+const AdminAuditStore = require('../services/adminAuditStore');
+
+const { AUDIT_STATUS } = AdminAuditStore;
+
+// HTTP status for each audited outcome
+const STATUS_CODES = {
+  [AUDIT_STATUS.DENIED]: 403,
+  [AUDIT_STATUS.INVALID]: 400,
+  [AUDIT_STATUS.REVERTED]: 422,
+  [AUDIT_STATUS.SIMULATED]: 200,
+  [AUDIT_STATUS.QUEUED]: 202,
+  [AUDIT_STATUS.FAILED]: 500
+};
+
+/**
+ * Admin routes, for SIWE sessions whose address holds an admin role
+ * (ADMIN_OPERATORS, ADMIN_RISK_MANAGERS, ADMIN_SUPERADMINS)
+ * @param {EngineAdmin} engineAdmin - Engine admin service shared with app.js
+ * @param {FeedRegistrySync} feedRegistrySync - Sync service shared with app.js
+ * @param {SafeProposals} safeProposals - Safe proposal service shared with app.js
+ * @param {Object} services - { batchKeeper, pricePusher, divergenceMonitor } shared with app.js
+ * @returns {express.Router} Router mounted at /api/v3/admin
+ */
+const createAdminRoutes = (engineAdmin, feedRegistrySync, safeProposals, services) => {
+  const router = express.Router();
+
+  router.use(requireAdmin());
+
+  /**
+   * @route GET /api/v3/admin/actions
+   * @desc List admin actions with their roles and params, and whether the caller may run them
+   * @access Private (admin)
+   */
+  router.get('/actions', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        address: req.auth.address,
+        roles: req.adminRoles,
+        actions: engineAdmin.listActions(req.adminRoles)
+      }
+    });
+  });
+
+  /**
+   * @route POST /api/v3/admin/actions/:action
+   * @desc Simulate an admin action and queue it on the admin wallet (setSlippage, setRouter, setPlanManager,
+   *       setPriceFeedId, setEntropyEnabled, setExecutionBatchSize, setMaxQueueSize, rescueTokens, createPlan,
+   *       updatePlan); a live call answers 202 with the jobId to poll
+   * @access Private (admin role for the action)
+   * @body params - arguments by name, dryRun - simulate only (optional)
+   */
+  router.post('/actions/:action', rateLimits.expensive, validateAdminAction, async (req, res) => {
+    try {
+      const entry = await engineAdmin.execute({
+        action: req.params.action,
+        params: req.body.params,
+        dryRun: req.body.dryRun,
+        actor: req.auth.address,
+        roles: req.adminRoles
+      });
+
+      const status = STATUS_CODES[entry.status];
+      if (status === 202) {
+        return res.status(202).json({
+          success: true,
+          message: `${entry.action} queued`,
+          jobId: entry.txJobId,
+          status: entry.status,
+          statusUrl: `/api/admin/tx/${entry.txJobId}`,
+          data: entry
+        });
+      }
+      if (status !== 200) {
+        return res.status(status).json({
+          success: false,
+          error: entry.error,
+          audit: entry
+        });
+      }
+
+      res.json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * @route GET /api/v3/admin/audit
+   * @desc Get the admin audit log, newest first
+   * @access Private (admin)
+   * @query action, actor, status, page, limit
+   */
+  router.get('/audit', validateAdminAuditQuery, validatePagination, (req, res) => {
+    try {
+      const { action, actor, status, page = 1, limit = 10 } = req.query;
+      const pageNumber = parseInt(page);
+      const pageSize = parseInt(limit);
+
+      const { entries, total } = engineAdmin.auditStore.list(
+        { action, actor, status },
+        { offset: (pageNumber - 1) * pageSize, limit: pageSize }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            currentPage: pageNumber,
+            totalItems: total,
+            itemsPerPage: pageSize,
+            totalPages: Math.ceil(total / pageSize)
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  router.use('/feed-registry', createFeedRegistryRoutes(feedRegistrySync, engineAdmin.auditStore));
+  router.use('/safe', createSafeProposalRoutes(safeProposals));
+  router.use(createAdminOperationRoutes(services, engineAdmin.auditStore));
+
+  return router;
+};
+
+module.exports = createAdminRoutes;
@@ -0,0 +1,188 @@
+const express = require('express');
+
+const { rateLimits } = require('../middleware/validation');
+const { ADMIN_ROLES, hasAdminRole } = require('../config/adminRoles');
+const { AUDIT_STATUS } = require('../services/adminAuditStore');
+const { requireLivePrices } = require('../config/priceMode');
+
+/**
+ * Admin routes for the API's own background services (keeper, price pusher, divergence monitor)
+ * @param {Object} services - { batchKeeper, pricePusher (null unless PRICE_PUSHER_ENABLED=true), divergenceMonitor }
+ * @param {AdminAuditStore} auditStore - Admin audit log that records every call
+ * @returns {express.Router} Router mounted at /api/v3/admin
+ */
+const createAdminOperationRoutes = ({ batchKeeper, pricePusher, divergenceMonitor }, auditStore) => {
+  const router = express.Router();
+
+  /**
+   * Wrap an operation so it is role-checked and every outcome lands in the audit log
+   * @param {Object} operation - { action, roles, check, run }; check returns { status, error } when the
+   *   operation cannot run, run resolves to { previousValue, newValue, data }
+   * @returns {Function} Express handler
+   */
+  const audited = ({ action, roles, check, run }) => async (req, res) => {
+    const { dryRun } = req.body;
+    const audit = { action, params: { dryRun }, actor: req.auth.address, roles: req.adminRoles, dryRun: dryRun === true };
+
+    if (!hasAdminRole(req.adminRoles, roles)) {
+      const error = `Requires one of the roles: ${[...roles, ADMIN_ROLES.SUPERADMIN].join(', ')}`;
+      auditStore.record({ ...audit, status: AUDIT_STATUS.DENIED, error });
+      return res.status(403).json({
+        success: false,
+        error
+      });
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      auditStore.record({ ...audit, status: AUDIT_STATUS.INVALID, error: 'dryRun must be a boolean' });
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean'
+      });
+    }
+
+    const unavailable = check ? check() : null;
+    if (unavailable) {
+      auditStore.record({ ...audit, status: AUDIT_STATUS.FAILED, error: unavailable.error });
+      return res.status(unavailable.status).json({
+        success: false,
+        error: unavailable.error
+      });
+    }
+
+    try {
+      const { previousValue, newValue, data } = await run(req);
+      const entry = auditStore.record({ ...audit, status: AUDIT_STATUS.EXECUTED, previousValue, newValue });
+
+      res.json({
+        success: true,
+        data: {
+          ...data,
+          audit: entry
+        }
+      });
+    } catch (error) {
+      auditStore.record({ ...audit, status: AUDIT_STATUS.FAILED, error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+
+  // Loop state worth keeping in the audit log
+  const loopState = (service) => {
+    const { running, dryRun } = service.getStatus();
+    return { running, dryRun };
+  };
+
+  const requirePricePusher = () => (pricePusher
+    ? null
+    : { status: 503, error: 'Price pusher is disabled (set PRICE_PUSHER_ENABLED=true)' });
+
+  const requireLiveDivergence = () => {
+    try {
+      requireLivePrices('The divergence monitor');
+      return null;
+    } catch (error) {
+      return { status: 409, error: error.message };
+    }
+  };
+
+  /**
+   * Start or stop a loop, recording its state before and after
+   */
+  const toggleLoop = (service, start) => async (req) => {
+    const previousValue = loopState(service);
+    if (start) {
+      service.start({ dryRun: req.body.dryRun });
+    } else {
+      service.stop();
+    }
+
+    return {
+      previousValue,
+      newValue: loopState(service),
+      data: service.getStatus()
+    };
+  };
+
+  /**
+   * @route POST /api/v3/admin/keeper/start
+   * @desc Start the batch keeper loop (live batches spend KEEPER_PRIVATE_KEY gas)
+   * @access Private (operator)
+   * @body dryRun - simulate batches with eth_call instead of sending them (optional)
+   */
+  router.post('/keeper/start', rateLimits.expensive, audited({
+    action: 'keeperStart',
+    roles: [ADMIN_ROLES.OPERATOR],
+    run: toggleLoop(batchKeeper, true)
+  }));
+
+  /**
+   * @route POST /api/v3/admin/keeper/stop
+   * @desc Stop the batch keeper loop
+   * @access Private (operator)
+   */
+  router.post('/keeper/stop', rateLimits.expensive, audited({
+    action: 'keeperStop',
+    roles: [ADMIN_ROLES.OPERATOR],
+    run: toggleLoop(batchKeeper, false)
+  }));
+
+  /**
+   * @route POST /api/v3/admin/price-pusher/start
+   * @desc Start the price pusher loop (live pushes spend PRICE_PUSHER_PRIVATE_KEY ETH on update fees)
+   * @access Private (operator)
+   * @body dryRun - simulate pushes with estimateGas instead of sending them (optional)
+   */
+  router.post('/price-pusher/start', rateLimits.expensive, audited({
+    action: 'pricePusherStart',
+    roles: [ADMIN_ROLES.OPERATOR],
+    check: requirePricePusher,
+    run: toggleLoop(pricePusher, true)
+  }));
+
+  /**
+   * @route POST /api/v3/admin/price-pusher/stop
+   * @desc Stop the price pusher loop
+   * @access Private (operator)
+   */
+  router.post('/price-pusher/stop', rateLimits.expensive, audited({
+    action: 'pricePusherStop',
+    roles: [ADMIN_ROLES.OPERATOR],
+    check: requirePricePusher,
+    run: toggleLoop(pricePusher, false)
+  }));
+
+  /**
+   * @route POST /api/v3/admin/oracle/divergence/refresh
+   * @desc Measure Hermes vs on-chain divergence now (measure-only; alerts come from the monitor loop)
+   * @access Private (risk)
+   */
+  router.post('/oracle/divergence/refresh', rateLimits.expensive, audited({
+    action: 'divergenceRefresh',
+    roles: [ADMIN_ROLES.RISK],
+    check: requireLiveDivergence,
+    run: async () => {
+      const previousCheck = divergenceMonitor.lastCheck;
+      const readings = await divergenceMonitor.checkOnce({ alert: false });
+
+      return {
+        previousValue: { lastCheck: previousCheck },
+        newValue: {
+          lastCheck: divergenceMonitor.lastCheck,
+          breachingFeeds: (readings || []).filter((reading) => reading.breaches.length > 0).map((reading) => reading.symbol)
+        },
+        data: {
+          ...divergenceMonitor.getStatus(),
+          readings: divergenceMonitor.readings,
+          recentAlerts: divergenceMonitor.recentAlerts
+        }
+      };
+    }
+  }));
+
+  return router;
+};
+
+module.exports = createAdminOperationRoutes;
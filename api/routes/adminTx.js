@@ -0,0 +1,58 @@
+const express = require('express');
+
+const { validateTxJobId, requireAdmin } = require('../middleware/validation');
+const AdminTxStore = require('../services/adminTxStore');
+
+/**
+ * Admin transaction job routes
+ * @param {AdminTxManager|null} txManager - Admin wallet queue (null when ADMIN_PRIVATE_KEY is not set)
+ * @returns {express.Router} Router mounted at /api/admin
+ */
+const createAdminTxRoutes = (txManager) => {
+  const router = express.Router();
+  const adminTxStore = txManager ? txManager.store : new AdminTxStore();
+
+  /**
+   * @route GET /api/admin/tx/status
+   * @desc Get the admin transaction manager's state and settings
+   * @access Private (admin)
+   */
+  router.get('/tx/status', requireAdmin(), (req, res) => {
+    res.json({
+      success: true,
+      data: txManager ? txManager.getStatus() : { running: false, address: null }
+    });
+  });
+
+  /**
+   * @route GET /api/admin/tx/:jobId
+   * @desc Get an admin transaction job: status (queued, submitted, mined, confirmed, failed), nonce and every broadcast attempt
+   * @access Private (admin)
+   */
+  router.get('/tx/:jobId', requireAdmin(), validateTxJobId, (req, res) => {
+    try {
+      const job = adminTxStore.getJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminTxRoutes;
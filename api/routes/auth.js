@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  validateSiweVerification,
+  getSiweAuth,
+  isPublicMode,
+  authenticate,
+  rateLimits
+} = require('../middleware/validation');
+
+/**
+ * @route GET /api/v3/auth/nonce
+ * @desc Get a single-use nonce to put in a SIWE (EIP-4361) message
+ * @access Public
+ */
+router.get('/nonce', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getSiweAuth().createNonce()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v3/auth/verify
+ * @desc Verify a signed SIWE message and start a session
+ * @access Public
+ * @body message (EIP-4361 text), signature
+ */
+router.post('/verify', rateLimits.expensive, validateSiweVerification, async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    const session = await getSiweAuth().verifySignIn({ message, signature });
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/auth/session
+ * @desc Get the current session
+ * @access Private (session)
+ */
+router.get('/session', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.auth,
+      publicMode: isPublicMode()
+    }
+  });
+});
+
+/**
+ * @route POST /api/v3/auth/logout
+ * @desc Revoke the current session
+ * @access Private (session)
+ */
+router.post('/logout', authenticate, (req, res) => {
+  try {
+    getSiweAuth().revokeSession(req.auth.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessionId: req.auth.sessionId, revoked: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+
+const { validateDevInvestment, rateLimits } = require('../middleware/validation');
+
+/**
+ * Dev signer routes (only mounted when DEV_SIGNER_ENABLED=true and NETWORK=localhost)
+ * @param {DevSigner} devSigner - Dev signer shared with app.js
+ * @returns {express.Router} Router mounted at /api/v3/dev
+ */
+const createDevSignerRoutes = (devSigner) => {
+  const router = express.Router();
+
+  /**
+   * @route GET /api/v3/dev/accounts
+   * @desc List the Anvil accounts the dev signer can sign with
+   * @access Public (localhost only)
+   */
+  router.get('/accounts', (req, res) => {
+    res.json({
+      success: true,
+      data: devSigner.listAccounts()
+    });
+  });
+
+  /**
+   * @route POST /api/v3/dev/execute-investment
+   * @desc Approve PYUSD (if needed) and call depositAndInvest from an Anvil account
+   * @access Public (localhost only)
+   * @body accountIndex, planId, amount
+   */
+  router.post('/execute-investment', rateLimits.expensive, validateDevInvestment, async (req, res) => {
+    try {
+      const { accountIndex, planId, amount } = req.body;
+      const result = await devSigner.executeInvestment({ accountIndex: parseInt(accountIndex), planId, amount });
+
+      res.json({
+        success: true,
+        message: 'Dev investment executed',
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.shortMessage || error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDevSignerRoutes;
@@ -0,0 +1,119 @@
+const express = require('express');
+
+const { requireAdmin, rateLimits } = require('../middleware/validation');
+const { ADMIN_ROLES, hasAdminRole } = require('../config/adminRoles');
+const { AUDIT_STATUS } = require('../services/adminAuditStore');
+const { getCurrentNetwork } = require('../config/contracts');
+const { getFeedRegistry } = require('../config/feedRegistry');
+
+/**
+ * Feed registry admin routes
+ * @param {FeedRegistrySync} feedRegistrySync - Sync service shared with app.js
+ * @param {AdminAuditStore} auditStore - Admin audit log that records syncs
+ * @returns {express.Router} Router mounted at /api/v3/admin/feed-registry
+ */
+const createFeedRegistryRoutes = (feedRegistrySync, auditStore) => {
+  const router = express.Router();
+
+  // Enforced here as well as by the admin router, so the registry is never exposed wherever it is mounted
+  router.use(requireAdmin());
+
+  /**
+   * @route GET /api/v3/admin/feed-registry
+   * @desc Get the feed registry for the current network with each token's on-chain feed ID
+   * @access Private (admin)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const registry = getFeedRegistry();
+      const entries = await feedRegistrySync.getEntries();
+
+      res.json({
+        success: true,
+        data: {
+          version: registry.version,
+          network: getCurrentNetwork().name,
+          assets: Object.values(registry.assets),
+          tokens: entries,
+          inSync: entries.every((entry) => entry.status === 'in_sync'),
+          lastSync: feedRegistrySync.lastSync
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * @route POST /api/v3/admin/feed-registry/sync
+   * @desc Queue registry feed IDs that differ from the engine (setPriceFeedId/setInitialPriceFeeds); 202 with a jobId
+   * @access Private (risk)
+   * @body dryRun - simulate from the owner address with estimateGas instead of sending (optional)
+   */
+  router.post('/sync', rateLimits.expensive, async (req, res) => {
+    const { dryRun } = req.body;
+    const audit = { action: 'feedRegistrySync', params: { dryRun }, actor: req.auth.address, roles: req.adminRoles, dryRun: dryRun === true };
+
+    if (!hasAdminRole(req.adminRoles, [ADMIN_ROLES.RISK])) {
+      const error = `Requires one of the roles: ${ADMIN_ROLES.RISK}, ${ADMIN_ROLES.SUPERADMIN}`;
+      auditStore.record({ ...audit, status: AUDIT_STATUS.DENIED, error });
+      return res.status(403).json({
+        success: false,
+        error
+      });
+    }
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      auditStore.record({ ...audit, status: AUDIT_STATUS.INVALID, error: 'dryRun must be a boolean' });
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean'
+      });
+    }
+
+    try {
+      const result = await feedRegistrySync.sync({ dryRun });
+      const transaction = result.transaction || {};
+      const queued = Boolean(transaction.jobId);
+      const entry = auditStore.record({
+        ...audit,
+        params: { dryRun, changes: result.changes.map(({ tokenAddress, feedId }) => ({ tokenAddress, feedId })) },
+        status: queued ? AUDIT_STATUS.QUEUED : (dryRun ? AUDIT_STATUS.SIMULATED : AUDIT_STATUS.CONFIRMED),
+        from: transaction.from,
+        to: transaction.to,
+        data: transaction.data,
+        previousValue: result.changes.map(({ tokenAddress, onChainFeedId }) => ({ tokenAddress, onChainFeedId })),
+        simulation: transaction.gasEstimate ? { gasEstimate: transaction.gasEstimate } : null,
+        txJobId: transaction.jobId
+      });
+
+      if (queued) {
+        return res.status(202).json({
+          success: true,
+          message: 'Feed registry sync queued',
+          jobId: transaction.jobId,
+          status: transaction.status,
+          statusUrl: `/api/admin/tx/${transaction.jobId}`,
+          data: { ...result, audit: entry }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      auditStore.record({ ...audit, status: AUDIT_STATUS.FAILED, error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createFeedRegistryRoutes;
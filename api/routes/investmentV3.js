@@ -14,17 +14,37 @@ const {
 const {
   validateUserAddress,
   validateInvestmentId,
+  validateQueueId,
+  validateBatchVerification,
   validatePlanId,
   validateQuoteRequest,
   validateInvestmentPreparation,
+  validateQuotedInvestmentPreparation,
+  validateQuoteId,
+  validateQuoteExecution,
   validatePagination,
   validateEventQuery,
+  validatePriceHistory,
+  requireUserAddress,
   rateLimits,
 } = require("../middleware/validation");
 
 // Import Pyth services for price feeds
-const PythHermesService = require("../services/pythHermesService");
 const PythOracleService = require("../services/pythOracleService");
+const PriceAggregator = require("../services/priceAggregator");
+const PriceHistoryStore = require("../services/priceHistoryStore");
+const PriceStreamHub = require("../services/priceStreamHub");
+const PriceGuardrails = require("../services/priceGuardrails");
+const SwapQuoter = require("../services/swapQuoter");
+
+// Indexed event store (populated by the background EventIndexer)
+const EventStore = require("../services/eventStore");
+const EventIndexer = require("../services/eventIndexer");
+const InvestmentTransactionBuilder = require("../services/investmentTransactionBuilder");
+const TransactionSimulator = require("../services/transactionSimulator");
+const QuoteStore = require("../services/quoteStore");
+const FairQueue = require("../services/fairQueue");
+const FairnessVerifier = require("../services/fairnessVerifier");
 
 // Initialize provider and contracts
 const provider = initializeProvider();
@@ -33,11 +53,68 @@ const planManager = createPlanManagerContract(provider);
 const network = getCurrentNetwork();
 
 // Initialize Pyth services
-const pythHermesService = new PythHermesService();
+// Prices for PRICE_MODE (live: median across PRICE_PROVIDERS; replay/fixture: synthetic)
+const priceAggregator = new PriceAggregator({ provider, investmentEngine });
 const pythOracleService = new PythOracleService(
   process.env.RPC_URL,
   network.contracts.PYTH
 );
+const priceGuardrails = new PriceGuardrails();
+// Per-leg swap quotes from the Uniswap quoter, cross-checked against Pyth
+const swapQuoter = new SwapQuoter({ provider, investmentEngine });
+const priceHistoryStore = new PriceHistoryStore();
+// One upstream Hermes stream shared by every /prices/stream client
+const priceStreamHub = new PriceStreamHub();
+const eventStore = new EventStore();
+const investmentTransactionBuilder = new InvestmentTransactionBuilder(provider);
+const transactionSimulator = new TransactionSimulator({ provider });
+// Signed, expiring quotes that prepare-investment can be built from
+const quoteStore = new QuoteStore();
+const fairQueue = new FairQueue({ provider, investmentEngine });
+const fairnessVerifier = new FairnessVerifier({
+  provider,
+  investmentEngine,
+  eventStore,
+});
+
+// Hermes update data is always live, so refuse to build it while prices are synthetic
+const rejectSyntheticPriceMode = (res) => {
+  if (!priceAggregator.synthetic) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: `Pyth price updates require PRICE_MODE=live (current mode: ${priceAggregator.mode})`,
+  });
+  return true;
+};
+
+// Format a fair-mode queue entry; estimates are only meaningful while Entropy is enabled
+const formatQueueEntry = (entry, entropyEnabled = true) => {
+  const estimatedExecutionTime =
+    entropyEnabled && !entry.isExecuted && entry.estimatedExecutionTime
+      ? entry.estimatedExecutionTime
+      : null;
+
+  return {
+    queueId: entry.queueId,
+    user: entry.user,
+    planId: entry.planId,
+    amount: entry.amount,
+    sequenceNumber: entry.sequenceNumber,
+    isExecuted: entry.isExecuted,
+    timestamp: entry.timestamp.toString(),
+    queuedAt: new Date(entry.timestamp * 1000).toISOString(),
+    estimatedBatch: estimatedExecutionTime ? entry.estimatedBatch : null,
+    estimatedExecutionTime: estimatedExecutionTime
+      ? estimatedExecutionTime.toString()
+      : null,
+    estimatedExecutionAt: estimatedExecutionTime
+      ? new Date(estimatedExecutionTime * 1000).toISOString()
+      : null,
+  };
+};
 
 /**
  * @route GET /api/v3/status
@@ -175,6 +252,188 @@ router.get("/plans/:planId", validatePlanId, async (req, res) => {
   }
 });
 
+// Map lower-case token addresses to the network's token symbols
+const getTokenSymbolsByAddress = () => {
+  const tokenAddressToSymbol = {};
+  for (const token of network.tokens) {
+    if (token.address) {
+      tokenAddressToSymbol[token.address.toLowerCase()] = token.symbol;
+    }
+  }
+  return tokenAddressToSymbol;
+};
+
+// Check plan allocation prices against the confidence/staleness guardrails
+const checkPriceGuardrails = (allocations, tokenAddressToSymbol, prices) =>
+  priceGuardrails.check(
+    allocations.map((allocation) => ({
+      tokenAddress: allocation.tokenAddress,
+      symbol: tokenAddressToSymbol[allocation.tokenAddress.toLowerCase()] || null,
+    })),
+    prices,
+    priceAggregator.now()
+  );
+
+// Refuse a quote whose prices tripped a guardrail (PRICE_GUARDRAIL_ACTION=block)
+const rejectGuardrailViolations = (res, guardrails) => {
+  if (!guardrails.blocked) {
+    return false;
+  }
+
+  const tripped = [
+    ...new Set(guardrails.violations.map((violation) => violation.guardrail)),
+  ];
+  res.status(422).json({
+    success: false,
+    error: `Price guardrails tripped: ${tripped.join(", ")}`,
+    guardrails,
+    ...priceAggregator.getModeInfo(),
+  });
+  return true;
+};
+
+// Hermes update bundle for the feeds the engine reads while swapping a plan's tokens
+const fetchPlanPriceUpdates = async (plan) => {
+  // Only swapped tokens are priced; base token allocations are transferred as-is
+  const baseToken = (await investmentEngine.baseToken()).toLowerCase();
+  const tokens = [
+    ...new Set(
+      plan.allocations.map((allocation) =>
+        allocation.tokenAddress.toLowerCase()
+      )
+    ),
+  ].filter((token) => token !== baseToken);
+
+  // Use the feed IDs the engine itself reads during the swap
+  const feedIds = await Promise.all(
+    tokens.map((token) => investmentEngine.priceFeedIds(token))
+  );
+  const symbolsByAddress = Object.fromEntries(
+    Object.entries(network.contracts.TOKENS)
+      .filter(([, address]) => address)
+      .map(([symbol, address]) => [address.toLowerCase(), symbol])
+  );
+
+  const feeds = tokens.map((token, index) => ({
+    token,
+    symbol: symbolsByAddress[token] || null,
+    priceId: feedIds[index] === ethers.ZeroHash ? null : feedIds[index],
+  }));
+  const pricedFeeds = feeds.filter((feed) => feed.priceId);
+  const priceIds = [...new Set(pricedFeeds.map((feed) => feed.priceId))];
+
+  const priceUpdates =
+    priceIds.length > 0
+      ? await pythOracleService.fetchPriceUpdatesByIds(priceIds)
+      : { priceUpdateData: [], publishTimes: [], timestamp: Date.now() };
+
+  return { feeds, pricedFeeds, priceUpdates };
+};
+
+// Compare simulated swap outputs with the quoted minAmountOut of each leg
+const checkQuotedOutputs = (quote, swaps) => {
+  const legs = quote.legs
+    .filter((leg) => leg.minAmountOut !== null)
+    .map((leg) => {
+      const swap = swaps
+        ? swaps.find(
+            (entry) =>
+              entry.tokenOut.toLowerCase() === leg.tokenAddress.toLowerCase()
+          )
+        : null;
+      const passthrough = leg.source === SwapQuoter.QUOTE_SOURCES.NONE;
+      const simulatedAmountOut = swap ? swap.amountOut : null;
+
+      let passed = null;
+      if (swaps && !passthrough) {
+        passed =
+          simulatedAmountOut !== null &&
+          BigInt(simulatedAmountOut) >= BigInt(leg.minAmountOut);
+      }
+
+      return {
+        tokenAddress: leg.tokenAddress,
+        symbol: leg.symbol,
+        minAmountOut: leg.minAmountOut,
+        simulatedAmountOut,
+        passed,
+      };
+    });
+
+  return {
+    checked: swaps !== null,
+    passed: legs.every((leg) => leg.passed !== false),
+    legs,
+  };
+};
+
+// Compare a mined investment transaction with the quote it was built from
+const compareExecution = (quote, receipt) => {
+  const engineLogs = receipt.logs
+    .filter(
+      (log) =>
+        log.address.toLowerCase() === investmentEngine.target.toLowerCase()
+    )
+    .map((log) => {
+      try {
+        return investmentEngine.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  const executed = engineLogs.find(
+    (event) => event.name === "InvestmentExecuted"
+  );
+  const swaps = engineLogs.filter((event) => event.name === "TokenSwapped");
+
+  const legs = quote.legs.map((leg) => {
+    const swap = swaps.find(
+      (event) =>
+        event.args.tokenOut.toLowerCase() === leg.tokenAddress.toLowerCase()
+    );
+    const executedAmountOut =
+      leg.source === SwapQuoter.QUOTE_SOURCES.NONE
+        ? leg.amountIn
+        : swap
+          ? swap.args.amountOut.toString()
+          : null;
+
+    return {
+      tokenAddress: leg.tokenAddress,
+      symbol: leg.symbol,
+      expectedAmountOut: leg.expectedAmountOut,
+      minAmountOut: leg.minAmountOut,
+      executedAmountOut,
+      // Positive when the user received less than quoted
+      shortfallPercent:
+        executedAmountOut !== null && leg.expectedAmountOut
+          ? ((Number(leg.expectedAmountOut) - Number(executedAmountOut)) /
+              Number(leg.expectedAmountOut)) *
+            100
+          : null,
+      belowMinimum:
+        executedAmountOut !== null && leg.minAmountOut !== null
+          ? BigInt(executedAmountOut) < BigInt(leg.minAmountOut)
+          : null,
+    };
+  });
+
+  return {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    from: receipt.from,
+    succeeded: receipt.status === 1,
+    gasUsed: receipt.gasUsed.toString(),
+    investmentId: executed ? executed.args.investmentId.toString() : null,
+    matchesQuote: executed
+      ? executed.args.amount.toString() === quote.amount &&
+        executed.args.planId.toString() === quote.planId
+      : false,
+    legs,
+  };
+};
+
 /**
  * @route POST /api/v3/quote
  * @desc Get investment quote for a specific amount and plan
@@ -182,7 +441,7 @@ router.get("/plans/:planId", validatePlanId, async (req, res) => {
  */
 router.post("/quote", validateQuoteRequest, async (req, res) => {
   try {
-    const { amount, planId } = req.body;
+    const { amount, planId, userAddress } = req.body;
 
     if (!amount || !planId) {
       return res.status(400).json({
@@ -200,14 +459,10 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
       });
     }
 
-    // Get current prices for all assets in the plan
+    // Get current prices for all assets in the plan (and the base token for the Pyth cross-check)
     const tokenSymbols = [];
-    const tokenAddressToSymbol = {};
-
-    // Map token addresses to symbols
-    for (const [symbol, address] of Object.entries(network.contracts.TOKENS)) {
-      tokenAddressToSymbol[address.toLowerCase()] = symbol;
-    }
+    const tokenAddressToSymbol = getTokenSymbolsByAddress();
+    const poolConfig = await swapQuoter.getPoolConfig();
 
     plan.allocations.forEach((allocation) => {
       const symbol =
@@ -216,25 +471,51 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
         tokenSymbols.push(symbol);
       }
     });
+    if (
+      poolConfig.baseSymbol &&
+      !tokenSymbols.includes(poolConfig.baseSymbol)
+    ) {
+      tokenSymbols.push(poolConfig.baseSymbol);
+    }
 
     // Fetch current prices
     let currentPrices = {};
     try {
       if (tokenSymbols.length > 0) {
-        currentPrices = await pythHermesService.getMultipleAssetPrices(
-          tokenSymbols
-        );
+        currentPrices = await priceAggregator.getPrices(tokenSymbols);
       }
     } catch (priceError) {
       console.warn("Failed to fetch current prices:", priceError.message);
     }
 
+    const guardrails = checkPriceGuardrails(
+      plan.allocations,
+      tokenAddressToSymbol,
+      currentPrices
+    );
+    if (rejectGuardrailViolations(res, guardrails)) {
+      return;
+    }
+
+    // Quote every leg against the Uniswap quoter
+    const allocationAmounts = plan.allocations.map(
+      (allocation) =>
+        (BigInt(amount) * BigInt(allocation.targetPercentage)) / BigInt(10000)
+    );
+    const swapQuotes = await swapQuoter.quoteLegs(
+      plan.allocations.map((allocation, index) => ({
+        tokenAddress: allocation.tokenAddress,
+        amountIn: allocationAmounts[index],
+      })),
+      currentPrices
+    );
+
     // Calculate allocation breakdown with real-time pricing
-    const allocations = plan.allocations.map((allocation) => {
-      const allocationAmount =
-        (BigInt(amount) * BigInt(allocation.targetPercentage)) / BigInt(10000);
+    const allocations = plan.allocations.map((allocation, index) => {
+      const allocationAmount = allocationAmounts[index];
       const symbol =
         tokenAddressToSymbol[allocation.tokenAddress.toLowerCase()];
+      const swapQuote = swapQuotes.legs[index];
 
       let priceInfo = null;
       let estimatedTokens = null;
@@ -244,6 +525,8 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
           symbol: symbol,
           price: currentPrices[symbol].formattedPriceString,
           lastUpdated: currentPrices[symbol].lastUpdated,
+          confidence: currentPrices[symbol].confidence,
+          publishTime: currentPrices[symbol].publishTime,
         };
 
         // Estimate tokens to be received (rough calculation)
@@ -253,6 +536,12 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
         ).toFixed(6);
       }
 
+      // Prefer the quoter's output; the Pyth estimate above stays as a cross-check
+      const pythEstimatedTokens = estimatedTokens;
+      if (swapQuote.expectedAmountOutFormatted !== null) {
+        estimatedTokens = swapQuote.expectedAmountOutFormatted;
+      }
+
       return {
         tokenAddress: allocation.tokenAddress,
         tokenSymbol: symbol || "UNKNOWN",
@@ -262,20 +551,70 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
         amountUSD: (Number(allocationAmount) / 1e6).toFixed(2),
         currentPrice: priceInfo,
         estimatedTokensReceived: estimatedTokens,
+        pythEstimatedTokens,
+        quoteSource: swapQuote.source,
+        swapQuote,
       };
     });
 
+    // Bundle the Hermes updates now so the prepared transaction pushes the quoted prices
+    let priceUpdate = null;
+    if (!priceAggregator.synthetic) {
+      try {
+        const { priceUpdates } = await fetchPlanPriceUpdates(plan);
+        priceUpdate = {
+          priceUpdateData: priceUpdates.priceUpdateData,
+          publishTimes: priceUpdates.publishTimes,
+        };
+      } catch (updateError) {
+        console.warn("Failed to fetch price updates:", updateError.message);
+      }
+    }
+
+    const quote = quoteStore.create({
+      planId,
+      amount,
+      userAddress,
+      baseToken: swapQuotes.baseToken,
+      poolFee: swapQuotes.fee,
+      slippage: swapQuotes.slippage,
+      priceMode: priceAggregator.mode,
+      legs: swapQuotes.legs.map((leg) => ({
+        tokenAddress: leg.tokenAddress,
+        symbol: leg.symbol,
+        source: leg.source,
+        amountIn: leg.amountIn,
+        expectedAmountOut: leg.expectedAmountOut,
+        minAmountOut: leg.minAmountOut,
+      })),
+      prices: Object.fromEntries(
+        Object.entries(currentPrices).map(([symbol, price]) => [
+          symbol,
+          { price: price.formattedPrice, publishTime: price.publishTime },
+        ])
+      ),
+      priceUpdate,
+    });
+
     res.json({
       success: true,
       data: {
+        quoteId: quote.quoteId,
+        expiresAt: quote.expiresAt,
+        signature: quote.signature,
         planId: plan.planId.toString(),
         planName: plan.name,
         totalAmount: amount.toString(),
         totalAmountUSD: (Number(amount) / 1e6).toFixed(2),
         allocations,
         estimatedGas: "300000", // Rough estimate
-        slippage: (await investmentEngine.slippage()).toString(),
-        priceDataSource: "Pyth Network Hermes",
+        slippage: swapQuotes.slippage,
+        poolFee: swapQuotes.fee,
+        quoter: swapQuotes.quoter,
+        pythTolerancePercent: swapQuotes.tolerancePercent,
+        priceDataSource: priceAggregator.describe(),
+        ...priceAggregator.getModeInfo(),
+        guardrails,
         quoteTimestamp: new Date().toISOString(),
       },
     });
@@ -287,17 +626,166 @@ router.post("/quote", validateQuoteRequest, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v3/quotes/:quoteId
+ * @desc Get a stored quote with its signature check, status and recorded execution
+ * @access Public
+ */
+router.get("/quotes/:quoteId", validateQuoteId, async (req, res) => {
+  try {
+    const quote = quoteStore.get(req.params.quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: "Quote not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route POST /api/v3/quotes/:quoteId/execution
+ * @desc Record the mined investment transaction for a quote and compare quoted with executed outputs
+ * @access Public
+ * @body transactionHash - depositAndInvest(WithPriceUpdate) transaction built from the quote
+ */
+router.post(
+  "/quotes/:quoteId/execution",
+  rateLimits.expensive,
+  validateQuoteExecution,
+  async (req, res) => {
+    try {
+      const { transactionHash } = req.body;
+      const quote = quoteStore.get(req.params.quoteId);
+
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: "Quote not found",
+        });
+      }
+
+      const recorded = quoteStore.getByTransactionHash(transactionHash);
+      if (recorded && recorded.quoteId !== quote.quoteId) {
+        return res.status(409).json({
+          success: false,
+          error: `Transaction already recorded for quote ${recorded.quoteId}`,
+        });
+      }
+
+      const receipt = await provider.getTransactionReceipt(transactionHash);
+      if (!receipt) {
+        return res.status(404).json({
+          success: false,
+          error: "Transaction not found or not yet mined",
+        });
+      }
+      if (
+        !receipt.to ||
+        receipt.to.toLowerCase() !== investmentEngine.target.toLowerCase()
+      ) {
+        return res.status(422).json({
+          success: false,
+          error: "Transaction is not an InvestmentEngine call",
+        });
+      }
+      if (
+        quote.preparedBy &&
+        receipt.from.toLowerCase() !== quote.preparedBy
+      ) {
+        return res.status(422).json({
+          success: false,
+          error:
+            "Transaction sender is not the address the quote was prepared for",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: quoteStore.recordExecution(
+          quote.quoteId,
+          transactionHash,
+          compareExecution(quote, receipt)
+        ),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @route POST /api/v3/prepare-investment
- * @desc Prepare investment transaction data
+ * @desc Prepare investment transaction data, simulated with the approval applied
  * @access Public
+ * @body quoteId - build from a signed /quote (amount, planId, minAmountOut and price updates come from it)
  */
 router.post(
   "/prepare-investment",
-  validateInvestmentPreparation,
+  validateQuotedInvestmentPreparation,
   async (req, res) => {
     try {
-      const { userAddress, amount, planId } = req.body;
+      const { userAddress, quoteId } = req.body;
+      let { amount, planId } = req.body;
+
+      let quote = null;
+      if (quoteId) {
+        quote = quoteStore.get(quoteId);
+
+        if (!quote) {
+          return res.status(404).json({
+            success: false,
+            error: "Quote not found",
+          });
+        }
+        if (!quote.signatureValid) {
+          return res.status(409).json({
+            success: false,
+            error: "Quote signature is invalid",
+          });
+        }
+        if (quote.expired) {
+          return res.status(410).json({
+            success: false,
+            error: `Quote expired at ${quote.expiresAt}`,
+          });
+        }
+        if (
+          quote.userAddress &&
+          quote.userAddress !== userAddress.toLowerCase()
+        ) {
+          return res.status(403).json({
+            success: false,
+            error: "Quote was issued for a different address",
+          });
+        }
+        if (
+          (amount !== undefined && String(amount) !== quote.amount) ||
+          (planId !== undefined && String(planId) !== quote.planId)
+        ) {
+          return res.status(409).json({
+            success: false,
+            error: "amount and planId must match the quote",
+          });
+        }
+
+        amount = quote.amount;
+        planId = quote.planId;
+      }
 
       if (!userAddress || !amount || !planId) {
         return res.status(400).json({
@@ -323,71 +811,86 @@ router.post(
         });
       }
 
-      // Get current gas price
-      const feeData = await provider.getFeeData();
-
-      // Prepare transaction data
-      const investmentEngineInterface = new ethers.Interface(
-        require("../abis/InvestmentEngineV3.json")
-      );
-      const txData = investmentEngineInterface.encodeFunctionData(
-        "depositAndInvest",
-        [amount, planId]
-      );
+      // A quote with a Hermes bundle pushes exactly the prices that were quoted
+      const priceUpdateData =
+        quote && quote.priceUpdate ? quote.priceUpdate.priceUpdateData : [];
+      const updateFee =
+        priceUpdateData.length > 0
+          ? await investmentEngine.getUpdateFee(priceUpdateData)
+          : null;
+
+      const preparedInvestment =
+        priceUpdateData.length > 0
+          ? await investmentTransactionBuilder.prepareInvestmentWithPriceUpdate(
+              {
+                userAddress,
+                amount,
+                planId,
+                priceUpdateData,
+                updateFee,
+              }
+            )
+          : await investmentTransactionBuilder.prepareInvestment({
+              userAddress,
+              amount,
+              planId,
+            });
 
-      // Check user's PYUSD balance and allowance
-      const pyusdContract = createTokenContract("PYUSD", provider);
-      const [balance, allowance] = await Promise.all([
-        pyusdContract.balanceOf(userAddress),
-        pyusdContract.allowance(
+      // Run depositAndInvest against pending state (approval applied) before the user signs
+      const simulation =
+        await transactionSimulator.simulatePreparedInvestment(
           userAddress,
-          network.contracts.INVESTMENT_ENGINE_V3
-        ),
-      ]);
+          preparedInvestment
+        );
 
-      const needsApproval = BigInt(allowance) < BigInt(amount);
+      if (
+        simulation.status === TransactionSimulator.SIMULATION_STATUS.REVERTED
+      ) {
+        return res.status(422).json({
+          success: false,
+          error: `Investment would revert: ${simulation.revert.reason}`,
+          simulation,
+        });
+      }
+
+      // The engine swaps with amountOutMinimum 0, so the quoted minimum is enforced here
+      let quoteCheck = null;
+      if (quote) {
+        quoteCheck = checkQuotedOutputs(quote, simulation.swaps);
+        if (!quoteCheck.passed) {
+          return res.status(422).json({
+            success: false,
+            error: "Simulated swap output is below the quoted minAmountOut",
+            simulation,
+            quoteCheck,
+          });
+        }
+        quoteStore.markPrepared(quote.quoteId, userAddress);
+      }
 
       res.json({
         success: true,
         data: {
-          needsApproval,
-          currentBalance: balance.toString(),
-          currentAllowance: allowance.toString(),
-          requiredAmount: amount.toString(),
-          transactions: needsApproval
-            ? [
-                {
-                  type: "approval",
-                  to: network.contracts.TOKENS.PYUSD,
-                  data: new ethers.Interface(
-                    require("../abis/ERC20.json")
-                  ).encodeFunctionData("approve", [
-                    network.contracts.INVESTMENT_ENGINE_V3,
-                    amount,
-                  ]),
-                  gasLimit: "60000",
-                },
-                {
-                  type: "investment",
-                  to: network.contracts.INVESTMENT_ENGINE_V3,
-                  data: txData,
-                  gasLimit: "350000",
-                },
-              ]
-            : [
-                {
-                  type: "investment",
-                  to: network.contracts.INVESTMENT_ENGINE_V3,
-                  data: txData,
-                  gasLimit: "350000",
-                },
-              ],
-          gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
-          maxFeePerGas: feeData.maxFeePerGas
-            ? feeData.maxFeePerGas.toString()
-            : null,
-          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
-            ? feeData.maxPriorityFeePerGas.toString()
+          ...preparedInvestment,
+          transactions: transactionSimulator.applyGasEstimates(
+            preparedInvestment.transactions,
+            simulation.gasEstimates
+          ),
+          simulation,
+          quote: quote
+            ? {
+                quoteId: quote.quoteId,
+                expiresAt: quote.expiresAt,
+                legs: quote.legs,
+                priceUpdate: quote.priceUpdate
+                  ? {
+                      publishTimes: quote.priceUpdate.publishTimes,
+                      updateFee:
+                        updateFee !== null ? updateFee.toString() : null,
+                    }
+                  : null,
+                check: quoteCheck,
+              }
             : null,
         },
       });
@@ -445,11 +948,12 @@ router.get(
 /**
  * @route GET /api/v3/users/:userAddress/investments
  * @desc Get all investments for a user
- * @access Public
+ * @access Private (session for :userAddress)
  */
 router.get(
   "/users/:userAddress/investments",
   validateUserAddress,
+  requireUserAddress,
   validatePagination,
   async (req, res) => {
     try {
@@ -463,46 +967,43 @@ router.get(
         });
       }
 
-      // Get total investments to know how many to check
-      const totalInvestments = await investmentEngine.getTotalInvestments();
-      const userInvestments = [];
+      const pageNumber = parseInt(page);
+      const pageSize = parseInt(limit);
 
-      // This is not efficient for production - should use events/subgraph
-      for (let i = 1; i <= totalInvestments; i++) {
-        try {
-          const investment = await investmentEngine.getInvestment(i);
-          if (investment.user.toLowerCase() === userAddress.toLowerCase()) {
-            userInvestments.push({
-              investmentId: i.toString(),
-              planId: investment.planId.toString(),
-              amount: investment.amount.toString(),
-              timestamp: investment.timestamp.toString(),
-              blockTimestamp: new Date(
-                Number(investment.timestamp) * 1000
-              ).toISOString(),
-            });
-          }
-        } catch (err) {
-          // Skip invalid investments
-          continue;
+      // Read from the indexed event store instead of scanning every investment on-chain
+      const { investments, total } = eventStore.getUserInvestments(
+        userAddress,
+        {
+          offset: (pageNumber - 1) * pageSize,
+          limit: pageSize,
         }
-      }
+      );
 
-      // Simple pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedInvestments = userInvestments.slice(startIndex, endIndex);
+      const paginatedInvestments = investments.map((event) => ({
+        investmentId: event.args.investmentId,
+        planId: event.args.planId,
+        amount: event.args.amount,
+        timestamp:
+          event.blockTimestamp !== null ? event.blockTimestamp.toString() : null,
+        blockTimestamp: event.timestamp,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        status: event.status,
+        confirmations: event.confirmations,
+      }));
 
       res.json({
         success: true,
         data: {
           investments: paginatedInvestments,
           pagination: {
-            currentPage: parseInt(page),
-            totalItems: userInvestments.length,
-            itemsPerPage: parseInt(limit),
-            totalPages: Math.ceil(userInvestments.length / limit),
+            currentPage: pageNumber,
+            totalItems: total,
+            itemsPerPage: pageSize,
+            totalPages: Math.ceil(total / pageSize),
           },
+          indexedBlock: eventStore.getIndexedBlock(),
+          finalizedBlock: eventStore.getChainHead().finalizedBlock,
         },
       });
     } catch (error) {
@@ -517,11 +1018,12 @@ router.get(
 /**
  * @route GET /api/v3/users/:userAddress/portfolio
  * @desc Get user's current portfolio (requires additional tracking)
- * @access Public
+ * @access Private (session for :userAddress)
  */
 router.get(
   "/users/:userAddress/portfolio",
   validateUserAddress,
+  requireUserAddress,
   async (req, res) => {
     try {
       const { userAddress } = req.params;
@@ -579,9 +1081,189 @@ router.get(
   }
 );
 
+// Convert unix seconds or an ISO 8601 date into unix seconds
+const parseTimeFilter = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  return /^\d+$/.test(value)
+    ? parseInt(value)
+    : Math.floor(Date.parse(value) / 1000);
+};
+
+/**
+ * @route GET /api/v3/queue
+ * @desc Get the Entropy fair-mode queue: size, pending entries and oldest age
+ * @access Public
+ */
+router.get("/queue", async (req, res) => {
+  try {
+    const snapshot = await fairQueue.getSnapshot();
+
+    res.json({
+      success: true,
+      data: {
+        entropyEnabled: snapshot.entropyEnabled,
+        totalQueued: snapshot.totalQueued,
+        pendingCount: snapshot.pendingCount,
+        executionBatchSize: snapshot.executionBatchSize,
+        maxQueueSize: snapshot.maxQueueSize,
+        maxWaitSeconds: snapshot.maxWaitSeconds,
+        oldestWaitSeconds: snapshot.oldestWaitSeconds,
+        pending: snapshot.pending.map((entry) =>
+          formatQueueEntry(entry, snapshot.entropyEnabled)
+        ),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/queue/:queueId
+ * @desc Get a single queue entry and its estimated execution time
+ * @access Public
+ */
+router.get("/queue/:queueId", validateQueueId, async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const entry = await fairQueue.getEntry(queueId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Queue entry not found",
+      });
+    }
+
+    if (entry.isExecuted) {
+      return res.json({
+        success: true,
+        data: formatQueueEntry(entry),
+      });
+    }
+
+    const snapshot = await fairQueue.getSnapshot();
+    const position = snapshot.pending.findIndex(
+      (pending) => pending.queueId === entry.queueId
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatQueueEntry(
+          position >= 0 ? snapshot.pending[position] : entry,
+          snapshot.entropyEnabled
+        ),
+        position: position >= 0 ? position : null,
+        pendingCount: snapshot.pendingCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/users/:userAddress/queued
+ * @desc Get a user's pending fair-mode queue entries
+ * @access Private (session for :userAddress)
+ */
+router.get(
+  "/users/:userAddress/queued",
+  validateUserAddress,
+  requireUserAddress,
+  async (req, res) => {
+    try {
+      const { userAddress } = req.params;
+      const snapshot = await fairQueue.getSnapshot();
+
+      const queued = snapshot.pending
+        .map((entry, position) => ({
+          ...formatQueueEntry(entry, snapshot.entropyEnabled),
+          position,
+        }))
+        .filter((entry) => entry.user.toLowerCase() === userAddress.toLowerCase());
+
+      res.json({
+        success: true,
+        data: {
+          userAddress,
+          entropyEnabled: snapshot.entropyEnabled,
+          pendingCount: snapshot.pendingCount,
+          queued,
+          totalAmount: queued
+            .reduce((sum, entry) => sum + BigInt(entry.amount), 0n)
+            .toString(),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v3/batches/:batchId/verify
+ * @desc Recompute a batch's execution order from its random seed and compare it with the on-chain order
+ * @access Public
+ * @query transactionHash - verify this batch transaction directly instead of looking it up in the indexer
+ */
+router.get(
+  "/batches/:batchId/verify",
+  validateBatchVerification,
+  async (req, res) => {
+    try {
+      const { batchId } = req.params;
+      const { transactionHash } = req.query;
+
+      const proofs = await fairnessVerifier.verifyBatch(batchId, transactionHash);
+
+      if (proofs.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: transactionHash
+            ? "Transaction did not start this batch"
+            : "Batch not found in indexed events; pass ?transactionHash= to verify directly",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          batchId,
+          verified: proofs.every((proof) => proof.passed),
+          algorithm:
+            "Fisher-Yates: for i = n-1 down to 1, j = uint256(keccak256(abi.encode(randomSeed, i))) % (i + 1), swap(order[i], order[j])",
+          proofs,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/v3/events
- * @desc Get recent investment events
+ * @desc Get indexed contract events with filters and cursor pagination
+ * @query event - Event name(s), comma-separated, or "all" (default: InvestmentExecuted)
+ * @query user, planId, fromBlock, toBlock, fromTime, toTime - Filters
+ * @query order - "desc" (newest first, default) or "asc"
+ * @query cursor - nextCursor from the previous page
  * @access Public
  */
 router.get(
@@ -590,35 +1272,92 @@ router.get(
   validateEventQuery,
   async (req, res) => {
     try {
-      const { fromBlock = "latest", limit = 50 } = req.query;
+      const {
+        event = "InvestmentExecuted",
+        user,
+        planId,
+        fromBlock,
+        toBlock,
+        fromTime,
+        toTime,
+        order = "desc",
+        cursor,
+        limit = 50,
+      } = req.query;
+
+      const indexedEvents = [
+        ...EventIndexer.INDEXED_EVENTS.investmentEngine,
+        ...EventIndexer.INDEXED_EVENTS.planManager,
+      ];
+      const eventNames = event === "all" ? [] : event.split(",");
+      const unknownEvents = eventNames.filter(
+        (name) => !indexedEvents.includes(name)
+      );
 
-      // Get recent InvestmentExecuted events
-      const eventFilter = investmentEngine.filters.InvestmentExecuted();
-      const currentBlock = await provider.getBlockNumber();
-      const startBlock =
-        fromBlock === "latest" ? currentBlock - 1000 : parseInt(fromBlock);
+      if (unknownEvents.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported event type: ${unknownEvents.join(", ")}`,
+          supportedEvents: indexedEvents,
+        });
+      }
 
-      const events = await investmentEngine.queryFilter(
-        eventFilter,
-        Math.max(startBlock, 0),
-        currentBlock
-      );
+      const decodedCursor = cursor ? EventStore.decodeCursor(cursor) : null;
+      if (cursor && (!decodedCursor || decodedCursor.order !== order)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid cursor for this query",
+        });
+      }
 
-      const formattedEvents = events.slice(-limit).map((event) => ({
-        transactionHash: event.transactionHash,
-        blockNumber: event.blockNumber,
-        investmentId: event.args.investmentId.toString(),
-        user: event.args.user,
-        planId: event.args.planId.toString(),
-        amount: event.args.amount.toString(),
-        timestamp: event.args ? new Date().toISOString() : null, // Would need block timestamp
+      // "latest" keeps the previous behaviour of looking at the last 1000 indexed blocks
+      const indexedBlock = eventStore.getIndexedBlock() || 0;
+      const startBlock =
+        fromBlock === "latest"
+          ? Math.max(indexedBlock - 1000, 0)
+          : fromBlock !== undefined
+            ? parseInt(fromBlock)
+            : undefined;
+
+      const { events, total, hasMore, nextCursor } = eventStore.queryEvents({
+        eventNames,
+        userAddress: user,
+        planId,
+        fromBlock: startBlock,
+        toBlock: toBlock !== undefined ? parseInt(toBlock) : undefined,
+        fromTime: parseTimeFilter(fromTime),
+        toTime: parseTimeFilter(toTime),
+        cursor: decodedCursor,
+        order,
+        limit: parseInt(limit),
+      });
+
+      const formattedEvents = events.map((indexedEvent) => ({
+        eventName: indexedEvent.eventName,
+        transactionHash: indexedEvent.transactionHash,
+        blockNumber: indexedEvent.blockNumber,
+        logIndex: indexedEvent.logIndex,
+        ...indexedEvent.args,
+        timestamp: indexedEvent.timestamp,
+        blockTimestamp: indexedEvent.blockTimestamp,
+        blockHash: indexedEvent.blockHash,
+        status: indexedEvent.status,
+        confirmations: indexedEvent.confirmations,
       }));
 
       res.json({
         success: true,
         data: {
           events: formattedEvents,
-          totalEvents: events.length,
+          totalEvents: total,
+          pagination: {
+            limit: parseInt(limit),
+            order,
+            hasMore,
+            nextCursor,
+          },
+          indexedBlock,
+          finalizedBlock: eventStore.getChainHead().finalizedBlock,
         },
       });
     } catch (error) {
@@ -642,19 +1381,8 @@ router.get("/stats", async (req, res) => {
       planManager.getTotalPlans(),
     ]);
 
-    // Calculate total volume (would need to aggregate all investments)
-    let totalVolume = BigInt(0);
-    const investmentCount = Number(totalInvestments);
-
-    for (let i = 1; i <= Math.min(investmentCount, 100); i++) {
-      // Limit for performance
-      try {
-        const investment = await investmentEngine.getInvestment(i);
-        totalVolume += BigInt(investment.amount);
-      } catch (err) {
-        continue;
-      }
-    }
+    // Aggregate volume from the indexed InvestmentExecuted events
+    const { investmentCount, totalVolume } = eventStore.getInvestmentStats();
 
     res.json({
       success: true,
@@ -663,6 +1391,8 @@ router.get("/stats", async (req, res) => {
         totalPlans: totalPlans.toString(),
         totalVolume: totalVolume.toString(),
         totalVolumeFormatted: ethers.formatUnits(totalVolume, 6), // Assuming USDC (6 decimals)
+        indexedInvestments: investmentCount.toString(),
+        indexedBlock: eventStore.getIndexedBlock(),
         contracts: {
           investmentEngine: network.contracts.INVESTMENT_ENGINE_V3,
           planManager: network.contracts.PLAN_MANAGER,
@@ -705,37 +1435,59 @@ router.post(
         });
       }
 
-      // Simulate the investment allocation and swaps
-      const simulatedResults = await Promise.all(
-        plan.allocations.map(async (allocation) => {
-          const allocationAmount =
+      // Refuse to simulate against prices that are too uncertain or too old
+      const tokenAddressToSymbol = getTokenSymbolsByAddress();
+      const poolConfig = await swapQuoter.getPoolConfig();
+      const symbols = [
+        ...new Set(
+          plan.allocations
+            .map(
+              (allocation) =>
+                tokenAddressToSymbol[allocation.tokenAddress.toLowerCase()]
+            )
+            .concat(poolConfig.baseSymbol)
+            .filter(Boolean)
+        ),
+      ];
+      let currentPrices = {};
+      try {
+        if (symbols.length > 0) {
+          currentPrices = await priceAggregator.getPrices(symbols);
+        }
+      } catch (priceError) {
+        console.warn("Failed to fetch current prices:", priceError.message);
+      }
+
+      const guardrails = checkPriceGuardrails(
+        plan.allocations,
+        tokenAddressToSymbol,
+        currentPrices
+      );
+      if (rejectGuardrailViolations(res, guardrails)) {
+        return;
+      }
+
+      // Simulate the swaps with the Uniswap quoter (eth_call, nothing is sent)
+      const swapQuotes = await swapQuoter.quoteLegs(
+        plan.allocations.map((allocation) => ({
+          tokenAddress: allocation.tokenAddress,
+          amountIn:
             (BigInt(amount) * BigInt(allocation.targetPercentage)) /
-            BigInt(10000);
-
-          // For the base token, the amount is the same
-          if (
-            allocation.tokenAddress.toLowerCase() ===
-            network.contracts.TOKENS.USDC.toLowerCase()
-          ) {
-            return {
-              tokenAddress: allocation.tokenAddress,
-              amountIn: allocationAmount.toString(),
-              amountOut: allocationAmount.toString(), // No swap needed
-            };
-          }
-
-          // For other tokens, simulate a swap (e.g., with a 5% fee/slippage)
-          // In a real scenario, you would use a quoter contract to get a more accurate estimate
-          const simulatedAmountOut =
-            (allocationAmount * BigInt(9500)) / BigInt(10000);
-
-          return {
-            tokenAddress: allocation.tokenAddress,
-            amountIn: allocationAmount.toString(),
-            amountOut: simulatedAmountOut.toString(),
-          };
-        })
+            BigInt(10000),
+        })),
+        currentPrices
       );
+      const simulatedResults = swapQuotes.legs.map((leg) => ({
+        tokenAddress: leg.tokenAddress,
+        amountIn: leg.amountIn,
+        amountOut: leg.expectedAmountOut,
+        minAmountOut: leg.minAmountOut,
+        priceImpactPercent: leg.priceImpactPercent,
+        quoteSource: leg.source,
+        pythDeviationPercent: leg.pythDeviationPercent,
+        sanityCheckPassed: leg.sanityCheckPassed,
+        error: leg.error,
+      }));
 
       res.json({
         success: true,
@@ -746,6 +1498,10 @@ router.post(
           planName: plan.name,
           investmentAmount: amount.toString(),
           simulatedTokensToUser: simulatedResults,
+          slippage: swapQuotes.slippage,
+          poolFee: swapQuotes.fee,
+          guardrails,
+          ...priceAggregator.getModeInfo(),
           note: "This is a simulation. In a real investment, the user would sign a transaction to execute the swaps.",
         },
       });
@@ -760,7 +1516,7 @@ router.post(
 
 /**
  * @route GET /api/v3/price/:tokenSymbol
- * @desc Get live price for a token using Pyth Hermes
+ * @desc Get live price for a token (median across the configured price providers)
  * @access Public
  */
 router.get("/price/:tokenSymbol", async (req, res) => {
@@ -776,8 +1532,8 @@ router.get("/price/:tokenSymbol", async (req, res) => {
       });
     }
 
-    // Fetch real-time price from Pyth Hermes
-    const priceData = await pythHermesService.getAssetPrice(tokenSymbol);
+    // Fetch the aggregated real-time price
+    const priceData = await priceAggregator.getPrice(tokenSymbol);
     console.log(JSON.stringify(priceData));
     res.json({
       success: true,
@@ -790,6 +1546,8 @@ router.get("/price/:tokenSymbol", async (req, res) => {
         lastUpdated: priceData.lastUpdated,
         publishTime: priceData.publishTime,
         source: priceData.source,
+        aggregation: priceData.aggregation,
+        ...priceAggregator.getModeInfo(),
         network: network.name,
       },
     });
@@ -803,12 +1561,14 @@ router.get("/price/:tokenSymbol", async (req, res) => {
 
 /**
  * @route GET /api/v3/prices
- * @desc Get all supported asset prices from Pyth Hermes
+ * @desc Get all supported asset prices (median across the configured price providers)
  * @access Public
  */
 router.get("/prices", async (req, res) => {
   try {
-    const allPrices = await pythHermesService.getAllSupportedPrices();
+    const allPrices = await priceAggregator.getPrices(
+      priceAggregator.getSupportedSymbols()
+    );
 
     res.json({
       success: true,
@@ -816,7 +1576,8 @@ router.get("/prices", async (req, res) => {
         prices: allPrices,
         totalAssets: Object.keys(allPrices).length,
         lastUpdated: new Date().toISOString(),
-        source: "Pyth Network Hermes",
+        source: priceAggregator.describe(),
+        ...priceAggregator.getModeInfo(),
       },
     });
   } catch (error) {
@@ -850,7 +1611,7 @@ router.post("/prices/multiple", async (req, res) => {
       });
     }
 
-    const prices = await pythHermesService.getMultipleAssetPrices(symbols);
+    const prices = await priceAggregator.getPrices(symbols);
 
     res.json({
       success: true,
@@ -859,6 +1620,7 @@ router.post("/prices/multiple", async (req, res) => {
         requestedSymbols: symbols,
         retrievedCount: Object.keys(prices).length,
         lastUpdated: new Date().toISOString(),
+        ...priceAggregator.getModeInfo(),
       },
     });
   } catch (error) {
@@ -869,6 +1631,43 @@ router.post("/prices/multiple", async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v3/prices/stream
+ * @desc Stream live Hermes prices as Server-Sent Events (symbols=WETH,WBTC; resumes from Last-Event-ID)
+ * @access Public
+ */
+router.get("/prices/stream", (req, res) => {
+  if (rejectSyntheticPriceMode(res)) {
+    return;
+  }
+
+  const supported = priceStreamHub.getSupportedSymbols();
+  const symbols = req.query.symbols
+    ? [...new Set(String(req.query.symbols).split(",").map((symbol) => symbol.trim().toUpperCase()).filter(Boolean))]
+    : supported;
+  const unsupported = symbols.filter((symbol) => !supported.includes(symbol));
+
+  if (symbols.length === 0 || unsupported.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported symbols: ${unsupported.join(", ") || "none given"}`,
+      supportedSymbols: supported,
+    });
+  }
+
+  if (!priceStreamHub.hasCapacity()) {
+    return res.status(503).json({
+      success: false,
+      error: "Too many price stream clients, please try again later",
+    });
+  }
+
+  // Browsers resend the last event ID as a header; lastEventId covers clients that cannot set headers
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+
+  priceStreamHub.subscribe(req, res, { symbols, lastEventId });
+});
+
 /**
  * @route GET /api/v3/prices/supported
  * @desc Get list of all supported asset symbols
@@ -876,7 +1675,7 @@ router.post("/prices/multiple", async (req, res) => {
  */
 router.get("/prices/supported", async (req, res) => {
   try {
-    const supportedSymbols = pythHermesService.getSupportedSymbols();
+    const supportedSymbols = priceAggregator.getSupportedSymbols();
 
     res.json({
       success: true,
@@ -884,7 +1683,7 @@ router.get("/prices/supported", async (req, res) => {
         supportedSymbols,
         totalCount: supportedSymbols.length,
         description:
-          "List of all asset symbols supported by Pyth Hermes price feeds",
+          "List of all asset symbols supported by the configured price providers",
       },
     });
   } catch (error) {
@@ -897,12 +1696,12 @@ router.get("/prices/supported", async (req, res) => {
 
 /**
  * @route GET /api/v3/prices/health
- * @desc Health check for Pyth Hermes service
+ * @desc Health check for the configured price providers
  * @access Public
  */
 router.get("/prices/health", async (req, res) => {
   try {
-    const healthStatus = await pythHermesService.healthCheck();
+    const healthStatus = await priceAggregator.healthCheck();
 
     const statusCode = healthStatus.status === "healthy" ? 200 : 503;
 
@@ -919,60 +1718,73 @@ router.get("/prices/health", async (req, res) => {
   }
 });
 
+// Cap on candles per history request
+const MAX_HISTORY_CANDLES = 1000;
+
 /**
- * @route POST /api/v3/execute-investment-for-test
- * @desc (FOR TESTING ONLY) Execute an investment directly using a private key
+ * @route GET /api/v3/prices/:symbol/history
+ * @desc OHLC candles from recorded prices (interval=1m|5m|15m|1h|4h|1d, from/to, gaps=fill|skip)
  * @access Public
  */
-router.post("/execute-investment-for-test", async (req, res) => {
+router.get("/prices/:symbol/history", validatePriceHistory, async (req, res) => {
   try {
-    const { privateKey, planId, amount } = req.body;
+    const symbol = req.params.symbol.toUpperCase();
+    const interval = req.query.interval || "1h";
+    const intervalSeconds = PriceHistoryStore.CANDLE_INTERVALS[interval];
+    const fillGaps = req.query.gaps !== "skip";
 
-    if (!privateKey || !planId || !amount) {
-      return res.status(400).json({
+    if (!priceAggregator.getSupportedSymbols().includes(symbol)) {
+      return res.status(404).json({
         success: false,
-        error: "privateKey, planId, and amount are required",
+        error: `No price feed configured for ${symbol}`,
       });
     }
 
-    // WARNING: This is highly insecure and for testing purposes only.
-    const testWallet = new ethers.Wallet(privateKey, provider);
+    const to = parseTimeFilter(req.query.to) ?? priceAggregator.now();
+    const from = parseTimeFilter(req.query.from) ?? to - intervalSeconds * 100;
 
-    // Connect to contracts with the test wallet
-    const pyusdContract = createTokenContract("PYUSD", provider).connect(
-      testWallet
-    );
-    const investmentEngineWithSigner = investmentEngine.connect(testWallet);
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: "from must not be after to",
+      });
+    }
 
-    // 1. Approve the investment engine to spend PYUSD
-    const approveTx = await pyusdContract.approve(
-      network.contracts.INVESTMENT_ENGINE_V3,
-      amount
-    );
-    await approveTx.wait();
+    if ((to - from) / intervalSeconds > MAX_HISTORY_CANDLES) {
+      return res.status(400).json({
+        success: false,
+        error: `Range too large: at most ${MAX_HISTORY_CANDLES} ${interval} candles per request`,
+      });
+    }
 
-    // 2. Execute the investment
-    const investTx = await investmentEngineWithSigner.depositAndInvest(
-      amount,
-      planId
-    );
-    const receipt = await investTx.wait();
+    // Live and synthetic samples are recorded separately; serve the ones matching PRICE_MODE
+    const candles = priceHistoryStore.getCandles({
+      symbol,
+      synthetic: priceAggregator.synthetic,
+      intervalSeconds,
+      from,
+      to,
+      fillGaps,
+    });
 
     res.json({
       success: true,
-      message: "Test investment executed successfully!",
       data: {
-        userAddress: testWallet.address,
-        planId,
-        amount,
-        approvalTransactionHash: approveTx.hash,
-        investmentTransactionHash: investTx.hash,
-        blockNumber: receipt.blockNumber,
+        symbol,
+        interval,
+        from,
+        to,
+        gaps: fillGaps ? "fill" : "skip",
+        candles: candles.map((candle) => ({
+          ...candle,
+          timestamp: new Date(candle.time * 1000).toISOString(),
+        })),
+        count: candles.length,
+        ...priceAggregator.getModeInfo(),
       },
-      warning:
-        "This endpoint is for testing only and is highly insecure. Do not use in production.",
     });
   } catch (error) {
+    console.error("Error building price history:", error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -989,6 +1801,10 @@ router.post("/execute-investment-for-test", async (req, res) => {
  */
 router.get("/oracle/price-updates/:symbols", async (req, res) => {
   try {
+    if (rejectSyntheticPriceMode(res)) {
+      return;
+    }
+
     const symbols = req.params.symbols.split(",");
     const priceUpdates = await pythOracleService.fetchPriceUpdates(symbols);
 
@@ -1002,6 +1818,7 @@ router.get("/oracle/price-updates/:symbols", async (req, res) => {
         symbols: priceUpdates.symbols,
         count: priceUpdates.count,
         timestamp: priceUpdates.timestamp,
+        ...priceAggregator.getModeInfo(),
       },
     });
   } catch (error) {
@@ -1071,6 +1888,8 @@ router.get("/oracle/on-chain-price/:symbol", async (req, res) => {
         step: 3,
         description: "Price read from on-chain oracle",
         ...price,
+        priceMode: priceAggregator.mode,
+        synthetic: false,
       },
     });
   } catch (error) {
@@ -1131,63 +1950,102 @@ router.get("/oracle/supported-assets", (req, res) => {
   }
 });
 
-// /**
-//  * @route POST /api/v3/invest-with-price-update
-//  * @desc Execute investment with fresh price updates (enhanced traditional workflow)
-//  * @access Public
-//  */
-// router.post("/invest-with-price-update",
-//   rateLimits.investment,
-//   validateInvestmentPreparation,
-//   async (req, res) => {
-//     try {
-//       const { amount, planId, symbols } = req.body;
-
-//       // Validate required fields
-//       if (!amount || !planId) {
-//         return res.status(400).json({
-//           success: false,
-//           error: 'amount and planId are required'
-//         });
-//       }
-
-//       // Step 1: Fetch price updates for relevant symbols
-//       const assetsToUpdate = symbols || ['WETH', 'WBTC', 'LINK'];
-//       const priceUpdates = await pythOracleService.fetchPriceUpdates(assetsToUpdate);
-
-//       // Step 2: Calculate required fee
-//       const fee = await pythOracleService.calculateUpdateFee(priceUpdates.priceUpdateData);
-
-//       res.json({
-//         success: true,
-//         data: {
-//           workflow: 'traditional-investment',
-//           description: 'Ready for investment with fresh price updates',
-//           priceUpdateData: priceUpdates.priceUpdateData,
-//           requiredFee: fee,
-//           feeInEth: (Number(fee) / 1e18).toFixed(6),
-//           symbols: priceUpdates.symbols,
-//           instructions: {
-//             step1: 'Call depositAndInvestWithPriceUpdate on the smart contract',
-//             step2: 'Include priceUpdateData in the call',
-//             step3: 'Send the requiredFee as msg.value',
-//             step4: 'The contract will update prices and execute investment'
-//           },
-//           contractMethod: 'depositAndInvestWithPriceUpdate(uint256,uint256,bytes[])',
-//           contractParams: {
-//             amount: amount,
-//             planId: planId,
-//             priceUpdateData: priceUpdates.priceUpdateData
-//           }
-//         }
-//       });
-//     } catch (error) {
-//       res.status(500).json({
-//         success: false,
-//         error: error.message
-//       });
-//     }
-//   }
-// );
+/**
+ * @route POST /api/v3/invest-with-price-update
+ * @desc Prepare an investment that pushes fresh Pyth prices for the plan's tokens (enhanced traditional workflow)
+ * @access Public
+ */
+router.post(
+  "/invest-with-price-update",
+  rateLimits.investment,
+  validateInvestmentPreparation,
+  async (req, res) => {
+    try {
+      if (rejectSyntheticPriceMode(res)) {
+        return;
+      }
+
+      const { userAddress, amount, planId } = req.body;
+
+      const plan = await planManager.getPlan(planId);
+      if (!plan.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: "Plan not found or inactive",
+        });
+      }
+
+      const { feeds, pricedFeeds, priceUpdates } =
+        await fetchPlanPriceUpdates(plan);
+
+      const updateFee =
+        priceUpdates.priceUpdateData.length > 0
+          ? await investmentEngine.getUpdateFee(priceUpdates.priceUpdateData)
+          : 0n;
+
+      const preparedInvestment =
+        await investmentTransactionBuilder.prepareInvestmentWithPriceUpdate({
+          userAddress,
+          amount,
+          planId,
+          priceUpdateData: priceUpdates.priceUpdateData,
+          updateFee,
+        });
+
+      // The bundle expires once its oldest price is older than PRICE_UPDATE_MAX_AGE_SECONDS
+      const maxAgeSeconds = parseInt(process.env.PRICE_UPDATE_MAX_AGE_SECONDS) || 60;
+      const publishTimes = new Map(
+        priceUpdates.publishTimes.map((update) => [
+          update.priceId.toLowerCase(),
+          update.publishTime,
+        ])
+      );
+      const oldestPublishTime =
+        publishTimes.size > 0 ? Math.min(...publishTimes.values()) : null;
+      const expiresAt =
+        oldestPublishTime !== null ? oldestPublishTime + maxAgeSeconds : null;
+
+      res.json({
+        success: true,
+        data: {
+          workflow: "traditional-investment",
+          description: "Ready for investment with fresh price updates",
+          ...preparedInvestment,
+          contractMethod:
+            "depositAndInvestWithPriceUpdate(uint256,uint256,bytes[])",
+          priceUpdate: {
+            priceUpdateData: priceUpdates.priceUpdateData,
+            updateFee: updateFee.toString(),
+            feeInEth: ethers.formatEther(updateFee),
+            feeds: pricedFeeds.map((feed) => ({
+              ...feed,
+              publishTime:
+                publishTimes.get(feed.priceId.toLowerCase()) ?? null,
+            })),
+            unpricedTokens: feeds
+              .filter((feed) => !feed.priceId)
+              .map((feed) => feed.token),
+          },
+          ...priceAggregator.getModeInfo(),
+          freshness: {
+            fetchedAt: new Date(priceUpdates.timestamp).toISOString(),
+            oldestPublishTime,
+            maxAgeSeconds,
+            expiresAt,
+            expiresAtIso:
+              expiresAt !== null
+                ? new Date(expiresAt * 1000).toISOString()
+                : null,
+          },
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
 
 module.exports = router;
@@ -1,6 +1,58 @@
 const express = require('express');
 const router = express.Router();
+const { ethers } = require('ethers');
 const blockchain = require('../services/blockchain');
+const { requireAddress, requireUserAddress } = require('../middleware/validation');
+const DepositRuleStore = require('../services/depositRuleStore');
+
+const { DEPOSIT_TYPES, splitDeposit } = DepositRuleStore;
+const depositRuleStore = new DepositRuleStore();
+
+const isDepositType = (value) => Object.prototype.hasOwnProperty.call(DEPOSIT_TYPES, String(value));
+
+// Check that a plan exists and is active
+const isPlanActive = async (planId) => {
+  const result = await blockchain.callContract(blockchain.contracts.planManager, 'getPlan', [planId]);
+  return result.success && result.data.isActive;
+};
+
+// Format a stored split for responses (percentages with up to 2 decimals)
+const formatSplit = (split) => ({
+  planId: split.planId,
+  percentage: split.percentageBps / 100
+});
+
+// Turn a deposit into unsigned invest transactions according to the user's rules
+const buildRuleInvestments = async (userAddress, depositType, amount, decimals) => {
+  const investments = [];
+  const skipped = [];
+
+  for (const split of splitDeposit(depositRuleStore.getRules(userAddress, depositType), amount)) {
+    if (split.amount === 0n || !(await isPlanActive(split.planId))) {
+      skipped.push({
+        ...formatSplit(split),
+        reason: split.amount === 0n ? 'Amount rounds to zero' : 'Plan not found or inactive'
+      });
+      continue;
+    }
+
+    investments.push({
+      ...formatSplit(split),
+      amount: blockchain.formatTokenAmount(split.amount, decimals),
+      rawAmount: split.amount.toString(),
+      transaction: {
+        from: userAddress,
+        to: blockchain.contracts.investmentEngine.target,
+        data: blockchain.contracts.investmentEngine.interface.encodeFunctionData('invest', [
+          split.planId,
+          split.amount
+        ])
+      }
+    });
+  }
+
+  return { investments, skipped };
+};
 
 // Create new investment
 router.post('/', async (req, res) => {
@@ -28,11 +80,12 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ error: result.error });
     }
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'Investment created successfully',
-      transactionHash: result.txHash,
-      blockNumber: result.blockNumber
+      message: 'Investment transaction queued',
+      jobId: result.jobId,
+      status: result.status,
+      statusUrl: `/api/admin/tx/${result.jobId}`
     });
 
   } catch (error) {
@@ -60,11 +113,12 @@ router.post('/:investmentId/execute', async (req, res) => {
       return res.status(500).json({ error: result.error });
     }
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Investment executed successfully',
-      transactionHash: result.txHash,
-      blockNumber: result.blockNumber
+      message: 'Investment execution queued',
+      jobId: result.jobId,
+      status: result.status,
+      statusUrl: `/api/admin/tx/${result.jobId}`
     });
 
   } catch (error) {
@@ -73,8 +127,8 @@ router.post('/:investmentId/execute', async (req, res) => {
   }
 });
 
-// Deposit tokens
-router.post('/deposit', async (req, res) => {
+// Deposit tokens (session for the body's userAddress, since the response includes that user's split rules)
+router.post('/deposit', requireAddress((req) => req.body.userAddress), async (req, res) => {
   try {
     const { userAddress, tokenAddress, amount, depositType } = req.body;
 
@@ -84,6 +138,10 @@ router.post('/deposit', async (req, res) => {
       });
     }
 
+    if (!isDepositType(depositType)) {
+      return res.status(400).json({ error: 'Invalid depositType. Use 0 (Salary), 1 (Bonus) or 2 (Other)' });
+    }
+
     if (!blockchain.contracts.investmentEngine) {
       return res.status(503).json({ error: 'Investment Engine contract not available' });
     }
@@ -106,11 +164,23 @@ router.post('/deposit', async (req, res) => {
       return res.status(500).json({ error: result.error });
     }
 
-    res.status(201).json({
+    // Apply the user's split rules for this deposit type
+    const { investments, skipped } = await buildRuleInvestments(
+      userAddress,
+      Number(depositType),
+      formattedAmount,
+      decimals
+    );
+
+    res.status(202).json({
       success: true,
-      message: 'Deposit successful',
-      transactionHash: result.txHash,
-      blockNumber: result.blockNumber
+      message: 'Deposit transaction queued',
+      jobId: result.jobId,
+      status: result.status,
+      statusUrl: `/api/admin/tx/${result.jobId}`,
+      depositType: DEPOSIT_TYPES[depositType],
+      investments,
+      skippedRules: skipped
     });
 
   } catch (error) {
@@ -123,14 +193,144 @@ router.post('/deposit', async (req, res) => {
 router.get('/deposit-types', (req, res) => {
   res.json({
     success: true,
-    data: {
-      0: 'Salary',
-      1: 'Bonus',
-      2: 'Other'
-    }
+    data: DEPOSIT_TYPES
   });
 });
 
+// Get a user's deposit split rules
+router.get('/deposit-rules/:userAddress', requireUserAddress, (req, res) => {
+  try {
+    const { userAddress } = req.params;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    const stored = depositRuleStore.getUserRules(userAddress);
+    const rules = Object.keys(DEPOSIT_TYPES).map((depositType) => ({
+      depositType: Number(depositType),
+      name: DEPOSIT_TYPES[depositType],
+      splits: (stored[depositType] || []).map(formatSplit)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        userAddress,
+        rules
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching deposit rules:', error);
+    res.status(500).json({ error: 'Failed to fetch deposit rules' });
+  }
+});
+
+// Set a user's split rules for one deposit type
+// Body: { splits: [{ planId, percentage }] } where percentage is 0-100 with up to 2 decimals
+router.put('/deposit-rules/:userAddress/:depositType', requireUserAddress, async (req, res) => {
+  try {
+    const { userAddress, depositType } = req.params;
+    const { splits } = req.body;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    if (!isDepositType(depositType)) {
+      return res.status(400).json({ error: 'Invalid depositType. Use 0 (Salary), 1 (Bonus) or 2 (Other)' });
+    }
+
+    if (!Array.isArray(splits) || splits.length === 0) {
+      return res.status(400).json({ error: 'splits must be a non-empty array of { planId, percentage }' });
+    }
+
+    const seenPlans = new Set();
+    let totalBps = 0;
+    for (const split of splits) {
+      const planId = String(split.planId);
+      const percentageBps = Math.round(Number(split.percentage) * 100);
+
+      if (!/^[1-9]\d*$/.test(planId)) {
+        return res.status(400).json({ error: `Invalid planId: ${split.planId}` });
+      }
+      if (seenPlans.has(planId)) {
+        return res.status(400).json({ error: `Plan ${planId} appears more than once` });
+      }
+      if (!(percentageBps > 0) || Math.abs(Number(split.percentage) * 100 - percentageBps) > 1e-9) {
+        return res.status(400).json({ error: `Invalid percentage for plan ${planId}: use a number above 0 with up to 2 decimals` });
+      }
+
+      seenPlans.add(planId);
+      totalBps += percentageBps;
+    }
+
+    if (totalBps > 10000) {
+      return res.status(400).json({ error: `Split percentages add up to ${totalBps / 100}%, above 100%` });
+    }
+
+    if (!blockchain.contracts.planManager) {
+      return res.status(503).json({ error: 'Plan Manager contract not available' });
+    }
+
+    for (const planId of seenPlans) {
+      if (!(await isPlanActive(planId))) {
+        return res.status(400).json({ error: `Plan ${planId} not found or inactive` });
+      }
+    }
+
+    const stored = depositRuleStore.setRules(
+      userAddress,
+      Number(depositType),
+      splits.map((split) => ({
+        planId: String(split.planId),
+        percentageBps: Math.round(Number(split.percentage) * 100)
+      }))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        userAddress,
+        depositType: Number(depositType),
+        name: DEPOSIT_TYPES[depositType],
+        splits: stored.map(formatSplit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving deposit rules:', error);
+    res.status(500).json({ error: 'Failed to save deposit rules' });
+  }
+});
+
+// Remove a user's split rules for one deposit type
+router.delete('/deposit-rules/:userAddress/:depositType', requireUserAddress, (req, res) => {
+  try {
+    const { userAddress, depositType } = req.params;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({ error: 'Invalid user address' });
+    }
+
+    if (!isDepositType(depositType)) {
+      return res.status(400).json({ error: 'Invalid depositType. Use 0 (Salary), 1 (Bonus) or 2 (Other)' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        removed: depositRuleStore.deleteRules(userAddress, Number(depositType))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error removing deposit rules:', error);
+    res.status(500).json({ error: 'Failed to remove deposit rules' });
+  }
+});
+
 // Get platform stats
 router.get('/stats', async (req, res) => {
   try {
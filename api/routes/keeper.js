@@ -0,0 +1,39 @@
+const express = require('express');
+
+/**
+ * Keeper routes (start and stop are admin operations, see routes/adminOperations.js)
+ * @param {BatchKeeper} batchKeeper - Keeper instance shared with app.js
+ * @returns {express.Router} Router mounted at /api/v3/keeper
+ */
+const createKeeperRoutes = (batchKeeper) => {
+  const router = express.Router();
+
+  /**
+   * @route GET /api/v3/keeper/status
+   * @desc Get keeper state, last queue check and recent batch outcomes
+   * @access Public
+   * @query limit - number of recent batches (default 10, max 100)
+   */
+  router.get('/status', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+      res.json({
+        success: true,
+        data: {
+          ...batchKeeper.getStatus(),
+          recentBatches: batchKeeper.store.listBatches(limit)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createKeeperRoutes;
@@ -0,0 +1,59 @@
+const express = require('express');
+
+const { rateLimits } = require('../middleware/validation');
+const { requireLivePrices } = require('../config/priceMode');
+
+/**
+ * Oracle divergence routes
+ * @param {DivergenceMonitor} divergenceMonitor - Monitor instance shared with app.js
+ * @returns {express.Router} Router mounted at /api/v3/oracle
+ */
+const createDivergenceRoutes = (divergenceMonitor) => {
+  const router = express.Router();
+
+  // The first check hits Hermes and the RPC, so it counts against the expensive limit
+  const limitFirstCheck = (req, res, next) => (divergenceMonitor.lastCheck
+    ? next()
+    : rateLimits.expensive(req, res, next));
+
+  /**
+   * @route GET /api/v3/oracle/divergence
+   * @desc Hermes vs on-chain price divergence and staleness gap per asset, with recent alerts
+   * @access Public (measuring on demand is POST /api/v3/admin/oracle/divergence/refresh)
+   */
+  router.get('/divergence', limitFirstCheck, async (req, res) => {
+    try {
+      requireLivePrices('The divergence monitor');
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      // Alerts are only raised by the monitor loop, never by a request
+      if (!divergenceMonitor.lastCheck) {
+        await divergenceMonitor.checkOnce({ alert: false });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...divergenceMonitor.getStatus(),
+          readings: divergenceMonitor.readings,
+          recentAlerts: divergenceMonitor.recentAlerts
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDivergenceRoutes;
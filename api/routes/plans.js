@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { ethers } = require('ethers');
+const blockchain = require('../services/blockchain');
 
 // Import configuration and validation
 const {
@@ -10,7 +10,9 @@ const {
 
 const {
   validatePlanId,
+  requireAdmin,
 } = require('../middleware/validation');
+const { ADMIN_ROLES } = require('../config/adminRoles');
 
 // Initialize provider and contracts
 const provider = initializeProvider();
@@ -108,9 +110,9 @@ router.get('/:planId', validatePlanId, async (req, res) => {
 /**
  * @route POST /api/plans
  * @desc Create a new investment plan
- * @access Private (requires admin wallet)
+ * @access Private (superadmin session; requires admin wallet)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAdmin(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
     try {
         const { planType, name, allocations } = req.body;
 
@@ -126,18 +128,19 @@ router.post('/', async (req, res) => {
             maxPercentage: alloc.maxPercentage,
         }));
 
-        // Note: This requires the admin wallet to have funds to pay for gas.
-        const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
-        const planManagerWithSigner = planManager.connect(adminWallet);
+        // Queued for the admin wallet (which needs funds for gas); poll the job for the outcome
+        const result = await blockchain.executeTransaction(planManager, 'createPlan', [planType, name, formattedAllocations]);
 
-        const tx = await planManagerWithSigner.createPlan(planType, name, formattedAllocations);
-        const receipt = await tx.wait();
+        if (!result.success) {
+            return res.status(500).json({ success: false, error: result.error });
+        }
 
-        res.status(201).json({
+        res.status(202).json({
             success: true,
-            message: 'Investment plan created successfully',
-            transactionHash: receipt.transactionHash,
-            planId: receipt.events?.find(e => e.event === 'PlanCreated')?.args?.planId.toString()
+            message: 'Investment plan creation queued',
+            jobId: result.jobId,
+            status: result.status,
+            statusUrl: `/api/admin/tx/${result.jobId}`
         });
 
     } catch (error) {
@@ -0,0 +1,46 @@
+const express = require('express');
+
+/**
+ * Price pusher routes (start and stop are admin operations, see routes/adminOperations.js)
+ * @param {PricePusher|null} pricePusher - Pusher instance shared with app.js (null unless PRICE_PUSHER_ENABLED=true)
+ * @returns {express.Router} Router mounted at /api/v3/price-pusher
+ */
+const createPricePusherRoutes = (pricePusher) => {
+  const router = express.Router();
+
+  /**
+   * @route GET /api/v3/price-pusher/status
+   * @desc Get pusher state, budget, last feed check and recent pushes
+   * @access Public
+   * @query limit - number of recent pushes (default 10, max 100)
+   */
+  router.get('/status', (req, res) => {
+    if (!pricePusher) {
+      return res.json({
+        success: true,
+        data: { enabled: false, running: false }
+      });
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+      res.json({
+        success: true,
+        data: {
+          ...pricePusher.getStatus(),
+          recentPushes: pricePusher.store.listPushes(limit)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPricePusherRoutes;
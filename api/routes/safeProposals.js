@@ -0,0 +1,181 @@
+const express = require('express');
+
+const {
+  validateSafeProposal,
+  validateSafeProposalId,
+  validateSafeSignatures,
+  rateLimits
+} = require('../middleware/validation');
+const { AUDIT_STATUS } = require('../services/adminAuditStore');
+
+// HTTP status for each proposal outcome
+const STATUS_CODES = {
+  [AUDIT_STATUS.DENIED]: 403,
+  [AUDIT_STATUS.INVALID]: 400,
+  [AUDIT_STATUS.REVERTED]: 422,
+  [AUDIT_STATUS.PROPOSED]: 201,
+  [AUDIT_STATUS.FAILED]: 500
+};
+
+/**
+ * Safe proposal routes: admin actions exported for a Safe multisig instead of sent
+ * @param {SafeProposals} safeProposals - Safe proposal service shared with app.js
+ * @returns {express.Router} Router mounted at /api/v3/admin/safe
+ */
+const createSafeProposalRoutes = (safeProposals) => {
+  const router = express.Router();
+
+  /**
+   * @route GET /api/v3/admin/safe
+   * @desc Get the Safe's address, version, nonce, threshold and owners
+   * @access Private (admin)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await safeProposals.getSafeInfo()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.shortMessage || error.message
+      });
+    }
+  });
+
+  /**
+   * @route POST /api/v3/admin/safe/proposals
+   * @desc Export admin actions as a Safe transaction (Transaction Builder batch, SafeTx typed data and hash)
+   * @access Private (admin role for every action)
+   * @body actions - [{ action, params }], nonce - Safe nonce (optional, defaults to the current one),
+   *       description - batch description (optional)
+   */
+  router.post('/proposals', rateLimits.expensive, validateSafeProposal, async (req, res) => {
+    try {
+      const result = await safeProposals.propose({
+        actions: req.body.actions,
+        nonce: req.body.nonce,
+        description: req.body.description,
+        actor: req.auth.address,
+        roles: req.adminRoles
+      });
+
+      if (result.status !== AUDIT_STATUS.PROPOSED) {
+        return res.status(STATUS_CODES[result.status]).json({
+          success: false,
+          error: result.error,
+          audit: result.audit
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...result.proposal,
+          audit: result.audit
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * @route GET /api/v3/admin/safe/proposals/:proposalId
+   * @desc Get a proposal with its confirmations and, once ready, the execTransaction calldata
+   * @access Private (admin)
+   */
+  router.get('/proposals/:proposalId', validateSafeProposalId, async (req, res) => {
+    try {
+      const proposal = await safeProposals.getProposal(req.params.proposalId);
+
+      if (!proposal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Proposal not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: proposal
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.shortMessage || error.message
+      });
+    }
+  });
+
+  /**
+   * @route GET /api/v3/admin/safe/proposals/:proposalId/batch
+   * @desc Download the Transaction Builder JSON batch for the Safe UI
+   * @access Private (admin)
+   */
+  router.get('/proposals/:proposalId/batch', validateSafeProposalId, (req, res) => {
+    try {
+      const proposal = safeProposals.store.get(req.params.proposalId);
+
+      if (!proposal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Proposal not found'
+        });
+      }
+
+      res.attachment(`safe-proposal-${proposal.proposalId}.json`);
+      res.json(proposal.batch);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * @route POST /api/v3/admin/safe/proposals/:proposalId/signatures
+   * @desc Verify owner signatures over the safeTxHash; returns execTransaction calldata once threshold is met
+   * @access Private (admin)
+   * @body signatures - 65-byte owner signatures (eth_signTypedData, or eth_sign with v + 4)
+   */
+  router.post('/proposals/:proposalId/signatures', validateSafeSignatures, async (req, res) => {
+    try {
+      const result = await safeProposals.addSignatures(req.params.proposalId, req.body.signatures);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Proposal not found'
+        });
+      }
+
+      if (result.accepted.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No valid owner signatures',
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.shortMessage || error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSafeProposalRoutes;
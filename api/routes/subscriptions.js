@@ -0,0 +1,424 @@
+const express = require('express');
+const router = express.Router();
+
+// Import configuration and validation
+const {
+  initializeProvider,
+  createPlanManagerContract
+} = require('../config/contracts');
+
+const {
+  validatePagination,
+  validateSubscriptionId,
+  validateSubscriptionQuery,
+  validateSubscriptionCreate,
+  validateSubscriptionUpdate,
+  isPublicMode,
+  requireSession,
+  requireAddress
+} = require('../middleware/validation');
+
+const SubscriptionStore = require('../services/subscriptionStore');
+const SubscriptionScheduler = require('../services/subscriptionScheduler');
+const { getNextRunDate } = require('../services/cadence');
+
+const { SUBSCRIPTION_STATUS, INTENT_STATUS } = SubscriptionStore;
+
+// Initialize provider, contracts and store
+const provider = initializeProvider();
+const planManager = createPlanManagerContract(provider);
+const subscriptionStore = new SubscriptionStore();
+
+// Subscriptions in these states can no longer be changed
+const CLOSED_STATUSES = [SUBSCRIPTION_STATUS.COMPLETED, SUBSCRIPTION_STATUS.CANCELLED];
+
+/**
+ * Check that a plan exists and is active
+ * @param {string|number} planId - Plan ID
+ * @returns {Promise<boolean>} True if the plan can be invested in
+ */
+const isPlanActive = async (planId) => {
+  try {
+    const plan = await planManager.getPlan(planId);
+    return plan.isActive;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Work out the next run from now, completing the schedule past its end date
+ * @param {Object} schedule - { cadence, startDate, endDate }
+ * @returns {Object} { nextRunAt, status }
+ */
+const scheduleFromNow = ({ cadence, startDate, endDate }) => {
+  const nextRun = getNextRunDate(cadence, startDate, new Date());
+
+  if (endDate && nextRun > new Date(endDate)) {
+    return { nextRunAt: null, status: SUBSCRIPTION_STATUS.COMPLETED };
+  }
+
+  return { nextRunAt: nextRun.toISOString(), status: SUBSCRIPTION_STATUS.ACTIVE };
+};
+
+/**
+ * Load the subscription named in the route, responding 404 if it does not exist
+ */
+const loadSubscription = (req, res, next) => {
+  const subscription = subscriptionStore.get(parseInt(req.params.subscriptionId));
+
+  if (!subscription) {
+    return res.status(404).json({
+      success: false,
+      error: 'Subscription not found'
+    });
+  }
+
+  req.subscription = subscription;
+  next();
+};
+
+/**
+ * Reject changes to completed or cancelled subscriptions
+ */
+const requireOpenSubscription = (req, res, next) => {
+  if (CLOSED_STATUSES.includes(req.subscription.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Subscription is ${req.subscription.status}`
+    });
+  }
+  next();
+};
+
+// Subscriptions belong to an address; every route needs a session unless public mode is on
+router.use(requireSession);
+
+// Only the subscription's owner may read or change it
+const requireSubscriptionOwner = requireAddress((req) => req.subscription.userAddress);
+
+/**
+ * @route POST /api/v3/subscriptions
+ * @desc Create a recurring investment subscription
+ * @access Private (session for the subscription's userAddress)
+ * @body userAddress, planId, amount, cadence (daily, weekly, monthly or cron), startDate?, endDate?
+ */
+router.post('/', validateSubscriptionCreate, requireAddress((req) => req.body.userAddress), async (req, res) => {
+  try {
+    const { userAddress, planId, amount, cadence, endDate } = req.body;
+    const startDate = new Date(req.body.startDate || Date.now()).toISOString();
+
+    if (endDate && new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'endDate must be after startDate'
+      });
+    }
+
+    if (!(await isPlanActive(planId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Plan not found or inactive'
+      });
+    }
+
+    const firstRun = getNextRunDate(cadence, startDate);
+    if (endDate && firstRun > new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule has no runs before endDate'
+      });
+    }
+
+    const subscription = subscriptionStore.create({
+      userAddress,
+      planId,
+      amount,
+      cadence,
+      startDate,
+      endDate: endDate ? new Date(endDate).toISOString() : null,
+      nextRunAt: firstRun.toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/subscriptions
+ * @desc List subscriptions
+ * @access Private (session for the subscription's userAddress)
+ * @query userAddress, status, page, limit
+ */
+router.get('/', validateSubscriptionQuery, validatePagination, requireAddress((req) => req.query.userAddress), (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    // Without public mode a session only lists its own subscriptions
+    const userAddress = req.query.userAddress || (isPublicMode() ? undefined : req.auth.address);
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const { subscriptions, total } = subscriptionStore.list(
+      { userAddress, status },
+      { offset: (pageNumber - 1) * pageSize, limit: pageSize }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        pagination: {
+          currentPage: pageNumber,
+          totalItems: total,
+          itemsPerPage: pageSize,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/subscriptions/:subscriptionId
+ * @desc Get subscription details
+ * @access Private (session for the subscription's userAddress)
+ */
+router.get('/:subscriptionId', validateSubscriptionId, loadSubscription, requireSubscriptionOwner, (req, res) => {
+  res.json({
+    success: true,
+    data: req.subscription
+  });
+});
+
+/**
+ * @route PATCH /api/v3/subscriptions/:subscriptionId
+ * @desc Update amount, plan, cadence or end date of a subscription
+ * @access Private (session for the subscription's userAddress)
+ * @body planId?, amount?, cadence?, endDate? (null clears it)
+ */
+router.patch(
+  '/:subscriptionId',
+  validateSubscriptionUpdate,
+  loadSubscription,
+  requireSubscriptionOwner,
+  requireOpenSubscription,
+  async (req, res) => {
+    try {
+      const { subscription } = req;
+      const { planId, amount, cadence } = req.body;
+      const changes = {};
+
+      if (planId !== undefined) {
+        if (!(await isPlanActive(planId))) {
+          return res.status(400).json({
+            success: false,
+            error: 'Plan not found or inactive'
+          });
+        }
+        changes.planId = planId;
+      }
+      if (amount !== undefined) {
+        changes.amount = amount;
+      }
+      if (cadence !== undefined) {
+        changes.cadence = cadence;
+      }
+      if (req.body.endDate !== undefined) {
+        const endDate = req.body.endDate ? new Date(req.body.endDate).toISOString() : null;
+        if (endDate && new Date(endDate) <= new Date(subscription.startDate)) {
+          return res.status(400).json({
+            success: false,
+            error: 'endDate must be after startDate'
+          });
+        }
+        changes.endDate = endDate;
+      }
+
+      // A new cadence reschedules an active subscription; a new end date may complete it
+      if (subscription.status === SUBSCRIPTION_STATUS.ACTIVE) {
+        if (changes.cadence) {
+          Object.assign(changes, scheduleFromNow({ ...subscription, ...changes }));
+        } else if (changes.endDate && new Date(subscription.nextRunAt) > new Date(changes.endDate)) {
+          Object.assign(changes, { nextRunAt: null, status: SUBSCRIPTION_STATUS.COMPLETED });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: subscriptionStore.update(subscription.id, changes)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v3/subscriptions/:subscriptionId
+ * @desc Cancel a subscription (intent history is kept)
+ * @access Private (session for the subscription's userAddress)
+ */
+router.delete('/:subscriptionId', validateSubscriptionId, loadSubscription, requireSubscriptionOwner, requireOpenSubscription, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: subscriptionStore.update(req.subscription.id, {
+        status: SUBSCRIPTION_STATUS.CANCELLED,
+        nextRunAt: null
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v3/subscriptions/:subscriptionId/pause
+ * @desc Pause a subscription; no intents are produced until it is resumed
+ * @access Private (session for the subscription's userAddress)
+ */
+router.post('/:subscriptionId/pause', validateSubscriptionId, loadSubscription, requireSubscriptionOwner, (req, res) => {
+  try {
+    if (req.subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      return res.status(409).json({
+        success: false,
+        error: `Only active subscriptions can be paused (status: ${req.subscription.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscriptionStore.update(req.subscription.id, {
+        status: SUBSCRIPTION_STATUS.PAUSED,
+        nextRunAt: null
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v3/subscriptions/:subscriptionId/resume
+ * @desc Resume a paused subscription from its next run after now (missed runs are not replayed)
+ * @access Private (session for the subscription's userAddress)
+ */
+router.post('/:subscriptionId/resume', validateSubscriptionId, loadSubscription, requireSubscriptionOwner, (req, res) => {
+  try {
+    if (req.subscription.status !== SUBSCRIPTION_STATUS.PAUSED) {
+      return res.status(409).json({
+        success: false,
+        error: `Only paused subscriptions can be resumed (status: ${req.subscription.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscriptionStore.update(req.subscription.id, scheduleFromNow(req.subscription))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v3/subscriptions/:subscriptionId/skip
+ * @desc Skip the next scheduled run
+ * @access Private (session for the subscription's userAddress)
+ */
+router.post('/:subscriptionId/skip', validateSubscriptionId, loadSubscription, requireSubscriptionOwner, (req, res) => {
+  try {
+    const { subscription } = req;
+
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      return res.status(409).json({
+        success: false,
+        error: `Only active subscriptions can skip a run (status: ${subscription.status})`
+      });
+    }
+
+    const intent = subscriptionStore.recordIntent(
+      subscription,
+      { status: INTENT_STATUS.SKIPPED },
+      SubscriptionScheduler.getNextSchedule(subscription, new Date(subscription.nextRunAt))
+    );
+
+    res.json({
+      success: true,
+      data: {
+        skippedRun: subscription.nextRunAt,
+        intent,
+        subscription: subscriptionStore.get(subscription.id)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v3/subscriptions/:subscriptionId/intents
+ * @desc Get investment intents produced for a subscription, newest first
+ * @access Private (session for the subscription's userAddress)
+ * @query page, limit
+ */
+router.get('/:subscriptionId/intents', validateSubscriptionId, validatePagination, loadSubscription, requireSubscriptionOwner, (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const { intents, total } = subscriptionStore.listIntents(req.subscription.id, {
+      offset: (pageNumber - 1) * pageSize,
+      limit: pageSize
+    });
+
+    res.json({
+      success: true,
+      data: {
+        intents,
+        pagination: {
+          currentPage: pageNumber,
+          totalItems: total,
+          itemsPerPage: pageSize,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
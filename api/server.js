@@ -33,6 +33,9 @@ const investmentRoutes = require('./routes/investments');
 const portfolioRoutes = require('./routes/portfolio');
 const tokenRoutes = require('./routes/tokens');
 const healthRoutes = require('./routes/health');
+const createAdminTxRoutes = require('./routes/adminTx');
+const blockchain = require('./services/blockchain');
+const { validateSharedSessionConfig } = require('./config/auth');
 
 // Routes
 app.use('/api/plans', planRoutes);
@@ -40,6 +43,7 @@ app.use('/api/investments', investmentRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', createAdminTxRoutes(blockchain.txManager));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -51,7 +55,9 @@ app.get('/', (req, res) => {
       investments: '/api/investments',
       portfolio: '/api/portfolio',
       tokens: '/api/tokens',
-      health: '/api/health'
+      health: '/api/health',
+      adminTransactions: '/api/admin/tx/:jobId',
+      auth: 'POST /api/v3/auth/verify on the InvestmentEngineV3 API (app.js)'
     }
   });
 });
@@ -73,6 +79,14 @@ app.use('*', (req, res) => {
   });
 });
 
+// Sessions for the user-scoped and admin routes come from app.js, so both must share AUTH_JWT_SECRET
+try {
+  validateSharedSessionConfig();
+} catch (error) {
+  console.error('❌ Configuration validation failed:', error.message);
+  process.exit(1);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 404 Poverty Not Found API running on port ${PORT}`);
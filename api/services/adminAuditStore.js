@@ -0,0 +1,189 @@
+const { getDatabase, runMigrations } = require('./database');
+
+// Triggers reject edits to past audit log entries
+const MIGRATIONS = [
+  `
+  CREATE TABLE admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    params TEXT,
+    actor TEXT NOT NULL,
+    roles TEXT NOT NULL,
+    dry_run INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    from_address TEXT,
+    to_address TEXT,
+    data TEXT,
+    previous_value TEXT,
+    new_value TEXT,
+    simulation TEXT,
+    transaction_hash TEXT,
+    block_number INTEGER,
+    error TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_admin_audit_actor ON admin_audit_log (actor);
+  CREATE INDEX idx_admin_audit_action ON admin_audit_log (action);
+
+  CREATE TRIGGER admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+  END;
+
+  CREATE TRIGGER admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+  BEGIN
+    SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+  END;
+  `,
+  `
+  ALTER TABLE admin_audit_log ADD COLUMN safe_proposal_id TEXT;
+  `,
+  `
+  ALTER TABLE admin_audit_log ADD COLUMN tx_job_id TEXT;
+  `
+];
+
+// Outcome of an admin call
+const AUDIT_STATUS = {
+  DENIED: 'denied', // the caller lacks a role allowed to make the call
+  INVALID: 'invalid', // unknown action or bad parameters
+  REVERTED: 'reverted', // the simulation reverted, nothing was sent
+  SIMULATED: 'simulated', // dry run that would succeed
+  PROPOSED: 'proposed', // exported as a Safe proposal instead of sent (see safeProposalId)
+  QUEUED: 'queued', // handed to the admin transaction queue (follow txJobId at /api/admin/tx/:jobId)
+  CONFIRMED: 'confirmed', // sent and mined
+  EXECUTED: 'executed', // off-chain operation carried out (keeper, price pusher, divergence check)
+  FAILED: 'failed' // simulation unavailable, no signer, or the transaction failed
+};
+
+// Params and values may hold bigints
+const toJson = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.stringify(value, (key, entry) => (typeof entry === 'bigint' ? entry.toString() : entry));
+
+/**
+ * Admin Audit Store
+ * Append-only record of every call made through the admin API, including
+ * denied and reverted ones: who called what with which parameters, the
+ * simulation result, the value before and after, and the transaction
+ */
+class AdminAuditStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'admin_audit', MIGRATIONS);
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - action, params, actor, roles, dryRun, status, from, to, data,
+   *   previousValue, newValue, simulation, transactionHash, blockNumber, safeProposalId, txJobId, error
+   * @returns {Object} Stored entry
+   */
+  record(entry) {
+    const { lastInsertRowid } = this.db
+      .prepare(`
+        INSERT INTO admin_audit_log (
+          action, params, actor, roles, dry_run, status, from_address, to_address, data,
+          previous_value, new_value, simulation, transaction_hash, block_number, safe_proposal_id, tx_job_id, error,
+          created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        entry.action,
+        toJson(entry.params),
+        entry.actor.toLowerCase(),
+        JSON.stringify(entry.roles || []),
+        entry.dryRun ? 1 : 0,
+        entry.status,
+        entry.from || null,
+        entry.to || null,
+        entry.data || null,
+        toJson(entry.previousValue),
+        toJson(entry.newValue),
+        toJson(entry.simulation),
+        entry.transactionHash || null,
+        entry.blockNumber || null,
+        entry.safeProposalId || null,
+        entry.txJobId || null,
+        entry.error || null,
+        new Date().toISOString()
+      );
+
+    return this.get(lastInsertRowid);
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {number} id - Entry ID
+   * @returns {Object|null} Entry or null
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM admin_audit_log WHERE id = ?').get(id);
+    return row ? this.formatEntry(row) : null;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filters - { action, actor, status }
+   * @param {Object} pagination - { offset, limit }
+   * @returns {Object} { entries, total }
+   */
+  list({ action, actor, status } = {}, { offset = 0, limit = 10 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actor) {
+      conditions.push('actor = ?');
+      params.push(actor.toLowerCase());
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM admin_audit_log ${where}`).get(...params);
+    const rows = this.db
+      .prepare(`SELECT * FROM admin_audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return {
+      entries: rows.map((row) => this.formatEntry(row)),
+      total
+    };
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      action: row.action,
+      params: row.params ? JSON.parse(row.params) : null,
+      actor: row.actor,
+      roles: JSON.parse(row.roles),
+      dryRun: row.dry_run === 1,
+      status: row.status,
+      from: row.from_address,
+      to: row.to_address,
+      data: row.data,
+      previousValue: row.previous_value ? JSON.parse(row.previous_value) : null,
+      newValue: row.new_value ? JSON.parse(row.new_value) : null,
+      simulation: row.simulation ? JSON.parse(row.simulation) : null,
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      safeProposalId: row.safe_proposal_id,
+      txJobId: row.tx_job_id,
+      error: row.error,
+      createdAt: row.created_at
+    };
+  }
+}
+
+AdminAuditStore.AUDIT_STATUS = AUDIT_STATUS;
+
+module.exports = AdminAuditStore;
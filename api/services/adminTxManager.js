@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AdminTxStore = require('./adminTxStore');
+const PollLoop = require('./pollLoop');
+
+const { TX_STATUS } = AdminTxStore;
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+/**
+ * Admin Tx Manager
+ * Queues transactions from the admin wallet instead of sending them inside
+ * the HTTP request. enqueue() simulates the call with estimateGas, allocates
+ * the nonce locally (so concurrent callers never share one) and returns a
+ * job; a background loop broadcasts queued jobs as EIP-1559 transactions,
+ * follows them to ADMIN_TX_CONFIRMATIONS, and replaces a transaction that has
+ * not been mined after ADMIN_TX_BUMP_AFTER_SECONDS with the same nonce and
+ * fees raised by ADMIN_TX_FEE_BUMP_PERCENT, up to ADMIN_TX_MAX_ATTEMPTS
+ * broadcasts and ADMIN_TX_MAX_FEE_GWEI.
+ */
+class AdminTxManager {
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.signer = options.signer || null;
+    this.store = options.store || new AdminTxStore();
+
+    this.interval = parseInt(process.env.ADMIN_TX_POLL_INTERVAL_MS) || 5000;
+    this.bumpAfterMs = (parseInt(process.env.ADMIN_TX_BUMP_AFTER_SECONDS) || 60) * 1000;
+    this.bumpPercent = Math.max(parseInt(process.env.ADMIN_TX_FEE_BUMP_PERCENT) || 20, MIN_FEE_BUMP_PERCENT);
+    this.maxAttempts = parseInt(process.env.ADMIN_TX_MAX_ATTEMPTS) || 5;
+    this.confirmations = parseInt(process.env.ADMIN_TX_CONFIRMATIONS) || 1;
+    this.maxFeePerGas = process.env.ADMIN_TX_MAX_FEE_GWEI ? ethers.parseUnits(process.env.ADMIN_TX_MAX_FEE_GWEI, 'gwei') : null;
+    this.gasBufferPercent = parseInt(process.env.SIMULATION_GAS_BUFFER_PERCENT) || 20;
+
+    this.loop = new PollLoop(() => this.processJobs(), this.interval);
+    this.processing = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Start processing queued jobs (including ones left over from a restart)
+   */
+  start() {
+    if (!this.signer) {
+      throw new Error('ADMIN_PRIVATE_KEY not configured');
+    }
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log(`✅ Admin transaction manager started for ${this.signer.address}`);
+  }
+
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Simulate a transaction and queue it for the admin wallet
+   * @param {Object} transaction - { to, data, value, label }
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue({ to, data, value = 0n, label = null }) {
+    if (!this.signer) {
+      throw new Error('ADMIN_PRIVATE_KEY not configured');
+    }
+
+    const from = this.signer.address;
+    // Throws with the revert reason if the call would fail, before a nonce is spent on it
+    const gasEstimate = await this.provider.estimateGas({ from, to, data, value });
+    const chainNonce = await this.provider.getTransactionCount(from, 'pending');
+
+    const job = this.store.createJob({
+      jobId: crypto.randomUUID(),
+      from,
+      to,
+      data,
+      value: BigInt(value),
+      gasLimit: (gasEstimate * BigInt(100 + this.gasBufferPercent)) / 100n,
+      label,
+      nonce: this.store.allocateNonce(from, chainNonce)
+    });
+
+    // Broadcast the new job without waiting for the next poll
+    this.loop.trigger();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job or null
+   */
+  getJob(jobId) {
+    return this.store.getJob(jobId);
+  }
+
+  /**
+   * Advance every active job of the admin wallet once, lowest nonce first
+   */
+  async processJobs() {
+    if (this.processing || !this.signer) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      for (const job of this.store.listActive(this.signer.address)) {
+        try {
+          await this.processJob(job);
+        } catch (error) {
+          this.store.updateJob(job.jobId, { error: error.shortMessage || error.message });
+        }
+      }
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('Admin transaction manager error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processJob(job) {
+    if (job.status === TX_STATUS.QUEUED) {
+      return this.broadcast(job, await this.getNetworkFees());
+    }
+
+    // Read the nonce before the receipts: a receipt mined in between then still shows up below
+    const latestNonce = await this.provider.getTransactionCount(job.from, 'latest');
+    const receipt = await this.findReceipt(job);
+
+    if (receipt) {
+      return this.trackReceipt(job, receipt);
+    }
+    if (latestNonce > job.nonce) {
+      return this.store.updateJob(job.jobId, {
+        status: TX_STATUS.FAILED,
+        error: `Nonce ${job.nonce} was used by another transaction`
+      });
+    }
+
+    const lastAttempt = job.attempts[job.attempts.length - 1];
+    if (Date.now() - new Date(lastAttempt.sentAt).getTime() < this.bumpAfterMs) {
+      return null;
+    }
+    if (job.attempts.length >= this.maxAttempts) {
+      return this.store.updateJob(job.jobId, {
+        error: `Not mined after ${job.attempts.length} attempts; waiting without further fee bumps`
+      });
+    }
+
+    const fees = this.bumpFees(lastAttempt, await this.getNetworkFees());
+    if (!fees) {
+      return this.store.updateJob(job.jobId, {
+        error: 'Fees are at ADMIN_TX_MAX_FEE_GWEI; waiting without further fee bumps'
+      });
+    }
+    return this.broadcast(job, fees);
+  }
+
+  // Current EIP-1559 fees, capped at ADMIN_TX_MAX_FEE_GWEI
+  async getNetworkFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+      throw new Error('Network does not report EIP-1559 fees');
+    }
+    return this.capFees({ maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas });
+  }
+
+  capFees({ maxFeePerGas, maxPriorityFeePerGas }) {
+    if (this.maxFeePerGas === null || maxFeePerGas <= this.maxFeePerGas) {
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    return {
+      maxFeePerGas: this.maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > this.maxFeePerGas ? this.maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Fees for a replacement: the previous attempt's fees raised by ADMIN_TX_FEE_BUMP_PERCENT,
+   * or the current network fees if those are higher
+   * @param {Object} lastAttempt - { maxFeePerGas, maxPriorityFeePerGas } as strings
+   * @param {Object} networkFees - Current fees
+   * @returns {Object|null} Bumped fees, or null if the cap leaves no room for a valid replacement
+   */
+  bumpFees(lastAttempt, networkFees) {
+    const bump = (value) => (BigInt(value) * BigInt(100 + this.bumpPercent)) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    const maxPriorityFeePerGas = max(bump(lastAttempt.maxPriorityFeePerGas), networkFees.maxPriorityFeePerGas);
+    const fees = this.capFees({
+      maxPriorityFeePerGas,
+      maxFeePerGas: max(max(bump(lastAttempt.maxFeePerGas), networkFees.maxFeePerGas), maxPriorityFeePerGas)
+    });
+
+    const minimum = (value) => (BigInt(value) * BigInt(100 + MIN_FEE_BUMP_PERCENT)) / 100n;
+    if (fees.maxFeePerGas < minimum(lastAttempt.maxFeePerGas) || fees.maxPriorityFeePerGas < minimum(lastAttempt.maxPriorityFeePerGas)) {
+      return null;
+    }
+    return fees;
+  }
+
+  // Send the job's transaction (or a replacement) with its nonce and the given fees
+  async broadcast(job, fees) {
+    try {
+      const tx = await this.signer.sendTransaction({
+        type: 2,
+        to: job.to,
+        data: job.data,
+        value: BigInt(job.value),
+        nonce: job.nonce,
+        gasLimit: BigInt(job.gasLimit),
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+      });
+
+      return this.store.updateJob(job.jobId, {
+        status: TX_STATUS.SUBMITTED,
+        transactionHash: tx.hash,
+        error: null,
+        attempts: [
+          ...job.attempts,
+          {
+            hash: tx.hash,
+            maxFeePerGas: fees.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+            sentAt: new Date().toISOString()
+          }
+        ]
+      });
+    } catch (error) {
+      // A never-broadcast job whose nonce is already used cannot be sent any more
+      if (error.code === 'NONCE_EXPIRED' && job.attempts.length === 0) {
+        return this.store.updateJob(job.jobId, {
+          status: TX_STATUS.FAILED,
+          error: `Nonce ${job.nonce} was used by another transaction`
+        });
+      }
+      // Anything else (RPC down, insufficient funds, underpriced replacement) is retried on the next pass
+      return this.store.updateJob(job.jobId, { error: error.shortMessage || error.message });
+    }
+  }
+
+  // Receipt of whichever attempt was mined, if any
+  async findReceipt(job) {
+    for (const attempt of [...job.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async trackReceipt(job, receipt) {
+    const mined = {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+
+    if (receipt.status !== 1) {
+      return this.store.updateJob(job.jobId, { ...mined, status: TX_STATUS.FAILED, error: 'Transaction reverted' });
+    }
+
+    const confirmations = await receipt.confirmations();
+    return this.store.updateJob(job.jobId, {
+      ...mined,
+      status: confirmations >= this.confirmations ? TX_STATUS.CONFIRMED : TX_STATUS.MINED,
+      error: null
+    });
+  }
+
+  getStatus() {
+    return {
+      running: this.loop.running,
+      address: this.signer ? this.signer.address : null,
+      pollIntervalMs: this.interval,
+      bumpAfterSeconds: this.bumpAfterMs / 1000,
+      bumpPercent: this.bumpPercent,
+      maxAttempts: this.maxAttempts,
+      confirmations: this.confirmations,
+      activeJobs: this.signer ? this.store.listActive(this.signer.address).length : 0,
+      lastError: this.lastError
+    };
+  }
+}
+
+AdminTxManager.TX_STATUS = TX_STATUS;
+
+module.exports = AdminTxManager;
@@ -0,0 +1,197 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE admin_tx_jobs (
+    job_id TEXT PRIMARY KEY,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    data TEXT NOT NULL,
+    value TEXT NOT NULL,
+    gas_limit TEXT NOT NULL,
+    label TEXT,
+    nonce INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    attempts TEXT NOT NULL,
+    transaction_hash TEXT,
+    block_number INTEGER,
+    gas_used TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_admin_tx_jobs_status ON admin_tx_jobs (from_address, status, nonce);
+
+  CREATE TABLE admin_tx_nonces (
+    address TEXT PRIMARY KEY,
+    next_nonce INTEGER NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `
+];
+
+// Job lifecycle
+const TX_STATUS = {
+  QUEUED: 'queued', // nonce allocated, not broadcast yet
+  SUBMITTED: 'submitted', // broadcast (possibly several fee-bumped replacements), not mined
+  MINED: 'mined', // mined, waiting for ADMIN_TX_CONFIRMATIONS
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed' // reverted, or the nonce was used by another transaction
+};
+
+const ACTIVE_STATUSES = [TX_STATUS.QUEUED, TX_STATUS.SUBMITTED, TX_STATUS.MINED];
+
+/**
+ * Admin Tx Store
+ * Persists admin wallet transaction jobs, every broadcast attempt (the
+ * original and each fee-bumped replacement) and the next nonce to hand out
+ */
+class AdminTxStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'admin_tx', MIGRATIONS);
+  }
+
+  /**
+   * Hand out the next nonce for an address
+   * @param {string} address - Sender address
+   * @param {number} chainNonce - Pending transaction count reported by the node
+   * @returns {number} Allocated nonce (never below chainNonce, never handed out twice)
+   */
+  allocateNonce(address, chainNonce) {
+    const key = address.toLowerCase();
+
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT next_nonce FROM admin_tx_nonces WHERE address = ?').get(key);
+      const nonce = Math.max(row ? row.next_nonce : 0, chainNonce);
+
+      this.db
+        .prepare(`
+          INSERT INTO admin_tx_nonces (address, next_nonce, updated_at) VALUES (?, ?, ?)
+          ON CONFLICT (address) DO UPDATE SET next_nonce = excluded.next_nonce, updated_at = excluded.updated_at
+        `)
+        .run(key, nonce + 1, new Date().toISOString());
+      return nonce;
+    })();
+  }
+
+  /**
+   * Record a new job
+   * @param {Object} job - { jobId, from, to, data, value, gasLimit, label, nonce }
+   * @returns {Object} Created job
+   */
+  createJob({ jobId, from, to, data, value, gasLimit, label, nonce }) {
+    const now = new Date().toISOString();
+    this.db
+      .prepare(`
+        INSERT INTO admin_tx_jobs (
+          job_id, from_address, to_address, data, value, gas_limit, label, nonce, status, attempts, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        jobId,
+        from.toLowerCase(),
+        to.toLowerCase(),
+        data,
+        value.toString(),
+        gasLimit.toString(),
+        label || null,
+        nonce,
+        TX_STATUS.QUEUED,
+        '[]',
+        now,
+        now
+      );
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Update a job
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - status, attempts, transactionHash, blockNumber, gasUsed, error
+   * @returns {Object} Updated job
+   */
+  updateJob(jobId, changes) {
+    const columns = {
+      status: 'status',
+      attempts: 'attempts',
+      transactionHash: 'transaction_hash',
+      blockNumber: 'block_number',
+      gasUsed: 'gas_used',
+      error: 'error'
+    };
+
+    const entries = Object.entries(changes).filter(([key]) => columns[key]);
+    if (entries.length > 0) {
+      const assignments = entries.map(([key]) => `${columns[key]} = ?`).join(', ');
+      const values = entries.map(([key, value]) => {
+        if (value === undefined || value === null) {
+          return null;
+        }
+        if (key === 'attempts') {
+          return JSON.stringify(value);
+        }
+        return key === 'blockNumber' ? value : String(value);
+      });
+
+      this.db
+        .prepare(`UPDATE admin_tx_jobs SET ${assignments}, updated_at = ? WHERE job_id = ?`)
+        .run(...values, new Date().toISOString(), jobId);
+    }
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job or null
+   */
+  getJob(jobId) {
+    const row = this.db.prepare('SELECT * FROM admin_tx_jobs WHERE job_id = ?').get(jobId);
+    return row ? this.formatJob(row) : null;
+  }
+
+  /**
+   * Jobs of an address that are not settled yet, lowest nonce first
+   * @param {string} address - Sender address
+   * @returns {Object[]} Jobs
+   */
+  listActive(address) {
+    return this.db
+      .prepare(`
+        SELECT * FROM admin_tx_jobs
+        WHERE from_address = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+        ORDER BY nonce ASC
+      `)
+      .all(address.toLowerCase(), ...ACTIVE_STATUSES)
+      .map((row) => this.formatJob(row));
+  }
+
+  formatJob(row) {
+    return {
+      jobId: row.job_id,
+      from: row.from_address,
+      to: row.to_address,
+      data: row.data,
+      value: row.value,
+      gasLimit: row.gas_limit,
+      label: row.label,
+      nonce: row.nonce,
+      status: row.status,
+      attempts: JSON.parse(row.attempts),
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      gasUsed: row.gas_used,
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+AdminTxStore.TX_STATUS = TX_STATUS;
+
+module.exports = AdminTxStore;
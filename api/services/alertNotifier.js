@@ -0,0 +1,83 @@
+/**
+ * Alert notifiers
+ * A notifier is any object with an async notify(alert) method. Monitors take
+ * one through their constructor, or build one from a comma-separated list of
+ * names (e.g. ALERT_NOTIFIERS=console,webhook).
+ */
+
+// Logs alerts to the API process output
+class ConsoleNotifier {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async notify(alert) {
+    const log = alert.severity === 'resolved' ? console.log : console.warn;
+    log(`${alert.severity === 'resolved' ? '✅' : '⚠️ '} [${alert.type}] ${alert.message}`);
+  }
+}
+
+// POSTs alerts as JSON to ALERT_WEBHOOK_URL (Slack/Discord-compatible "text" field included)
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.url = options.url || process.env.ALERT_WEBHOOK_URL;
+    this.timeout = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+
+    if (!this.url) {
+      throw new Error('ALERT_WEBHOOK_URL not configured for the webhook notifier');
+    }
+  }
+
+  async notify(alert) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: alert.message, alert }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alert webhook responded with ${response.status}`);
+    }
+  }
+}
+
+const NOTIFIERS = {
+  console: ConsoleNotifier,
+  webhook: WebhookNotifier
+};
+
+/**
+ * Create a notifier that delivers every alert to each named notifier. A
+ * failing notifier is logged and does not stop the others.
+ * @param {string} names - e.g. "console,webhook"
+ * @returns {Object} Notifier with notify(alert) and names
+ */
+const createNotifier = (names = 'console') => {
+  const notifiers = names.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean).map((name) => {
+    const Notifier = NOTIFIERS[name];
+    if (!Notifier) {
+      throw new Error(`Unknown alert notifier: ${name}`);
+    }
+    return new Notifier();
+  });
+
+  return {
+    names: notifiers.map((notifier) => notifier.name),
+    async notify(alert) {
+      const results = await Promise.allSettled(notifiers.map((notifier) => notifier.notify(alert)));
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          console.error(`❌ ${notifiers[index].name} notifier failed:`, result.reason.message);
+        }
+      });
+    }
+  };
+};
+
+module.exports = {
+  ConsoleNotifier,
+  WebhookNotifier,
+  createNotifier
+};
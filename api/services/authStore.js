@@ -0,0 +1,113 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+  );
+
+  CREATE TABLE auth_sessions (
+    session_id TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    chain_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+
+  CREATE INDEX idx_auth_sessions_address ON auth_sessions (address);
+  `
+];
+
+/**
+ * Auth Store
+ * Persists SIWE nonces (single use, short lived) and the sessions issued
+ * for verified signatures, so sessions can be listed and revoked
+ */
+class AuthStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'auth', MIGRATIONS);
+  }
+
+  /**
+   * Store a new nonce and drop expired ones
+   * @param {string} nonce - Nonce
+   * @param {Date} expiresAt - Expiry
+   * @param {Date} now - Current time
+   */
+  createNonce(nonce, expiresAt, now = new Date()) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM auth_nonces WHERE expires_at <= ?').run(now.toISOString());
+      this.db
+        .prepare('INSERT INTO auth_nonces (nonce, created_at, expires_at) VALUES (?, ?, ?)')
+        .run(nonce, now.toISOString(), expiresAt.toISOString());
+    })();
+  }
+
+  /**
+   * Mark a nonce used if it exists, is unused and has not expired
+   * @param {string} nonce - Nonce from the signed message
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the nonce was consumed
+   */
+  consumeNonce(nonce, now = new Date()) {
+    const { changes } = this.db
+      .prepare('UPDATE auth_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL AND expires_at > ?')
+      .run(now.toISOString(), nonce, now.toISOString());
+    return changes === 1;
+  }
+
+  /**
+   * Store an issued session
+   * @param {Object} session - { sessionId, address, chainId, createdAt, expiresAt }
+   * @returns {Object} Stored session
+   */
+  createSession({ sessionId, address, chainId, createdAt, expiresAt }) {
+    this.db
+      .prepare(`
+        INSERT INTO auth_sessions (session_id, address, chain_id, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(sessionId, address.toLowerCase(), chainId, createdAt.toISOString(), expiresAt.toISOString());
+    return this.getSession(sessionId);
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - Session ID (the JWT jti)
+   * @returns {Object|null} Session or null
+   */
+  getSession(sessionId) {
+    const row = this.db.prepare('SELECT * FROM auth_sessions WHERE session_id = ?').get(sessionId);
+    return row ? this.formatSession(row) : null;
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if an active session was revoked
+   */
+  revokeSession(sessionId) {
+    const { changes } = this.db
+      .prepare('UPDATE auth_sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), sessionId);
+    return changes === 1;
+  }
+
+  formatSession(row) {
+    return {
+      sessionId: row.session_id,
+      address: row.address,
+      chainId: row.chain_id,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
+
+module.exports = AuthStore;
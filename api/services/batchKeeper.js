@@ -0,0 +1,209 @@
+const { ethers } = require('ethers');
+const {
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+const KeeperStore = require('./keeperStore');
+const FairQueue = require('./fairQueue');
+const PollLoop = require('./pollLoop');
+
+const { BATCH_STATUS } = KeeperStore;
+
+// Minimal Pyth Entropy interface (see solidity/src/interfaces/IEntropy.sol)
+const ENTROPY_ABI = [
+  'function getFee() external view returns (uint256)'
+];
+
+/**
+ * Batch Keeper
+ * Watches the InvestmentEngineV3 fair-ordering queue and calls
+ * executeQueuedInvestments once enough investments are pending
+ * (executionBatchSize) or the oldest one has waited KEEPER_MAX_WAIT_SECONDS.
+ * In dry-run mode batches are simulated with eth_call instead of sent.
+ */
+class BatchKeeper {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.store = options.store || new KeeperStore();
+    this.queue = options.queue || new FairQueue({
+      provider: this.provider,
+      investmentEngine: this.investmentEngine
+    });
+
+    const privateKey = process.env.KEEPER_PRIVATE_KEY;
+    this.signer = options.signer || (privateKey ? new ethers.Wallet(privateKey, this.provider) : null);
+
+    this.interval = parseInt(process.env.KEEPER_POLL_INTERVAL_MS) || 30000;
+    this.dryRun = process.env.KEEPER_DRY_RUN === 'true';
+
+    this.loop = new PollLoop(() => this.checkOnce(), this.interval);
+    this.checking = false;
+    this.lastCheck = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start the keeper loop
+   * @param {Object} options - { dryRun } overrides KEEPER_DRY_RUN
+   */
+  start(options = {}) {
+    const dryRun = options.dryRun !== undefined ? options.dryRun : this.dryRun;
+
+    if (!dryRun && !this.signer) {
+      throw new Error('KEEPER_PRIVATE_KEY not configured; start in dry-run mode or set a keeper key');
+    }
+
+    this.dryRun = dryRun;
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log(`✅ Batch keeper started${this.dryRun ? ' (dry run)' : ''}`);
+  }
+
+  /**
+   * Stop the keeper loop (a batch already in flight is left to finish)
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Check the thresholds and execute one batch if either is reached
+   * @returns {Promise<Object|null>} Recorded batch, or null if nothing was triggered
+   */
+  async checkOnce() {
+    if (this.checking) {
+      return null;
+    }
+
+    this.checking = true;
+    try {
+      const entropyEnabled = await this.investmentEngine.entropyEnabled();
+      if (!entropyEnabled) {
+        this.lastCheck = { at: new Date().toISOString(), entropyEnabled, pending: 0 };
+        this.lastError = null;
+        return null;
+      }
+
+      const [pending, batchSize, block] = await Promise.all([
+        this.queue.getPending(),
+        this.investmentEngine.executionBatchSize(),
+        this.provider.getBlock('latest')
+      ]);
+
+      const oldestWaitSeconds = pending.length > 0 ? block.timestamp - pending[0].timestamp : 0;
+      let trigger = null;
+      if (pending.length >= Number(batchSize)) {
+        trigger = 'batchSize';
+      } else if (pending.length > 0 && oldestWaitSeconds >= this.queue.maxWaitSeconds) {
+        trigger = 'maxWait';
+      }
+
+      this.lastCheck = {
+        at: new Date().toISOString(),
+        entropyEnabled,
+        pending: pending.length,
+        batchSize: Number(batchSize),
+        oldestWaitSeconds,
+        trigger
+      };
+      this.lastError = null;
+
+      if (!trigger) {
+        return null;
+      }
+
+      const queueIds = pending.slice(0, Number(batchSize)).map((entry) => entry.queueId);
+      return await this.executeBatch(queueIds, trigger);
+    } catch (error) {
+      console.error('❌ Keeper check failed:', error.message);
+      this.lastError = error.message;
+      return null;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Execute (or simulate) one batch, paying the Entropy fee when the contract accepts value
+   * @param {string[]} queueIds - Queue IDs to execute
+   * @param {string} trigger - Why the batch was triggered
+   * @returns {Promise<Object>} Recorded batch
+   */
+  async executeBatch(queueIds, trigger) {
+    const entropy = new ethers.Contract(await this.investmentEngine.entropy(), ENTROPY_ABI, this.provider);
+    const entropyFee = await entropy.getFee();
+
+    // The current engine requests randomness (and pays for it) in queueInvestment, so
+    // executeQueuedInvestments is nonpayable; only attach the fee if the ABI allows it
+    const payable = this.investmentEngine.interface.getFunction('executeQueuedInvestments').payable;
+    const value = payable ? entropyFee : 0n;
+
+    const userRandomNumber = ethers.hexlify(ethers.randomBytes(32));
+    const batch = this.store.createBatch({ queueIds, trigger, dryRun: this.dryRun, entropyFee, value });
+    const contract = this.investmentEngine.connect(this.signer || this.provider);
+
+    try {
+      if (this.dryRun) {
+        const [investmentIds, gasEstimate] = await Promise.all([
+          contract.executeQueuedInvestments.staticCall(queueIds, userRandomNumber, { value }),
+          contract.executeQueuedInvestments.estimateGas(queueIds, userRandomNumber, { value })
+        ]);
+
+        return this.store.updateBatch(batch.id, {
+          investmentIds: Array.from(investmentIds),
+          gasUsed: gasEstimate
+        });
+      }
+
+      const tx = await contract.executeQueuedInvestments(queueIds, userRandomNumber, { value });
+      this.store.updateBatch(batch.id, { transactionHash: tx.hash });
+
+      const receipt = await tx.wait();
+      const changes = {
+        status: receipt.status === 1 ? BATCH_STATUS.CONFIRMED : BATCH_STATUS.FAILED,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        investmentIds: []
+      };
+
+      for (const log of receipt.logs) {
+        const parsed = this.investmentEngine.interface.parseLog(log);
+        if (parsed && parsed.name === 'BatchExecutionStarted') {
+          changes.batchId = parsed.args.batchId;
+          changes.randomSeed = parsed.args.randomSeed;
+        } else if (parsed && parsed.name === 'QueuedInvestmentExecuted') {
+          changes.investmentIds.push(parsed.args.investmentId);
+        }
+      }
+
+      return this.store.updateBatch(batch.id, changes);
+    } catch (error) {
+      console.warn(`Keeper batch ${batch.id} failed:`, error.shortMessage || error.message);
+      return this.store.updateBatch(batch.id, {
+        status: BATCH_STATUS.FAILED,
+        error: error.shortMessage || error.message
+      });
+    }
+  }
+
+  /**
+   * Keeper status for the status endpoint and health reporting
+   * @returns {Object} Keeper status
+   */
+  getStatus() {
+    return {
+      running: this.loop.running,
+      dryRun: this.dryRun,
+      keeperAddress: this.signer ? this.signer.address : null,
+      interval: this.interval,
+      maxWaitSeconds: this.queue.maxWaitSeconds,
+      lastCheck: this.lastCheck,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = BatchKeeper;
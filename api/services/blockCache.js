@@ -0,0 +1,77 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE block_cache (
+    block_hash TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    block_timestamp INTEGER NOT NULL
+  );
+  `
+];
+
+/**
+ * Block Cache
+ * Caches block headers by hash (in memory and in SQLite) so each block is
+ * fetched from the RPC at most once. Keying by hash keeps the cache valid
+ * across reorgs: an orphaned block simply stops being referenced.
+ */
+class BlockCache {
+  constructor(provider, db = getDatabase()) {
+    this.provider = provider;
+    this.db = db;
+    this.memory = new Map();
+    this.maxMemoryEntries = parseInt(process.env.BLOCK_CACHE_SIZE) || 5000;
+
+    runMigrations(this.db, 'blockCache', MIGRATIONS);
+
+    this.statements = {
+      get: this.db.prepare(`
+        SELECT block_hash AS hash, block_number AS number, block_timestamp AS timestamp
+        FROM block_cache WHERE block_hash = ?
+      `),
+      put: this.db.prepare(`
+        INSERT OR IGNORE INTO block_cache (block_hash, block_number, block_timestamp) VALUES (?, ?, ?)
+      `)
+    };
+  }
+
+  /**
+   * Get a block header by hash
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<Object|null>} { hash, number, timestamp } or null if the node no longer has it
+   */
+  async getBlock(blockHash) {
+    const key = blockHash.toLowerCase();
+
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    let block = this.statements.get.get(key);
+
+    if (!block) {
+      const fetched = await this.provider.getBlock(blockHash);
+      if (!fetched) {
+        return null;
+      }
+
+      block = { hash: key, number: fetched.number, timestamp: fetched.timestamp };
+      this.statements.put.run(block.hash, block.number, block.timestamp);
+    }
+
+    this.remember(key, block);
+    return block;
+  }
+
+  remember(key, block) {
+    this.memory.set(key, block);
+
+    // Drop the oldest entry once the in-memory cache is full (Map keeps insertion order)
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+}
+
+module.exports = BlockCache;
@@ -1,9 +1,11 @@
 const { ethers } = require('ethers');
+const AdminTxManager = require('./adminTxManager');
 
 class BlockchainService {
   constructor() {
     this.provider = null;
     this.adminWallet = null;
+    this.txManager = null;
     this.contracts = {};
     this.init();
   }
@@ -16,6 +18,10 @@ class BlockchainService {
       // Initialize admin wallet for executing transactions
       if (process.env.ADMIN_PRIVATE_KEY) {
         this.adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, this.provider);
+
+        // Admin transactions go through a persistent queue with local nonces and fee bumps
+        this.txManager = new AdminTxManager({ provider: this.provider, signer: this.adminWallet });
+        this.txManager.start();
       }
 
       // Load contract ABIs and addresses
@@ -109,27 +115,31 @@ class BlockchainService {
   }
 
   // Contract interaction helpers
+  // Queue an admin transaction; poll GET /api/admin/tx/:jobId for the outcome
   async executeTransaction(contract, method, params = [], value = 0) {
     try {
-      if (!this.adminWallet) {
+      if (!this.txManager) {
         throw new Error('Admin wallet not configured');
       }
 
-      const contractWithSigner = contract.connect(this.adminWallet);
-      const tx = await contractWithSigner[method](...params, { value });
-      const receipt = await tx.wait();
+      const job = await this.txManager.enqueue({
+        to: await contract.getAddress(),
+        data: contract.interface.encodeFunctionData(method, params),
+        value: BigInt(value),
+        label: method
+      });
 
       return {
         success: true,
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+        jobId: job.jobId,
+        status: job.status,
+        nonce: job.nonce
       };
     } catch (error) {
       console.error(`Error executing ${method}:`, error);
       return {
         success: false,
-        error: error.message
+        error: error.shortMessage || error.message
       };
     }
   }
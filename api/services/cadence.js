@@ -0,0 +1,98 @@
+const { CronExpressionParser } = require('cron-parser');
+
+// Fixed cadences in days; anything else must be a cron expression
+const FIXED_CADENCES = {
+  daily: 1,
+  weekly: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a cadence is daily, weekly, monthly or a valid cron expression
+ * @param {string} cadence - Cadence value
+ * @returns {boolean} True if valid
+ */
+const isValidCadence = (cadence) => {
+  if (typeof cadence !== 'string' || cadence.trim() === '') {
+    return false;
+  }
+  if (FIXED_CADENCES[cadence] || cadence === 'monthly') {
+    return true;
+  }
+  try {
+    CronExpressionParser.parse(cadence, { tz: 'UTC' });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Add calendar months, clamping to the last day of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+/**
+ * Get the next run of a schedule. Fixed cadences are anchored to the start
+ * date so runs do not drift (e.g. monthly on the 31st falls back to the last
+ * day of shorter months and returns to the 31st afterwards).
+ * @param {string} cadence - daily, weekly, monthly or a cron expression (UTC)
+ * @param {Date} startDate - Schedule start
+ * @param {Date|null} after - Return the first run strictly after this date; null for the first run
+ * @returns {Date} Next run date
+ */
+const getNextRunDate = (cadence, startDate, after = null) => {
+  const start = new Date(startDate);
+  const threshold = after ? new Date(after) : null;
+
+  if (!threshold || threshold < start) {
+    if (FIXED_CADENCES[cadence] || cadence === 'monthly') {
+      return start;
+    }
+    return CronExpressionParser.parse(cadence, {
+      currentDate: new Date(start.getTime() - 1000),
+      tz: 'UTC'
+    }).next().toDate();
+  }
+
+  if (FIXED_CADENCES[cadence]) {
+    const intervalMs = FIXED_CADENCES[cadence] * DAY_MS;
+    const periods = Math.floor((threshold - start) / intervalMs) + 1;
+    return new Date(start.getTime() + periods * intervalMs);
+  }
+
+  if (cadence === 'monthly') {
+    let months = (threshold.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      (threshold.getUTCMonth() - start.getUTCMonth());
+    let next = addMonths(start, months);
+    while (next <= threshold) {
+      months++;
+      next = addMonths(start, months);
+    }
+    return next;
+  }
+
+  return CronExpressionParser.parse(cadence, {
+    currentDate: threshold,
+    tz: 'UTC'
+  }).next().toDate();
+};
+
+module.exports = {
+  isValidCadence,
+  getNextRunDate
+};
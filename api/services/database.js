@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Shared embedded SQLite database for indexed chain data and API state
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'data', 'api.sqlite');
+
+let database = null;
+
+/**
+ * Open (or reuse) the API database
+ * @returns {Database.Database} better-sqlite3 handle
+ */
+const getDatabase = () => {
+  if (database) {
+    return database;
+  }
+
+  const databasePath = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH;
+
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+
+  database = new Database(databasePath);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      scope TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      applied_at TEXT NOT NULL,
+      PRIMARY KEY (scope, version)
+    )
+  `);
+
+  return database;
+};
+
+/**
+ * Apply pending migrations for a store. Each store owns a scope and an
+ * append-only list of SQL migrations; only the ones not yet recorded run.
+ * @param {Database.Database} db - Database handle
+ * @param {string} scope - Migration scope (usually the store name)
+ * @param {string[]} migrations - Ordered SQL migrations
+ */
+const runMigrations = (db, scope, migrations) => {
+  const { version } = db
+    .prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations WHERE scope = ?')
+    .get(scope);
+
+  const recordMigration = db.prepare(
+    'INSERT INTO schema_migrations (scope, version, applied_at) VALUES (?, ?, ?)'
+  );
+
+  migrations.slice(version).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      recordMigration.run(scope, version + index + 1, new Date().toISOString());
+    })();
+  });
+};
+
+/**
+ * Close the database handle (used on shutdown)
+ */
+const closeDatabase = () => {
+  if (database) {
+    database.close();
+    database = null;
+  }
+};
+
+module.exports = {
+  getDatabase,
+  runMigrations,
+  closeDatabase
+};
@@ -0,0 +1,127 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE deposit_rules (
+    user_address TEXT NOT NULL,
+    deposit_type INTEGER NOT NULL,
+    plan_id TEXT NOT NULL,
+    percentage_bps INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (user_address, deposit_type, plan_id)
+  );
+  `
+];
+
+// Deposit types accepted by depositToken
+const DEPOSIT_TYPES = {
+  0: 'Salary',
+  1: 'Bonus',
+  2: 'Other'
+};
+
+/**
+ * Split a deposit amount according to a rule set
+ * @param {Object[]} splits - [{ planId, percentageBps }]
+ * @param {bigint} amount - Deposit amount in token base units
+ * @returns {Object[]} [{ planId, percentageBps, amount }] with amounts rounded down
+ */
+const splitDeposit = (splits, amount) => {
+  return splits.map((split) => ({
+    ...split,
+    amount: (BigInt(amount) * BigInt(split.percentageBps)) / 10000n
+  }));
+};
+
+/**
+ * Deposit Rule Store
+ * Persists per-user split rules: for each deposit type, the share of every
+ * deposit that should be invested in each plan
+ */
+class DepositRuleStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'depositRules', MIGRATIONS);
+  }
+
+  /**
+   * Get a user's rules grouped by deposit type
+   * @param {string} userAddress - User address
+   * @returns {Object} { [depositType]: [{ planId, percentageBps }] }
+   */
+  getUserRules(userAddress) {
+    const rows = this.db
+      .prepare('SELECT * FROM deposit_rules WHERE user_address = ? ORDER BY deposit_type, position')
+      .all(userAddress.toLowerCase());
+
+    const rules = {};
+    for (const row of rows) {
+      (rules[row.deposit_type] = rules[row.deposit_type] || []).push(this.formatSplit(row));
+    }
+    return rules;
+  }
+
+  /**
+   * Get a user's splits for one deposit type
+   * @param {string} userAddress - User address
+   * @param {number} depositType - Deposit type (0 Salary, 1 Bonus, 2 Other)
+   * @returns {Object[]} [{ planId, percentageBps }]
+   */
+  getRules(userAddress, depositType) {
+    return this.db
+      .prepare('SELECT * FROM deposit_rules WHERE user_address = ? AND deposit_type = ? ORDER BY position')
+      .all(userAddress.toLowerCase(), depositType)
+      .map((row) => this.formatSplit(row));
+  }
+
+  /**
+   * Replace a user's splits for one deposit type
+   * @param {string} userAddress - User address
+   * @param {number} depositType - Deposit type
+   * @param {Object[]} splits - [{ planId, percentageBps }]
+   * @returns {Object[]} Stored splits
+   */
+  setRules(userAddress, depositType, splits) {
+    const user = userAddress.toLowerCase();
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.deleteRules(user, depositType);
+
+      const insert = this.db.prepare(`
+        INSERT INTO deposit_rules (user_address, deposit_type, plan_id, percentage_bps, position, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      splits.forEach((split, position) => {
+        insert.run(user, depositType, String(split.planId), split.percentageBps, position, now);
+      });
+    })();
+
+    return this.getRules(user, depositType);
+  }
+
+  /**
+   * Remove a user's splits for one deposit type
+   * @param {string} userAddress - User address
+   * @param {number} depositType - Deposit type
+   * @returns {number} Number of removed splits
+   */
+  deleteRules(userAddress, depositType) {
+    return this.db
+      .prepare('DELETE FROM deposit_rules WHERE user_address = ? AND deposit_type = ?')
+      .run(userAddress.toLowerCase(), depositType).changes;
+  }
+
+  formatSplit(row) {
+    return {
+      planId: row.plan_id,
+      percentageBps: row.percentage_bps
+    };
+  }
+}
+
+DepositRuleStore.DEPOSIT_TYPES = DEPOSIT_TYPES;
+DepositRuleStore.splitDeposit = splitDeposit;
+
+module.exports = DepositRuleStore;
@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+const { getCurrentNetwork, initializeProvider } = require('../config/contracts');
+const {
+  ANVIL_MNEMONIC,
+  ANVIL_ACCOUNT_COUNT,
+  validateDevSignerConfig
+} = require('../config/devSigner');
+const InvestmentTransactionBuilder = require('./investmentTransactionBuilder');
+
+/**
+ * Dev Signer
+ * Signs investments on the local chain with Anvil's deterministic accounts
+ * (derived from its default mnemonic, selected by index), so the
+ * approve + depositAndInvest flow can be exercised without handing the API a
+ * private key. Refuses to run unless NETWORK=localhost and the RPC reports the
+ * localhost chain ID.
+ */
+class DevSigner {
+  constructor(options = {}) {
+    validateDevSignerConfig();
+
+    this.network = getCurrentNetwork();
+    this.provider = options.provider || initializeProvider();
+    this.builder = options.builder || new InvestmentTransactionBuilder(this.provider);
+    this.wallets = Array.from({ length: ANVIL_ACCOUNT_COUNT }, (value, index) =>
+      ethers.HDNodeWallet.fromPhrase(ANVIL_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`).connect(this.provider)
+    );
+  }
+
+  /**
+   * List the dev accounts
+   * @returns {Object[]} { index, address }
+   */
+  listAccounts() {
+    return this.wallets.map((wallet, index) => ({ index, address: wallet.address }));
+  }
+
+  /**
+   * Get the wallet for an account index
+   * @param {number} index - Account index (0-9)
+   * @returns {ethers.HDNodeWallet} Wallet
+   */
+  getWallet(index) {
+    const wallet = this.wallets[index];
+    if (!wallet) {
+      throw new Error(`accountIndex must be between 0 and ${ANVIL_ACCOUNT_COUNT - 1}`);
+    }
+    return wallet;
+  }
+
+  // Guard against an RPC_URL that points somewhere other than the local chain
+  async assertLocalChain() {
+    const { chainId } = await this.provider.getNetwork();
+    if (chainId !== BigInt(this.network.chainId)) {
+      throw new Error(`RPC chain ID ${chainId} is not the localhost chain ID ${this.network.chainId}`);
+    }
+  }
+
+  /**
+   * Approve (if needed) and invest from a dev account
+   * @param {Object} params - { accountIndex, planId, amount }
+   * @returns {Promise<Object>} Account, sent transaction hashes and the investment block
+   */
+  async executeInvestment({ accountIndex, planId, amount }) {
+    const wallet = this.getWallet(accountIndex);
+    await this.assertLocalChain();
+
+    const prepared = await this.builder.prepareInvestment({ userAddress: wallet.address, amount, planId });
+    if (BigInt(prepared.currentBalance) < BigInt(amount)) {
+      throw new Error(`Account ${accountIndex} PYUSD balance ${prepared.currentBalance} is below the amount ${amount}`);
+    }
+
+    const hashes = {};
+    let receipt = null;
+    for (const transaction of prepared.transactions) {
+      const tx = await wallet.sendTransaction({
+        to: transaction.to,
+        data: transaction.data,
+        ...(transaction.value ? { value: transaction.value } : {})
+      });
+      receipt = await tx.wait();
+      hashes[transaction.type] = tx.hash;
+    }
+
+    return {
+      accountIndex,
+      userAddress: wallet.address,
+      planId: String(planId),
+      amount: String(amount),
+      approvalTransactionHash: hashes.approval || null,
+      investmentTransactionHash: hashes.investment,
+      blockNumber: receipt.blockNumber
+    };
+  }
+}
+
+module.exports = DevSigner;
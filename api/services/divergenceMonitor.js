@@ -0,0 +1,259 @@
+const HermesPriceProvider = require('./hermesPriceProvider');
+const OnChainPriceProvider = require('./onChainPriceProvider');
+const { createNotifier } = require('./alertNotifier');
+const { getPriceFeedId } = require('../config/priceFeeds');
+const { requireLivePrices } = require('../config/priceMode');
+const { getNetworkTokenSymbols, parseAssetThresholds } = require('../config/assetThresholds');
+const PollLoop = require('./pollLoop');
+
+// Breach types reported per asset
+const BREACHES = {
+  DIVERGENCE: 'divergence',
+  STALENESS: 'staleness',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Alerts kept in memory for the divergence endpoint
+const MAX_RECENT_ALERTS = 50;
+
+/**
+ * Parse DIVERGENCE_MONITOR_FEEDS (comma-separated SYMBOL[:maxDivergencePercent[:maxStalenessSeconds]]).
+ * Without a value, every network token with an address and a price feed is monitored.
+ * @param {string} value - e.g. "WETH:0.5:600,WBTC"
+ * @returns {Object[]} Feeds with symbol, maxDivergencePercent and maxStalenessSeconds
+ */
+const parseMonitorConfig = (value) => {
+  const feeds = parseAssetThresholds(value, [
+    { name: 'maxDivergencePercent', parse: parseFloat, defaultValue: parseFloat(process.env.DIVERGENCE_MAX_PERCENT) || 1 },
+    { name: 'maxStalenessSeconds', parse: parseInt, defaultValue: parseInt(process.env.DIVERGENCE_MAX_STALENESS_SECONDS) || 3600 }
+  ], () => getNetworkTokenSymbols(getPriceFeedId));
+
+  for (const { symbol } of feeds) {
+    if (!getPriceFeedId(symbol)) {
+      throw new Error(`Unsupported divergence monitor feed: ${symbol}`);
+    }
+  }
+  return feeds;
+};
+
+/**
+ * Divergence Monitor
+ * Compares the Hermes (market) price of each monitored asset with the price
+ * stored in the Pyth contract, which is what the engine reads while swapping.
+ * Each check records the divergence between the two prices and the staleness
+ * gap (how far the on-chain publish time trails Hermes). An asset breaches when
+ * either exceeds its threshold or one side has no price. The notifier is
+ * called when a breach starts or changes, every DIVERGENCE_ALERT_REPEAT_SECONDS
+ * while it lasts, and once more when it resolves.
+ */
+class DivergenceMonitor {
+  constructor(options = {}) {
+    this.hermes = options.hermes || new HermesPriceProvider();
+    this.onChain = options.onChain || new OnChainPriceProvider(options);
+    this.notifier = options.notifier || createNotifier(process.env.ALERT_NOTIFIERS || 'console');
+    this.feeds = options.feeds || parseMonitorConfig(process.env.DIVERGENCE_MONITOR_FEEDS);
+
+    this.interval = parseInt(process.env.DIVERGENCE_MONITOR_INTERVAL_MS) || 60000;
+    this.alertRepeatSeconds = parseInt(process.env.DIVERGENCE_ALERT_REPEAT_SECONDS) || 3600;
+
+    this.loop = new PollLoop(() => this.checkOnce(), this.interval);
+    this.checking = false;
+    this.lastCheck = null;
+    this.lastError = null;
+    this.readings = [];
+    this.breaches = new Map();
+    this.recentAlerts = [];
+  }
+
+  /**
+   * Start the monitor loop
+   */
+  start() {
+    requireLivePrices('The divergence monitor');
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log(`✅ Divergence monitor started (${this.feeds.length} feeds)`);
+  }
+
+  /**
+   * Stop the monitor loop
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Measure one feed
+   * @param {Object} feed - Monitored feed with thresholds
+   * @param {Object|null} hermes - Hermes price or null
+   * @param {Object|null} onChain - On-chain price or null
+   * @param {number} now - Current unix time in seconds
+   * @returns {Object} Reading
+   */
+  measure(feed, hermes, onChain, now) {
+    const reading = {
+      symbol: feed.symbol,
+      hermesPrice: hermes ? hermes.formattedPrice : null,
+      hermesPublishTime: hermes ? hermes.publishTime : null,
+      onChainPrice: onChain ? onChain.formattedPrice : null,
+      onChainPublishTime: onChain ? onChain.publishTime : null,
+      onChainAgeSeconds: onChain ? now - onChain.publishTime : null,
+      divergencePercent: null,
+      stalenessGapSeconds: null,
+      thresholds: {
+        maxDivergencePercent: feed.maxDivergencePercent,
+        maxStalenessSeconds: feed.maxStalenessSeconds
+      },
+      breaches: []
+    };
+
+    if (!hermes || !onChain) {
+      reading.breaches.push(BREACHES.UNAVAILABLE);
+      return reading;
+    }
+
+    reading.divergencePercent = hermes.formattedPrice > 0
+      ? Math.abs(onChain.formattedPrice - hermes.formattedPrice) / hermes.formattedPrice * 100
+      : 0;
+    reading.stalenessGapSeconds = Math.max(hermes.publishTime - onChain.publishTime, 0);
+
+    if (reading.divergencePercent > feed.maxDivergencePercent) {
+      reading.breaches.push(BREACHES.DIVERGENCE);
+    }
+    if (reading.stalenessGapSeconds > feed.maxStalenessSeconds) {
+      reading.breaches.push(BREACHES.STALENESS);
+    }
+    return reading;
+  }
+
+  /**
+   * Compare Hermes and on-chain prices for every monitored feed and raise alerts
+   * @param {Object} options - { alert: false to only measure, leaving alerting to the monitor loop }
+   * @returns {Promise<Object[]|null>} Readings, or null if a check is already running
+   */
+  async checkOnce({ alert = true } = {}) {
+    if (this.checking) {
+      return null;
+    }
+
+    this.checking = true;
+    try {
+      const symbols = this.feeds.map((feed) => feed.symbol);
+      const [hermesResult, onChainResult] = await Promise.allSettled([
+        this.hermes.getPrices(symbols),
+        this.onChain.getPrices(symbols)
+      ]);
+      const now = Math.floor(Date.now() / 1000);
+
+      const hermesPrices = hermesResult.status === 'fulfilled' ? hermesResult.value : {};
+      const onChainPrices = onChainResult.status === 'fulfilled' ? onChainResult.value : {};
+      const errors = [hermesResult, onChainResult]
+        .filter((result) => result.status === 'rejected')
+        .map((result) => result.reason.message);
+
+      this.readings = this.feeds.map((feed) =>
+        this.measure(feed, hermesPrices[feed.symbol] || null, onChainPrices[feed.symbol] || null, now)
+      );
+      this.lastCheck = new Date(now * 1000).toISOString();
+      this.lastError = errors.length > 0 ? errors.join('; ') : null;
+
+      if (alert) {
+        for (const reading of this.readings) {
+          await this.evaluateAlert(reading, now);
+        }
+      }
+      return this.readings;
+    } catch (error) {
+      console.error('❌ Divergence check failed:', error.message);
+      this.lastError = error.message;
+      return null;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Raise, repeat or resolve the alert for one reading
+   * @param {Object} reading - Reading from measure()
+   * @param {number} now - Current unix time in seconds
+   */
+  async evaluateAlert(reading, now) {
+    const previous = this.breaches.get(reading.symbol);
+    const key = reading.breaches.join(',');
+
+    if (reading.breaches.length === 0) {
+      if (previous) {
+        this.breaches.delete(reading.symbol);
+        await this.sendAlert('resolved', reading, now, previous.since);
+      }
+      return;
+    }
+
+    const changed = !previous || previous.key !== key;
+    const due = previous && now - previous.lastAlertAt >= this.alertRepeatSeconds;
+    if (!changed && !due) {
+      return;
+    }
+
+    const since = previous ? previous.since : now;
+    this.breaches.set(reading.symbol, { key, since, lastAlertAt: now });
+    await this.sendAlert('critical', reading, now, since);
+  }
+
+  async sendAlert(severity, reading, now, since) {
+    const details = reading.breaches.length > 0
+      ? reading.breaches.map((breach) => {
+        if (breach === BREACHES.DIVERGENCE) {
+          return `diverges ${reading.divergencePercent.toFixed(3)}% (max ${reading.thresholds.maxDivergencePercent}%)`;
+        }
+        if (breach === BREACHES.STALENESS) {
+          return `on-chain price trails Hermes by ${reading.stalenessGapSeconds}s (max ${reading.thresholds.maxStalenessSeconds}s)`;
+        }
+        return 'price unavailable from Hermes or on-chain';
+      }).join('; ')
+      : 'back within thresholds';
+
+    const alert = {
+      type: 'oracle_divergence',
+      severity,
+      symbol: reading.symbol,
+      breaches: reading.breaches,
+      message: `${reading.symbol} ${details}`,
+      since: new Date(since * 1000).toISOString(),
+      timestamp: new Date(now * 1000).toISOString(),
+      reading
+    };
+
+    this.recentAlerts.unshift(alert);
+    this.recentAlerts.length = Math.min(this.recentAlerts.length, MAX_RECENT_ALERTS);
+
+    try {
+      await this.notifier.notify(alert);
+    } catch (error) {
+      console.error('❌ Failed to deliver divergence alert:', error.message);
+    }
+  }
+
+  /**
+   * Monitor status for health reporting
+   * @returns {Object} Monitor status
+   */
+  getStatus() {
+    return {
+      running: this.loop.running,
+      interval: this.interval,
+      feeds: this.feeds.map((feed) => feed.symbol),
+      notifiers: this.notifier.names || [],
+      breachingFeeds: [...this.breaches.keys()],
+      lastCheck: this.lastCheck,
+      lastError: this.lastError
+    };
+  }
+}
+
+DivergenceMonitor.BREACHES = BREACHES;
+DivergenceMonitor.parseMonitorConfig = parseMonitorConfig;
+
+module.exports = DivergenceMonitor;
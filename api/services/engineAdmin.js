@@ -0,0 +1,291 @@
+const { ethers } = require('ethers');
+const {
+  getCurrentNetwork,
+  initializeProvider,
+  createInvestmentEngineContract,
+  createPlanManagerContract
+} = require('../config/contracts');
+const { ADMIN_ROLES, hasAdminRole } = require('../config/adminRoles');
+const AdminAuditStore = require('./adminAuditStore');
+const AdminTxManager = require('./adminTxManager');
+const TransactionSimulator = require('./transactionSimulator');
+
+const { AUDIT_STATUS } = AdminAuditStore;
+const { SIMULATION_STATUS } = TransactionSimulator;
+
+// Plan allocations as returned by PlanManager.getPlan
+const formatAllocations = (allocations) =>
+  allocations.map((allocation) => ({
+    assetClass: Number(allocation.assetClass),
+    tokenAddress: allocation.tokenAddress,
+    targetPercentage: allocation.targetPercentage,
+    minPercentage: allocation.minPercentage,
+    maxPercentage: allocation.maxPercentage
+  }));
+
+/**
+ * Owner-only calls exposed through the admin API: engine setters, and plan
+ * creation and updates on the PlanManager (contract: 'planManager'). params
+ * name the request body fields in call order; read returns the value the call
+ * changes, so the audit log can show it before and after.
+ */
+const ADMIN_ACTIONS = {
+  setSlippage: {
+    roles: [ADMIN_ROLES.RISK],
+    params: [{ name: 'slippage', type: 'uint256' }], // basis points, the engine caps it at 2000
+    read: (engine) => engine.slippage()
+  },
+  setPriceFeedId: {
+    roles: [ADMIN_ROLES.RISK],
+    params: [{ name: 'token', type: 'address' }, { name: 'priceId', type: 'bytes32' }],
+    read: (engine, [token]) => engine.priceFeedIds(token)
+  },
+  setEntropyEnabled: {
+    roles: [ADMIN_ROLES.OPERATOR],
+    params: [{ name: 'enabled', type: 'bool' }],
+    read: (engine) => engine.entropyEnabled()
+  },
+  setExecutionBatchSize: {
+    roles: [ADMIN_ROLES.OPERATOR],
+    params: [{ name: 'batchSize', type: 'uint256' }],
+    read: (engine) => engine.executionBatchSize()
+  },
+  setMaxQueueSize: {
+    roles: [ADMIN_ROLES.OPERATOR],
+    params: [{ name: 'maxSize', type: 'uint256' }],
+    read: (engine) => engine.maxQueueSize()
+  },
+  setRouter: {
+    roles: [ADMIN_ROLES.SUPERADMIN],
+    params: [{ name: 'router', type: 'address' }],
+    read: (engine) => engine.router()
+  },
+  setPlanManager: {
+    roles: [ADMIN_ROLES.SUPERADMIN],
+    params: [{ name: 'planManager', type: 'address' }],
+    read: (engine) => engine.planManager()
+  },
+  rescueTokens: {
+    roles: [ADMIN_ROLES.SUPERADMIN],
+    params: [{ name: 'token', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    read: null
+  },
+  createPlan: {
+    contract: 'planManager',
+    roles: [ADMIN_ROLES.SUPERADMIN],
+    params: [
+      { name: 'planType', type: 'uint8' },
+      { name: 'name', type: 'string' },
+      { name: 'allocations', type: 'allocation[]' }
+    ],
+    read: (planManager) => planManager.getTotalPlans()
+  },
+  updatePlan: {
+    contract: 'planManager',
+    roles: [ADMIN_ROLES.SUPERADMIN],
+    params: [{ name: 'planId', type: 'uint256' }, { name: 'allocations', type: 'allocation[]' }],
+    read: async (planManager, [planId]) => formatAllocations((await planManager.getPlan(planId)).allocations)
+  }
+};
+
+// Fields of a PlanManager AssetAllocation, in struct order
+const ALLOCATION_FIELDS = [
+  { name: 'assetClass', type: 'uint8' },
+  { name: 'tokenAddress', type: 'address' },
+  { name: 'targetPercentage', type: 'uint256' },
+  { name: 'minPercentage', type: 'uint256' },
+  { name: 'maxPercentage', type: 'uint256' }
+];
+
+// Parse one body field into the value passed to the contract; returns undefined if it is malformed
+const PARAM_PARSERS = {
+  address: (value) => (typeof value === 'string' && ethers.isAddress(value) ? ethers.getAddress(value.toLowerCase()) : undefined),
+  uint256: (value) => (/^\d+$/.test(String(value)) && (typeof value === 'string' || Number.isSafeInteger(value)) ? BigInt(value) : undefined),
+  bytes32: (value) => (typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value) ? value.toLowerCase() : undefined),
+  bool: (value) => (typeof value === 'boolean' ? value : undefined),
+  uint8: (value) => (/^\d+$/.test(String(value)) && (typeof value === 'string' || Number.isSafeInteger(value)) && Number(value) <= 255 ? Number(value) : undefined),
+  string: (value) => (typeof value === 'string' && value.trim().length > 0 ? value : undefined),
+  'allocation[]': (value) => {
+    if (!Array.isArray(value) || value.length === 0 || value.some((entry) => !entry || typeof entry !== 'object')) {
+      return undefined;
+    }
+    const allocations = value.map((entry) =>
+      Object.fromEntries(ALLOCATION_FIELDS.map(({ name, type }) => [name, PARAM_PARSERS[type](entry[name])]))
+    );
+    return allocations.every((allocation) => Object.values(allocation).every((field) => field !== undefined))
+      ? allocations
+      : undefined;
+  }
+};
+
+/**
+ * Engine Admin
+ * Runs the engine's and PlanManager's onlyOwner calls for the admin API.
+ * Every call is checked against the caller's roles, simulated with eth_call
+ * and eth_estimateGas from the sending address (the ADMIN_PRIVATE_KEY wallet,
+ * or the contract owner for dry runs without one), and only queued on the
+ * admin transaction manager if the simulation succeeds. Every call, whatever
+ * its outcome, is appended to the admin audit log.
+ */
+class EngineAdmin {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.planManager = options.planManager ||
+      (getCurrentNetwork().contracts.PLAN_MANAGER ? createPlanManagerContract(this.provider) : null);
+    this.simulator = options.simulator || new TransactionSimulator({ provider: this.provider });
+    this.auditStore = options.auditStore || new AdminAuditStore();
+
+    // Live calls share the admin wallet's queue, so they never race other admin transactions for a nonce
+    const privateKey = process.env.ADMIN_PRIVATE_KEY;
+    this.txManager = options.txManager || new AdminTxManager({
+      provider: this.provider,
+      signer: options.signer || (privateKey ? new ethers.Wallet(privateKey, this.provider) : null)
+    });
+    this.signer = this.txManager.signer;
+  }
+
+  /**
+   * Describe the available actions
+   * @param {string[]} roles - Caller's roles
+   * @returns {Object[]} Actions with their roles, params and whether the caller may run them
+   */
+  listActions(roles) {
+    return Object.entries(ADMIN_ACTIONS).map(([action, definition]) => ({
+      action,
+      roles: definition.roles,
+      params: definition.params,
+      allowed: hasAdminRole(roles, definition.roles)
+    }));
+  }
+
+  /**
+   * Parse request params into contract arguments
+   * @param {Object} definition - Entry of ADMIN_ACTIONS
+   * @param {Object} params - Request params keyed by name
+   * @returns {Object} { args, errors }
+   */
+  parseParams(definition, params = {}) {
+    const args = [];
+    const errors = [];
+
+    for (const { name, type } of definition.params) {
+      const value = PARAM_PARSERS[type](params[name]);
+      if (value === undefined) {
+        errors.push(`${name} is not a valid ${type}`);
+      }
+      args.push(value);
+    }
+
+    return { args, errors };
+  }
+
+  // Read the value an action changes; null if it has no getter or the read fails
+  async readValue(definition, contract, args) {
+    if (!definition.read) {
+      return null;
+    }
+    try {
+      return await definition.read(contract, args);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check the caller's role for an action and encode the call
+   * @param {Object} request - { action, params, roles }
+   * @returns {Object} { definition, args, contract, to, data }, or { status, error } if the call cannot be made
+   */
+  prepare({ action, params, roles }) {
+    const definition = Object.prototype.hasOwnProperty.call(ADMIN_ACTIONS, action) ? ADMIN_ACTIONS[action] : null;
+
+    if (!definition) {
+      return { status: AUDIT_STATUS.INVALID, error: `Unknown admin action: ${action}` };
+    }
+    if (!hasAdminRole(roles, definition.roles)) {
+      return {
+        status: AUDIT_STATUS.DENIED,
+        error: `${action} requires one of the roles: ${[...new Set([...definition.roles, ADMIN_ROLES.SUPERADMIN])].join(', ')}`
+      };
+    }
+
+    const { args, errors } = this.parseParams(definition, params);
+    if (errors.length > 0) {
+      return { status: AUDIT_STATUS.INVALID, error: errors.join('; ') };
+    }
+
+    const contract = definition.contract === 'planManager' ? this.planManager : this.investmentEngine;
+    if (!contract) {
+      return { status: AUDIT_STATUS.FAILED, error: 'PlanManager address not configured for this network' };
+    }
+
+    return {
+      definition,
+      args,
+      contract,
+      to: contract.target,
+      data: contract.interface.encodeFunctionData(action, args)
+    };
+  }
+
+  /**
+   * Run an admin action; live calls are queued, so the entry carries the txJobId to follow
+   * @param {Object} request - { action, params, dryRun, actor, roles }
+   * @returns {Promise<Object>} Audit entry for the call
+   */
+  async execute({ action, params, dryRun = false, actor, roles }) {
+    const entry = { action, params, actor, roles, dryRun };
+    const call = this.prepare({ action, params, roles });
+
+    if (call.error) {
+      return this.auditStore.record({ ...entry, status: call.status, error: call.error });
+    }
+    if (!dryRun && !this.signer) {
+      return this.auditStore.record({
+        ...entry,
+        status: AUDIT_STATUS.FAILED,
+        error: 'ADMIN_PRIVATE_KEY not configured; run a dry run or set the engine owner key'
+      });
+    }
+
+    let from;
+    try {
+      from = this.signer ? this.signer.address : await call.contract.owner();
+    } catch (error) {
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.FAILED, error: `Could not read the contract owner: ${error.message}` });
+    }
+
+    const transaction = { from, to: call.to, data: call.data };
+    Object.assign(entry, transaction, { previousValue: await this.readValue(call.definition, call.contract, call.args) });
+
+    const result = await this.simulator.simulateCall(transaction, null);
+    entry.simulation = {
+      status: result.status,
+      gasEstimate: result.gasEstimate === null ? null : result.gasEstimate.toString(),
+      revert: result.revert,
+      error: result.error
+    };
+
+    if (result.status === SIMULATION_STATUS.REVERTED) {
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.REVERTED, error: `Simulation reverted: ${result.revert.reason}` });
+    }
+    if (result.status === SIMULATION_STATUS.UNAVAILABLE) {
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.FAILED, error: `Simulation unavailable: ${result.error}` });
+    }
+    if (dryRun) {
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.SIMULATED });
+    }
+
+    try {
+      const job = await this.txManager.enqueue({ to: transaction.to, data: transaction.data, label: action });
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.QUEUED, txJobId: job.jobId });
+    } catch (error) {
+      return this.auditStore.record({ ...entry, status: AUDIT_STATUS.FAILED, error: error.shortMessage || error.message });
+    }
+  }
+}
+
+EngineAdmin.ADMIN_ACTIONS = ADMIN_ACTIONS;
+
+module.exports = EngineAdmin;
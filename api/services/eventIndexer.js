@@ -0,0 +1,265 @@
+const {
+  initializeProvider,
+  createInvestmentEngineContract,
+  createPlanManagerContract
+} = require('../config/contracts');
+const EventStore = require('./eventStore');
+const BlockCache = require('./blockCache');
+const PollLoop = require('./pollLoop');
+
+// Events ingested per contract
+const INDEXED_EVENTS = {
+  investmentEngine: [
+    'InvestmentExecuted',
+    'TokenSwapped',
+    'InvestmentQueued',
+    'QueuedInvestmentExecuted',
+    'BatchExecutionStarted'
+  ],
+  planManager: ['PlanCreated', 'PlanUpdated']
+};
+
+/**
+ * Convert ethers event values into JSON-safe values
+ * @param {*} value - Decoded event argument
+ * @returns {*} Serializable value
+ */
+const serializeValue = (value) => {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+  return value;
+};
+
+/**
+ * Event Indexer
+ * Polls InvestmentEngineV3 and PlanManager logs in block ranges, stores them
+ * in the EventStore and checkpoints progress so restarts resume where they left off.
+ * Block hashes of indexed blocks are tracked until they are `confirmations` deep;
+ * if a tracked hash no longer matches the chain, everything above the common
+ * ancestor is rolled back and re-ingested.
+ */
+class EventIndexer {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.store = options.store || new EventStore();
+    this.blockCache = options.blockCache || new BlockCache(this.provider);
+
+    this.sources = [
+      {
+        name: 'investmentEngine',
+        contract: options.investmentEngine || createInvestmentEngineContract(this.provider),
+        events: INDEXED_EVENTS.investmentEngine
+      },
+      {
+        name: 'planManager',
+        contract: options.planManager || createPlanManagerContract(this.provider),
+        events: INDEXED_EVENTS.planManager
+      }
+    ];
+
+    this.startBlock = parseInt(process.env.INDEXER_START_BLOCK) || 0;
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+    this.confirmations = process.env.INDEXER_CONFIRMATIONS !== undefined
+      ? parseInt(process.env.INDEXER_CONFIRMATIONS)
+      : 12;
+
+    this.loop = new PollLoop(() => this.syncOnce(), this.pollInterval);
+    this.syncing = false;
+    this.lastSyncAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling for new events
+   */
+  start() {
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log('✅ Event indexer started');
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Index every source up to the current chain head
+   * @returns {Promise<void>}
+   */
+  async syncOnce() {
+    if (this.syncing) {
+      return;
+    }
+
+    this.syncing = true;
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+
+      await this.checkForReorg();
+
+      for (const source of this.sources) {
+        await this.syncSource(source, latestBlock);
+      }
+
+      const finalizedBlock = Math.max(latestBlock - this.confirmations, 0);
+      this.store.setChainHead(latestBlock, finalizedBlock);
+      this.store.pruneTrackedBlocks(finalizedBlock);
+
+      this.lastSyncAt = new Date().toISOString();
+      this.lastError = null;
+    } catch (error) {
+      console.error('❌ Event indexer sync failed:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Compare tracked block hashes (newest first) with the canonical chain and
+   * roll back to the newest block that still matches
+   * @returns {Promise<Object|null>} Reorg details, or null if the chain is consistent
+   */
+  async checkForReorg() {
+    const trackedBlocks = this.store.getTrackedBlocks();
+    let orphaned = null;
+    let commonAncestor = null;
+
+    for (const tracked of trackedBlocks) {
+      const block = await this.provider.getBlock(tracked.blockNumber);
+      if (block && block.hash === tracked.blockHash) {
+        commonAncestor = tracked.blockNumber;
+        break;
+      }
+      orphaned = tracked;
+    }
+
+    if (!orphaned) {
+      return null;
+    }
+
+    // Nothing tracked survived: rewind to just below the oldest tracked block
+    if (commonAncestor === null) {
+      commonAncestor = Math.max(orphaned.blockNumber - 1, 0);
+      console.warn(`⚠️ Reorg deeper than tracked history, rewinding to block ${commonAncestor}`);
+    }
+
+    const removedEvents = this.store.rollbackTo(commonAncestor, orphaned);
+    console.warn(`⚠️ Chain reorg detected above block ${commonAncestor}, removed ${removedEvents} events for re-ingestion`);
+
+    return {
+      commonAncestor,
+      orphanedBlock: orphaned.blockNumber,
+      removedEvents
+    };
+  }
+
+  /**
+   * Index one contract from its checkpoint up to a block
+   * @param {Object} source - Contract source definition
+   * @param {number} latestBlock - Block to index up to
+   */
+  async syncSource(source, latestBlock) {
+    const address = await source.contract.getAddress();
+    const checkpoint = this.store.getCheckpoint(address);
+    let fromBlock = checkpoint === null ? this.startBlock : checkpoint + 1;
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, latestBlock);
+      const logs = await source.contract.queryFilter('*', fromBlock, toBlock);
+      const relevantLogs = logs.filter((log) => log.eventName && source.events.includes(log.eventName));
+      const batchEnd = await this.provider.getBlock(toBlock);
+      if (!batchEnd) {
+        throw new Error(`Block ${toBlock} not available yet`);
+      }
+
+      const blocks = await this.getLogBlocks(relevantLogs);
+      const events = relevantLogs.map((log) => this.normalizeEvent(address, log, blocks));
+
+      // Track the hash of every block we took events from, plus the batch end as an anchor
+      const trackedBlocks = [
+        ...events.map((event) => ({ number: event.blockNumber, hash: event.blockHash })),
+        { number: batchEnd.number, hash: batchEnd.hash, parentHash: batchEnd.parentHash }
+      ];
+      this.store.saveBatch(address, events, toBlock, trackedBlocks);
+
+      if (events.length > 0) {
+        console.log(`Indexed ${events.length} ${source.name} events in blocks ${fromBlock}-${toBlock}`);
+      }
+
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Resolve the blocks referenced by a set of logs through the block cache
+   * @param {Object[]} logs - Event logs
+   * @returns {Promise<Map<string, Object>>} Block hash to cached header
+   */
+  async getLogBlocks(logs) {
+    const blockHashes = [...new Set(logs.map((log) => log.blockHash))];
+    const blocks = await Promise.all(blockHashes.map((blockHash) => this.blockCache.getBlock(blockHash)));
+
+    return new Map(blocks.filter(Boolean).map((block) => [block.hash, block]));
+  }
+
+  /**
+   * Flatten a decoded log into a store record
+   * @param {string} contractAddress - Emitting contract
+   * @param {ethers.EventLog} log - Decoded event log
+   * @param {Map<string, Object>} blocks - Block headers by hash
+   * @returns {Object} Normalized event
+   */
+  normalizeEvent(contractAddress, log, blocks) {
+    const args = Object.fromEntries(
+      log.fragment.inputs.map((input, index) => [input.name, serializeValue(log.args[index])])
+    );
+
+    return {
+      contractAddress,
+      eventName: log.eventName,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp: blocks.get(log.blockHash.toLowerCase())?.timestamp ?? null,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      userAddress: args.user || null,
+      planId: args.planId ?? null,
+      investmentId: args.investmentId ?? null,
+      queueId: args.queueId ?? null,
+      amount: args.amount ?? null,
+      args
+    };
+  }
+
+  /**
+   * Indexer status for health reporting
+   * @returns {Object} Indexer status
+   */
+  getStatus() {
+    return {
+      running: this.loop.running,
+      syncing: this.syncing,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+      confirmations: this.confirmations,
+      ...this.store.getChainHead(),
+      recentReorgs: this.store.getRecentReorgs(5),
+      checkpoints: this.store.getCheckpoints()
+    };
+  }
+}
+
+EventIndexer.INDEXED_EVENTS = INDEXED_EVENTS;
+
+module.exports = EventIndexer;
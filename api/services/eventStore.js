@@ -0,0 +1,453 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE indexer_checkpoints (
+    name TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE chain_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contract_address TEXT NOT NULL,
+    event_name TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_timestamp INTEGER,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    user_address TEXT,
+    plan_id TEXT,
+    investment_id TEXT,
+    queue_id TEXT,
+    amount TEXT,
+    args TEXT NOT NULL,
+    UNIQUE (transaction_hash, log_index)
+  );
+
+  CREATE INDEX idx_chain_events_name_block ON chain_events (event_name, block_number, log_index);
+  CREATE INDEX idx_chain_events_user ON chain_events (user_address, event_name);
+  CREATE INDEX idx_chain_events_plan ON chain_events (plan_id);
+  `,
+  `
+  ALTER TABLE chain_events ADD COLUMN block_hash TEXT;
+
+  CREATE TABLE indexed_blocks (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL,
+    parent_hash TEXT
+  );
+
+  CREATE TABLE indexer_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE chain_reorgs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    detected_at TEXT NOT NULL,
+    common_ancestor INTEGER NOT NULL,
+    orphaned_block INTEGER NOT NULL,
+    orphaned_hash TEXT NOT NULL,
+    removed_events INTEGER NOT NULL
+  );
+  `,
+  `
+  CREATE INDEX idx_chain_events_time ON chain_events (block_timestamp);
+  `
+];
+
+/**
+ * Encode a keyset position as an opaque pagination cursor
+ * @param {Object} position - { blockNumber, logIndex, order }
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = ({ blockNumber, logIndex, order }) =>
+  Buffer.from(JSON.stringify({ b: blockNumber, l: logIndex, o: order })).toString('base64url');
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { blockNumber, logIndex, order } or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { b, l, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(b) || !Number.isInteger(l) || !['asc', 'desc'].includes(o)) {
+      return null;
+    }
+    return { blockNumber: b, logIndex: l, order: o };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Event Store
+ * Persists contract events ingested by the EventIndexer and serves the
+ * read queries used by the investment, events and stats routes
+ */
+class EventStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'events', MIGRATIONS);
+
+    this.statements = {
+      getCheckpoint: this.db.prepare('SELECT block_number FROM indexer_checkpoints WHERE name = ?'),
+      setCheckpoint: this.db.prepare(`
+        INSERT INTO indexer_checkpoints (name, block_number, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET block_number = excluded.block_number, updated_at = excluded.updated_at
+      `),
+      insertEvent: this.db.prepare(`
+        INSERT OR IGNORE INTO chain_events (
+          contract_address, event_name, block_number, block_hash, block_timestamp, transaction_hash,
+          log_index, user_address, plan_id, investment_id, queue_id, amount, args
+        ) VALUES (
+          @contractAddress, @eventName, @blockNumber, @blockHash, @blockTimestamp, @transactionHash,
+          @logIndex, @userAddress, @planId, @investmentId, @queueId, @amount, @args
+        )
+      `),
+      trackBlock: this.db.prepare(`
+        INSERT INTO indexed_blocks (block_number, block_hash, parent_hash) VALUES (?, ?, ?)
+        ON CONFLICT (block_number) DO UPDATE SET block_hash = excluded.block_hash, parent_hash = excluded.parent_hash
+      `),
+      getState: this.db.prepare('SELECT value FROM indexer_state WHERE key = ?'),
+      setState: this.db.prepare(`
+        INSERT INTO indexer_state (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `)
+    };
+  }
+
+  /**
+   * Get the last fully indexed block for a checkpoint
+   * @param {string} name - Checkpoint name (contract address)
+   * @returns {number|null} Block number or null if never indexed
+   */
+  getCheckpoint(name) {
+    const row = this.statements.getCheckpoint.get(name.toLowerCase());
+    return row ? row.block_number : null;
+  }
+
+  /**
+   * Get all checkpoints
+   * @returns {Object} Checkpoint name to block number
+   */
+  getCheckpoints() {
+    const rows = this.db.prepare('SELECT name, block_number FROM indexer_checkpoints').all();
+    return Object.fromEntries(rows.map((row) => [row.name, row.block_number]));
+  }
+
+  /**
+   * Lowest block that every indexed contract has reached
+   * @returns {number|null} Block number or null if nothing is indexed yet
+   */
+  getIndexedBlock() {
+    const row = this.db.prepare('SELECT MIN(block_number) AS block_number FROM indexer_checkpoints').get();
+    return row.block_number;
+  }
+
+  /**
+   * Save a batch of events and advance the checkpoint atomically
+   * @param {string} checkpointName - Checkpoint name (contract address)
+   * @param {Object[]} events - Normalized events from the indexer
+   * @param {number} toBlock - Last block covered by this batch
+   * @param {Object[]} blocks - Block headers ({ number, hash, parentHash }) to track for reorg detection
+   */
+  saveBatch(checkpointName, events, toBlock, blocks = []) {
+    this.db.transaction(() => {
+      for (const block of blocks) {
+        this.statements.trackBlock.run(block.number, block.hash, block.parentHash || null);
+      }
+      for (const event of events) {
+        this.statements.insertEvent.run({
+          ...event,
+          contractAddress: event.contractAddress.toLowerCase(),
+          userAddress: event.userAddress ? event.userAddress.toLowerCase() : null,
+          args: JSON.stringify(event.args)
+        });
+      }
+      this.statements.setCheckpoint.run(checkpointName.toLowerCase(), toBlock, new Date().toISOString());
+    })();
+  }
+
+  /**
+   * Get tracked block hashes, newest first
+   * @returns {Object[]} Tracked blocks
+   */
+  getTrackedBlocks() {
+    return this.db
+      .prepare('SELECT block_number AS blockNumber, block_hash AS blockHash FROM indexed_blocks ORDER BY block_number DESC')
+      .all();
+  }
+
+  /**
+   * Remove everything indexed above a block and rewind checkpoints so the
+   * orphaned range is re-ingested on the next sync
+   * @param {number} commonAncestor - Last block known to be canonical
+   * @param {Object} orphaned - First tracked block that no longer matches the chain
+   * @returns {number} Number of removed events
+   */
+  rollbackTo(commonAncestor, orphaned) {
+    return this.db.transaction(() => {
+      const { changes } = this.db
+        .prepare('DELETE FROM chain_events WHERE block_number > ?')
+        .run(commonAncestor);
+
+      this.db.prepare('DELETE FROM indexed_blocks WHERE block_number > ?').run(commonAncestor);
+      this.db
+        .prepare('UPDATE indexer_checkpoints SET block_number = ?, updated_at = ? WHERE block_number > ?')
+        .run(commonAncestor, new Date().toISOString(), commonAncestor);
+
+      this.db
+        .prepare(`
+          INSERT INTO chain_reorgs (detected_at, common_ancestor, orphaned_block, orphaned_hash, removed_events)
+          VALUES (?, ?, ?, ?, ?)
+        `)
+        .run(new Date().toISOString(), commonAncestor, orphaned.blockNumber, orphaned.blockHash, changes);
+
+      return changes;
+    })();
+  }
+
+  /**
+   * Drop tracked hashes that are final, keeping the newest final one as an anchor
+   * @param {number} finalizedBlock - Highest finalized block
+   */
+  pruneTrackedBlocks(finalizedBlock) {
+    this.db
+      .prepare(`
+        DELETE FROM indexed_blocks WHERE block_number < (
+          SELECT MAX(block_number) FROM indexed_blocks WHERE block_number <= ?
+        )
+      `)
+      .run(finalizedBlock);
+  }
+
+  /**
+   * Get recent reorgs
+   * @param {number} limit - Maximum rows
+   * @returns {Object[]} Reorg log entries, newest first
+   */
+  getRecentReorgs(limit = 10) {
+    return this.db
+      .prepare(`
+        SELECT detected_at AS detectedAt, common_ancestor AS commonAncestor, orphaned_block AS orphanedBlock,
+          orphaned_hash AS orphanedHash, removed_events AS removedEvents
+        FROM chain_reorgs ORDER BY id DESC LIMIT ?
+      `)
+      .all(limit);
+  }
+
+  /**
+   * Record the chain head and finality boundary seen by the indexer
+   * @param {number} headBlock - Latest chain block
+   * @param {number} finalizedBlock - Highest block with enough confirmations
+   */
+  setChainHead(headBlock, finalizedBlock) {
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.statements.setState.run('headBlock', String(headBlock), now);
+      this.statements.setState.run('finalizedBlock', String(finalizedBlock), now);
+    })();
+  }
+
+  /**
+   * Get the chain head and finality boundary last seen by the indexer
+   * @returns {Object} Head and finalized block numbers (null before the first sync)
+   */
+  getChainHead() {
+    const head = this.statements.getState.get('headBlock');
+    const finalized = this.statements.getState.get('finalizedBlock');
+
+    return {
+      headBlock: head ? Number(head.value) : null,
+      finalizedBlock: finalized ? Number(finalized.value) : null
+    };
+  }
+
+  /**
+   * Get a page of investments for a user
+   * @param {string} userAddress - User address
+   * @param {Object} options - Pagination options
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Page size
+   * @returns {Object} Paginated investments and total count
+   */
+  getUserInvestments(userAddress, { offset = 0, limit = 10 } = {}) {
+    const user = userAddress.toLowerCase();
+
+    const { total } = this.db
+      .prepare(`
+        SELECT COUNT(*) AS total FROM chain_events
+        WHERE event_name = 'InvestmentExecuted' AND user_address = ?
+      `)
+      .get(user);
+
+    const rows = this.db
+      .prepare(`
+        SELECT * FROM chain_events
+        WHERE event_name = 'InvestmentExecuted' AND user_address = ?
+        ORDER BY block_number ASC, log_index ASC
+        LIMIT ? OFFSET ?
+      `)
+      .all(user, limit, offset);
+
+    const chainHead = this.getChainHead();
+
+    return {
+      investments: rows.map((row) => this.formatEvent(row, chainHead)),
+      total
+    };
+  }
+
+  /**
+   * Query events with filters and keyset pagination. Pages are ordered by
+   * (block_number, log_index), so paging with the returned cursor neither
+   * repeats nor skips events even while new blocks are being indexed.
+   * @param {Object} options - Query options
+   * @param {string[]} options.eventNames - Event names to include (all if empty)
+   * @param {string} options.userAddress - Filter by user
+   * @param {string} options.planId - Filter by plan ID
+   * @param {number} options.fromBlock - First block to include
+   * @param {number} options.toBlock - Last block to include
+   * @param {number} options.fromTime - Earliest block timestamp (unix seconds)
+   * @param {number} options.toTime - Latest block timestamp (unix seconds)
+   * @param {Object} options.cursor - Decoded cursor to continue after
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.limit - Page size
+   * @returns {Object} Events, total matching count and the next cursor
+   */
+  queryEvents({
+    eventNames = [],
+    userAddress,
+    planId,
+    fromBlock,
+    toBlock,
+    fromTime,
+    toTime,
+    cursor,
+    order = 'desc',
+    limit = 50
+  } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (eventNames.length > 0) {
+      conditions.push(`event_name IN (${eventNames.map(() => '?').join(', ')})`);
+      params.push(...eventNames);
+    }
+    if (userAddress) {
+      conditions.push('user_address = ?');
+      params.push(userAddress.toLowerCase());
+    }
+    if (planId !== undefined) {
+      conditions.push('plan_id = ?');
+      params.push(String(planId));
+    }
+    if (fromBlock !== undefined) {
+      conditions.push('block_number >= ?');
+      params.push(fromBlock);
+    }
+    if (toBlock !== undefined) {
+      conditions.push('block_number <= ?');
+      params.push(toBlock);
+    }
+    if (fromTime !== undefined) {
+      conditions.push('block_timestamp >= ?');
+      params.push(fromTime);
+    }
+    if (toTime !== undefined) {
+      conditions.push('block_timestamp <= ?');
+      params.push(toTime);
+    }
+
+    const filterSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM chain_events ${filterSql}`)
+      .get(...params);
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    if (cursor) {
+      pageConditions.push(`(block_number, log_index) ${order === 'asc' ? '>' : '<'} (?, ?)`);
+      pageParams.push(cursor.blockNumber, cursor.logIndex);
+    }
+
+    const pageSql = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+    const rows = this.db
+      .prepare(`
+        SELECT * FROM chain_events ${pageSql}
+        ORDER BY block_number ${direction}, log_index ${direction}
+        LIMIT ?
+      `)
+      .all(...pageParams, limit + 1);
+
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    const chainHead = this.getChainHead();
+
+    return {
+      events: pageRows.map((row) => this.formatEvent(row, chainHead)),
+      total,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ blockNumber: last.block_number, logIndex: last.log_index, order })
+        : null
+    };
+  }
+
+  /**
+   * Aggregate investment count and volume
+   * @returns {Object} Indexed investment count and total volume (BigInt)
+   */
+  getInvestmentStats() {
+    const rows = this.db
+      .prepare("SELECT amount FROM chain_events WHERE event_name = 'InvestmentExecuted'")
+      .all();
+
+    const totalVolume = rows.reduce((sum, row) => sum + BigInt(row.amount || 0), BigInt(0));
+
+    return {
+      investmentCount: rows.length,
+      totalVolume
+    };
+  }
+
+  /**
+   * Convert a stored row into an API-friendly event object. Events at or
+   * below the finalized block are "finalized"; newer ones may still be
+   * orphaned by a reorg and are reported as "pending"
+   * @param {Object} row - chain_events row
+   * @param {Object} chainHead - Head/finalized blocks from getChainHead()
+   * @returns {Object} Formatted event
+   */
+  formatEvent(row, chainHead = this.getChainHead()) {
+    const { headBlock, finalizedBlock } = chainHead;
+
+    return {
+      eventName: row.event_name,
+      contractAddress: row.contract_address,
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      logIndex: row.log_index,
+      status: finalizedBlock !== null && row.block_number <= finalizedBlock ? 'finalized' : 'pending',
+      confirmations: headBlock !== null ? Math.max(headBlock - row.block_number + 1, 0) : 0,
+      blockTimestamp: row.block_timestamp,
+      timestamp: row.block_timestamp !== null
+        ? new Date(row.block_timestamp * 1000).toISOString()
+        : null,
+      args: JSON.parse(row.args)
+    };
+  }
+}
+
+EventStore.encodeCursor = encodeCursor;
+EventStore.decodeCursor = decodeCursor;
+
+module.exports = EventStore;
@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const {
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+
+/**
+ * Fair Queue
+ * Reads the InvestmentEngineV3 Entropy queue and estimates when pending
+ * entries will be executed by the batch keeper. Shared by the keeper and
+ * the queue inspection routes so both see the queue the same way.
+ */
+class FairQueue {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+
+    // Keeper thresholds, used both to trigger batches and to estimate execution times
+    this.maxWaitSeconds = parseInt(process.env.KEEPER_MAX_WAIT_SECONDS) || 300;
+    this.pollIntervalSeconds = Math.ceil((parseInt(process.env.KEEPER_POLL_INTERVAL_MS) || 30000) / 1000);
+
+    // Lowest queue ID that may still be pending; everything below has been executed
+    this.nextQueueId = 1;
+  }
+
+  formatEntry(entry) {
+    return {
+      queueId: entry.queueId.toString(),
+      user: entry.user,
+      amount: entry.amount.toString(),
+      planId: entry.planId.toString(),
+      sequenceNumber: entry.sequenceNumber.toString(),
+      timestamp: Number(entry.timestamp),
+      isExecuted: entry.isExecuted
+    };
+  }
+
+  /**
+   * Read queue entries that have not been executed yet
+   * @returns {Promise<Object[]>} Pending entries, oldest first
+   */
+  async getPending() {
+    const queueSize = Number(await this.investmentEngine.getQueueSize());
+    const queueIds = [];
+    for (let queueId = this.nextQueueId; queueId <= queueSize; queueId++) {
+      queueIds.push(queueId);
+    }
+
+    const entries = await Promise.all(
+      queueIds.map((queueId) => this.investmentEngine.getPendingInvestment(queueId))
+    );
+
+    const pending = [];
+    for (const entry of entries) {
+      if (entry.isExecuted || entry.user === ethers.ZeroAddress) {
+        // Skip past the executed prefix on later reads
+        if (pending.length === 0 && Number(entry.queueId) === this.nextQueueId) {
+          this.nextQueueId++;
+        }
+        continue;
+      }
+      pending.push(this.formatEntry(entry));
+    }
+
+    return pending;
+  }
+
+  /**
+   * Get a single queue entry
+   * @param {string|number} queueId - Queue ID
+   * @returns {Promise<Object|null>} Entry, or null if the ID was never queued
+   */
+  async getEntry(queueId) {
+    const [entry, executed] = await Promise.all([
+      this.investmentEngine.getPendingInvestment(queueId),
+      this.investmentEngine.isQueueExecuted(queueId)
+    ]);
+
+    if (entry.user === ethers.ZeroAddress) {
+      return null;
+    }
+
+    return {
+      ...this.formatEntry(entry),
+      isExecuted: entry.isExecuted || executed
+    };
+  }
+
+  /**
+   * Estimate when each pending entry will be executed. The keeper executes the
+   * oldest executionBatchSize entries per poll once a full batch is pending or
+   * the oldest entry has waited maxWaitSeconds.
+   * @param {Object[]} pending - Pending entries, oldest first
+   * @param {number} batchSize - Contract executionBatchSize
+   * @param {number} now - Current block timestamp
+   * @returns {Object[]} Entries with estimatedBatch and estimatedExecutionTime (unix seconds)
+   */
+  estimateExecution(pending, batchSize, now) {
+    let readyAt = now;
+
+    return pending.map((entry, position) => {
+      const batch = Math.floor(position / batchSize);
+      const batchStart = batch * batchSize;
+
+      if (position === batchStart) {
+        const fullBatch = pending.length - batchStart >= batchSize;
+        const dueAt = fullBatch ? now : pending[batchStart].timestamp + this.maxWaitSeconds;
+        readyAt = Math.max(dueAt, now + batch * this.pollIntervalSeconds);
+      }
+
+      return {
+        ...entry,
+        estimatedBatch: batch,
+        estimatedExecutionTime: readyAt + this.pollIntervalSeconds
+      };
+    });
+  }
+
+  /**
+   * Read the queue state with execution estimates
+   * @returns {Promise<Object>} Queue snapshot
+   */
+  async getSnapshot() {
+    const [entropyEnabled, queueSize, batchSize, maxQueueSize, block] = await Promise.all([
+      this.investmentEngine.entropyEnabled(),
+      this.investmentEngine.getQueueSize(),
+      this.investmentEngine.executionBatchSize(),
+      this.investmentEngine.maxQueueSize(),
+      this.provider.getBlock('latest')
+    ]);
+
+    const pending = await this.getPending();
+
+    return {
+      entropyEnabled,
+      totalQueued: Number(queueSize),
+      pendingCount: pending.length,
+      executionBatchSize: Number(batchSize),
+      maxQueueSize: Number(maxQueueSize),
+      maxWaitSeconds: this.maxWaitSeconds,
+      blockTimestamp: block.timestamp,
+      oldestWaitSeconds: pending.length > 0 ? block.timestamp - pending[0].timestamp : 0,
+      pending: this.estimateExecution(pending, Number(batchSize), block.timestamp)
+    };
+  }
+}
+
+module.exports = FairQueue;
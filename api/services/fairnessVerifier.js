@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+const {
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+const EventStore = require('./eventStore');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Recompute InvestmentEngineV3._generateRandomOrder: a Fisher-Yates shuffle where
+ * j = uint256(keccak256(abi.encode(randomSeed, i))) % (i + 1) for i = n-1 down to 1
+ * @param {Array<string|bigint>} queueIds - Queue IDs in the order they were submitted
+ * @param {string|bigint} randomSeed - Seed emitted in BatchExecutionStarted
+ * @returns {Object} { order, swaps } with the permutation and every (i, j) swap
+ */
+const generateRandomOrder = (queueIds, randomSeed) => {
+  const order = queueIds.map((queueId) => queueId.toString());
+  const swaps = [];
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const hash = ethers.keccak256(abiCoder.encode(['uint256', 'uint256'], [randomSeed, i]));
+    const j = Number(BigInt(hash) % BigInt(i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+    swaps.push({ i, j });
+  }
+
+  return { order, swaps };
+};
+
+/**
+ * Fairness Verifier
+ * Rebuilds the execution order of an Entropy batch from its random seed and
+ * compares it with the order the contract actually executed. The submitted
+ * queue IDs come from the transaction calldata and the executed order from
+ * the QueuedInvestmentExecuted logs, so the proof depends only on chain data.
+ */
+class FairnessVerifier {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.eventStore = options.eventStore || new EventStore();
+  }
+
+  /**
+   * Find the transactions that started a batch (batchId is the block timestamp,
+   * so several transactions in one block share it)
+   * @param {string} batchId - Batch ID
+   * @returns {string[]} Transaction hashes
+   */
+  findBatchTransactions(batchId) {
+    const timestamp = Number(batchId);
+    const { events } = this.eventStore.queryEvents({
+      eventNames: ['BatchExecutionStarted'],
+      fromTime: timestamp,
+      toTime: timestamp,
+      order: 'asc',
+      limit: 100
+    });
+
+    return events
+      .filter((event) => event.args.batchId === batchId.toString())
+      .map((event) => event.transactionHash);
+  }
+
+  /**
+   * Build the proof report for one batch transaction
+   * @param {string} transactionHash - executeQueuedInvestments transaction
+   * @returns {Promise<Object|null>} Proof report, or null if the transaction holds no batch
+   */
+  async verifyTransaction(transactionHash) {
+    const [tx, receipt] = await Promise.all([
+      this.provider.getTransaction(transactionHash),
+      this.provider.getTransactionReceipt(transactionHash)
+    ]);
+
+    if (!tx || !receipt) {
+      return null;
+    }
+
+    const engineAddress = (await this.investmentEngine.getAddress()).toLowerCase();
+    let started = null;
+    const executed = [];
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== engineAddress) {
+        continue;
+      }
+      const parsed = this.investmentEngine.interface.parseLog(log);
+      if (parsed && parsed.name === 'BatchExecutionStarted') {
+        started = parsed.args;
+      } else if (parsed && parsed.name === 'QueuedInvestmentExecuted') {
+        executed.push({
+          executionOrder: Number(parsed.args.executionOrder),
+          queueId: parsed.args.queueId.toString(),
+          investmentId: parsed.args.investmentId.toString(),
+          user: parsed.args.user
+        });
+      }
+    }
+
+    if (!started) {
+      return null;
+    }
+
+    const call = this.investmentEngine.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (!call || call.name !== 'executeQueuedInvestments') {
+      throw new Error('Batch transaction is not a direct executeQueuedInvestments call');
+    }
+
+    const submittedQueueIds = call.args.queueIds.map((queueId) => queueId.toString());
+    const randomSeed = started.randomSeed.toString();
+    const { order: expectedOrder, swaps } = generateRandomOrder(submittedQueueIds, randomSeed);
+
+    executed.sort((a, b) => a.executionOrder - b.executionOrder);
+    const onChainOrder = executed.map((entry) => entry.queueId);
+
+    const checks = {
+      queueSizeMatches: Number(started.queueSize) === submittedQueueIds.length,
+      allExecuted: onChainOrder.length === submittedQueueIds.length,
+      orderMatches:
+        onChainOrder.length === expectedOrder.length &&
+        onChainOrder.every((queueId, index) => queueId === expectedOrder[index])
+    };
+
+    return {
+      transactionHash,
+      blockNumber: receipt.blockNumber,
+      batchId: started.batchId.toString(),
+      randomSeed,
+      queueSize: started.queueSize.toString(),
+      submittedQueueIds,
+      expectedOrder,
+      onChainOrder,
+      executions: executed,
+      swaps,
+      checks,
+      passed: Object.values(checks).every(Boolean)
+    };
+  }
+
+  /**
+   * Verify every batch started under a batch ID
+   * @param {string} batchId - Batch ID (block timestamp)
+   * @param {string} [transactionHash] - Verify this transaction instead of looking the batch up
+   * @returns {Promise<Object[]>} Proof reports
+   */
+  async verifyBatch(batchId, transactionHash) {
+    const transactionHashes = transactionHash ? [transactionHash] : this.findBatchTransactions(batchId);
+    const proofs = await Promise.all(transactionHashes.map((hash) => this.verifyTransaction(hash)));
+
+    return proofs.filter((proof) => proof && proof.batchId === batchId.toString());
+  }
+}
+
+FairnessVerifier.generateRandomOrder = generateRandomOrder;
+
+module.exports = FairnessVerifier;
@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const {
+  getCurrentNetwork,
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+const { getFeedRegistry } = require('../config/feedRegistry');
+const AdminTxManager = require('./adminTxManager');
+
+// On-chain state of a registry entry
+const FEED_STATUS = {
+  IN_SYNC: 'in_sync',
+  MISSING: 'missing', // no feed ID set on the engine
+  MISMATCH: 'mismatch' // engine has a different feed ID
+};
+
+/**
+ * Feed Registry Sync
+ * Compares the feed registry for the current network with the engine's
+ * priceFeedIds mapping and writes the differences with setPriceFeedId (one
+ * token) or setInitialPriceFeeds (several tokens, one transaction). Both are
+ * onlyOwner, so live syncs need ADMIN_PRIVATE_KEY to be the engine owner and
+ * are queued on the admin transaction manager; dry runs simulate the call
+ * from the owner address with estimateGas.
+ */
+class FeedRegistrySync {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+
+    const privateKey = process.env.ADMIN_PRIVATE_KEY;
+    this.txManager = options.txManager || new AdminTxManager({
+      provider: this.provider,
+      signer: options.signer || (privateKey ? new ethers.Wallet(privateKey, this.provider) : null)
+    });
+    this.signer = this.txManager.signer;
+    this.lastSync = null;
+  }
+
+  /**
+   * Registry entries for the current network with their on-chain feed IDs
+   * @returns {Promise<Object[]>} Entries with tokenAddress, feedId, onChainFeedId and status
+   */
+  async getEntries() {
+    const deployed = getCurrentNetwork().tokens.filter((token) => token.address);
+    const onChainIds = await Promise.all(
+      deployed.map((token) => this.investmentEngine.priceFeedIds(token.address))
+    );
+
+    return deployed.map((token, index) => {
+      const onChainFeedId = onChainIds[index];
+      let status = FEED_STATUS.IN_SYNC;
+      if (onChainFeedId === ethers.ZeroHash) {
+        status = FEED_STATUS.MISSING;
+      } else if (onChainFeedId.toLowerCase() !== token.feedId.toLowerCase()) {
+        status = FEED_STATUS.MISMATCH;
+      }
+
+      return {
+        symbol: token.symbol,
+        tokenAddress: token.address,
+        decimals: token.decimals,
+        assetClass: token.assetClass,
+        riskTier: token.riskTier,
+        feedId: token.feedId,
+        onChainFeedId,
+        status
+      };
+    });
+  }
+
+  /**
+   * Build the engine call that applies a set of changes
+   * @param {Object[]} changes - Entries that are not in sync
+   * @returns {Object} { method, to, data }
+   */
+  buildTransaction(changes) {
+    const [method, args] = changes.length === 1
+      ? ['setPriceFeedId', [changes[0].tokenAddress, changes[0].feedId]]
+      : ['setInitialPriceFeeds', [changes.map((change) => change.tokenAddress), changes.map((change) => change.feedId)]];
+
+    return {
+      method,
+      to: this.investmentEngine.target,
+      data: this.investmentEngine.interface.encodeFunctionData(method, args)
+    };
+  }
+
+  /**
+   * Write registry feed IDs that differ from the engine's
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Sync result with changes and the transaction (null if already in sync); live
+   *   syncs are queued, so the transaction carries the jobId to follow
+   */
+  async sync({ dryRun = false } = {}) {
+    const entries = await this.getEntries();
+    const changes = entries.filter((entry) => entry.status !== FEED_STATUS.IN_SYNC);
+    const registry = getFeedRegistry();
+    const result = {
+      registryVersion: registry.version,
+      dryRun,
+      changes,
+      transaction: null,
+      syncedAt: new Date().toISOString()
+    };
+
+    if (changes.length === 0) {
+      this.lastSync = result;
+      return result;
+    }
+
+    const transaction = this.buildTransaction(changes);
+    const owner = await this.investmentEngine.owner();
+
+    if (dryRun) {
+      const gasEstimate = await this.provider.estimateGas({ from: owner, to: transaction.to, data: transaction.data });
+      result.transaction = { ...transaction, from: owner, gasEstimate: gasEstimate.toString() };
+      this.lastSync = result;
+      return result;
+    }
+
+    if (!this.signer) {
+      throw new Error('ADMIN_PRIVATE_KEY not configured; run a dry run or set the engine owner key');
+    }
+    if (this.signer.address.toLowerCase() !== owner.toLowerCase()) {
+      throw new Error(`ADMIN_PRIVATE_KEY address ${this.signer.address} is not the engine owner ${owner}`);
+    }
+
+    // enqueue simulates from the signer, so a revert is reported before a nonce is spent
+    const job = await this.txManager.enqueue({ to: transaction.to, data: transaction.data, label: transaction.method });
+
+    result.transaction = {
+      ...transaction,
+      from: this.signer.address,
+      gasLimit: job.gasLimit,
+      jobId: job.jobId,
+      status: job.status,
+      nonce: job.nonce
+    };
+    this.lastSync = result;
+    return result;
+  }
+}
+
+FeedRegistrySync.FEED_STATUS = FEED_STATUS;
+
+module.exports = FeedRegistrySync;
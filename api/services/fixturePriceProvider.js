@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const PriceProvider = require('./priceProvider');
+
+const { formatPrice } = PriceProvider;
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'config', 'priceFixtures.json');
+
+/**
+ * Fixture Price Provider
+ * Static prices from a JSON file (PRICE_FIXTURE_PATH, default
+ * config/priceFixtures.json) keyed by symbol: { "WETH": { "price", "expo", "confidence" } }.
+ * Fixture prices are always reported as published now.
+ */
+class FixturePriceProvider extends PriceProvider {
+  constructor(options = {}) {
+    super('fixture', 'Static Fixture', true);
+    this.fixtures = options.fixtures || FixturePriceProvider.loadFixtures(
+      options.fixturePath || process.env.PRICE_FIXTURE_PATH || DEFAULT_FIXTURE_PATH
+    );
+  }
+
+  /**
+   * Read a fixture file
+   * @param {string} fixturePath - Path to the JSON fixture
+   * @returns {Object} Fixtures keyed by upper-case symbol
+   */
+  static loadFixtures(fixturePath) {
+    const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    return Object.fromEntries(
+      Object.entries(fixtures).map(([symbol, fixture]) => [symbol.toUpperCase(), fixture])
+    );
+  }
+
+  supports(symbol) {
+    return Boolean(this.fixtures[symbol.toUpperCase()]);
+  }
+
+  async getPrices(symbols) {
+    const publishTime = Math.floor(Date.now() / 1000);
+    const prices = {};
+
+    for (const symbol of symbols.map((value) => value.toUpperCase())) {
+      const fixture = this.fixtures[symbol];
+      if (!fixture) {
+        continue;
+      }
+      prices[symbol] = formatPrice({
+        symbol,
+        price: fixture.price,
+        expo: fixture.expo,
+        confidence: fixture.confidence,
+        publishTime,
+        source: this.source,
+        synthetic: this.synthetic
+      });
+    }
+
+    return prices;
+  }
+}
+
+module.exports = FixturePriceProvider;
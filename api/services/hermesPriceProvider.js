@@ -0,0 +1,63 @@
+const fs = require('fs');
+const PriceProvider = require('./priceProvider');
+const { getPriceFeedId, createHermesClient } = require('../config/priceFeeds');
+
+const { formatPrice } = PriceProvider;
+
+/**
+ * Hermes Price Provider
+ * Latest off-chain Pyth prices from the Hermes API (HERMES_URL). With
+ * HERMES_RECORD_PATH set, every response is appended to that file as one JSON
+ * line, which PRICE_MODE=replay can play back later.
+ */
+class HermesPriceProvider extends PriceProvider {
+  constructor(options = {}) {
+    super('hermes', 'Pyth Network Hermes');
+    this.hermesClient = options.hermesClient || createHermesClient();
+    this.recordPath = options.recordPath || process.env.HERMES_RECORD_PATH || null;
+  }
+
+  supports(symbol) {
+    return Boolean(getPriceFeedId(symbol));
+  }
+
+  async getPrices(symbols) {
+    const requested = [...new Set(symbols.map((symbol) => symbol.toUpperCase()))]
+      .filter((symbol) => this.supports(symbol));
+    if (requested.length === 0) {
+      return {};
+    }
+
+    const symbolsById = new Map(
+      requested.map((symbol) => [getPriceFeedId(symbol).replace(/^0x/, '').toLowerCase(), symbol])
+    );
+    const priceUpdates = await this.hermesClient.getLatestPriceUpdates(
+      requested.map(getPriceFeedId),
+      { parsed: true }
+    );
+
+    if (this.recordPath && priceUpdates) {
+      fs.appendFileSync(this.recordPath, `${JSON.stringify(priceUpdates)}\n`);
+    }
+
+    const prices = {};
+    for (const update of (priceUpdates && priceUpdates.parsed) || []) {
+      const symbol = symbolsById.get(update.id.replace(/^0x/, '').toLowerCase());
+      if (!symbol) {
+        continue;
+      }
+      prices[symbol] = formatPrice({
+        symbol,
+        price: update.price.price,
+        expo: update.price.expo,
+        confidence: update.price.conf,
+        publishTime: update.price.publish_time,
+        source: this.source
+      });
+    }
+
+    return prices;
+  }
+}
+
+module.exports = HermesPriceProvider;
@@ -0,0 +1,110 @@
+const { ethers } = require('ethers');
+const {
+  getCurrentNetwork,
+  initializeProvider,
+  createTokenContract
+} = require('../config/contracts');
+
+const investmentEngineInterface = new ethers.Interface(require('../abis/InvestmentEngineV3.json'));
+const erc20Interface = new ethers.Interface(require('../abis/ERC20.json'));
+
+/**
+ * Investment Transaction Builder
+ * Builds the unsigned approval + depositAndInvest transactions a user signs
+ * to invest in a plan. Shared by prepare-investment, invest-with-price-update
+ * and the subscription scheduler.
+ */
+class InvestmentTransactionBuilder {
+  constructor(provider = initializeProvider()) {
+    this.provider = provider;
+    this.network = getCurrentNetwork();
+  }
+
+  /**
+   * Build the transactions for an investment
+   * @param {Object} params - Investment parameters
+   * @param {string} params.userAddress - Investor address
+   * @param {string} params.amount - Amount in base token units
+   * @param {string|number} params.planId - Plan ID
+   * @returns {Promise<Object>} Balance/allowance state, transactions and fee data
+   */
+  async prepareInvestment({ userAddress, amount, planId }) {
+    return this.buildTransactions({ userAddress, amount }, {
+      type: 'investment',
+      to: this.network.contracts.INVESTMENT_ENGINE_V3,
+      data: investmentEngineInterface.encodeFunctionData('depositAndInvest', [amount, planId]),
+      gasLimit: '350000'
+    });
+  }
+
+  /**
+   * Build the transactions for an investment that pushes Pyth price updates first
+   * @param {Object} params - Investment parameters
+   * @param {string} params.userAddress - Investor address
+   * @param {string} params.amount - Amount in base token units
+   * @param {string|number} params.planId - Plan ID
+   * @param {string[]} params.priceUpdateData - Hermes price update data
+   * @param {bigint|string} params.updateFee - Pyth update fee in wei, sent as msg.value
+   * @returns {Promise<Object>} Balance/allowance state, transactions and fee data
+   */
+  async prepareInvestmentWithPriceUpdate({ userAddress, amount, planId, priceUpdateData, updateFee }) {
+    return this.buildTransactions({ userAddress, amount }, {
+      type: 'investment',
+      to: this.network.contracts.INVESTMENT_ENGINE_V3,
+      data: investmentEngineInterface.encodeFunctionData('depositAndInvestWithPriceUpdate', [
+        amount,
+        planId,
+        priceUpdateData
+      ]),
+      value: updateFee.toString(),
+      gasLimit: '500000'
+    });
+  }
+
+  /**
+   * Check balance and allowance and prepend an approval if the engine needs one
+   * @param {Object} params - { userAddress, amount }
+   * @param {Object} investmentTransaction - Unsigned investment transaction
+   * @returns {Promise<Object>} Balance/allowance state, transactions and fee data
+   */
+  async buildTransactions({ userAddress, amount }, investmentTransaction) {
+    const engineAddress = this.network.contracts.INVESTMENT_ENGINE_V3;
+
+    // Get current gas price
+    const feeData = await this.provider.getFeeData();
+
+    // Check user's PYUSD balance and allowance
+    const pyusdContract = createTokenContract('PYUSD', this.provider);
+    const [balance, allowance] = await Promise.all([
+      pyusdContract.balanceOf(userAddress),
+      pyusdContract.allowance(userAddress, engineAddress)
+    ]);
+
+    const needsApproval = BigInt(allowance) < BigInt(amount);
+
+    const transactions = needsApproval
+      ? [
+          {
+            type: 'approval',
+            to: this.network.contracts.TOKENS.PYUSD,
+            data: erc20Interface.encodeFunctionData('approve', [engineAddress, amount]),
+            gasLimit: '60000'
+          },
+          investmentTransaction
+        ]
+      : [investmentTransaction];
+
+    return {
+      needsApproval,
+      currentBalance: balance.toString(),
+      currentAllowance: allowance.toString(),
+      requiredAmount: amount.toString(),
+      transactions,
+      gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
+      maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null
+    };
+  }
+}
+
+module.exports = InvestmentTransactionBuilder;
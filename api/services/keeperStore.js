@@ -0,0 +1,157 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE keeper_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    queue_ids TEXT NOT NULL,
+    trigger_reason TEXT NOT NULL,
+    dry_run INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    entropy_fee TEXT NOT NULL,
+    value_sent TEXT NOT NULL,
+    transaction_hash TEXT,
+    block_number INTEGER,
+    batch_id TEXT,
+    random_seed TEXT,
+    investment_ids TEXT,
+    gas_used TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `
+];
+
+// Batch outcomes
+const BATCH_STATUS = {
+  SIMULATED: 'simulated',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Keeper Store
+ * Records every batch the keeper triggers (or simulates in dry-run mode)
+ * together with its outcome
+ */
+class KeeperStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'keeper', MIGRATIONS);
+  }
+
+  /**
+   * Record a new batch
+   * @param {Object} batch - { queueIds, trigger, dryRun, entropyFee, value }
+   * @returns {Object} Created batch
+   */
+  createBatch({ queueIds, trigger, dryRun, entropyFee, value }) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = this.db
+      .prepare(`
+        INSERT INTO keeper_batches (
+          queue_ids, trigger_reason, dry_run, status, entropy_fee, value_sent, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        JSON.stringify(queueIds.map(String)),
+        trigger,
+        dryRun ? 1 : 0,
+        dryRun ? BATCH_STATUS.SIMULATED : BATCH_STATUS.SUBMITTED,
+        entropyFee.toString(),
+        value.toString(),
+        now,
+        now
+      );
+
+    return this.getBatch(lastInsertRowid);
+  }
+
+  /**
+   * Update a batch with its outcome
+   * @param {number} id - Batch record ID
+   * @param {Object} changes - status, transactionHash, blockNumber, batchId, randomSeed, investmentIds, gasUsed, error
+   * @returns {Object} Updated batch
+   */
+  updateBatch(id, changes) {
+    const columns = {
+      status: 'status',
+      transactionHash: 'transaction_hash',
+      blockNumber: 'block_number',
+      batchId: 'batch_id',
+      randomSeed: 'random_seed',
+      investmentIds: 'investment_ids',
+      gasUsed: 'gas_used',
+      error: 'error'
+    };
+
+    const entries = Object.entries(changes).filter(([key]) => columns[key]);
+    if (entries.length > 0) {
+      const assignments = entries.map(([key]) => `${columns[key]} = ?`).join(', ');
+      const values = entries.map(([key, value]) => {
+        if (value === undefined || value === null) {
+          return null;
+        }
+        if (key === 'investmentIds') {
+          return JSON.stringify(value.map(String));
+        }
+        return key === 'blockNumber' ? value : String(value);
+      });
+
+      this.db
+        .prepare(`UPDATE keeper_batches SET ${assignments}, updated_at = ? WHERE id = ?`)
+        .run(...values, new Date().toISOString(), id);
+    }
+
+    return this.getBatch(id);
+  }
+
+  /**
+   * Get a batch record by ID
+   * @param {number} id - Batch record ID
+   * @returns {Object|null} Batch or null
+   */
+  getBatch(id) {
+    const row = this.db.prepare('SELECT * FROM keeper_batches WHERE id = ?').get(id);
+    return row ? this.formatBatch(row) : null;
+  }
+
+  /**
+   * List the most recent batches, newest first
+   * @param {number} limit - Maximum number of batches
+   * @returns {Object[]} Batches
+   */
+  listBatches(limit = 10) {
+    return this.db
+      .prepare('SELECT * FROM keeper_batches ORDER BY id DESC LIMIT ?')
+      .all(limit)
+      .map((row) => this.formatBatch(row));
+  }
+
+  formatBatch(row) {
+    return {
+      id: row.id,
+      queueIds: JSON.parse(row.queue_ids),
+      trigger: row.trigger_reason,
+      dryRun: row.dry_run === 1,
+      status: row.status,
+      entropyFee: row.entropy_fee,
+      valueSent: row.value_sent,
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      batchId: row.batch_id,
+      randomSeed: row.random_seed,
+      investmentIds: row.investment_ids ? JSON.parse(row.investment_ids) : null,
+      gasUsed: row.gas_used,
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+KeeperStore.BATCH_STATUS = BATCH_STATUS;
+
+module.exports = KeeperStore;
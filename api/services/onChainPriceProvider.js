@@ -0,0 +1,75 @@
+const { ethers } = require('ethers');
+const {
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+const PriceProvider = require('./priceProvider');
+const { getPriceFeedId } = require('../config/priceFeeds');
+
+const { formatPrice } = PriceProvider;
+
+// Minimal Pyth interface; getPriceUnsafe returns stale prices too so the aggregator can judge age itself
+const PYTH_ABI = [
+  'function getPriceUnsafe(bytes32 id) external view returns (tuple(int64 price, uint64 conf, int32 expo, uint publishTime))'
+];
+
+/**
+ * On-Chain Price Provider
+ * Prices currently stored in the Pyth contract the engine reads (or
+ * PYTH_CONTRACT_ADDRESS), i.e. what the contract would use for a swap
+ */
+class OnChainPriceProvider extends PriceProvider {
+  constructor(options = {}) {
+    super('onchain', 'Pyth On-Chain Oracle');
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.pythAddress = options.pythAddress || process.env.PYTH_CONTRACT_ADDRESS || null;
+    this.pyth = null;
+  }
+
+  async getPythContract() {
+    if (!this.pyth) {
+      const address = this.pythAddress || (await this.investmentEngine.pyth());
+      this.pyth = new ethers.Contract(address, PYTH_ABI, this.provider);
+    }
+    return this.pyth;
+  }
+
+  supports(symbol) {
+    return Boolean(getPriceFeedId(symbol));
+  }
+
+  async getPrices(symbols) {
+    const requested = [...new Set(symbols.map((symbol) => symbol.toUpperCase()))]
+      .filter((symbol) => this.supports(symbol));
+    if (requested.length === 0) {
+      return {};
+    }
+
+    const pyth = await this.getPythContract();
+    const results = await Promise.allSettled(
+      requested.map((symbol) => pyth.getPriceUnsafe(getPriceFeedId(symbol)))
+    );
+
+    const prices = {};
+    results.forEach((result, index) => {
+      // Feeds that were never pushed revert or come back empty
+      if (result.status !== 'fulfilled' || Number(result.value.publishTime) === 0) {
+        return;
+      }
+      const symbol = requested[index];
+      prices[symbol] = formatPrice({
+        symbol,
+        price: result.value.price,
+        expo: result.value.expo,
+        confidence: result.value.conf,
+        publishTime: result.value.publishTime,
+        source: this.source
+      });
+    });
+
+    return prices;
+  }
+}
+
+module.exports = OnChainPriceProvider;
@@ -0,0 +1,69 @@
+/**
+ * Poll Loop
+ * Runs an async task straight away and then every interval until stopped.
+ * The next run is only scheduled once the current one has finished, and the
+ * timer is unref'd so a running loop never keeps the process alive.
+ */
+class PollLoop {
+  /**
+   * @param {Function} task - Async function run on every tick (it should handle its own errors)
+   * @param {number} interval - Delay between the end of one run and the start of the next, in ms
+   */
+  constructor(task, interval) {
+    this.task = task;
+    this.interval = interval;
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the loop
+   * @returns {boolean} False if it was already running
+   */
+  start() {
+    if (this.running) {
+      return false;
+    }
+
+    this.running = true;
+    this.schedule(0);
+    return true;
+  }
+
+  /**
+   * Stop the loop (a run already in flight is left to finish)
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run as soon as possible instead of waiting for the interval, if the loop is running
+   */
+  trigger() {
+    if (this.running) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.task();
+      // trigger() may have scheduled the next run already
+      if (this.running && !this.timer) {
+        this.schedule(this.interval);
+      }
+    }, delay);
+    this.timer.unref();
+  }
+}
+
+module.exports = PollLoop;
@@ -0,0 +1,274 @@
+const PriceProvider = require('./priceProvider');
+const HermesPriceProvider = require('./hermesPriceProvider');
+const OnChainPriceProvider = require('./onChainPriceProvider');
+const FixturePriceProvider = require('./fixturePriceProvider');
+const ReplayPriceProvider = require('./replayPriceProvider');
+const { getSupportedSymbols } = require('../config/priceFeeds');
+const { PRICE_MODES, getPriceMode } = require('../config/priceMode');
+
+const { formatPrice } = PriceProvider;
+
+// Provider names accepted in PRICE_PROVIDERS
+const PROVIDERS = {
+  hermes: HermesPriceProvider,
+  onchain: OnChainPriceProvider,
+  fixture: FixturePriceProvider
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Create providers from a comma-separated list of names
+ * @param {string} names - e.g. "hermes,onchain"
+ * @param {Object} options - Passed to every provider constructor
+ * @returns {PriceProvider[]} Providers in the listed order
+ */
+const createPriceProviders = (names, options = {}) =>
+  names.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean).map((name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown price provider: ${name}`);
+    }
+    return new Provider(options);
+  });
+
+/**
+ * Price Aggregator
+ * Serves prices for the configured PRICE_MODE. In live mode it queries every
+ * provider in PRICE_PROVIDERS (default "hermes,onchain"); replay and fixture
+ * modes use only the replay or fixture provider, so real and synthetic prices
+ * are never combined. Each symbol gets the median price. Quotes older than
+ * PRICE_MAX_SOURCE_AGE_SECONDS are dropped as stale, and quotes further than
+ * PRICE_OUTLIER_PERCENT from the median are rejected as outliers. If every
+ * quote is an outlier (e.g. two sources that disagree) the first provider in
+ * the list wins and the result is flagged as having no consensus.
+ */
+class PriceAggregator {
+  constructor(options = {}) {
+    this.mode = options.mode || getPriceMode();
+    this.providers = options.providers || PriceAggregator.createModeProviders(this.mode, options);
+    this.synthetic = this.providers.some((provider) => provider.synthetic);
+
+    // Replay runs on its seeded clock so recorded prices are not judged stale against real time
+    const replay = this.providers.find((provider) => provider instanceof ReplayPriceProvider);
+    this.now = options.now || (replay
+      ? () => replay.now()
+      : () => Math.floor(Date.now() / 1000));
+
+    this.maxSourceAgeSeconds = parseInt(process.env.PRICE_MAX_SOURCE_AGE_SECONDS) || 300;
+    this.outlierPercent = parseFloat(process.env.PRICE_OUTLIER_PERCENT) || 2;
+  }
+
+  /**
+   * Create the providers for a price mode
+   * @param {string} mode - live, replay or fixture
+   * @param {Object} options - Passed to every provider constructor
+   * @returns {PriceProvider[]} Providers
+   */
+  static createModeProviders(mode, options = {}) {
+    if (mode === PRICE_MODES.REPLAY) {
+      return [new ReplayPriceProvider(options)];
+    }
+    if (mode === PRICE_MODES.FIXTURE) {
+      return [new FixturePriceProvider(options)];
+    }
+
+    const providers = createPriceProviders(process.env.PRICE_PROVIDERS || 'hermes,onchain', options);
+    const synthetic = providers.filter((provider) => provider.synthetic);
+    if (synthetic.length > 0) {
+      throw new Error(
+        `PRICE_PROVIDERS includes synthetic sources (${synthetic.map((provider) => provider.name).join(', ')}); ` +
+        'use PRICE_MODE=fixture or PRICE_MODE=replay instead of mixing them with live prices'
+      );
+    }
+    return providers;
+  }
+
+  /**
+   * Combine the quotes for one symbol
+   * @param {string} symbol - Upper-case symbol
+   * @param {Object[]} quotes - { provider, price, error } per provider, in provider order
+   * @param {number} now - Current unix time in seconds
+   * @returns {Object|null} Aggregated price, or null if no provider had a usable quote
+   */
+  aggregate(symbol, quotes, now) {
+    const report = quotes.map(({ provider, price, error }) => {
+      let status = 'accepted';
+      if (error) {
+        status = 'error';
+      } else if (!price) {
+        status = 'missing';
+      } else if (now - price.publishTime > this.maxSourceAgeSeconds) {
+        status = 'stale';
+      }
+      return { provider, price, error, status, deviationPercent: null };
+    });
+
+    const candidates = report.filter((quote) => quote.status === 'accepted');
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const center = median(candidates.map((quote) => quote.price.formattedPrice));
+    for (const quote of candidates) {
+      quote.deviationPercent = center > 0
+        ? Math.abs(quote.price.formattedPrice - center) / center * 100
+        : 0;
+      if (quote.deviationPercent > this.outlierPercent) {
+        quote.status = 'outlier';
+      }
+    }
+
+    let accepted = candidates.filter((quote) => quote.status === 'accepted');
+    const consensus = accepted.length > 0;
+    if (!consensus) {
+      candidates[0].status = 'accepted';
+      accepted = [candidates[0]];
+    }
+
+    const value = median(accepted.map((quote) => quote.price.formattedPrice));
+    const { expo } = accepted[0].price;
+    const sources = accepted.map((quote) => quote.provider.source);
+
+    return {
+      ...formatPrice({
+        symbol,
+        price: BigInt(Math.round(value / Math.pow(10, expo))),
+        expo,
+        confidence: accepted.reduce((max, quote) => {
+          const confidence = BigInt(quote.price.confidence);
+          return confidence > max ? confidence : max;
+        }, 0n),
+        publishTime: Math.min(...accepted.map((quote) => quote.price.publishTime)),
+        source: sources.length === 1 ? sources[0] : `Median of ${sources.join(', ')}`,
+        synthetic: accepted.some((quote) => quote.provider.synthetic)
+      }),
+      aggregation: {
+        method: 'median',
+        consensus,
+        acceptedCount: accepted.length,
+        sources: report.map((quote) => ({
+          provider: quote.provider.name,
+          status: quote.status,
+          formattedPrice: quote.price ? quote.price.formattedPrice : null,
+          publishTime: quote.price ? quote.price.publishTime : null,
+          deviationPercent: quote.deviationPercent,
+          error: quote.error
+        }))
+      }
+    };
+  }
+
+  /**
+   * Get aggregated prices; symbols no provider could price are omitted
+   * @param {string[]} symbols - Asset symbols
+   * @returns {Promise<Object>} Prices keyed by upper-case symbol
+   */
+  async getPrices(symbols) {
+    const requested = [...new Set(symbols.map((symbol) => symbol.toUpperCase()))];
+    const results = await Promise.allSettled(
+      this.providers.map((provider) => provider.getPrices(requested))
+    );
+    const now = this.now();
+
+    const prices = {};
+    for (const symbol of requested) {
+      const quotes = this.providers
+        .map((provider, index) => {
+          const result = results[index];
+          return {
+            provider,
+            price: result.status === 'fulfilled' ? result.value[symbol] || null : null,
+            error: result.status === 'rejected' ? result.reason.message : null
+          };
+        })
+        .filter((quote) => quote.provider.supports(symbol));
+
+      const aggregated = this.aggregate(symbol, quotes, now);
+      if (aggregated) {
+        prices[symbol] = aggregated;
+      }
+    }
+
+    return prices;
+  }
+
+  /**
+   * Get the aggregated price for one symbol
+   * @param {string} symbol - Asset symbol
+   * @returns {Promise<Object>} Aggregated price
+   */
+  async getPrice(symbol) {
+    const prices = await this.getPrices([symbol]);
+    const price = prices[symbol.toUpperCase()];
+    if (!price) {
+      throw new Error(`No price source returned a usable price for ${symbol}`);
+    }
+    return price;
+  }
+
+  /**
+   * Symbols at least one provider can price
+   * @returns {string[]} Supported symbols
+   */
+  getSupportedSymbols() {
+    return getSupportedSymbols().filter((symbol) =>
+      this.providers.some((provider) => provider.supports(symbol))
+    );
+  }
+
+  /**
+   * Price mode markers added to every price-bearing response
+   * @returns {Object} { priceMode, synthetic }
+   */
+  getModeInfo() {
+    return {
+      priceMode: this.mode,
+      synthetic: this.synthetic
+    };
+  }
+
+  /**
+   * Health check across the configured providers using a WETH sample price
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const base = {
+      timestamp: new Date().toISOString(),
+      ...this.getModeInfo(),
+      providers: this.providers.map((provider) => provider.name),
+      supportedAssets: this.getSupportedSymbols().length
+    };
+
+    try {
+      return {
+        status: 'healthy',
+        ...base,
+        samplePrice: await this.getPrice('WETH')
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        ...base,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Describe the configured sources for responses
+   * @returns {string} Source description
+   */
+  describe() {
+    const sources = this.providers.map((provider) => provider.source);
+    return sources.length === 1 ? sources[0] : `Median of ${sources.join(', ')}`;
+  }
+}
+
+PriceAggregator.createPriceProviders = createPriceProviders;
+
+module.exports = PriceAggregator;
@@ -0,0 +1,129 @@
+const { parseAssetThresholds } = require('../config/assetThresholds');
+
+// Guardrail identifiers returned in violations
+const GUARDRAILS = {
+  CONFIDENCE: 'confidence',
+  STALENESS: 'staleness',
+  UNAVAILABLE: 'price_unavailable'
+};
+
+// What happens to a quote when a guardrail trips
+const GUARDRAIL_ACTIONS = {
+  BLOCK: 'block',
+  FLAG: 'flag'
+};
+
+/**
+ * Parse PRICE_GUARDRAILS (comma-separated SYMBOL[:maxConfidencePercent[:maxAgeSeconds]])
+ * into per-asset limits; assets not listed use the defaults
+ * @param {string} value - e.g. "WETH:0.5:60,PYUSD:0.1"
+ * @returns {Object} { defaults, assets } with maxConfidencePercent and maxAgeSeconds
+ */
+const parseGuardrailConfig = (value) => {
+  const defaults = {
+    maxConfidencePercent: parseFloat(process.env.PRICE_GUARDRAIL_MAX_CONFIDENCE_PERCENT) || 1,
+    maxAgeSeconds: parseInt(process.env.PRICE_GUARDRAIL_MAX_AGE_SECONDS) || 120
+  };
+  const entries = parseAssetThresholds(value, [
+    { name: 'maxConfidencePercent', parse: parseFloat, defaultValue: defaults.maxConfidencePercent },
+    { name: 'maxAgeSeconds', parse: parseInt, defaultValue: defaults.maxAgeSeconds }
+  ]);
+
+  const assets = {};
+  for (const { symbol, ...limits } of entries) {
+    if (!(limits.maxConfidencePercent > 0) || !(limits.maxAgeSeconds > 0)) {
+      throw new Error(`Invalid price guardrail for ${symbol}`);
+    }
+    assets[symbol] = limits;
+  }
+
+  return { defaults, assets };
+};
+
+/**
+ * Price Guardrails
+ * Checks the prices behind a quote before anyone signs it. A price trips the
+ * confidence guardrail when its confidence interval is wider than
+ * maxConfidencePercent of the price, and the staleness guardrail when it was
+ * published more than maxAgeSeconds ago. An allocation with no price at all
+ * trips price_unavailable. With PRICE_GUARDRAIL_ACTION=block (default) a
+ * tripped quote is refused; with flag it is served with the violations.
+ */
+class PriceGuardrails {
+  constructor(options = {}) {
+    const config = options.config || parseGuardrailConfig(process.env.PRICE_GUARDRAILS);
+    this.defaults = config.defaults;
+    this.assets = config.assets;
+
+    this.action = options.action || process.env.PRICE_GUARDRAIL_ACTION || GUARDRAIL_ACTIONS.BLOCK;
+    if (!Object.values(GUARDRAIL_ACTIONS).includes(this.action)) {
+      throw new Error(`Invalid PRICE_GUARDRAIL_ACTION "${this.action}"; expected block or flag`);
+    }
+  }
+
+  /**
+   * Limits for one asset
+   * @param {string} symbol - Asset symbol
+   * @returns {Object} { maxConfidencePercent, maxAgeSeconds }
+   */
+  getLimits(symbol) {
+    return this.assets[symbol.toUpperCase()] || this.defaults;
+  }
+
+  /**
+   * Check the price of every allocation
+   * @param {Object[]} allocations - { tokenAddress, symbol } per allocation (symbol null if unknown)
+   * @param {Object} prices - Prices keyed by symbol (formattedPrice, price, confidence, publishTime)
+   * @param {number} now - Current unix time in seconds
+   * @returns {Object} { action, passed, blocked, violations }
+   */
+  check(allocations, prices, now) {
+    const violations = [];
+
+    for (const { tokenAddress, symbol } of allocations) {
+      const price = symbol ? prices[symbol] : null;
+      if (!price) {
+        violations.push({ guardrail: GUARDRAILS.UNAVAILABLE, symbol, tokenAddress, value: null, limit: null });
+        continue;
+      }
+
+      const limits = this.getLimits(symbol);
+      const rawPrice = Math.abs(Number(price.price));
+      const confidencePercent = rawPrice > 0 ? Number(price.confidence) / rawPrice * 100 : Infinity;
+      if (confidencePercent > limits.maxConfidencePercent) {
+        violations.push({
+          guardrail: GUARDRAILS.CONFIDENCE,
+          symbol,
+          tokenAddress,
+          value: confidencePercent,
+          limit: limits.maxConfidencePercent
+        });
+      }
+
+      const ageSeconds = now - price.publishTime;
+      if (ageSeconds > limits.maxAgeSeconds) {
+        violations.push({
+          guardrail: GUARDRAILS.STALENESS,
+          symbol,
+          tokenAddress,
+          value: ageSeconds,
+          limit: limits.maxAgeSeconds
+        });
+      }
+    }
+
+    const passed = violations.length === 0;
+    return {
+      action: this.action,
+      passed,
+      blocked: !passed && this.action === GUARDRAIL_ACTIONS.BLOCK,
+      violations
+    };
+  }
+}
+
+PriceGuardrails.GUARDRAILS = GUARDRAILS;
+PriceGuardrails.GUARDRAIL_ACTIONS = GUARDRAIL_ACTIONS;
+PriceGuardrails.parseGuardrailConfig = parseGuardrailConfig;
+
+module.exports = PriceGuardrails;
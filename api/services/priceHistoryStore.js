@@ -0,0 +1,271 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE price_samples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL,
+    synthetic INTEGER NOT NULL,
+    price REAL NOT NULL,
+    raw_price TEXT NOT NULL,
+    expo INTEGER NOT NULL,
+    confidence TEXT NOT NULL,
+    publish_time INTEGER NOT NULL,
+    sampled_at INTEGER NOT NULL,
+    UNIQUE (symbol, synthetic, publish_time)
+  );
+
+  CREATE TABLE price_rollups (
+    symbol TEXT NOT NULL,
+    synthetic INTEGER NOT NULL,
+    bucket_start INTEGER NOT NULL,
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    sample_count INTEGER NOT NULL,
+    PRIMARY KEY (symbol, synthetic, bucket_start)
+  );
+  `
+];
+
+// Raw samples older than the raw retention window are compacted into hourly candles
+const ROLLUP_INTERVAL_SECONDS = 3600;
+
+// Candle intervals served by the history API, in seconds
+const CANDLE_INTERVALS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+/**
+ * Build OHLC candles from time-ordered points. A point is either a raw sample
+ * (open = high = low = close) or an hourly rollup.
+ * @param {Object[]} points - { time, open, high, low, close, samples } sorted by time
+ * @param {Object} options - { intervalSeconds, from, to, fillGaps, previousClose }
+ * @returns {Object[]} Candles; empty buckets carry the previous close (gap: true) when fillGaps is set
+ */
+const buildCandles = (points, { intervalSeconds, from, to, fillGaps, previousClose = null }) => {
+  const bucketOf = (time) => time - (time % intervalSeconds);
+  const buckets = new Map();
+
+  for (const point of points) {
+    const bucket = bucketOf(point.time);
+    const candle = buckets.get(bucket);
+    if (!candle) {
+      buckets.set(bucket, { ...point, time: bucket });
+      continue;
+    }
+    candle.high = Math.max(candle.high, point.high);
+    candle.low = Math.min(candle.low, point.low);
+    candle.close = point.close;
+    candle.samples += point.samples;
+  }
+
+  const candles = [];
+  let lastClose = previousClose;
+  for (let time = bucketOf(from); time <= to; time += intervalSeconds) {
+    const candle = buckets.get(time);
+    if (candle) {
+      candles.push({ ...candle, gap: false });
+      lastClose = candle.close;
+    } else if (fillGaps && lastClose !== null) {
+      candles.push({ time, open: lastClose, high: lastClose, low: lastClose, close: lastClose, samples: 0, gap: true });
+    }
+  }
+
+  return candles;
+};
+
+/**
+ * Price History Store
+ * Keeps sampled prices per symbol and serves them as OHLC candles. Live and
+ * synthetic (replay/fixture) samples are stored apart and never combined.
+ */
+class PriceHistoryStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'priceHistory', MIGRATIONS);
+  }
+
+  /**
+   * Record price samples; a sample with an already recorded publish time is ignored
+   * @param {Object[]} prices - Price objects (symbol, formattedPrice, price, expo, confidence, publishTime, synthetic)
+   * @param {number} sampledAt - Unix time the samples were taken
+   * @returns {number} Number of new samples
+   */
+  recordSamples(prices, sampledAt) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO price_samples (
+        symbol, synthetic, price, raw_price, expo, confidence, publish_time, sampled_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return this.db.transaction(() => prices.reduce((count, price) => count + insert.run(
+      price.symbol,
+      price.synthetic ? 1 : 0,
+      price.formattedPrice,
+      price.price,
+      price.expo,
+      price.confidence,
+      price.publishTime,
+      sampledAt
+    ).changes, 0))();
+  }
+
+  /**
+   * Read raw samples and (for hourly or coarser intervals) rollups as candle points
+   * @param {Object} range - { symbol, synthetic, from, to, includeRollups }
+   * @returns {Object[]} Points sorted by time
+   */
+  getPoints({ symbol, synthetic, from, to, includeRollups }) {
+    const samples = this.db
+      .prepare(`
+        SELECT publish_time AS time, price AS open, price AS high, price AS low, price AS close, 1 AS samples
+        FROM price_samples
+        WHERE symbol = ? AND synthetic = ? AND publish_time >= ? AND publish_time <= ?
+      `)
+      .all(symbol, synthetic ? 1 : 0, from, to);
+
+    const rollups = includeRollups
+      ? this.db
+        .prepare(`
+          SELECT bucket_start AS time, open, high, low, close, sample_count AS samples
+          FROM price_rollups
+          WHERE symbol = ? AND synthetic = ? AND bucket_start >= ? AND bucket_start <= ?
+        `)
+        .all(symbol, synthetic ? 1 : 0, from, to)
+      : [];
+
+    return [...rollups, ...samples].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Latest recorded price before a point in time (used to fill leading gaps)
+   * @param {Object} query - { symbol, synthetic, before }
+   * @returns {number|null} Price or null
+   */
+  getLastPriceBefore({ symbol, synthetic, before }) {
+    const row = this.db
+      .prepare(`
+        SELECT close, time FROM (
+          SELECT price AS close, publish_time AS time FROM price_samples
+          WHERE symbol = ? AND synthetic = ? AND publish_time < ?
+          UNION ALL
+          SELECT close, bucket_start AS time FROM price_rollups
+          WHERE symbol = ? AND synthetic = ? AND bucket_start < ?
+        ) ORDER BY time DESC LIMIT 1
+      `)
+      .get(symbol, synthetic ? 1 : 0, before, symbol, synthetic ? 1 : 0, before);
+
+    return row ? row.close : null;
+  }
+
+  /**
+   * Build OHLC candles for a symbol
+   * @param {Object} query - { symbol, synthetic, intervalSeconds, from, to, fillGaps }
+   * @returns {Object[]} Candles
+   */
+  getCandles({ symbol, synthetic, intervalSeconds, from, to, fillGaps }) {
+    const start = from - (from % intervalSeconds);
+    // Hourly rollups cannot be split into finer buckets
+    const includeRollups = intervalSeconds % ROLLUP_INTERVAL_SECONDS === 0;
+    const points = this.getPoints({ symbol, synthetic, from: start, to, includeRollups });
+    const previousClose = fillGaps ? this.getLastPriceBefore({ symbol, synthetic, before: start }) : null;
+
+    return buildCandles(points, { intervalSeconds, from: start, to, fillGaps, previousClose });
+  }
+
+  /**
+   * Compact raw samples older than a cutoff into hourly rollups. Only whole
+   * hours are compacted, so the cutoff is rounded down to the hour.
+   * @param {number} cutoff - Unix time
+   * @returns {number} Number of raw samples compacted
+   */
+  compactSamples(cutoff) {
+    const boundary = cutoff - (cutoff % ROLLUP_INTERVAL_SECONDS);
+    const samples = this.db
+      .prepare(`
+        SELECT symbol, synthetic, price, publish_time FROM price_samples
+        WHERE publish_time < ?
+        ORDER BY symbol, synthetic, publish_time
+      `)
+      .all(boundary);
+
+    if (samples.length === 0) {
+      return 0;
+    }
+
+    const rollups = new Map();
+    for (const sample of samples) {
+      const bucket = sample.publish_time - (sample.publish_time % ROLLUP_INTERVAL_SECONDS);
+      const key = `${sample.symbol}:${sample.synthetic}:${bucket}`;
+      const rollup = rollups.get(key);
+      if (!rollup) {
+        rollups.set(key, {
+          symbol: sample.symbol,
+          synthetic: sample.synthetic,
+          bucket,
+          open: sample.price,
+          high: sample.price,
+          low: sample.price,
+          close: sample.price,
+          samples: 1
+        });
+        continue;
+      }
+      rollup.high = Math.max(rollup.high, sample.price);
+      rollup.low = Math.min(rollup.low, sample.price);
+      rollup.close = sample.price;
+      rollup.samples += 1;
+    }
+
+    // Samples that arrive late for an already compacted hour are merged into its rollup
+    const upsert = this.db.prepare(`
+      INSERT INTO price_rollups (symbol, synthetic, bucket_start, open, high, low, close, sample_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (symbol, synthetic, bucket_start) DO UPDATE SET
+        high = MAX(high, excluded.high),
+        low = MIN(low, excluded.low),
+        close = excluded.close,
+        sample_count = sample_count + excluded.sample_count
+    `);
+
+    this.db.transaction(() => {
+      for (const rollup of rollups.values()) {
+        upsert.run(
+          rollup.symbol,
+          rollup.synthetic,
+          rollup.bucket,
+          rollup.open,
+          rollup.high,
+          rollup.low,
+          rollup.close,
+          rollup.samples
+        );
+      }
+      this.db.prepare('DELETE FROM price_samples WHERE publish_time < ?').run(boundary);
+    })();
+
+    return samples.length;
+  }
+
+  /**
+   * Delete rollups older than a cutoff
+   * @param {number} cutoff - Unix time
+   * @returns {number} Number of rollups deleted
+   */
+  pruneRollups(cutoff) {
+    return this.db.prepare('DELETE FROM price_rollups WHERE bucket_start < ?').run(cutoff).changes;
+  }
+}
+
+PriceHistoryStore.ROLLUP_INTERVAL_SECONDS = ROLLUP_INTERVAL_SECONDS;
+PriceHistoryStore.CANDLE_INTERVALS = CANDLE_INTERVALS;
+PriceHistoryStore.buildCandles = buildCandles;
+
+module.exports = PriceHistoryStore;
@@ -0,0 +1,76 @@
+/**
+ * Build the price object every provider returns, matching the shape the
+ * price routes have always served
+ * @param {Object} data - { symbol, price, expo, confidence, publishTime, source, synthetic }
+ * @returns {Object} Price object
+ */
+const formatPrice = ({ symbol, price, expo, confidence, publishTime, source, synthetic = false }) => {
+  const formattedPrice = Number(price) * Math.pow(10, Number(expo));
+
+  return {
+    symbol: symbol.toUpperCase(),
+    price: price.toString(),
+    formattedPrice,
+    formattedPriceString: `$${formattedPrice.toFixed(2)}`,
+    expo: Number(expo),
+    confidence: (confidence ?? 0).toString(),
+    publishTime: Number(publishTime),
+    lastUpdated: new Date(Number(publishTime) * 1000).toISOString(),
+    source,
+    synthetic
+  };
+};
+
+/**
+ * Price Provider
+ * Interface for a single price source. Implementations override getPrices
+ * and supports; getPrice is derived from getPrices.
+ */
+class PriceProvider {
+  /**
+   * @param {string} name - Short provider name used in configuration and responses
+   * @param {string} source - Human-readable source label
+   * @param {boolean} synthetic - Whether prices are fixtures/recordings rather than live market data
+   */
+  constructor(name, source, synthetic = false) {
+    this.name = name;
+    this.source = source;
+    this.synthetic = synthetic;
+  }
+
+  /**
+   * Whether this provider can price a symbol
+   * @param {string} symbol - Asset symbol
+   * @returns {boolean} True if supported
+   */
+  supports(symbol) {
+    throw new Error(`${this.name} price provider does not implement supports()`);
+  }
+
+  /**
+   * Get prices for several symbols; symbols the provider cannot price are omitted
+   * @param {string[]} symbols - Asset symbols
+   * @returns {Promise<Object>} Prices keyed by upper-case symbol
+   */
+  async getPrices(symbols) {
+    throw new Error(`${this.name} price provider does not implement getPrices()`);
+  }
+
+  /**
+   * Get the price for one symbol
+   * @param {string} symbol - Asset symbol
+   * @returns {Promise<Object>} Price object
+   */
+  async getPrice(symbol) {
+    const prices = await this.getPrices([symbol]);
+    const price = prices[symbol.toUpperCase()];
+    if (!price) {
+      throw new Error(`No ${this.name} price available for ${symbol}`);
+    }
+    return price;
+  }
+}
+
+PriceProvider.formatPrice = formatPrice;
+
+module.exports = PriceProvider;
@@ -0,0 +1,306 @@
+const { ethers } = require('ethers');
+const {
+  getCurrentNetwork,
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+const { requireLivePrices } = require('../config/priceMode');
+const { getNetworkTokenSymbols, parseAssetThresholds } = require('../config/assetThresholds');
+const PythOracleService = require('./pythOracleService');
+const PricePusherStore = require('./pricePusherStore');
+const PollLoop = require('./pollLoop');
+
+const { PUSH_STATUS } = PricePusherStore;
+
+/**
+ * Parse the pushed feeds from PRICE_PUSHER_FEEDS ("WETH:0.5:3600,WBTC:1,LINK"),
+ * where each entry is SYMBOL[:deviationPercent[:heartbeatSeconds]]
+ * @param {string} value - Feed list (defaults to the network's tokens that have a feed)
+ * @param {PythOracleService} oracle - Oracle service used to resolve price feed IDs
+ * @returns {Object[]} Feeds with symbol, priceId, deviationPercent and heartbeatSeconds
+ */
+const parseFeedConfig = (value, oracle) => {
+  const feeds = parseAssetThresholds(value, [
+    { name: 'deviationPercent', parse: parseFloat, defaultValue: parseFloat(process.env.PRICE_PUSHER_DEVIATION_PERCENT) || 0.5 },
+    { name: 'heartbeatSeconds', parse: parseInt, defaultValue: parseInt(process.env.PRICE_PUSHER_HEARTBEAT_SECONDS) || 3600 }
+  ], () => getNetworkTokenSymbols((symbol) => oracle.getPriceFeedId(symbol)));
+
+  return feeds.map(({ symbol, deviationPercent, heartbeatSeconds }) => {
+    const priceId = oracle.getPriceFeedId(symbol);
+    if (!priceId) {
+      throw new Error(`Unsupported price pusher feed: ${symbol}`);
+    }
+
+    return { symbol, priceId, deviationPercent, heartbeatSeconds };
+  });
+};
+
+// Daily budgets reset at midnight UTC
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Price Pusher
+ * Keeps the on-chain Pyth prices the engine reads fresh. Every poll it
+ * compares the latest Hermes price of each configured feed with the on-chain
+ * price and pushes updatePriceFeeds when the deviation reaches the feed's
+ * threshold or the on-chain price is older than its heartbeat. All due feeds
+ * go into one transaction, and live pushes stop once the daily fee budget
+ * (update fees plus gas) would be exceeded.
+ */
+class PricePusher {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.store = options.store || new PricePusherStore();
+    this.oracle = options.oracle || new PythOracleService(
+      getCurrentNetwork().rpcUrl,
+      process.env.PYTH_CONTRACT_ADDRESS
+    );
+    this.feeds = options.feeds || parseFeedConfig(process.env.PRICE_PUSHER_FEEDS, this.oracle);
+
+    const privateKey = process.env.PRICE_PUSHER_PRIVATE_KEY;
+    this.signer = options.signer || (privateKey ? new ethers.Wallet(privateKey, this.provider) : null);
+
+    this.interval = parseInt(process.env.PRICE_PUSHER_POLL_INTERVAL_MS) || 60000;
+    this.dailyBudget = ethers.parseEther(process.env.PRICE_PUSHER_DAILY_BUDGET_ETH || '0.05');
+    this.dryRun = process.env.PRICE_PUSHER_DRY_RUN === 'true';
+
+    this.loop = new PollLoop(() => this.checkOnce(), this.interval);
+    this.checking = false;
+    this.lastCheck = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start the pusher loop
+   * @param {Object} options - { dryRun } overrides PRICE_PUSHER_DRY_RUN
+   */
+  start(options = {}) {
+    const dryRun = options.dryRun !== undefined ? options.dryRun : this.dryRun;
+
+    requireLivePrices('The price pusher');
+    if (!dryRun && !this.signer) {
+      throw new Error('PRICE_PUSHER_PRIVATE_KEY not configured; start in dry-run mode or set a pusher key');
+    }
+
+    this.dryRun = dryRun;
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log(`✅ Price pusher started${this.dryRun ? ' (dry run)' : ''}`);
+  }
+
+  /**
+   * Stop the pusher loop (a push already in flight is left to finish)
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Use the Pyth contract the engine reads unless PYTH_CONTRACT_ADDRESS is set
+   * @returns {Promise<string>} Pyth contract address
+   */
+  async resolvePythAddress() {
+    if (!this.oracle.pythContractAddress) {
+      this.oracle.pythContractAddress = await this.investmentEngine.pyth();
+    }
+    return this.oracle.pythContractAddress;
+  }
+
+  /**
+   * Compare one feed's Hermes price with its on-chain price
+   * @param {Object} feed - Configured feed
+   * @param {Object} hermesPrice - Parsed Hermes price for the feed
+   * @param {number} now - Current unix time in seconds
+   * @returns {Promise<Object>} Evaluation with the trigger (deviation, heartbeat, unavailable or null)
+   */
+  async evaluateFeed(feed, hermesPrice, now) {
+    const evaluation = {
+      symbol: feed.symbol,
+      priceId: feed.priceId,
+      trigger: null,
+      hermesPrice: null,
+      hermesPublishTime: null,
+      onChainPrice: null,
+      onChainPublishTime: null,
+      deviationPercent: null,
+      onChainAgeSeconds: null
+    };
+
+    if (!hermesPrice) {
+      return evaluation;
+    }
+
+    evaluation.hermesPrice = Number(hermesPrice.price) * Math.pow(10, hermesPrice.expo);
+    evaluation.hermesPublishTime = hermesPrice.publishTime;
+
+    let onChain;
+    try {
+      onChain = await this.oracle.readOnChainPrice(feed.symbol);
+    } catch (error) {
+      // Never pushed, or too stale for getPrice to return it
+      evaluation.trigger = 'unavailable';
+      return evaluation;
+    }
+
+    evaluation.onChainPrice = onChain.formattedPrice;
+    evaluation.onChainPublishTime = onChain.publishTime;
+    evaluation.onChainAgeSeconds = now - onChain.publishTime;
+    evaluation.deviationPercent = onChain.formattedPrice > 0
+      ? Math.abs(evaluation.hermesPrice - onChain.formattedPrice) / onChain.formattedPrice * 100
+      : null;
+
+    // Nothing newer to push
+    if (hermesPrice.publishTime <= onChain.publishTime) {
+      return evaluation;
+    }
+
+    if (evaluation.deviationPercent === null || evaluation.deviationPercent >= feed.deviationPercent) {
+      evaluation.trigger = 'deviation';
+    } else if (evaluation.onChainAgeSeconds >= feed.heartbeatSeconds) {
+      evaluation.trigger = 'heartbeat';
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Check every feed and push the ones that are due
+   * @returns {Promise<Object|null>} Recorded push, or null if nothing was pushed
+   */
+  async checkOnce() {
+    if (this.checking) {
+      return null;
+    }
+
+    this.checking = true;
+    try {
+      await this.resolvePythAddress();
+
+      const latest = await this.oracle.fetchPriceUpdatesByIds(this.feeds.map((feed) => feed.priceId));
+      const hermesPrices = new Map(latest.prices.map((price) => [price.priceId.toLowerCase(), price]));
+      const now = Math.floor(Date.now() / 1000);
+
+      const evaluations = await Promise.all(
+        this.feeds.map((feed) => this.evaluateFeed(feed, hermesPrices.get(feed.priceId.toLowerCase()), now))
+      );
+      const due = evaluations.filter((evaluation) => evaluation.trigger);
+
+      this.lastCheck = {
+        at: new Date().toISOString(),
+        feeds: evaluations,
+        due: due.map((evaluation) => evaluation.symbol),
+        budgetExceeded: false
+      };
+      this.lastError = null;
+
+      if (due.length === 0) {
+        return null;
+      }
+
+      return await this.pushFeeds(due);
+    } catch (error) {
+      console.error('❌ Price pusher check failed:', error.message);
+      this.lastError = error.message;
+      return null;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Push (or simulate) one updatePriceFeeds transaction for the due feeds
+   * @param {Object[]} due - Feed evaluations with a trigger
+   * @returns {Promise<Object|null>} Recorded push, or null if the daily budget would be exceeded
+   */
+  async pushFeeds(due) {
+    const updates = await this.oracle.fetchPriceUpdatesByIds(due.map((evaluation) => evaluation.priceId));
+    const updateFee = BigInt(await this.oracle.calculateUpdateFee(updates.priceUpdateData));
+
+    const pyth = new ethers.Contract(this.oracle.pythContractAddress, this.oracle.pythAbi, this.signer || this.provider);
+    const [gasEstimate, feeData] = await Promise.all([
+      pyth.updatePriceFeeds.estimateGas(updates.priceUpdateData, { value: updateFee }),
+      this.provider.getFeeData()
+    ]);
+    const gasCost = gasEstimate * (feeData.maxFeePerGas || feeData.gasPrice || 0n);
+    const estimatedCost = updateFee + gasCost;
+
+    const remaining = this.getRemainingBudget();
+    if (!this.dryRun && estimatedCost > remaining) {
+      this.lastCheck.budgetExceeded = true;
+      console.warn(
+        `Price pusher skipped ${due.length} feed(s): estimated cost ${ethers.formatEther(estimatedCost)} ETH ` +
+        `exceeds remaining daily budget ${ethers.formatEther(remaining)} ETH`
+      );
+      return null;
+    }
+
+    const push = this.store.createPush({ feeds: due, dryRun: this.dryRun, updateFee, estimatedCost });
+
+    if (this.dryRun) {
+      return this.store.updatePush(push.id, { gasUsed: gasEstimate });
+    }
+
+    try {
+      const result = await this.oracle.updatePricesOnChain(this.signer, updates.priceUpdateData);
+
+      return this.store.updatePush(push.id, {
+        status: PUSH_STATUS.CONFIRMED,
+        spent: BigInt(result.fee) + BigInt(result.gasUsed) * BigInt(result.effectiveGasPrice),
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed
+      });
+    } catch (error) {
+      // The fee is refunded on revert but gas may have been burnt, so count the estimate against the budget
+      console.warn(`Price push ${push.id} failed:`, error.message);
+      return this.store.updatePush(push.id, {
+        status: PUSH_STATUS.FAILED,
+        spent: gasCost,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Budget left for today's live pushes
+   * @param {Date} now - Current time
+   * @returns {bigint} Remaining wei (never negative)
+   */
+  getRemainingBudget(now = new Date()) {
+    const remaining = this.dailyBudget - this.store.getSpentSince(startOfUtcDay(now));
+    return remaining > 0n ? remaining : 0n;
+  }
+
+  /**
+   * Pusher status for the status endpoint and health reporting
+   * @returns {Object} Pusher status
+   */
+  getStatus() {
+    const now = new Date();
+    const dayStart = startOfUtcDay(now);
+
+    return {
+      running: this.loop.running,
+      dryRun: this.dryRun,
+      pusherAddress: this.signer ? this.signer.address : null,
+      pythAddress: this.oracle.pythContractAddress || null,
+      interval: this.interval,
+      feeds: this.feeds,
+      budget: {
+        dailyBudget: this.dailyBudget.toString(),
+        spentToday: this.store.getSpentSince(dayStart).toString(),
+        remaining: this.getRemainingBudget(now).toString(),
+        resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString()
+      },
+      lastCheck: this.lastCheck,
+      lastError: this.lastError
+    };
+  }
+}
+
+PricePusher.parseFeedConfig = parseFeedConfig;
+
+module.exports = PricePusher;
@@ -0,0 +1,158 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE price_pushes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    feeds TEXT NOT NULL,
+    dry_run INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    update_fee TEXT NOT NULL,
+    estimated_cost TEXT NOT NULL,
+    spent TEXT NOT NULL DEFAULT '0',
+    transaction_hash TEXT,
+    block_number INTEGER,
+    gas_used TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_price_pushes_created_at ON price_pushes (created_at);
+  `
+];
+
+// Push outcomes
+const PUSH_STATUS = {
+  SIMULATED: 'simulated',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+/**
+ * Price Pusher Store
+ * Records every updatePriceFeeds push (or simulation) with the feeds it
+ * carried, why each feed was pushed and what it cost
+ */
+class PricePusherStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'pricePusher', MIGRATIONS);
+  }
+
+  /**
+   * Record a new push
+   * @param {Object} push - { feeds, dryRun, updateFee, estimatedCost }
+   * @returns {Object} Created push
+   */
+  createPush({ feeds, dryRun, updateFee, estimatedCost }) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = this.db
+      .prepare(`
+        INSERT INTO price_pushes (
+          feeds, dry_run, status, update_fee, estimated_cost, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        JSON.stringify(feeds),
+        dryRun ? 1 : 0,
+        dryRun ? PUSH_STATUS.SIMULATED : PUSH_STATUS.SUBMITTED,
+        updateFee.toString(),
+        estimatedCost.toString(),
+        now,
+        now
+      );
+
+    return this.getPush(lastInsertRowid);
+  }
+
+  /**
+   * Update a push with its outcome
+   * @param {number} id - Push record ID
+   * @param {Object} changes - status, spent, transactionHash, blockNumber, gasUsed, error
+   * @returns {Object} Updated push
+   */
+  updatePush(id, changes) {
+    const columns = {
+      status: 'status',
+      spent: 'spent',
+      transactionHash: 'transaction_hash',
+      blockNumber: 'block_number',
+      gasUsed: 'gas_used',
+      error: 'error'
+    };
+
+    const entries = Object.entries(changes).filter(([key]) => columns[key]);
+    if (entries.length > 0) {
+      const assignments = entries.map(([key]) => `${columns[key]} = ?`).join(', ');
+      const values = entries.map(([key, value]) => {
+        if (value === undefined || value === null) {
+          return null;
+        }
+        return key === 'blockNumber' ? value : String(value);
+      });
+
+      this.db
+        .prepare(`UPDATE price_pushes SET ${assignments}, updated_at = ? WHERE id = ?`)
+        .run(...values, new Date().toISOString(), id);
+    }
+
+    return this.getPush(id);
+  }
+
+  /**
+   * Get a push record by ID
+   * @param {number} id - Push record ID
+   * @returns {Object|null} Push or null
+   */
+  getPush(id) {
+    const row = this.db.prepare('SELECT * FROM price_pushes WHERE id = ?').get(id);
+    return row ? this.formatPush(row) : null;
+  }
+
+  /**
+   * List the most recent pushes, newest first
+   * @param {number} limit - Maximum number of pushes
+   * @returns {Object[]} Pushes
+   */
+  listPushes(limit = 10) {
+    return this.db
+      .prepare('SELECT * FROM price_pushes ORDER BY id DESC LIMIT ?')
+      .all(limit)
+      .map((row) => this.formatPush(row));
+  }
+
+  /**
+   * Total wei spent by live pushes created since a point in time
+   * @param {Date} since - Start of the window
+   * @returns {bigint} Wei spent (update fees plus gas)
+   */
+  getSpentSince(since) {
+    return this.db
+      .prepare('SELECT spent FROM price_pushes WHERE dry_run = 0 AND created_at >= ?')
+      .all(since.toISOString())
+      .reduce((total, row) => total + BigInt(row.spent), 0n);
+  }
+
+  formatPush(row) {
+    return {
+      id: row.id,
+      feeds: JSON.parse(row.feeds),
+      dryRun: row.dry_run === 1,
+      status: row.status,
+      updateFee: row.update_fee,
+      estimatedCost: row.estimated_cost,
+      spent: row.spent,
+      transactionHash: row.transaction_hash,
+      blockNumber: row.block_number,
+      gasUsed: row.gas_used,
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+PricePusherStore.PUSH_STATUS = PUSH_STATUS;
+
+module.exports = PricePusherStore;
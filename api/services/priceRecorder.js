@@ -0,0 +1,106 @@
+const PriceAggregator = require('./priceAggregator');
+const PriceHistoryStore = require('./priceHistoryStore');
+const PollLoop = require('./pollLoop');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Price Recorder
+ * Runs inside the API process. Every PRICE_RECORDER_INTERVAL_MS it samples
+ * every supported price feed through the price aggregator (so samples follow
+ * PRICE_MODE and are flagged synthetic outside live mode) and stores them for
+ * the candle API. Each tick also applies the retention policy: raw samples
+ * older than PRICE_HISTORY_RAW_RETENTION_DAYS are compacted into hourly
+ * candles, which are kept for PRICE_HISTORY_ROLLUP_RETENTION_DAYS.
+ */
+class PriceRecorder {
+  constructor(options = {}) {
+    this.aggregator = options.aggregator || new PriceAggregator();
+    this.store = options.store || new PriceHistoryStore();
+
+    this.interval = parseInt(process.env.PRICE_RECORDER_INTERVAL_MS) || 60000;
+    this.rawRetentionDays = parseInt(process.env.PRICE_HISTORY_RAW_RETENTION_DAYS) || 7;
+    this.rollupRetentionDays = parseInt(process.env.PRICE_HISTORY_ROLLUP_RETENTION_DAYS) || 365;
+
+    this.loop = new PollLoop(() => this.tick(), this.interval);
+    this.ticking = false;
+    this.lastTick = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start the recorder loop
+   */
+  start() {
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log('✅ Price recorder started');
+  }
+
+  /**
+   * Stop the recorder loop
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Sample every supported feed and apply the retention policy
+   * @returns {Promise<Object|null>} Tick summary, or null if a tick is already running
+   */
+  async tick() {
+    if (this.ticking) {
+      return null;
+    }
+
+    this.ticking = true;
+    try {
+      const symbols = this.aggregator.getSupportedSymbols();
+      const prices = await this.aggregator.getPrices(symbols);
+      const now = this.aggregator.now();
+
+      const recorded = this.store.recordSamples(Object.values(prices), now);
+      const compacted = this.store.compactSamples(now - this.rawRetentionDays * DAY_SECONDS);
+      const pruned = this.store.pruneRollups(now - this.rollupRetentionDays * DAY_SECONDS);
+
+      this.lastTick = {
+        at: new Date(now * 1000).toISOString(),
+        requested: symbols.length,
+        priced: Object.keys(prices).length,
+        recorded,
+        compacted,
+        pruned
+      };
+      this.lastError = null;
+      return this.lastTick;
+    } catch (error) {
+      console.error('❌ Price recorder tick failed:', error.message);
+      this.lastError = error.message;
+      return null;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Recorder status for health reporting and the history endpoint
+   * @returns {Object} Recorder status
+   */
+  getStatus() {
+    return {
+      running: this.loop.running,
+      interval: this.interval,
+      ...this.aggregator.getModeInfo(),
+      retention: {
+        rawSampleDays: this.rawRetentionDays,
+        hourlyCandleDays: this.rollupRetentionDays
+      },
+      lastTick: this.lastTick,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = PriceRecorder;
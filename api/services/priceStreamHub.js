@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+
+const PriceProvider = require('./priceProvider');
+const { getPriceFeedId, getSupportedSymbols, createHermesClient } = require('../config/priceFeeds');
+
+const { formatPrice } = PriceProvider;
+
+// EventSource.CLOSED; the upstream gave up reconnecting on its own
+const EVENT_SOURCE_CLOSED = 2;
+
+/**
+ * Price Stream Hub
+ * Fans out one upstream Hermes price stream (every supported feed) to any
+ * number of Server-Sent Events clients. The upstream is opened when the first
+ * client subscribes and closed again once the last one leaves.
+ *
+ * Every batch of updates gets a sequence number; the SSE event ID is
+ * `${bootId}-${sequence}`, where bootId changes on every process start. The
+ * last PRICE_STREAM_BUFFER_SIZE batches are kept so a client reconnecting with
+ * Last-Event-ID receives what it missed; if the ID is no longer buffered, or
+ * carries another bootId (it predates a restart), the client receives a
+ * snapshot of the latest prices instead.
+ *
+ * Backpressure: once a client's socket stops accepting writes, further updates
+ * are coalesced into one pending batch per client (latest price per symbol)
+ * and flushed on drain. A client that stays blocked for longer than
+ * PRICE_STREAM_MAX_LAG_MS is disconnected and can resume with Last-Event-ID.
+ */
+class PriceStreamHub {
+  constructor(options = {}) {
+    this.hermesClient = options.hermesClient || createHermesClient();
+
+    this.heartbeatInterval = parseInt(process.env.PRICE_STREAM_HEARTBEAT_MS) || 15000;
+    this.retryInterval = parseInt(process.env.PRICE_STREAM_RETRY_MS) || 3000;
+    this.bufferSize = parseInt(process.env.PRICE_STREAM_BUFFER_SIZE) || 1000;
+    this.maxLag = parseInt(process.env.PRICE_STREAM_MAX_LAG_MS) || 30000;
+    this.maxClients = parseInt(process.env.PRICE_STREAM_MAX_CLIENTS) || 500;
+
+    this.symbolsById = new Map(
+      getSupportedSymbols().map((symbol) => [getPriceFeedId(symbol).replace(/^0x/, '').toLowerCase(), symbol])
+    );
+
+    this.clients = new Set();
+    // Sequences restart at 0 with the process, so IDs from an earlier boot must not resume
+    this.bootId = options.bootId || crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.history = [];
+    this.latest = new Map();
+
+    this.upstream = null;
+    this.connecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastUpdate = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Symbols the stream can serve
+   * @returns {string[]} Supported symbols
+   */
+  getSupportedSymbols() {
+    return [...this.symbolsById.values()];
+  }
+
+  /**
+   * Attach an HTTP response as an SSE client
+   * @param {Object} req - Express request (closing it unsubscribes)
+   * @param {Object} res - Express response
+   * @param {Object} options - { symbols, lastEventId }
+   */
+  subscribe(req, res, { symbols, lastEventId = null }) {
+    const client = {
+      res,
+      symbols: new Set(symbols),
+      blockedSince: null,
+      pending: null
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retryInterval}\n\n`);
+    res.on('drain', () => this.flush(client));
+    req.on('close', () => this.unsubscribe(client));
+
+    this.clients.add(client);
+    this.catchUp(client, lastEventId);
+    this.ensureUpstream();
+    this.ensureHeartbeat();
+  }
+
+  unsubscribe(client) {
+    if (!this.clients.delete(client)) {
+      return;
+    }
+    client.res.end();
+
+    if (this.clients.size === 0) {
+      this.closeUpstream();
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Whether another client may subscribe
+   * @returns {boolean} True if below PRICE_STREAM_MAX_CLIENTS
+   */
+  hasCapacity() {
+    return this.clients.size < this.maxClients;
+  }
+
+  /**
+   * SSE event ID for a sequence number
+   * @param {number} sequence - Batch sequence number
+   * @returns {string} `${bootId}-${sequence}`
+   */
+  formatEventId(sequence) {
+    return `${this.bootId}-${sequence}`;
+  }
+
+  /**
+   * Sequence number of an event ID issued by this process
+   * @param {string|null} eventId - Last-Event-ID sent by a client
+   * @returns {number|null} Sequence number, or null if malformed or from another boot
+   */
+  parseEventId(eventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(eventId || '');
+    if (!match || match[1] !== this.bootId) {
+      return null;
+    }
+    return parseInt(match[2]);
+  }
+
+  /**
+   * Send a reconnecting client the batches it missed, or a snapshot if they are gone
+   */
+  catchUp(client, lastEventId) {
+    const lastSequence = this.parseEventId(lastEventId);
+    const oldest = this.history.length > 0 ? this.history[0].id : this.sequence + 1;
+    const resumable = lastSequence !== null && lastSequence >= oldest - 1 && lastSequence <= this.sequence;
+
+    if (resumable) {
+      for (const batch of this.history.filter((entry) => entry.id > lastSequence)) {
+        this.send(client, batch.id, batch.prices);
+      }
+      return;
+    }
+
+    const snapshot = [...this.latest.values()];
+    if (snapshot.length > 0) {
+      this.send(client, this.sequence, snapshot, 'snapshot');
+    }
+  }
+
+  /**
+   * Write one event with the prices a client subscribed to, or queue it if the client is blocked
+   */
+  send(client, id, prices, event = 'price') {
+    const relevant = prices.filter((price) => client.symbols.has(price.symbol));
+    if (relevant.length === 0) {
+      return;
+    }
+
+    if (client.blockedSince) {
+      this.queue(client, id, relevant);
+      return;
+    }
+
+    const accepted = client.res.write(`id: ${this.formatEventId(id)}\nevent: ${event}\ndata: ${JSON.stringify({ prices: relevant })}\n\n`);
+    if (!accepted) {
+      client.blockedSince = Date.now();
+    }
+  }
+
+  /**
+   * Coalesce updates for a blocked client, dropping it once it lags too far behind
+   */
+  queue(client, id, prices) {
+    if (this.dropIfLagging(client)) {
+      return;
+    }
+
+    if (!client.pending) {
+      client.pending = { id, prices: new Map() };
+    }
+    client.pending.id = id;
+    for (const price of prices) {
+      client.pending.prices.set(price.symbol, price);
+    }
+  }
+
+  dropIfLagging(client) {
+    if (Date.now() - client.blockedSince <= this.maxLag) {
+      return false;
+    }
+    console.warn('⚠️  Dropping price stream client that stopped reading');
+    this.unsubscribe(client);
+    return true;
+  }
+
+  flush(client) {
+    client.blockedSince = null;
+    const { pending } = client;
+    client.pending = null;
+    if (pending) {
+      this.send(client, pending.id, [...pending.prices.values()]);
+    }
+  }
+
+  /**
+   * Handle one upstream message: record the batch and fan it out
+   * @param {string} data - Hermes price update JSON
+   */
+  publish(data) {
+    const prices = [];
+    for (const update of JSON.parse(data).parsed || []) {
+      const symbol = this.symbolsById.get(update.id.replace(/^0x/, '').toLowerCase());
+      if (!symbol) {
+        continue;
+      }
+      prices.push(formatPrice({
+        symbol,
+        price: update.price.price,
+        expo: update.price.expo,
+        confidence: update.price.conf,
+        publishTime: update.price.publish_time,
+        source: 'Pyth Network Hermes'
+      }));
+    }
+
+    if (prices.length === 0) {
+      return;
+    }
+
+    this.sequence += 1;
+    this.history.push({ id: this.sequence, prices });
+    if (this.history.length > this.bufferSize) {
+      this.history.shift();
+    }
+    for (const price of prices) {
+      this.latest.set(price.symbol, price);
+    }
+    this.lastUpdate = new Date().toISOString();
+
+    for (const client of this.clients) {
+      this.send(client, this.sequence, prices);
+    }
+  }
+
+  async ensureUpstream() {
+    if (this.upstream || this.connecting || this.reconnectTimer) {
+      return;
+    }
+
+    this.connecting = true;
+    try {
+      const upstream = await this.hermesClient.getPriceUpdatesStream(
+        [...this.symbolsById.keys()].map((id) => `0x${id}`),
+        { parsed: true }
+      );
+      this.connecting = false;
+
+      // Every client may have left while connecting
+      if (this.clients.size === 0) {
+        upstream.close();
+        return;
+      }
+
+      this.upstream = upstream;
+      upstream.onopen = () => {
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+      };
+      upstream.onmessage = (event) => {
+        try {
+          this.publish(event.data);
+        } catch (error) {
+          console.error('❌ Invalid Hermes stream message:', error.message);
+        }
+      };
+      upstream.onerror = (error) => {
+        this.lastError = error.message || 'Hermes stream error';
+        // EventSource retries transient failures itself; rebuild it only once it has given up
+        if (upstream.readyState === EVENT_SOURCE_CLOSED) {
+          this.scheduleReconnect();
+        }
+      };
+    } catch (error) {
+      this.connecting = false;
+      this.lastError = error.message;
+      console.error('❌ Failed to open Hermes price stream:', error.message);
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    this.closeUpstream();
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensureUpstream();
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  closeUpstream() {
+    if (this.upstream) {
+      this.upstream.close();
+      this.upstream = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  ensureHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    // Comment lines keep proxies from closing idle connections; blocked clients are skipped
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients) {
+        if (client.blockedSince) {
+          this.dropIfLagging(client);
+        } else {
+          client.res.write(`: heartbeat ${Date.now()}\n\n`);
+        }
+      }
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stream status for health reporting
+   * @returns {Object} Hub status
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      upstreamConnected: Boolean(this.upstream),
+      lastEventId: this.formatEventId(this.sequence),
+      bufferedEvents: this.history.length,
+      lastUpdate: this.lastUpdate,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Disconnect every client and the upstream
+   */
+  close() {
+    for (const client of this.clients) {
+      this.unsubscribe(client);
+    }
+  }
+}
+
+module.exports = PriceStreamHub;
@@ -1,4 +1,4 @@
-const { HermesClient } = require('@pythnetwork/hermes-client');
+const { PRICE_FEEDS, createHermesClient } = require('../config/priceFeeds');
 const { ethers } = require('ethers');
 
 /**
@@ -7,7 +7,7 @@ const { ethers } = require('ethers');
  */
 class PythOracleService {
     constructor(providerUrl, pythContractAddress) {
-        this.hermesClient = new HermesClient('https://hermes.pyth.network');
+        this.hermesClient = createHermesClient();
         this.provider = new ethers.JsonRpcProvider(providerUrl);
         this.pythContractAddress = pythContractAddress;
 
@@ -20,13 +20,7 @@ class PythOracleService {
         ];
 
         // Asset price feed IDs
-        this.priceFeeds = {
-            WETH: '0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace',
-            WBTC: '0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43',
-            LINK: '0x8ac0c70fff57e9aefdf5edf44b51d62c2d433653cbb2cf5cc06bb115af04d221',
-            USDC: '0xeaa020c61cc479712813461ce153894a96a6c00b21ed0cfc2798d1f9a9e9c94a',
-            PYUSD: '0xc1da76235f64b635b813a174fd33c86363732834a2ead6079d7cda42f6e76692'
-        };
+        this.priceFeeds = { ...PRICE_FEEDS };
 
         this.cache = new Map();
         this.cacheTimeout = 30000; // 30 seconds
@@ -38,37 +32,53 @@ class PythOracleService {
      * @returns {Promise<Object>} Price update data and metadata
      */
     async fetchPriceUpdates(symbols) {
-        try {
-            const priceIds = symbols.map(symbol => {
-                const priceId = this.priceFeeds[symbol.toUpperCase()];
-                if (!priceId) {
-                    throw new Error(`Unsupported asset symbol: ${symbol}`);
-                }
-                return priceId;
-            });
+        const priceIds = symbols.map(symbol => {
+            const priceId = this.priceFeeds[symbol.toUpperCase()];
+            if (!priceId) {
+                throw new Error(`Unsupported asset symbol: ${symbol}`);
+            }
+            return priceId;
+        });
 
-            console.log(`Fetching price updates for: ${symbols.join(', ')}`);
+        console.log(`Fetching price updates for: ${symbols.join(', ')}`);
 
+        return {
+            ...(await this.fetchPriceUpdatesByIds(priceIds)),
+            symbols
+        };
+    }
+
+    /**
+     * Fetch price update data from Hermes for raw price feed IDs
+     * @param {string[]} priceIds - Pyth price feed IDs
+     * @returns {Promise<Object>} Price update data, parsed per-feed prices and metadata
+     */
+    async fetchPriceUpdatesByIds(priceIds) {
+        try {
             // Fetch VAA (Verifiable Action Approval) data from Hermes
-            const priceUpdates = await this.hermesClient.getLatestPriceUpdates(priceIds);
+            const priceUpdates = await this.hermesClient.getLatestPriceUpdates(priceIds, { parsed: true });
 
-            if (!priceUpdates || priceUpdates.length === 0) {
+            if (!priceUpdates || !priceUpdates.binary || priceUpdates.binary.data.length === 0) {
                 throw new Error('No price updates available from Hermes');
             }
 
-            // Extract the binary price update data
-            const priceUpdateData = priceUpdates.map(update => {
-                if (update.binary && update.binary.data) {
-                    return '0x' + Buffer.from(update.binary.data, 'hex').toString('hex');
-                } else {
-                    throw new Error('Invalid price update format from Hermes');
-                }
-            });
+            // Extract the binary (hex encoded) price update data
+            const priceUpdateData = priceUpdates.binary.data.map(data => '0x' + data.replace(/^0x/, ''));
+
+            const prices = (priceUpdates.parsed || []).map(update => ({
+                priceId: '0x' + update.id.replace(/^0x/, ''),
+                price: update.price.price,
+                confidence: update.price.conf,
+                expo: update.price.expo,
+                publishTime: update.price.publish_time
+            }));
+            const publishTimes = prices.map(({ priceId, publishTime }) => ({ priceId, publishTime }));
 
             return {
                 priceUpdateData,
-                symbols,
                 priceIds,
+                prices,
+                publishTimes,
                 timestamp: Date.now(),
                 count: priceUpdateData.length
             };
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE quotes (
+    quote_id TEXT PRIMARY KEY,
+    plan_id TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    user_address TEXT,
+    payload TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    prepared_at TEXT,
+    prepared_by TEXT,
+    transaction_hash TEXT,
+    executed_at TEXT,
+    execution TEXT
+  );
+
+  CREATE INDEX idx_quotes_user ON quotes (user_address);
+  CREATE INDEX idx_quotes_transaction ON quotes (transaction_hash);
+  `
+];
+
+// Quote lifecycle; expiry is derived from expires_at when read
+const QUOTE_STATUS = {
+  QUOTED: 'quoted',
+  PREPARED: 'prepared', // transactions were built from the quote
+  EXECUTED: 'executed' // the investment transaction was recorded against the quote
+};
+
+let ephemeralSecret = null;
+
+// QUOTE_SIGNING_SECRET keys the HMAC; without it quotes only verify until the process restarts
+const getSigningSecret = () => {
+  if (process.env.QUOTE_SIGNING_SECRET) {
+    return process.env.QUOTE_SIGNING_SECRET;
+  }
+  if (!ephemeralSecret) {
+    console.warn('⚠️  QUOTE_SIGNING_SECRET not set; quotes are signed with a per-process key');
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return ephemeralSecret;
+};
+
+// HMAC-SHA256 over the exact payload string that is stored
+const signPayload = (payload, secret = getSigningSecret()) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const verifySignature = (payload, signature, secret = getSigningSecret()) => {
+  const expected = Buffer.from(signPayload(payload, secret), 'hex');
+  const actual = Buffer.from(signature || '', 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Quote Store
+ * Persists the quotes /quote hands out, each with an ID, an expiry
+ * (QUOTE_TTL_SECONDS) and an HMAC over its payload, so prepare-investment can
+ * build exactly what was quoted and the executed outcome can be audited
+ * against it later
+ */
+class QuoteStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    this.ttlSeconds = parseInt(process.env.QUOTE_TTL_SECONDS) || 60;
+    runMigrations(this.db, 'quotes', MIGRATIONS);
+  }
+
+  /**
+   * Sign and store a quote
+   * @param {Object} quote - Quote contents (planId, amount, userAddress, legs, prices, priceUpdate, ...)
+   * @param {Date} now - Creation time
+   * @returns {Object} Stored quote
+   */
+  create(quote, now = new Date()) {
+    const quoteId = crypto.randomUUID();
+    const createdAt = now.toISOString();
+    const expiresAt = new Date(now.getTime() + this.ttlSeconds * 1000).toISOString();
+    const payload = JSON.stringify({
+      ...quote,
+      quoteId,
+      planId: String(quote.planId),
+      amount: String(quote.amount),
+      userAddress: quote.userAddress ? quote.userAddress.toLowerCase() : null,
+      createdAt,
+      expiresAt
+    });
+
+    this.db
+      .prepare(`
+        INSERT INTO quotes (
+          quote_id, plan_id, amount, user_address, payload, signature, status, created_at, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        quoteId,
+        String(quote.planId),
+        String(quote.amount),
+        quote.userAddress ? quote.userAddress.toLowerCase() : null,
+        payload,
+        signPayload(payload),
+        QUOTE_STATUS.QUOTED,
+        createdAt,
+        expiresAt
+      );
+
+    return this.get(quoteId, now);
+  }
+
+  /**
+   * Get a quote by ID
+   * @param {string} quoteId - Quote ID
+   * @param {Date} now - Time used for the expired flag
+   * @returns {Object|null} Quote or null
+   */
+  get(quoteId, now = new Date()) {
+    const row = this.db.prepare('SELECT * FROM quotes WHERE quote_id = ?').get(quoteId);
+    return row ? this.formatQuote(row, now) : null;
+  }
+
+  /**
+   * Record that transactions were built from a quote
+   * @param {string} quoteId - Quote ID
+   * @param {string} userAddress - Address the transactions were built for
+   * @returns {Object} Updated quote
+   */
+  markPrepared(quoteId, userAddress) {
+    this.db
+      .prepare('UPDATE quotes SET status = ?, prepared_at = ?, prepared_by = ? WHERE quote_id = ? AND status = ?')
+      .run(QUOTE_STATUS.PREPARED, new Date().toISOString(), userAddress.toLowerCase(), quoteId, QUOTE_STATUS.QUOTED);
+    return this.get(quoteId);
+  }
+
+  /**
+   * Record the executed outcome of a quote
+   * @param {string} quoteId - Quote ID
+   * @param {string} transactionHash - Investment transaction hash
+   * @param {Object} execution - Executed outcome compared with the quote
+   * @returns {Object} Updated quote
+   */
+  recordExecution(quoteId, transactionHash, execution) {
+    this.db
+      .prepare('UPDATE quotes SET status = ?, transaction_hash = ?, executed_at = ?, execution = ? WHERE quote_id = ?')
+      .run(QUOTE_STATUS.EXECUTED, transactionHash.toLowerCase(), new Date().toISOString(), JSON.stringify(execution), quoteId);
+    return this.get(quoteId);
+  }
+
+  /**
+   * Find the quote an investment transaction was recorded against
+   * @param {string} transactionHash - Transaction hash
+   * @returns {Object|null} Quote or null
+   */
+  getByTransactionHash(transactionHash) {
+    const row = this.db.prepare('SELECT * FROM quotes WHERE transaction_hash = ?').get(transactionHash.toLowerCase());
+    return row ? this.formatQuote(row) : null;
+  }
+
+  formatQuote(row, now = new Date()) {
+    return {
+      ...JSON.parse(row.payload),
+      signature: row.signature,
+      signatureValid: verifySignature(row.payload, row.signature),
+      status: row.status,
+      expired: new Date(row.expires_at) <= now,
+      preparedAt: row.prepared_at,
+      preparedBy: row.prepared_by,
+      transactionHash: row.transaction_hash,
+      executedAt: row.executed_at,
+      execution: row.execution ? JSON.parse(row.execution) : null
+    };
+  }
+}
+
+QuoteStore.QUOTE_STATUS = QUOTE_STATUS;
+QuoteStore.signPayload = signPayload;
+QuoteStore.verifySignature = verifySignature;
+
+module.exports = QuoteStore;
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const PriceProvider = require('./priceProvider');
+const { getPriceFeedId } = require('../config/priceFeeds');
+
+const { formatPrice } = PriceProvider;
+
+const DEFAULT_REPLAY_PATH = path.join(__dirname, '..', 'config', 'priceReplay.jsonl');
+
+/**
+ * Replay Price Provider
+ * Plays back Hermes responses recorded with HERMES_RECORD_PATH (one JSON
+ * response per line, PRICE_REPLAY_PATH) against a seeded clock. The clock
+ * starts at PRICE_REPLAY_CLOCK_START (default: the earliest recorded publish
+ * time) and advances PRICE_REPLAY_CLOCK_SPEED seconds per real second until
+ * it reaches the end of the recording; speed 0 freezes it so every request
+ * sees the same prices. Each symbol is served the latest recorded update
+ * published at or before the clock.
+ */
+class ReplayPriceProvider extends PriceProvider {
+  constructor(options = {}) {
+    super('replay', 'Recorded Hermes Replay', true);
+    this.updates = options.updates || ReplayPriceProvider.loadRecording(
+      options.replayPath || process.env.PRICE_REPLAY_PATH || DEFAULT_REPLAY_PATH
+    );
+
+    const publishTimes = [...this.updates.values()].flat().map((update) => update.publishTime);
+    if (publishTimes.length === 0) {
+      throw new Error('Price replay recording contains no price updates');
+    }
+
+    const clockStart = options.clockStart ?? parseInt(process.env.PRICE_REPLAY_CLOCK_START);
+    const clockSpeed = options.clockSpeed ?? parseFloat(process.env.PRICE_REPLAY_CLOCK_SPEED);
+    this.clockStart = Number.isFinite(clockStart) ? clockStart : Math.min(...publishTimes);
+    this.clockSpeed = Number.isFinite(clockSpeed) ? clockSpeed : 1;
+    this.clockEnd = Math.max(this.clockStart, ...publishTimes);
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Read a recording into per-feed updates sorted by publish time
+   * @param {string} replayPath - Path to the JSON lines recording
+   * @returns {Map<string, Object[]>} Updates keyed by lower-case feed ID without 0x
+   */
+  static loadRecording(replayPath) {
+    const updates = new Map();
+    const lines = fs.readFileSync(replayPath, 'utf8').split('\n').filter((line) => line.trim());
+
+    for (const line of lines) {
+      for (const update of JSON.parse(line).parsed || []) {
+        const id = update.id.replace(/^0x/, '').toLowerCase();
+        if (!updates.has(id)) {
+          updates.set(id, []);
+        }
+        updates.get(id).push({
+          price: update.price.price,
+          confidence: update.price.conf,
+          expo: update.price.expo,
+          publishTime: update.price.publish_time
+        });
+      }
+    }
+
+    for (const feedUpdates of updates.values()) {
+      feedUpdates.sort((a, b) => a.publishTime - b.publishTime);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Current time on the replay clock (held at the end of the recording)
+   * @returns {number} Unix time in seconds
+   */
+  now() {
+    const elapsedSeconds = (Date.now() - this.startedAt) / 1000;
+    return Math.min(Math.floor(this.clockStart + elapsedSeconds * this.clockSpeed), this.clockEnd);
+  }
+
+  supports(symbol) {
+    const priceId = getPriceFeedId(symbol);
+    return Boolean(priceId && this.updates.has(priceId.replace(/^0x/, '').toLowerCase()));
+  }
+
+  async getPrices(symbols) {
+    const now = this.now();
+    const prices = {};
+
+    for (const symbol of symbols.map((value) => value.toUpperCase())) {
+      if (!this.supports(symbol)) {
+        continue;
+      }
+
+      // Latest update at or before the clock; before the recording starts, its first update
+      const feedUpdates = this.updates.get(getPriceFeedId(symbol).replace(/^0x/, '').toLowerCase());
+      const update = feedUpdates.filter((entry) => entry.publishTime <= now).pop() || feedUpdates[0];
+
+      prices[symbol] = formatPrice({
+        symbol,
+        price: update.price,
+        expo: update.expo,
+        confidence: update.confidence,
+        publishTime: update.publishTime,
+        source: this.source,
+        synthetic: this.synthetic
+      });
+    }
+
+    return prices;
+  }
+}
+
+module.exports = ReplayPriceProvider;
@@ -0,0 +1,138 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE safe_proposals (
+    proposal_id TEXT PRIMARY KEY,
+    safe_address TEXT NOT NULL,
+    chain_id INTEGER NOT NULL,
+    safe_version TEXT,
+    nonce INTEGER NOT NULL,
+    actions TEXT NOT NULL,
+    typed_data TEXT NOT NULL,
+    safe_tx_hash TEXT NOT NULL,
+    batch TEXT NOT NULL,
+    signatures TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_safe_proposals_safe ON safe_proposals (safe_address, nonce);
+  CREATE INDEX idx_safe_proposals_hash ON safe_proposals (safe_tx_hash);
+  `
+];
+
+// Proposal lifecycle
+const PROPOSAL_STATUS = {
+  AWAITING_SIGNATURES: 'awaiting_signatures',
+  READY: 'ready', // enough owner signatures to build execTransaction
+  STALE: 'stale' // the Safe nonce moved past the proposal (executed or replaced)
+};
+
+/**
+ * Safe Proposal Store
+ * Persists admin actions exported as Safe transactions: the SafeTx typed data
+ * and hash owners sign, the Transaction Builder batch, and the owner
+ * signatures collected so far (keyed by owner address)
+ */
+class SafeProposalStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'safe_proposals', MIGRATIONS);
+  }
+
+  /**
+   * Record a new proposal
+   * @param {Object} proposal - { proposalId, safeAddress, chainId, safeVersion, nonce, actions, typedData,
+   *   safeTxHash, batch, createdBy }
+   * @returns {Object} Created proposal
+   */
+  create({ proposalId, safeAddress, chainId, safeVersion, nonce, actions, typedData, safeTxHash, batch, createdBy }) {
+    const now = new Date().toISOString();
+    this.db
+      .prepare(`
+        INSERT INTO safe_proposals (
+          proposal_id, safe_address, chain_id, safe_version, nonce, actions, typed_data, safe_tx_hash, batch,
+          signatures, status, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        proposalId,
+        safeAddress,
+        chainId,
+        safeVersion || null,
+        nonce,
+        JSON.stringify(actions),
+        JSON.stringify(typedData),
+        safeTxHash,
+        JSON.stringify(batch),
+        '{}',
+        PROPOSAL_STATUS.AWAITING_SIGNATURES,
+        createdBy.toLowerCase(),
+        now,
+        now
+      );
+
+    return this.get(proposalId);
+  }
+
+  /**
+   * Update a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} changes - status, signatures
+   * @returns {Object} Updated proposal
+   */
+  update(proposalId, changes) {
+    const columns = {
+      status: 'status',
+      signatures: 'signatures'
+    };
+
+    const entries = Object.entries(changes).filter(([key]) => columns[key]);
+    if (entries.length > 0) {
+      const assignments = entries.map(([key]) => `${columns[key]} = ?`).join(', ');
+      const values = entries.map(([key, value]) => (key === 'signatures' ? JSON.stringify(value) : value));
+
+      this.db
+        .prepare(`UPDATE safe_proposals SET ${assignments}, updated_at = ? WHERE proposal_id = ?`)
+        .run(...values, new Date().toISOString(), proposalId);
+    }
+
+    return this.get(proposalId);
+  }
+
+  /**
+   * Get a proposal by ID
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object|null} Proposal or null
+   */
+  get(proposalId) {
+    const row = this.db.prepare('SELECT * FROM safe_proposals WHERE proposal_id = ?').get(proposalId);
+    return row ? this.formatProposal(row) : null;
+  }
+
+  formatProposal(row) {
+    return {
+      proposalId: row.proposal_id,
+      safeAddress: row.safe_address,
+      chainId: row.chain_id,
+      safeVersion: row.safe_version,
+      nonce: row.nonce,
+      actions: JSON.parse(row.actions),
+      typedData: JSON.parse(row.typed_data),
+      safeTxHash: row.safe_tx_hash,
+      batch: JSON.parse(row.batch),
+      signatures: JSON.parse(row.signatures),
+      status: row.status,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+SafeProposalStore.PROPOSAL_STATUS = PROPOSAL_STATUS;
+
+module.exports = SafeProposalStore;
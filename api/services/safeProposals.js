@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getCurrentNetwork } = require('../config/contracts');
+const EngineAdmin = require('./engineAdmin');
+const AdminAuditStore = require('./adminAuditStore');
+const SafeProposalStore = require('./safeProposalStore');
+const TransactionSimulator = require('./transactionSimulator');
+
+const { AUDIT_STATUS } = AdminAuditStore;
+const { PROPOSAL_STATUS } = SafeProposalStore;
+const { SIMULATION_STATUS } = TransactionSimulator;
+
+// Minimal Safe (GnosisSafe v1.x) interface
+const SAFE_ABI = [
+  'function VERSION() view returns (string)',
+  'function nonce() view returns (uint256)',
+  'function getThreshold() view returns (uint256)',
+  'function getOwners() view returns (address[])',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)'
+];
+
+const MULTISEND_INTERFACE = new ethers.Interface(['function multiSend(bytes transactions) payable']);
+
+// Safe's MultiSendCallOnly v1.3.0, deployed at the same address on every supported chain
+const DEFAULT_MULTISEND_ADDRESS = '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D';
+
+const SAFE_OPERATION = {
+  CALL: 0,
+  DELEGATE_CALL: 1 // used to run a batch through MultiSend
+};
+
+const SAFE_TX_TYPE = [
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'data', type: 'bytes' },
+  { name: 'operation', type: 'uint8' },
+  { name: 'safeTxGas', type: 'uint256' },
+  { name: 'baseGas', type: 'uint256' },
+  { name: 'gasPrice', type: 'uint256' },
+  { name: 'gasToken', type: 'address' },
+  { name: 'refundReceiver', type: 'address' },
+  { name: 'nonce', type: 'uint256' }
+];
+
+// Transaction Builder version recorded in exported batch files
+const TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Safe Proposals
+ * Exports admin actions as a Safe multisig transaction instead of sending
+ * them from ADMIN_PRIVATE_KEY. Each action goes through the same role check
+ * and parameter parsing as the admin API and is simulated from the Safe; the
+ * result is a Transaction Builder JSON batch for the Safe UI, and the SafeTx
+ * (a direct call, or MultiSendCallOnly for several actions) with its EIP-712
+ * typed data and hash for offline signing. Owner signatures are verified
+ * against the Safe's current owners, and once there are threshold of them the
+ * proposal carries the execTransaction calldata anyone can submit.
+ */
+class SafeProposals {
+  constructor(options = {}) {
+    this.engineAdmin = options.engineAdmin || new EngineAdmin();
+    this.provider = options.provider || this.engineAdmin.provider;
+    this.simulator = options.simulator || this.engineAdmin.simulator;
+    this.auditStore = options.auditStore || this.engineAdmin.auditStore;
+    this.store = options.store || new SafeProposalStore();
+
+    const safeAddress = options.safeAddress || getCurrentNetwork().contracts.SAFE;
+    this.safe = safeAddress ? new ethers.Contract(ethers.getAddress(safeAddress.toLowerCase()), SAFE_ABI, this.provider) : null;
+    this.multiSendAddress = ethers.getAddress((process.env.SAFE_MULTISEND_ADDRESS || DEFAULT_MULTISEND_ADDRESS).toLowerCase());
+  }
+
+  /**
+   * Read the Safe's version, nonce, threshold and owners
+   * @returns {Promise<Object>} Safe info
+   */
+  async getSafeInfo() {
+    if (!this.safe) {
+      throw new Error('Safe address not configured for this network');
+    }
+
+    const [network, version, nonce, threshold, owners] = await Promise.all([
+      this.provider.getNetwork(),
+      this.safe.VERSION().catch(() => null),
+      this.safe.nonce(),
+      this.safe.getThreshold(),
+      this.safe.getOwners()
+    ]);
+
+    return {
+      address: this.safe.target,
+      chainId: Number(network.chainId),
+      version,
+      nonce: Number(nonce),
+      threshold: Number(threshold),
+      owners: [...owners],
+      multiSendAddress: this.multiSendAddress
+    };
+  }
+
+  /**
+   * Export admin actions as a Safe proposal
+   * @param {Object} request - { actions: [{ action, params }], nonce, description, actor, roles }
+   * @returns {Promise<Object>} { status, proposal, audit } or { status, error, audit }
+   */
+  async propose({ actions, nonce, description, actor, roles }) {
+    const calls = actions.map(({ action, params }) => ({
+      action,
+      params,
+      ...this.engineAdmin.prepare({ action, params, roles })
+    }));
+    const record = (call, fields) =>
+      this.auditStore.record({ action: call.action, params: call.params, actor, roles, dryRun: false, ...fields });
+    const refuse = (failed, status, error) => ({
+      status,
+      error: failed.map((call) => `${call.action}: ${error(call)}`).join('; '),
+      audit: failed.map((call) => record(call, { ...call.entry, status, error: error(call) }))
+    });
+
+    const unprepared = calls.filter((call) => call.error);
+    if (unprepared.length > 0) {
+      return {
+        status: unprepared[0].status,
+        error: unprepared.map((call) => `${call.action}: ${call.error}`).join('; '),
+        audit: unprepared.map((call) => record(call, { status: call.status, error: call.error }))
+      };
+    }
+
+    let info;
+    try {
+      info = await this.getSafeInfo();
+    } catch (error) {
+      return refuse(calls, AUDIT_STATUS.FAILED, () => `Could not read the Safe: ${error.shortMessage || error.message}`);
+    }
+
+    const safeNonce = nonce === undefined ? info.nonce : Number(nonce);
+    if (safeNonce < info.nonce) {
+      return refuse(calls, AUDIT_STATUS.INVALID, () => `nonce ${safeNonce} is below the Safe nonce ${info.nonce}`);
+    }
+
+    // Each call is simulated on its own, from the Safe as the contract owner
+    for (const call of calls) {
+      const result = await this.simulator.simulateCall({ from: info.address, to: call.to, data: call.data }, null);
+      call.entry = {
+        from: info.address,
+        to: call.to,
+        data: call.data,
+        previousValue: await this.engineAdmin.readValue(call.definition, call.contract, call.args),
+        simulation: {
+          status: result.status,
+          gasEstimate: result.gasEstimate === null ? null : result.gasEstimate.toString(),
+          revert: result.revert,
+          error: result.error
+        }
+      };
+    }
+
+    const reverted = calls.filter((call) => call.entry.simulation.status === SIMULATION_STATUS.REVERTED);
+    if (reverted.length > 0) {
+      return refuse(reverted, AUDIT_STATUS.REVERTED, (call) => `Simulation reverted: ${call.entry.simulation.revert.reason}`);
+    }
+    const unavailable = calls.filter((call) => call.entry.simulation.status === SIMULATION_STATUS.UNAVAILABLE);
+    if (unavailable.length > 0) {
+      return refuse(unavailable, AUDIT_STATUS.FAILED, (call) => `Simulation unavailable: ${call.entry.simulation.error}`);
+    }
+
+    const transaction = calls.length === 1
+      ? { to: calls[0].to, data: calls[0].data, operation: SAFE_OPERATION.CALL }
+      : { to: this.multiSendAddress, data: this.encodeMultiSend(calls), operation: SAFE_OPERATION.DELEGATE_CALL };
+    const typedData = this.buildTypedData(info, { ...transaction, nonce: safeNonce });
+    const proposalId = crypto.randomUUID();
+
+    const proposal = this.store.create({
+      proposalId,
+      safeAddress: info.address,
+      chainId: info.chainId,
+      safeVersion: info.version,
+      nonce: safeNonce,
+      actions: calls.map((call) => ({ action: call.action, params: call.params, to: call.to, data: call.data })),
+      typedData,
+      safeTxHash: ethers.TypedDataEncoder.hash(typedData.domain, { SafeTx: SAFE_TX_TYPE }, typedData.message),
+      batch: this.buildBatch(info, calls, description),
+      createdBy: actor
+    });
+
+    return {
+      status: AUDIT_STATUS.PROPOSED,
+      proposal: this.evaluate(proposal, info),
+      audit: calls.map((call) => record(call, { ...call.entry, status: AUDIT_STATUS.PROPOSED, safeProposalId: proposalId }))
+    };
+  }
+
+  /**
+   * Get a proposal with its signature status against the Safe's current owners
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<Object|null>} Proposal or null
+   */
+  async getProposal(proposalId) {
+    const proposal = this.store.get(proposalId);
+    return proposal ? this.evaluate(proposal, await this.getSafeInfo()) : null;
+  }
+
+  /**
+   * Verify owner signatures over a proposal's safeTxHash and add the valid ones
+   * @param {string} proposalId - Proposal ID
+   * @param {string[]} signatures - 65-byte ECDSA signatures (EIP-712, or eth_sign with v + 4)
+   * @returns {Promise<Object|null>} { proposal, accepted, rejected } or null if there is no such proposal
+   */
+  async addSignatures(proposalId, signatures) {
+    const proposal = this.store.get(proposalId);
+    if (!proposal) {
+      return null;
+    }
+
+    const info = await this.getSafeInfo();
+    const owners = new Set(info.owners.map((owner) => owner.toLowerCase()));
+    const accepted = {};
+    const rejected = [];
+
+    for (const signature of signatures) {
+      try {
+        const signer = this.recoverSigner(proposal.safeTxHash, signature).toLowerCase();
+        if (!owners.has(signer)) {
+          rejected.push({ signature, signer, error: 'Signer is not an owner of the Safe' });
+        } else {
+          accepted[signer] = signature.toLowerCase();
+        }
+      } catch (error) {
+        rejected.push({ signature, signer: null, error: error.shortMessage || error.message });
+      }
+    }
+
+    const updated = Object.keys(accepted).length > 0
+      ? this.store.update(proposalId, { signatures: { ...proposal.signatures, ...accepted } })
+      : proposal;
+
+    return {
+      proposal: this.evaluate(updated, info),
+      accepted: Object.keys(accepted),
+      rejected
+    };
+  }
+
+  // Owner that produced a 65-byte ECDSA signature over safeTxHash
+  recoverSigner(safeTxHash, signature) {
+    const v = ethers.getBytes(signature)[64];
+
+    if (v === 27 || v === 28) {
+      return ethers.recoverAddress(safeTxHash, signature);
+    }
+    // eth_sign signatures carry v + 4 so the Safe knows to check them against the prefixed message hash
+    if (v === 31 || v === 32) {
+      return ethers.recoverAddress(
+        ethers.hashMessage(ethers.getBytes(safeTxHash)),
+        ethers.concat([ethers.dataSlice(signature, 0, 64), ethers.toBeHex(v - 4)])
+      );
+    }
+    throw new Error(`Unsupported signature type (v = ${v}); only owner EOA signatures are accepted`);
+  }
+
+  /**
+   * Current status of a proposal: stale once the Safe nonce has moved past it, ready once
+   * threshold current owners have signed, with the execTransaction calldata when ready
+   * @param {Object} proposal - Stored proposal
+   * @param {Object} info - Safe info
+   * @returns {Object} Proposal with threshold, owners, confirmations and execTransaction
+   */
+  evaluate(proposal, info) {
+    const owners = new Set(info.owners.map((owner) => owner.toLowerCase()));
+    // execTransaction expects signatures ordered by owner address
+    const signatures = Object.entries(proposal.signatures)
+      .filter(([owner]) => owners.has(owner))
+      .sort(([a], [b]) => (a < b ? -1 : 1));
+
+    let status = signatures.length >= info.threshold ? PROPOSAL_STATUS.READY : PROPOSAL_STATUS.AWAITING_SIGNATURES;
+    if (info.nonce > proposal.nonce) {
+      status = PROPOSAL_STATUS.STALE;
+    }
+    const current = status === proposal.status ? proposal : this.store.update(proposal.proposalId, { status });
+
+    let execTransaction = null;
+    if (status === PROPOSAL_STATUS.READY) {
+      const tx = proposal.typedData.message;
+      execTransaction = {
+        to: proposal.safeAddress,
+        value: '0',
+        data: this.safe.interface.encodeFunctionData('execTransaction', [
+          tx.to,
+          tx.value,
+          tx.data,
+          tx.operation,
+          tx.safeTxGas,
+          tx.baseGas,
+          tx.gasPrice,
+          tx.gasToken,
+          tx.refundReceiver,
+          ethers.concat(signatures.slice(0, info.threshold).map(([, signature]) => signature))
+        ])
+      };
+    }
+
+    return {
+      ...current,
+      safeNonce: info.nonce,
+      threshold: info.threshold,
+      owners: info.owners,
+      confirmations: signatures.map(([owner]) => ethers.getAddress(owner)),
+      execTransaction
+    };
+  }
+
+  // EIP-712 typed data for eth_signTypedData_v4; Safes before v1.3.0 leave the chain ID out of the domain
+  buildTypedData(info, { to, data, operation, nonce }) {
+    const legacyDomain = info.version !== null && /^(0|1\.[0-2])\./.test(info.version);
+    const domain = legacyDomain
+      ? { verifyingContract: info.address }
+      : { chainId: info.chainId, verifyingContract: info.address };
+
+    return {
+      types: {
+        EIP712Domain: [
+          ...(legacyDomain ? [] : [{ name: 'chainId', type: 'uint256' }]),
+          { name: 'verifyingContract', type: 'address' }
+        ],
+        SafeTx: SAFE_TX_TYPE
+      },
+      domain,
+      primaryType: 'SafeTx',
+      message: {
+        to,
+        value: '0',
+        data,
+        operation,
+        safeTxGas: '0',
+        baseGas: '0',
+        gasPrice: '0',
+        gasToken: ethers.ZeroAddress,
+        refundReceiver: ethers.ZeroAddress,
+        nonce: String(nonce)
+      }
+    };
+  }
+
+  // multiSend payload: operation, to, value, data length and data of each call, packed
+  encodeMultiSend(calls) {
+    const transactions = ethers.concat(
+      calls.map((call) =>
+        ethers.solidityPacked(
+          ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+          [SAFE_OPERATION.CALL, call.to, 0, ethers.dataLength(call.data), call.data]
+        )
+      )
+    );
+    return MULTISEND_INTERFACE.encodeFunctionData('multiSend', [transactions]);
+  }
+
+  // Batch file for the Safe UI's Transaction Builder (calls as raw calldata)
+  buildBatch(info, calls, description) {
+    return {
+      version: '1.0',
+      chainId: String(info.chainId),
+      createdAt: Date.now(),
+      meta: {
+        name: 'Transactions Batch',
+        description: description || calls.map((call) => call.action).join(', '),
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: info.address,
+        createdFromOwnerAddress: ''
+      },
+      transactions: calls.map((call) => ({
+        to: call.to,
+        value: '0',
+        data: call.data,
+        contractMethod: null,
+        contractInputsValues: null
+      }))
+    };
+  }
+}
+
+SafeProposals.SAFE_OPERATION = SAFE_OPERATION;
+
+module.exports = SafeProposals;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+const { getCurrentNetwork, initializeProvider } = require('../config/contracts');
+const { getSiweDomain, getAuthJwtSecret } = require('../config/auth');
+const AuthStore = require('./authStore');
+
+/**
+ * SIWE Auth
+ * Sign-In with Ethereum (EIP-4361) for the API. A client fetches a nonce,
+ * has the wallet sign a SIWE message containing it, and exchanges message and
+ * signature for a session JWT (HS256, AUTH_JWT_SECRET). Nonces are single use
+ * and expire after AUTH_NONCE_TTL_SECONDS; sessions last
+ * AUTH_SESSION_TTL_SECONDS and can be revoked. Contract wallets are verified
+ * through EIP-1271 against the configured RPC. Messages must be signed for
+ * SIWE_DOMAIN; outside NETWORK=localhost it and AUTH_JWT_SECRET are required.
+ */
+class SiweAuth {
+  constructor(options = {}) {
+    this.domain = getSiweDomain();
+    this.secret = getAuthJwtSecret();
+    if (!this.secret) {
+      console.warn('⚠️  AUTH_JWT_SECRET not set; sessions are signed with a per-process key (localhost only)');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    this.store = options.store || new AuthStore();
+    this.network = getCurrentNetwork();
+    this.provider = options.provider || initializeProvider();
+    this.nonceTtlSeconds = parseInt(process.env.AUTH_NONCE_TTL_SECONDS) || 300;
+    this.sessionTtlSeconds = parseInt(process.env.AUTH_SESSION_TTL_SECONDS) || 86400;
+  }
+
+  /**
+   * Issue a nonce for a SIWE message
+   * @param {Date} now - Current time
+   * @returns {Object} { nonce, expiresAt, chainId, domain }
+   */
+  createNonce(now = new Date()) {
+    const nonce = generateNonce();
+    const expiresAt = new Date(now.getTime() + this.nonceTtlSeconds * 1000);
+    this.store.createNonce(nonce, expiresAt, now);
+
+    return {
+      nonce,
+      expiresAt: expiresAt.toISOString(),
+      chainId: this.network.chainId,
+      domain: this.domain
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session
+   * @param {Object} params - { message, signature }
+   * @returns {Promise<Object>} { token, address, sessionId, expiresAt }
+   */
+  async verifySignIn({ message, signature }) {
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw new Error(`Invalid SIWE message: ${error.message || error}`);
+    }
+
+    if (siweMessage.chainId !== this.network.chainId) {
+      throw new Error(`SIWE message is for chain ${siweMessage.chainId}, expected ${this.network.chainId}`);
+    }
+
+    const result = await siweMessage.verify(
+      { signature, domain: this.domain, nonce: siweMessage.nonce },
+      { suppressExceptions: true, provider: this.provider }
+    );
+    if (!result.success) {
+      const { error } = result;
+      throw new Error(`SIWE verification failed: ${error.type || error.message}`);
+    }
+
+    // Consume the nonce only after the signature checks out, so a bad attempt does not burn it
+    if (!this.store.consumeNonce(siweMessage.nonce)) {
+      throw new Error('Nonce is unknown, expired or already used');
+    }
+
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + this.sessionTtlSeconds * 1000);
+    const session = this.store.createSession({
+      sessionId: crypto.randomUUID(),
+      address: siweMessage.address,
+      chainId: siweMessage.chainId,
+      createdAt,
+      expiresAt
+    });
+
+    const token = jwt.sign(
+      { sub: session.address, chainId: session.chainId },
+      this.secret,
+      { algorithm: 'HS256', jwtid: session.sessionId, expiresIn: this.sessionTtlSeconds }
+    );
+
+    return {
+      token,
+      address: session.address,
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Check a session JWT
+   * @param {string} token - Session JWT
+   * @returns {Object} Session { sessionId, address, chainId, expiresAt }
+   */
+  verifySession(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { algorithms: ['HS256'] });
+    } catch (error) {
+      throw new Error(`Invalid session token: ${error.message}`);
+    }
+
+    const session = this.store.getSession(claims.jti);
+    if (!session || session.address !== claims.sub) {
+      throw new Error('Session not found');
+    }
+    if (session.revokedAt) {
+      throw new Error('Session has been revoked');
+    }
+    return session;
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if the session was active
+   */
+  revokeSession(sessionId) {
+    return this.store.revokeSession(sessionId);
+  }
+}
+
+module.exports = SiweAuth;
@@ -0,0 +1,144 @@
+const {
+  initializeProvider,
+  createPlanManagerContract
+} = require('../config/contracts');
+const SubscriptionStore = require('./subscriptionStore');
+const InvestmentTransactionBuilder = require('./investmentTransactionBuilder');
+const { getNextRunDate } = require('./cadence');
+const PollLoop = require('./pollLoop');
+
+const { SUBSCRIPTION_STATUS, INTENT_STATUS } = SubscriptionStore;
+
+/**
+ * Work out the run after a point in time, completing the subscription past its end date
+ * @param {Object} subscription - Subscription
+ * @param {Date} after - Find the first run strictly after this time (and after the current run)
+ * @returns {Object} { nextRunAt, status }
+ */
+const getNextSchedule = (subscription, after) => {
+  const currentRun = subscription.nextRunAt ? new Date(subscription.nextRunAt) : null;
+  const threshold = currentRun && currentRun > after ? currentRun : after;
+  const nextRun = getNextRunDate(subscription.cadence, subscription.startDate, threshold);
+
+  if (subscription.endDate && nextRun > new Date(subscription.endDate)) {
+    return { nextRunAt: null, status: SUBSCRIPTION_STATUS.COMPLETED };
+  }
+
+  return { nextRunAt: nextRun.toISOString(), status: SUBSCRIPTION_STATUS.ACTIVE };
+};
+
+/**
+ * Subscription Scheduler
+ * Runs inside the API process. On every tick it turns due subscriptions into
+ * investment intents (ready-to-sign transactions from the same builder as
+ * prepare-investment) and moves each subscription to its next run. Runs
+ * missed while the API was down are collapsed into a single intent.
+ */
+class SubscriptionScheduler {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.store = options.store || new SubscriptionStore();
+    this.planManager = options.planManager || createPlanManagerContract(this.provider);
+    this.transactionBuilder = options.transactionBuilder || new InvestmentTransactionBuilder(this.provider);
+
+    this.interval = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MS) || 60000;
+
+    this.loop = new PollLoop(() => this.tick(), this.interval);
+    this.ticking = false;
+    this.lastTickAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start the scheduler loop
+   */
+  start() {
+    if (!this.loop.start()) {
+      return;
+    }
+
+    console.log('✅ Subscription scheduler started');
+  }
+
+  /**
+   * Stop the scheduler loop
+   */
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Produce intents for every due subscription
+   * @param {Date} now - Current time
+   * @returns {Promise<Object[]>} Recorded intents
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) {
+      return [];
+    }
+
+    this.ticking = true;
+    const intents = [];
+    try {
+      for (const subscription of this.store.getDue(now)) {
+        intents.push(await this.runSubscription(subscription, now));
+      }
+      this.lastTickAt = now.toISOString();
+      this.lastError = null;
+    } catch (error) {
+      console.error('❌ Subscription scheduler tick failed:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.ticking = false;
+    }
+    return intents;
+  }
+
+  /**
+   * Build the investment intent for one due subscription
+   * @param {Object} subscription - Due subscription
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Recorded intent
+   */
+  async runSubscription(subscription, now) {
+    const changes = {
+      ...getNextSchedule(subscription, now),
+      lastRunAt: subscription.nextRunAt
+    };
+
+    try {
+      const plan = await this.planManager.getPlan(subscription.planId);
+      if (!plan.isActive) {
+        throw new Error('Plan not found or inactive');
+      }
+
+      const preparedInvestment = await this.transactionBuilder.prepareInvestment({
+        userAddress: subscription.userAddress,
+        amount: subscription.amount,
+        planId: subscription.planId
+      });
+
+      return this.store.recordIntent(subscription, { status: INTENT_STATUS.READY, preparedInvestment }, changes);
+    } catch (error) {
+      console.warn(`Subscription ${subscription.id} run failed:`, error.message);
+      return this.store.recordIntent(subscription, { status: INTENT_STATUS.FAILED, error: error.message }, changes);
+    }
+  }
+
+  /**
+   * Scheduler status for health reporting
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    return {
+      running: this.loop.running,
+      interval: this.interval,
+      lastTickAt: this.lastTickAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+SubscriptionScheduler.getNextSchedule = getNextSchedule;
+
+module.exports = SubscriptionScheduler;
@@ -0,0 +1,283 @@
+const { getDatabase, runMigrations } = require('./database');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_address TEXT NOT NULL,
+    plan_id TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    cadence TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT,
+    status TEXT NOT NULL,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_subscriptions_user ON subscriptions (user_address);
+  CREATE INDEX idx_subscriptions_due ON subscriptions (status, next_run_at);
+
+  CREATE TABLE subscription_intents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL REFERENCES subscriptions (id),
+    scheduled_for TEXT NOT NULL,
+    status TEXT NOT NULL,
+    prepared_investment TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    UNIQUE (subscription_id, scheduled_for)
+  );
+  `
+];
+
+// Subscription lifecycle states
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Outcome of a scheduled run
+const INTENT_STATUS = {
+  READY: 'ready',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Subscription Store
+ * Persists recurring investment subscriptions and the investment intents
+ * the scheduler produces for each due run
+ */
+class SubscriptionStore {
+  constructor(db = getDatabase()) {
+    this.db = db;
+    runMigrations(this.db, 'subscriptions', MIGRATIONS);
+  }
+
+  /**
+   * Create a subscription
+   * @param {Object} subscription - Subscription fields
+   * @returns {Object} Created subscription
+   */
+  create({ userAddress, planId, amount, cadence, startDate, endDate, nextRunAt }) {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = this.db
+      .prepare(`
+        INSERT INTO subscriptions (
+          user_address, plan_id, amount, cadence, start_date, end_date,
+          status, next_run_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        userAddress.toLowerCase(),
+        String(planId),
+        String(amount),
+        cadence,
+        startDate,
+        endDate || null,
+        SUBSCRIPTION_STATUS.ACTIVE,
+        nextRunAt,
+        now,
+        now
+      );
+
+    return this.get(lastInsertRowid);
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Object|null} Subscription or null
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM subscriptions WHERE id = ?').get(id);
+    return row ? this.formatSubscription(row) : null;
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} filters - Optional userAddress and status filters
+   * @param {Object} pagination - offset and limit
+   * @returns {Object} Subscriptions and total count
+   */
+  list({ userAddress, status } = {}, { offset = 0, limit = 10 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (userAddress) {
+      conditions.push('user_address = ?');
+      params.push(userAddress.toLowerCase());
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM subscriptions ${where}`).get(...params);
+    const rows = this.db
+      .prepare(`SELECT * FROM subscriptions ${where} ORDER BY id ASC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return {
+      subscriptions: rows.map((row) => this.formatSubscription(row)),
+      total
+    };
+  }
+
+  /**
+   * Update subscription fields
+   * @param {number} id - Subscription ID
+   * @param {Object} changes - Fields to change (camelCase)
+   * @returns {Object} Updated subscription
+   */
+  update(id, changes) {
+    const columns = {
+      planId: 'plan_id',
+      amount: 'amount',
+      cadence: 'cadence',
+      endDate: 'end_date',
+      status: 'status',
+      nextRunAt: 'next_run_at',
+      lastRunAt: 'last_run_at'
+    };
+
+    const entries = Object.entries(changes).filter(([key]) => columns[key]);
+    if (entries.length > 0) {
+      const assignments = entries.map(([key]) => `${columns[key]} = ?`).join(', ');
+      const values = entries.map(([, value]) => (value === undefined || value === null ? null : String(value)));
+
+      this.db
+        .prepare(`UPDATE subscriptions SET ${assignments}, updated_at = ? WHERE id = ?`)
+        .run(...values, new Date().toISOString(), id);
+    }
+
+    return this.get(id);
+  }
+
+  /**
+   * Get active subscriptions whose next run is due
+   * @param {Date} now - Current time
+   * @returns {Object[]} Due subscriptions
+   */
+  getDue(now = new Date()) {
+    return this.db
+      .prepare(`
+        SELECT * FROM subscriptions
+        WHERE status = ? AND next_run_at IS NOT NULL AND next_run_at <= ?
+        ORDER BY next_run_at ASC
+      `)
+      .all(SUBSCRIPTION_STATUS.ACTIVE, now.toISOString())
+      .map((row) => this.formatSubscription(row));
+  }
+
+  /**
+   * Record the outcome of a scheduled run and move the subscription forward
+   * @param {Object} subscription - Subscription being run
+   * @param {Object} intent - { status, preparedInvestment, error }
+   * @param {Object} changes - Subscription changes (nextRunAt, status, lastRunAt)
+   * @returns {Object} Recorded intent, or the one already recorded for this run
+   */
+  recordIntent(subscription, { status, preparedInvestment = null, error = null }, changes) {
+    return this.db.transaction(() => {
+      const { changes: inserted, lastInsertRowid } = this.db
+        .prepare(`
+          INSERT OR IGNORE INTO subscription_intents (
+            subscription_id, scheduled_for, status, prepared_investment, error, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?)
+        `)
+        .run(
+          subscription.id,
+          subscription.nextRunAt,
+          status,
+          preparedInvestment ? JSON.stringify(preparedInvestment) : null,
+          error,
+          new Date().toISOString()
+        );
+
+      this.update(subscription.id, changes);
+      if (inserted > 0) {
+        return this.getIntent(lastInsertRowid);
+      }
+
+      // Ignored: this run was already recorded (e.g. resumed onto a scheduled_for that ran before the pause).
+      // lastInsertRowid then belongs to an earlier insert on the connection, not to this run.
+      const row = this.db
+        .prepare('SELECT * FROM subscription_intents WHERE subscription_id = ? AND scheduled_for = ?')
+        .get(subscription.id, subscription.nextRunAt);
+      return row ? this.formatIntent(row) : null;
+    })();
+  }
+
+  /**
+   * Get an intent by ID
+   * @param {number} id - Intent ID
+   * @returns {Object|null} Intent or null
+   */
+  getIntent(id) {
+    const row = this.db.prepare('SELECT * FROM subscription_intents WHERE id = ?').get(id);
+    return row ? this.formatIntent(row) : null;
+  }
+
+  /**
+   * List intents for a subscription, newest first
+   * @param {number} subscriptionId - Subscription ID
+   * @param {Object} pagination - offset and limit
+   * @returns {Object} Intents and total count
+   */
+  listIntents(subscriptionId, { offset = 0, limit = 10 } = {}) {
+    const { total } = this.db
+      .prepare('SELECT COUNT(*) AS total FROM subscription_intents WHERE subscription_id = ?')
+      .get(subscriptionId);
+    const rows = this.db
+      .prepare(`
+        SELECT * FROM subscription_intents WHERE subscription_id = ?
+        ORDER BY scheduled_for DESC LIMIT ? OFFSET ?
+      `)
+      .all(subscriptionId, limit, offset);
+
+    return {
+      intents: rows.map((row) => this.formatIntent(row)),
+      total
+    };
+  }
+
+  formatSubscription(row) {
+    return {
+      id: row.id,
+      userAddress: row.user_address,
+      planId: row.plan_id,
+      amount: row.amount,
+      cadence: row.cadence,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      status: row.status,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatIntent(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      scheduledFor: row.scheduled_for,
+      status: row.status,
+      preparedInvestment: row.prepared_investment ? JSON.parse(row.prepared_investment) : null,
+      error: row.error,
+      createdAt: row.created_at
+    };
+  }
+}
+
+SubscriptionStore.SUBSCRIPTION_STATUS = SUBSCRIPTION_STATUS;
+SubscriptionStore.INTENT_STATUS = INTENT_STATUS;
+
+module.exports = SubscriptionStore;
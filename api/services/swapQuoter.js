@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const {
+  getCurrentNetwork,
+  initializeProvider,
+  createInvestmentEngineContract
+} = require('../config/contracts');
+
+// Uniswap QuoterV2; quote functions are nonpayable, so they are called with staticCall (eth_call)
+const QUOTER_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+];
+
+// Quote sources reported per allocation leg
+const QUOTE_SOURCES = {
+  UNISWAP: 'uniswap',
+  PYTH: 'pyth', // quoter unavailable; estimate from Pyth prices only
+  NONE: 'none' // base token, no swap
+};
+
+// The reference quote for price impact uses 1/PROBE_DIVISOR of the leg amount
+const PROBE_DIVISOR = 1000n;
+
+/**
+ * Swap Quoter
+ * Quotes each allocation leg (base token -> allocation token) against the
+ * Uniswap quoter for the engine's pool fee, using eth_call so nothing is sent.
+ * Price impact compares the leg's execution price with a quote for a tiny
+ * amount in the same pool. minAmountOut applies the engine's slippage(). Each
+ * leg is cross-checked against a Pyth estimate; a deviation above
+ * QUOTE_PYTH_TOLERANCE_PERCENT is flagged, and when the quoter is unavailable
+ * the Pyth estimate is returned instead.
+ */
+class SwapQuoter {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.investmentEngine = options.investmentEngine || createInvestmentEngineContract(this.provider);
+    this.network = getCurrentNetwork();
+
+    const quoterAddress = options.quoterAddress || this.network.contracts.UNISWAP_QUOTER;
+    this.quoter = options.quoter || (quoterAddress ? new ethers.Contract(quoterAddress, QUOTER_ABI, this.provider) : null);
+    this.tolerancePercent = parseFloat(process.env.QUOTE_PYTH_TOLERANCE_PERCENT) || 3;
+    this.poolConfig = null;
+  }
+
+  // Registry token for an address on the current network (undefined if not registered)
+  findToken(address) {
+    return this.network.tokens.find((token) => token.address && token.address.toLowerCase() === address.toLowerCase());
+  }
+
+  /**
+   * Base token and pool fee the engine swaps with (read once)
+   * @returns {Promise<Object>} { baseToken, fee, baseSymbol, baseDecimals }
+   */
+  async getPoolConfig() {
+    if (!this.poolConfig) {
+      const [baseToken, fee] = await Promise.all([
+        this.investmentEngine.baseToken(),
+        this.investmentEngine.fee()
+      ]);
+      const registered = this.findToken(baseToken);
+
+      this.poolConfig = {
+        baseToken,
+        fee: Number(fee),
+        baseSymbol: registered ? registered.symbol : null,
+        baseDecimals: registered ? registered.decimals : 6
+      };
+    }
+    return this.poolConfig;
+  }
+
+  /**
+   * Estimate a leg's output from Pyth prices
+   * @param {bigint} amountIn - Base token amount (base decimals)
+   * @param {Object} token - Registered token (decimals)
+   * @param {Object} pool - Pool config
+   * @param {Object} prices - Prices keyed by symbol
+   * @returns {bigint|null} Estimated output (token decimals) or null without prices
+   */
+  estimateWithPyth(amountIn, token, pool, prices) {
+    const tokenPrice = prices[token.symbol];
+    if (!tokenPrice || !(tokenPrice.formattedPrice > 0)) {
+      return null;
+    }
+
+    // Without a base token price the base token is treated as a $1 stablecoin
+    const basePrice = pool.baseSymbol && prices[pool.baseSymbol] ? prices[pool.baseSymbol].formattedPrice : 1;
+    const usdIn = Number(ethers.formatUnits(amountIn, pool.baseDecimals)) * basePrice;
+    const tokensOut = (usdIn / tokenPrice.formattedPrice).toFixed(token.decimals);
+    return ethers.parseUnits(tokensOut, token.decimals);
+  }
+
+  async quoteExactInput(tokenOut, amountIn, pool) {
+    const result = await this.quoter.quoteExactInputSingle.staticCall({
+      tokenIn: pool.baseToken,
+      tokenOut,
+      amountIn,
+      fee: pool.fee,
+      sqrtPriceLimitX96: 0
+    });
+    return { amountOut: result.amountOut, gasEstimate: result.gasEstimate };
+  }
+
+  /**
+   * Quote one allocation leg
+   * @param {string} tokenOut - Allocation token address
+   * @param {bigint} amountIn - Base token amount for the leg
+   * @param {Object} prices - Prices keyed by symbol (for the Pyth cross-check)
+   * @param {bigint} slippage - Engine slippage in basis points
+   * @returns {Promise<Object>} Leg quote
+   */
+  async quoteLeg(tokenOut, amountIn, prices, slippage) {
+    const pool = await this.getPoolConfig();
+    const token = this.findToken(tokenOut);
+    const decimals = token ? token.decimals : null;
+    const leg = {
+      tokenAddress: tokenOut,
+      symbol: token ? token.symbol : null,
+      amountIn: amountIn.toString(),
+      source: QUOTE_SOURCES.UNISWAP,
+      expectedAmountOut: null,
+      expectedAmountOutFormatted: null,
+      minAmountOut: null,
+      priceImpactPercent: null,
+      gasEstimate: null,
+      pythEstimate: null,
+      pythDeviationPercent: null,
+      sanityCheckPassed: null,
+      error: null
+    };
+
+    if (tokenOut.toLowerCase() === pool.baseToken.toLowerCase()) {
+      return {
+        ...leg,
+        source: QUOTE_SOURCES.NONE,
+        expectedAmountOut: amountIn.toString(),
+        expectedAmountOutFormatted: ethers.formatUnits(amountIn, pool.baseDecimals),
+        minAmountOut: amountIn.toString(),
+        priceImpactPercent: 0
+      };
+    }
+
+    const pythEstimate = token ? this.estimateWithPyth(amountIn, token, pool, prices) : null;
+    leg.pythEstimate = pythEstimate !== null ? pythEstimate.toString() : null;
+
+    let amountOut = null;
+    try {
+      if (!this.quoter) {
+        throw new Error('UNISWAP_QUOTER address not configured for this network');
+      }
+
+      const probeAmount = amountIn / PROBE_DIVISOR > 0n ? amountIn / PROBE_DIVISOR : 1n;
+      const [quote, probe] = await Promise.all([
+        this.quoteExactInput(tokenOut, amountIn, pool),
+        this.quoteExactInput(tokenOut, probeAmount, pool)
+      ]);
+      amountOut = quote.amountOut;
+      leg.gasEstimate = quote.gasEstimate.toString();
+
+      // Both quotes pay the same pool fee, so the difference in rate is the impact of the trade size
+      const executionRate = Number(quote.amountOut) / Number(amountIn);
+      const referenceRate = Number(probe.amountOut) / Number(probeAmount);
+      leg.priceImpactPercent = referenceRate > 0 ? Math.max((1 - executionRate / referenceRate) * 100, 0) : null;
+    } catch (error) {
+      leg.error = error.shortMessage || error.message;
+      if (pythEstimate === null) {
+        return leg;
+      }
+      leg.source = QUOTE_SOURCES.PYTH;
+      amountOut = pythEstimate;
+    }
+
+    leg.expectedAmountOut = amountOut.toString();
+    leg.expectedAmountOutFormatted = decimals !== null ? ethers.formatUnits(amountOut, decimals) : null;
+    leg.minAmountOut = ((amountOut * (10000n - slippage)) / 10000n).toString();
+
+    if (leg.source === QUOTE_SOURCES.UNISWAP && pythEstimate !== null && pythEstimate > 0n) {
+      leg.pythDeviationPercent = Math.abs(Number(amountOut) - Number(pythEstimate)) / Number(pythEstimate) * 100;
+      leg.sanityCheckPassed = leg.pythDeviationPercent <= this.tolerancePercent;
+    }
+
+    return leg;
+  }
+
+  /**
+   * Quote every allocation leg of an investment
+   * @param {Object[]} legs - { tokenAddress, amountIn } per allocation
+   * @param {Object} prices - Prices keyed by symbol (include the base token symbol when available)
+   * @returns {Promise<Object>} { baseToken, fee, slippage, quoter, legs }
+   */
+  async quoteLegs(legs, prices = {}) {
+    const [pool, slippage] = await Promise.all([
+      this.getPoolConfig(),
+      this.investmentEngine.slippage()
+    ]);
+
+    const quotes = await Promise.all(
+      legs.map((leg) => this.quoteLeg(leg.tokenAddress, BigInt(leg.amountIn), prices, BigInt(slippage)))
+    );
+
+    return {
+      baseToken: pool.baseToken,
+      fee: pool.fee,
+      slippage: slippage.toString(),
+      quoter: this.quoter ? this.quoter.target : null,
+      tolerancePercent: this.tolerancePercent,
+      legs: quotes
+    };
+  }
+}
+
+SwapQuoter.QUOTE_SOURCES = QUOTE_SOURCES;
+
+module.exports = SwapQuoter;
@@ -0,0 +1,280 @@
+const { ethers } = require('ethers');
+const { initializeProvider } = require('../config/contracts');
+
+// Engine ABI plus the OpenZeppelin v5 errors a reverted deposit can surface from the base token
+const revertInterface = new ethers.Interface([
+  ...require('../abis/InvestmentEngineV3.json'),
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error SafeERC20FailedOperation(address token)'
+]);
+const erc20Interface = new ethers.Interface(require('../abis/ERC20.json'));
+
+// Simulation outcome for a prepared investment
+const SIMULATION_STATUS = {
+  SUCCESS: 'success',
+  REVERTED: 'reverted',
+  UNAVAILABLE: 'unavailable' // the node rejected the state override or the RPC failed
+};
+
+// Storage slots probed for the allowance mapping (OpenZeppelin ERC20 uses slot 1)
+const ALLOWANCE_SLOT_SEARCH_LIMIT = 10;
+
+// Solidity and Vyper order the mapping key and slot differently
+const ALLOWANCE_LAYOUTS = {
+  solidity: (owner, spender, slot) => {
+    const inner = ethers.solidityPackedKeccak256(['uint256', 'uint256'], [owner, slot]);
+    return ethers.solidityPackedKeccak256(['uint256', 'bytes32'], [spender, inner]);
+  },
+  vyper: (owner, spender, slot) => {
+    const inner = ethers.solidityPackedKeccak256(['uint256', 'uint256'], [slot, owner]);
+    return ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [inner, spender]);
+  }
+};
+
+// A call reverted when ethers found revert data or the node said so; anything else is an RPC problem
+const isRevert = (error) =>
+  error.code === 'CALL_EXCEPTION' &&
+  (error.data != null || /revert/i.test((error.info && error.info.error && error.info.error.message) || ''));
+
+// The node's own message is more useful than ethers' "missing revert data" for non-revert failures
+const rpcErrorMessage = (error) =>
+  (error.info && error.info.error && error.info.error.message) || error.shortMessage || error.message;
+
+/**
+ * Decode revert data into a readable reason
+ * @param {string|null} data - Revert data
+ * @param {Object} transaction - The call that reverted
+ * @returns {Object} { reason, error, args }
+ */
+const decodeRevert = (data, transaction) => {
+  if (!data || data === '0x') {
+    return { reason: 'execution reverted without a reason', error: null, args: null };
+  }
+
+  const decoded = revertInterface.makeError(data, transaction);
+  if (decoded.revert) {
+    const args = decoded.revert.args.map((arg) => (typeof arg === 'bigint' ? arg.toString() : arg));
+    return {
+      reason: ['Error', 'Panic'].includes(decoded.revert.name) ? decoded.reason : `${decoded.revert.name}(${args.join(', ')})`,
+      error: decoded.revert.name,
+      args
+    };
+  }
+  return { reason: `unknown revert data ${data}`, error: null, args: null };
+};
+
+// Collect logs from a callTracer frame and its subcalls
+const collectLogs = (frame) => [
+  ...(frame.logs || []),
+  ...(frame.calls || []).flatMap(collectLogs)
+];
+
+/**
+ * Transaction Simulator
+ * Simulates prepared investment transactions before the user signs them.
+ * When the approval has not been mined yet, depositAndInvest is run with
+ * eth_call/eth_estimateGas against the pending block plus a state override
+ * that writes the allowance straight into the token's storage. The slot is
+ * found by probing the allowance mapping. A debug_traceCall with the same
+ * override recovers the TokenSwapped events; it is optional, since not
+ * every node exposes the debug namespace.
+ */
+class TransactionSimulator {
+  constructor(options = {}) {
+    this.provider = options.provider || initializeProvider();
+    this.gasBufferPercent = parseInt(process.env.SIMULATION_GAS_BUFFER_PERCENT) || 20;
+    this.allowanceSlots = new Map(); // token address -> { layout, slot }
+  }
+
+  /**
+   * Find the storage slot of a token's allowance mapping
+   * @param {string} token - Token address
+   * @param {string} owner - Allowance owner
+   * @param {string} spender - Allowance spender
+   * @returns {Promise<Object|null>} { layout, slot } or null if no probed slot matches
+   */
+  async findAllowanceSlot(token, owner, spender) {
+    const key = token.toLowerCase();
+    if (this.allowanceSlots.has(key)) {
+      return this.allowanceSlots.get(key);
+    }
+
+    const probeValue = ethers.toBeHex(ethers.id('allowance-probe'), 32);
+    const data = erc20Interface.encodeFunctionData('allowance', [owner, spender]);
+
+    for (let slot = 0; slot < ALLOWANCE_SLOT_SEARCH_LIMIT; slot++) {
+      for (const [layout, storageKey] of Object.entries(ALLOWANCE_LAYOUTS)) {
+        const result = await this.provider.send('eth_call', [
+          { to: token, data },
+          'pending',
+          { [token]: { stateDiff: { [storageKey(owner, spender, slot)]: probeValue } } }
+        ]);
+
+        if (BigInt(result) === BigInt(probeValue)) {
+          const found = { layout, slot };
+          this.allowanceSlots.set(key, found);
+          return found;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * State override that sets owner's allowance for spender
+   * @returns {Promise<Object>} eth_call state override
+   */
+  async buildAllowanceOverride(token, owner, spender, amount) {
+    const found = await this.findAllowanceSlot(token, owner, spender);
+    if (!found) {
+      throw new Error(`Allowance storage slot not found for token ${token}`);
+    }
+
+    const storageKey = ALLOWANCE_LAYOUTS[found.layout](owner, spender, found.slot);
+    return { [token]: { stateDiff: { [storageKey]: ethers.toBeHex(amount, 32) } } };
+  }
+
+  // Gas limit with SIMULATION_GAS_BUFFER_PERCENT headroom
+  withBuffer(gasEstimate) {
+    return (gasEstimate * BigInt(100 + this.gasBufferPercent)) / 100n;
+  }
+
+  /**
+   * Run one transaction with eth_call and, if it succeeds, eth_estimateGas
+   * @param {Object} transaction - { from, to, data, value }
+   * @param {Object|null} stateOverride - eth_call state override
+   * @returns {Promise<Object>} { status, gasEstimate, revert, error }
+   */
+  async simulateCall(transaction, stateOverride) {
+    const params = stateOverride ? [transaction, 'pending', stateOverride] : [transaction, 'pending'];
+
+    try {
+      await this.provider.send('eth_call', params);
+    } catch (error) {
+      if (isRevert(error)) {
+        return { status: SIMULATION_STATUS.REVERTED, gasEstimate: null, revert: decodeRevert(error.data, transaction), error: null };
+      }
+      return { status: SIMULATION_STATUS.UNAVAILABLE, gasEstimate: null, revert: null, error: rpcErrorMessage(error) };
+    }
+
+    try {
+      const gasEstimate = BigInt(await this.provider.send('eth_estimateGas', params));
+      return { status: SIMULATION_STATUS.SUCCESS, gasEstimate, revert: null, error: null };
+    } catch (error) {
+      // eth_call succeeded, so a failure here is the node (e.g. no override support on estimateGas)
+      return { status: SIMULATION_STATUS.SUCCESS, gasEstimate: null, revert: null, error: rpcErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Trace a transaction and decode the TokenSwapped events it emits
+   * @returns {Promise<Object[]|null>} Swaps, or null if the node cannot trace calls
+   */
+  async traceSwaps(transaction, stateOverride) {
+    try {
+      const trace = await this.provider.send('debug_traceCall', [
+        transaction,
+        'pending',
+        {
+          tracer: 'callTracer',
+          tracerConfig: { withLog: true },
+          ...(stateOverride ? { stateOverrides: stateOverride } : {})
+        }
+      ]);
+
+      return collectLogs(trace)
+        .map((log) => {
+          try {
+            return revertInterface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter((parsed) => parsed && parsed.name === 'TokenSwapped')
+        .map((parsed) => ({
+          user: parsed.args.user,
+          tokenIn: parsed.args.tokenIn,
+          tokenOut: parsed.args.tokenOut,
+          amountIn: parsed.args.amountIn.toString(),
+          amountOut: parsed.args.amountOut.toString()
+        }));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Simulate the transactions built by InvestmentTransactionBuilder
+   * @param {string} userAddress - Investor (transaction sender)
+   * @param {Object} prepared - Result of buildTransactions
+   * @returns {Promise<Object>} Simulation with status, revert, gas estimates and swaps
+   */
+  async simulatePreparedInvestment(userAddress, prepared) {
+    const approval = prepared.transactions.find((transaction) => transaction.type === 'approval');
+    const investment = prepared.transactions.find((transaction) => transaction.type === 'investment');
+    const call = {
+      from: userAddress,
+      to: investment.to,
+      data: investment.data,
+      ...(investment.value ? { value: ethers.toQuantity(investment.value) } : {})
+    };
+    const simulation = {
+      status: SIMULATION_STATUS.SUCCESS,
+      blockTag: 'pending',
+      approvalOverridden: false,
+      revert: null,
+      error: null,
+      gasEstimates: {},
+      swaps: null
+    };
+
+    let stateOverride = null;
+    if (approval) {
+      try {
+        const approveArgs = erc20Interface.decodeFunctionData('approve', approval.data);
+        stateOverride = await this.buildAllowanceOverride(approval.to, userAddress, approveArgs[0], approveArgs[1]);
+        simulation.approvalOverridden = true;
+
+        const approvalGas = await this.provider.estimateGas({ from: userAddress, to: approval.to, data: approval.data });
+        simulation.gasEstimates.approval = approvalGas.toString();
+      } catch (error) {
+        return { ...simulation, status: SIMULATION_STATUS.UNAVAILABLE, error: rpcErrorMessage(error) };
+      }
+    }
+
+    const result = await this.simulateCall(call, stateOverride);
+    simulation.status = result.status;
+    simulation.revert = result.revert;
+    simulation.error = result.error;
+    if (result.gasEstimate !== null) {
+      simulation.gasEstimates.investment = result.gasEstimate.toString();
+    }
+
+    if (result.status === SIMULATION_STATUS.SUCCESS) {
+      simulation.swaps = await this.traceSwaps(call, stateOverride);
+    }
+
+    return simulation;
+  }
+
+  /**
+   * Replace the builder's fixed gas limits with simulated estimates plus headroom
+   * @param {Object[]} transactions - Prepared transactions
+   * @param {Object} gasEstimates - { approval, investment }
+   * @returns {Object[]} Transactions with gasLimit and gasLimitSource
+   */
+  applyGasEstimates(transactions, gasEstimates) {
+    return transactions.map((transaction) => {
+      const estimate = gasEstimates[transaction.type];
+      return estimate
+        ? { ...transaction, gasLimit: this.withBuffer(BigInt(estimate)).toString(), gasLimitSource: 'simulation' }
+        : { ...transaction, gasLimitSource: 'default' };
+    });
+  }
+}
+
+TransactionSimulator.SIMULATION_STATUS = SIMULATION_STATUS;
+TransactionSimulator.decodeRevert = decodeRevert;
+
+module.exports = TransactionSimulator;
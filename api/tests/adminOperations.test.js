@@ -0,0 +1,109 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+
+const createAdminOperationRoutes = require('../routes/adminOperations');
+const AdminAuditStore = require('../services/adminAuditStore');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+
+const { AUDIT_STATUS } = AdminAuditStore;
+
+const createLoop = () => ({
+  running: false,
+  dryRun: false,
+  start({ dryRun }) {
+    this.running = true;
+    this.dryRun = dryRun === true;
+  },
+  stop() {
+    this.running = false;
+  },
+  getStatus() {
+    return { running: this.running, dryRun: this.dryRun };
+  }
+});
+
+describe('admin operation routes', () => {
+  const auditStore = new AdminAuditStore();
+  const batchKeeper = createLoop();
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    // Stands in for requireAdmin on the parent admin router
+    app.use((req, res, next) => {
+      req.auth = { address: req.get('X-Address') };
+      req.adminRoles = (req.get('X-Roles') || '').split(',').filter(Boolean);
+      next();
+    });
+    app.use('/admin', createAdminOperationRoutes({ batchKeeper, pricePusher: null, divergenceMonitor: null }, auditStore));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = async (path, body, roles) => {
+    const response = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Address': '0x' + 'a'.repeat(40), 'X-Roles': roles.join(',') },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const lastEntry = () => auditStore.list({}, { offset: 0, limit: 1 }).entries[0];
+
+  it('denies callers without the operator role and audits it', async () => {
+    const { status } = await post('/keeper/start', {}, [ADMIN_ROLES.RISK]);
+
+    expect(status).toBe(403);
+    expect(batchKeeper.running).toBe(false);
+    expect(lastEntry()).toMatchObject({ action: 'keeperStart', status: AUDIT_STATUS.DENIED });
+  });
+
+  it('starts and stops the keeper, recording the state before and after', async () => {
+    const started = await post('/keeper/start', { dryRun: true }, [ADMIN_ROLES.OPERATOR]);
+    expect(started.status).toBe(200);
+    expect(batchKeeper.running).toBe(true);
+    expect(started.body.data.audit).toMatchObject({
+      action: 'keeperStart',
+      status: AUDIT_STATUS.EXECUTED,
+      dryRun: true,
+      previousValue: { running: false, dryRun: false },
+      newValue: { running: true, dryRun: true }
+    });
+
+    const stopped = await post('/keeper/stop', {}, [ADMIN_ROLES.SUPERADMIN]);
+    expect(stopped.status).toBe(200);
+    expect(batchKeeper.running).toBe(false);
+    expect(lastEntry()).toMatchObject({ action: 'keeperStop', status: AUDIT_STATUS.EXECUTED });
+  });
+
+  it('rejects a non-boolean dryRun as invalid', async () => {
+    const { status } = await post('/keeper/start', { dryRun: 'yes' }, [ADMIN_ROLES.OPERATOR]);
+
+    expect(status).toBe(400);
+    expect(lastEntry()).toMatchObject({ action: 'keeperStart', status: AUDIT_STATUS.INVALID });
+  });
+
+  it('answers 503 and audits a failure when the price pusher is disabled', async () => {
+    const { status } = await post('/price-pusher/start', {}, [ADMIN_ROLES.OPERATOR]);
+
+    expect(status).toBe(503);
+    expect(lastEntry()).toMatchObject({ action: 'pricePusherStart', status: AUDIT_STATUS.FAILED });
+  });
+
+  it('reserves the divergence refresh for the risk role', async () => {
+    const { status } = await post('/oracle/divergence/refresh', {}, [ADMIN_ROLES.OPERATOR]);
+
+    expect(status).toBe(403);
+    expect(lastEntry()).toMatchObject({ action: 'divergenceRefresh', status: AUDIT_STATUS.DENIED });
+  });
+});
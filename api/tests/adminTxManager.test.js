@@ -0,0 +1,140 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const { ethers } = require('ethers');
+
+const AdminTxManager = require('../services/adminTxManager');
+
+const { TX_STATUS } = AdminTxManager;
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const attempt = (maxFeePerGas, maxPriorityFeePerGas) => ({
+  maxFeePerGas: gwei(maxFeePerGas).toString(),
+  maxPriorityFeePerGas: gwei(maxPriorityFeePerGas).toString()
+});
+
+const createManager = (env = {}, options = {}) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    return new AdminTxManager({ provider: {}, ...options });
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('AdminTxManager.bumpFees', () => {
+  it('raises both fees of the last attempt by ADMIN_TX_FEE_BUMP_PERCENT', () => {
+    const fees = createManager().bumpFees(attempt(100, 2), { maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(1) });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(120), maxPriorityFeePerGas: gwei(2.4) });
+  });
+
+  it('uses the network fees when they rose past the bump', () => {
+    const fees = createManager().bumpFees(attempt(100, 2), { maxFeePerGas: gwei(150), maxPriorityFeePerGas: gwei(3) });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(150), maxPriorityFeePerGas: gwei(3) });
+  });
+
+  it('keeps maxFeePerGas at least as high as the priority fee', () => {
+    const fees = createManager().bumpFees(attempt(10, 2), { maxFeePerGas: gwei(5), maxPriorityFeePerGas: gwei(30) });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(30) });
+  });
+
+  it('never bumps by less than the 10% nodes require for a replacement', () => {
+    const manager = createManager({ ADMIN_TX_FEE_BUMP_PERCENT: '5' });
+
+    expect(manager.bumpPercent).toBe(10);
+    expect(manager.bumpFees(attempt(100, 2), { maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) }))
+      .toEqual({ maxFeePerGas: gwei(110), maxPriorityFeePerGas: gwei(2.2) });
+  });
+
+  it('stops at ADMIN_TX_MAX_FEE_GWEI as long as the cap still allows a valid replacement', () => {
+    const manager = createManager({ ADMIN_TX_MAX_FEE_GWEI: '112' });
+
+    expect(manager.bumpFees(attempt(100, 2), { maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(1) }))
+      .toEqual({ maxFeePerGas: gwei(112), maxPriorityFeePerGas: gwei(2.4) });
+  });
+
+  it('gives up when the cap leaves less than a 10% bump', () => {
+    const manager = createManager({ ADMIN_TX_MAX_FEE_GWEI: '109' });
+
+    expect(manager.bumpFees(attempt(100, 2), { maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(1) })).toBeNull();
+  });
+});
+
+describe('AdminTxManager.capFees', () => {
+  it('caps both fees at ADMIN_TX_MAX_FEE_GWEI', () => {
+    const manager = createManager({ ADMIN_TX_MAX_FEE_GWEI: '40' });
+
+    expect(manager.capFees({ maxFeePerGas: gwei(60), maxPriorityFeePerGas: gwei(50) }))
+      .toEqual({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(40) });
+    expect(manager.capFees({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) }))
+      .toEqual({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  it('leaves fees alone without a cap', () => {
+    expect(createManager().capFees({ maxFeePerGas: gwei(900), maxPriorityFeePerGas: gwei(5) }))
+      .toEqual({ maxFeePerGas: gwei(900), maxPriorityFeePerGas: gwei(5) });
+  });
+});
+
+describe('AdminTxManager replacements', () => {
+  const to = '0x' + 'e'.repeat(40);
+  let provider;
+  let signer;
+  let manager;
+
+  beforeEach(() => {
+    provider = {
+      estimateGas: async () => 100000n,
+      getTransactionCount: async () => 7,
+      getTransactionReceipt: async () => null,
+      getFeeData: async () => ({ maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(1) })
+    };
+    signer = {
+      address: ethers.Wallet.createRandom().address,
+      sendTransaction: jest.fn(async (tx) => ({ hash: ethers.id(`${tx.nonce}-${tx.maxFeePerGas}`) }))
+    };
+    manager = createManager({ ADMIN_TX_BUMP_AFTER_SECONDS: '60' }, { provider, signer });
+  });
+
+  it('replaces an unmined transaction with the same nonce and bumped fees once it is overdue', async () => {
+    const job = await manager.enqueue({ to, data: '0x1234', label: 'setSlippage' });
+    expect(job).toMatchObject({ status: TX_STATUS.QUEUED, nonce: 7, gasLimit: '120000' });
+
+    await manager.processJobs();
+    expect(signer.sendTransaction).toHaveBeenLastCalledWith(expect.objectContaining({
+      nonce: 7,
+      maxFeePerGas: gwei(50),
+      maxPriorityFeePerGas: gwei(1)
+    }));
+
+    // Not overdue yet
+    await manager.processJobs();
+    expect(signer.sendTransaction).toHaveBeenCalledTimes(1);
+
+    const [first] = manager.getJob(job.jobId).attempts;
+    manager.store.updateJob(job.jobId, { attempts: [{ ...first, sentAt: new Date(Date.now() - 61000).toISOString() }] });
+    await manager.processJobs();
+
+    expect(signer.sendTransaction).toHaveBeenLastCalledWith(expect.objectContaining({
+      nonce: 7,
+      maxFeePerGas: gwei(60),
+      maxPriorityFeePerGas: gwei(1.2)
+    }));
+    const replaced = manager.getJob(job.jobId);
+    expect(replaced.status).toBe(TX_STATUS.SUBMITTED);
+    expect(replaced.attempts).toHaveLength(2);
+    expect(replaced.transactionHash).toBe(replaced.attempts[1].hash);
+  });
+
+  it('hands out consecutive local nonces to concurrent jobs', async () => {
+    const jobs = await Promise.all([
+      manager.enqueue({ to, data: '0x01' }),
+      manager.enqueue({ to, data: '0x02' })
+    ]);
+
+    expect(jobs.map((job) => job.nonce).sort()).toEqual([7, 8]);
+  });
+});
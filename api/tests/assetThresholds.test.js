@@ -0,0 +1,58 @@
+const { parseAssetThresholds } = require('../config/assetThresholds');
+const PricePusher = require('../services/pricePusher');
+const PriceGuardrails = require('../services/priceGuardrails');
+const DivergenceMonitor = require('../services/divergenceMonitor');
+
+const FIELDS = [
+  { name: 'first', parse: parseFloat, defaultValue: 1 },
+  { name: 'second', parse: parseInt, defaultValue: 60 }
+];
+
+describe('parseAssetThresholds', () => {
+  it('parses SYMBOL[:first[:second]] entries, defaulting omitted values', () => {
+    expect(parseAssetThresholds(' weth:0.5:600, WBTC:2 ,LINK,', FIELDS)).toEqual([
+      { symbol: 'WETH', first: 0.5, second: 600 },
+      { symbol: 'WBTC', first: 2, second: 60 },
+      { symbol: 'LINK', first: 1, second: 60 }
+    ]);
+  });
+
+  it('defaults an empty middle value', () => {
+    expect(parseAssetThresholds('WETH::30', FIELDS)).toEqual([{ symbol: 'WETH', first: 1, second: 30 }]);
+  });
+
+  it('uses the default symbols only when the list is empty', () => {
+    const getDefaultSymbols = jest.fn(() => ['PYUSD']);
+
+    expect(parseAssetThresholds('', FIELDS, getDefaultSymbols)).toEqual([{ symbol: 'PYUSD', first: 1, second: 60 }]);
+    parseAssetThresholds('WETH', FIELDS, getDefaultSymbols);
+    expect(getDefaultSymbols).toHaveBeenCalledTimes(1);
+    expect(parseAssetThresholds(undefined, FIELDS)).toEqual([]);
+  });
+});
+
+describe('env parsers built on parseAssetThresholds', () => {
+  it('resolves price pusher feeds to price IDs', () => {
+    const oracle = { getPriceFeedId: (symbol) => (symbol.toUpperCase() === 'WETH' ? '0xfeed' : null) };
+
+    expect(PricePusher.parseFeedConfig('weth:1:120', oracle)).toEqual([
+      { symbol: 'WETH', priceId: '0xfeed', deviationPercent: 1, heartbeatSeconds: 120 }
+    ]);
+    expect(() => PricePusher.parseFeedConfig('WETH,NOPE', oracle)).toThrow('Unsupported price pusher feed: NOPE');
+  });
+
+  it('keys guardrails by symbol and rejects non-positive limits', () => {
+    const { assets } = PriceGuardrails.parseGuardrailConfig('pyusd:0.1,WETH:0.5:60');
+
+    expect(assets.PYUSD.maxConfidencePercent).toBe(0.1);
+    expect(assets.WETH).toEqual({ maxConfidencePercent: 0.5, maxAgeSeconds: 60 });
+    expect(() => PriceGuardrails.parseGuardrailConfig('WETH:-1')).toThrow('Invalid price guardrail for WETH');
+  });
+
+  it('rejects divergence feeds without a price feed', () => {
+    expect(DivergenceMonitor.parseMonitorConfig('WETH:0.5:600')).toEqual([
+      { symbol: 'WETH', maxDivergencePercent: 0.5, maxStalenessSeconds: 600 }
+    ]);
+    expect(() => DivergenceMonitor.parseMonitorConfig('NOPE')).toThrow('Unsupported divergence monitor feed: NOPE');
+  });
+});
@@ -0,0 +1,137 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const { ethers } = require('ethers');
+
+const BatchKeeper = require('../services/batchKeeper');
+const KeeperStore = require('../services/keeperStore');
+const engineAbi = require('../abis/InvestmentEngineV3.json');
+
+const { BATCH_STATUS } = KeeperStore;
+
+const ENTROPY_FEE = 15000000000000n;
+const USER = '0x' + '1'.repeat(40);
+
+const pendingEntry = (queueId, timestamp) => ({ queueId: String(queueId), timestamp });
+
+describe('BatchKeeper', () => {
+  const iface = new ethers.Interface(engineAbi);
+  const store = new KeeperStore();
+
+  let pending;
+  let executeQueuedInvestments;
+  let keeper;
+
+  beforeEach(() => {
+    store.db.exec('DELETE FROM keeper_batches');
+    pending = [];
+
+    executeQueuedInvestments = jest.fn();
+    executeQueuedInvestments.staticCall = jest.fn(async (queueIds) => queueIds.map((id) => BigInt(id) + 100n));
+    executeQueuedInvestments.estimateGas = jest.fn(async () => 210000n);
+
+    keeper = new BatchKeeper({
+      provider: {
+        getBlock: async () => ({ timestamp: 1000 }),
+        // Answers the Entropy getFee() call
+        call: async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [ENTROPY_FEE])
+      },
+      investmentEngine: {
+        interface: iface,
+        entropyEnabled: async () => true,
+        entropy: async () => '0x' + 'e'.repeat(40),
+        executionBatchSize: async () => 3n,
+        connect: () => ({ executeQueuedInvestments })
+      },
+      queue: { getPending: async () => pending, maxWaitSeconds: 300 },
+      store,
+      signer: ethers.Wallet.createRandom()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does nothing while entropy is disabled', async () => {
+    keeper.investmentEngine.entropyEnabled = async () => false;
+    pending = [pendingEntry(1, 0), pendingEntry(2, 0), pendingEntry(3, 0)];
+
+    expect(await keeper.checkOnce()).toBeNull();
+    expect(keeper.lastCheck).toMatchObject({ entropyEnabled: false, pending: 0 });
+    expect(store.listBatches()).toEqual([]);
+  });
+
+  it('waits while the queue is below the batch size and younger than maxWaitSeconds', async () => {
+    pending = [pendingEntry(1, 701), pendingEntry(2, 900)];
+
+    expect(await keeper.checkOnce()).toBeNull();
+    expect(keeper.lastCheck).toMatchObject({ pending: 2, batchSize: 3, oldestWaitSeconds: 299, trigger: null });
+  });
+
+  it('simulates a partial batch once the oldest entry has waited maxWaitSeconds', async () => {
+    keeper.dryRun = true;
+    pending = [pendingEntry(1, 700), pendingEntry(2, 900)];
+
+    const batch = await keeper.checkOnce();
+
+    expect(executeQueuedInvestments).not.toHaveBeenCalled();
+    expect(executeQueuedInvestments.staticCall).toHaveBeenCalledWith(['1', '2'], expect.any(String), { value: 0n });
+    expect(batch).toMatchObject({
+      queueIds: ['1', '2'],
+      trigger: 'maxWait',
+      dryRun: true,
+      status: BATCH_STATUS.SIMULATED,
+      entropyFee: ENTROPY_FEE.toString(),
+      valueSent: '0',
+      investmentIds: ['101', '102'],
+      gasUsed: '210000'
+    });
+  });
+
+  it('sends a full batch and records the batch ID, seed and investments from the receipt', async () => {
+    pending = [1, 2, 3, 4].map((queueId) => pendingEntry(queueId, 990));
+    const logs = [
+      iface.encodeEventLog('BatchExecutionStarted', [7n, 3n, 12345n]),
+      iface.encodeEventLog('QueuedInvestmentExecuted', [2n, 40n, USER, 0n]),
+      iface.encodeEventLog('QueuedInvestmentExecuted', [1n, 41n, USER, 1n])
+    ];
+    executeQueuedInvestments.mockResolvedValue({
+      hash: '0x' + 'a'.repeat(64),
+      wait: async () => ({ status: 1, blockNumber: 55, gasUsed: 180000n, logs })
+    });
+
+    const batch = await keeper.checkOnce();
+
+    expect(executeQueuedInvestments).toHaveBeenCalledWith(['1', '2', '3'], expect.stringMatching(/^0x[0-9a-f]{64}$/), { value: 0n });
+    expect(batch).toMatchObject({
+      queueIds: ['1', '2', '3'],
+      trigger: 'batchSize',
+      dryRun: false,
+      status: BATCH_STATUS.CONFIRMED,
+      transactionHash: '0x' + 'a'.repeat(64),
+      blockNumber: 55,
+      batchId: '7',
+      randomSeed: '12345',
+      investmentIds: ['40', '41'],
+      gasUsed: '180000'
+    });
+  });
+
+  it('records a failed batch with the revert reason', async () => {
+    pending = [1, 2, 3].map((queueId) => pendingEntry(queueId, 990));
+    executeQueuedInvestments.mockRejectedValue(Object.assign(new Error('long message'), { shortMessage: 'execution reverted' }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const batch = await keeper.checkOnce();
+
+    expect(batch).toMatchObject({ status: BATCH_STATUS.FAILED, error: 'execution reverted' });
+    expect(store.listBatches()).toHaveLength(1);
+  });
+
+  it('refuses to send batches without a keeper key', () => {
+    keeper.signer = null;
+
+    expect(() => keeper.start({ dryRun: false })).toThrow('KEEPER_PRIVATE_KEY not configured');
+    expect(keeper.loop.running).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+const { isValidCadence, getNextRunDate } = require('../services/cadence');
+
+// Successive runs of a schedule, starting with the first
+const runs = (cadence, startDate, count) => {
+  const dates = [getNextRunDate(cadence, startDate)];
+  while (dates.length < count) {
+    dates.push(getNextRunDate(cadence, startDate, dates[dates.length - 1]));
+  }
+  return dates.map((date) => date.toISOString());
+};
+
+describe('getNextRunDate monthly', () => {
+  it('clamps to the last day of shorter months and returns to the start day afterwards', () => {
+    expect(runs('monthly', '2026-01-31T09:00:00.000Z', 5)).toEqual([
+      '2026-01-31T09:00:00.000Z',
+      '2026-02-28T09:00:00.000Z',
+      '2026-03-31T09:00:00.000Z',
+      '2026-04-30T09:00:00.000Z',
+      '2026-05-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('uses February 29th in leap years', () => {
+    expect(runs('monthly', '2027-12-31T00:00:00.000Z', 3)).toEqual([
+      '2027-12-31T00:00:00.000Z',
+      '2028-01-31T00:00:00.000Z',
+      '2028-02-29T00:00:00.000Z'
+    ]);
+  });
+
+  it('rolls over the year end', () => {
+    expect(runs('monthly', '2026-11-30T12:00:00.000Z', 3)).toEqual([
+      '2026-11-30T12:00:00.000Z',
+      '2026-12-30T12:00:00.000Z',
+      '2027-01-30T12:00:00.000Z'
+    ]);
+  });
+
+  it('skips to the first run after a long gap without drifting', () => {
+    expect(getNextRunDate('monthly', '2026-01-31T09:00:00.000Z', '2026-06-15T00:00:00.000Z').toISOString())
+      .toBe('2026-06-30T09:00:00.000Z');
+  });
+
+  it('returns the run later the same day when the threshold is before it', () => {
+    expect(getNextRunDate('monthly', '2026-01-31T09:00:00.000Z', '2026-02-28T08:00:00.000Z').toISOString())
+      .toBe('2026-02-28T09:00:00.000Z');
+  });
+});
+
+describe('getNextRunDate fixed and cron cadences', () => {
+  it('returns the start date as the first run', () => {
+    expect(getNextRunDate('daily', '2026-03-01T10:00:00.000Z').toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    expect(getNextRunDate('weekly', '2026-03-01T10:00:00.000Z', '2026-02-01T00:00:00.000Z').toISOString())
+      .toBe('2026-03-01T10:00:00.000Z');
+  });
+
+  it('anchors fixed cadences to the start date', () => {
+    expect(getNextRunDate('weekly', '2026-03-01T10:00:00.000Z', '2026-03-20T23:00:00.000Z').toISOString())
+      .toBe('2026-03-22T10:00:00.000Z');
+    expect(getNextRunDate('daily', '2026-03-01T10:00:00.000Z', '2026-03-02T10:00:00.000Z').toISOString())
+      .toBe('2026-03-03T10:00:00.000Z');
+  });
+
+  it('evaluates cron expressions in UTC', () => {
+    expect(runs('0 8 * * 1', '2026-03-01T00:00:00.000Z', 2)).toEqual([
+      '2026-03-02T08:00:00.000Z',
+      '2026-03-09T08:00:00.000Z'
+    ]);
+  });
+
+  it('includes a cron run that falls exactly on the start date', () => {
+    expect(getNextRunDate('0 8 * * *', '2026-03-01T08:00:00.000Z').toISOString()).toBe('2026-03-01T08:00:00.000Z');
+  });
+});
+
+describe('isValidCadence', () => {
+  it.each(['daily', 'weekly', 'monthly', '0 8 * * 1'])('accepts %s', (cadence) => {
+    expect(isValidCadence(cadence)).toBe(true);
+  });
+
+  it.each(['', '   ', 'yearly', '61 * * * *', null])('rejects %p', (cadence) => {
+    expect(isValidCadence(cadence)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.SIWE_DOMAIN = 'app.example.com';
+
+const express = require('express');
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
+
+const authRoutes = require('../routes/auth');
+const investmentRoutes = require('../routes/investments');
+const { getSiweAuth } = require('../middleware/validation');
+const { validateSharedSessionConfig } = require('../config/auth');
+
+// Sessions are issued by app.js (/api/v3/auth) and checked by server.js (/api/investments);
+// each is served here by its own app, sharing AUTH_JWT_SECRET and the session database
+describe('deposit rule routes with a session from /auth/verify', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const servers = [];
+  let authUrl;
+  let investmentsUrl;
+  let token;
+
+  const listen = (path, router) => new Promise((resolve) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    const server = app.listen(0, () => resolve(`http://127.0.0.1:${server.address().port}${path}`));
+    servers.push(server);
+  });
+
+  beforeAll(async () => {
+    authUrl = await listen('/api/v3/auth', authRoutes);
+    investmentsUrl = await listen('/api/investments', investmentRoutes);
+
+    const { data } = await (await fetch(`${authUrl}/nonce`)).json();
+    const message = new SiweMessage({
+      domain: data.domain,
+      address: wallet.address,
+      statement: 'Sign in to the investment API',
+      uri: `https://${data.domain}`,
+      version: '1',
+      chainId: data.chainId,
+      nonce: data.nonce
+    }).prepareMessage();
+
+    const response = await fetch(`${authUrl}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, signature: await wallet.signMessage(message) })
+    });
+    ({ token } = (await response.json()).data);
+  });
+
+  afterAll(async () => {
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  });
+
+  const request = async (method, path, { bearer = token, body } = {}) => {
+    const response = await fetch(investmentsUrl + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(bearer ? { Authorization: `Bearer ${bearer}` } : {})
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('serves the session owner their rules', async () => {
+    const { status, body } = await request('GET', `/deposit-rules/${wallet.address}`);
+
+    expect(status).toBe(200);
+    expect(body.data.rules.map((rule) => rule.name)).toEqual(['Salary', 'Bonus', 'Other']);
+    expect((await request('DELETE', `/deposit-rules/${wallet.address}/0`)).body).toEqual({ success: true, data: { removed: 0 } });
+  });
+
+  it('lets the session owner through to the deposit handler', async () => {
+    const { status, body } = await request('POST', '/deposit', {
+      body: { userAddress: wallet.address, tokenAddress: '0x' + 'c'.repeat(40), amount: '100', depositType: 0 }
+    });
+
+    // Past the session check; no engine is configured in this test
+    expect(status).toBe(503);
+    expect(body.error).toBe('Investment Engine contract not available');
+  });
+
+  it('rejects missing tokens and sessions for another address', async () => {
+    const other = ethers.Wallet.createRandom().address;
+
+    expect((await request('GET', `/deposit-rules/${wallet.address}`, { bearer: null })).status).toBe(401);
+    expect((await request('GET', `/deposit-rules/${other}`)).status).toBe(403);
+    expect((await request('DELETE', `/deposit-rules/${other}/0`)).status).toBe(403);
+    expect((await request('POST', '/deposit', { body: { userAddress: other, tokenAddress: other, amount: '1', depositType: 0 } })).status).toBe(403);
+  });
+
+  it('stops accepting the token once the session is revoked', async () => {
+    const { sessionId } = getSiweAuth().verifySession(token);
+    await fetch(`${authUrl}/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+
+    expect(getSiweAuth().store.getSession(sessionId).revokedAt).not.toBeNull();
+    expect(await request('GET', `/deposit-rules/${wallet.address}`)).toMatchObject({
+      status: 401,
+      body: { error: 'Session has been revoked' }
+    });
+  });
+});
+
+describe('validateSharedSessionConfig', () => {
+  const saved = process.env.AUTH_JWT_SECRET;
+
+  afterEach(() => {
+    process.env.AUTH_JWT_SECRET = saved;
+  });
+
+  it('refuses to start server.js without the secret app.js signs sessions with', () => {
+    delete process.env.AUTH_JWT_SECRET;
+
+    expect(validateSharedSessionConfig).toThrow('AUTH_JWT_SECRET must be set to the value app.js uses');
+  });
+});
@@ -0,0 +1,54 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const DepositRuleStore = require('../services/depositRuleStore');
+
+const { splitDeposit } = DepositRuleStore;
+
+const USER = '0x' + 'A'.repeat(40);
+
+describe('splitDeposit', () => {
+  it('splits by basis points and rounds each share down', () => {
+    expect(splitDeposit([{ planId: '1', percentageBps: 3333 }, { planId: '2', percentageBps: 6667 }], 100n)).toEqual([
+      { planId: '1', percentageBps: 3333, amount: 33n },
+      { planId: '2', percentageBps: 6667, amount: 66n }
+    ]);
+  });
+
+  it('leaves the remainder of a partial split uninvested', () => {
+    const splits = splitDeposit([{ planId: '1', percentageBps: 2550 }], '1000000');
+
+    expect(splits[0].amount).toBe(255000n);
+  });
+
+  it('yields zero for shares below one base unit', () => {
+    expect(splitDeposit([{ planId: '1', percentageBps: 1 }], 9999n)[0].amount).toBe(0n);
+  });
+});
+
+describe('DepositRuleStore', () => {
+  const store = new DepositRuleStore();
+
+  it('replaces the splits of one deposit type and keeps their order', () => {
+    store.setRules(USER, 0, [{ planId: '3', percentageBps: 5000 }]);
+    const stored = store.setRules(USER, 0, [{ planId: 2, percentageBps: 7000 }, { planId: 1, percentageBps: 3000 }]);
+
+    expect(stored).toEqual([{ planId: '2', percentageBps: 7000 }, { planId: '1', percentageBps: 3000 }]);
+    expect(store.getRules(USER.toLowerCase(), 0)).toEqual(stored);
+  });
+
+  it('groups a user\'s rules by deposit type', () => {
+    store.setRules(USER, 1, [{ planId: '4', percentageBps: 10000 }]);
+
+    expect(store.getUserRules(USER)).toEqual({
+      0: [{ planId: '2', percentageBps: 7000 }, { planId: '1', percentageBps: 3000 }],
+      1: [{ planId: '4', percentageBps: 10000 }]
+    });
+    expect(store.getUserRules('0x' + 'b'.repeat(40))).toEqual({});
+  });
+
+  it('removes the splits of one deposit type only', () => {
+    expect(store.deleteRules(USER, 0)).toBe(2);
+    expect(store.getRules(USER, 0)).toEqual([]);
+    expect(store.getRules(USER, 1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+const { shouldLoadDevSigner, validateDevSignerConfig } = require('../config/devSigner');
+const DevSigner = require('../services/devSigner');
+
+describe('dev signer configuration', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  const configure = (enabled, network) => {
+    process.env.DEV_SIGNER_ENABLED = enabled;
+    if (network) {
+      process.env.NETWORK = network;
+    } else {
+      delete process.env.NETWORK;
+    }
+  };
+
+  it('loads only when enabled on localhost', () => {
+    configure('true', 'localhost');
+    expect(shouldLoadDevSigner()).toBe(true);
+
+    configure('true');
+    expect(shouldLoadDevSigner()).toBe(true);
+
+    configure('false', 'localhost');
+    expect(shouldLoadDevSigner()).toBe(false);
+  });
+
+  it('refuses to start when enabled on another network', () => {
+    configure('true', 'baseSepolia');
+
+    expect(shouldLoadDevSigner()).toBe(false);
+    expect(validateDevSignerConfig).toThrow('DEV_SIGNER_ENABLED=true is only allowed on NETWORK=localhost (current network: baseSepolia)');
+    expect(() => new DevSigner({ provider: {}, builder: {} })).toThrow('DEV_SIGNER_ENABLED=true is only allowed');
+  });
+
+  it('allows a disabled dev signer anywhere', () => {
+    configure('false', 'baseSepolia');
+
+    expect(validateDevSignerConfig).not.toThrow();
+  });
+});
+
+describe('DevSigner', () => {
+  const createSigner = (chainId) =>
+    new DevSigner({ provider: { getNetwork: async () => ({ chainId }) }, builder: {} });
+
+  it('derives the Anvil default accounts', () => {
+    const accounts = createSigner(31337n).listAccounts();
+
+    expect(accounts).toHaveLength(10);
+    expect(accounts[0]).toEqual({ index: 0, address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266' });
+    expect(accounts[1].address).toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+  });
+
+  it('rejects account indexes outside the funded accounts', () => {
+    expect(() => createSigner(31337n).getWallet(10)).toThrow('accountIndex must be between 0 and 9');
+  });
+
+  it('refuses an RPC that is not the local chain', async () => {
+    const signer = createSigner(84532n);
+
+    await expect(signer.assertLocalChain()).rejects.toThrow(`RPC chain ID 84532 is not the localhost chain ID ${signer.network.chainId}`);
+    await expect(signer.executeInvestment({ accountIndex: 0, planId: 1, amount: '1' })).rejects.toThrow('is not the localhost chain ID');
+  });
+});
@@ -0,0 +1,44 @@
+const DivergenceMonitor = require('../services/divergenceMonitor');
+
+const { BREACHES } = DivergenceMonitor;
+
+const priceSource = (formattedPrice, publishTime) => ({
+  getPrices: async () => ({ WETH: { formattedPrice, publishTime } })
+});
+
+describe('DivergenceMonitor.checkOnce', () => {
+  const now = Math.floor(Date.now() / 1000);
+  let notifier;
+  let monitor;
+
+  beforeEach(() => {
+    notifier = { notify: jest.fn(async () => {}) };
+    monitor = new DivergenceMonitor({
+      hermes: priceSource(4000, now),
+      onChain: priceSource(3800, now),
+      notifier,
+      feeds: [{ symbol: 'WETH', maxDivergencePercent: 1, maxStalenessSeconds: 600 }]
+    });
+  });
+
+  it('alerts on a breach from the monitor loop', async () => {
+    const readings = await monitor.checkOnce();
+
+    expect(readings[0].breaches).toEqual([BREACHES.DIVERGENCE]);
+    expect(notifier.notify).toHaveBeenCalledTimes(1);
+    expect(monitor.recentAlerts).toHaveLength(1);
+  });
+
+  it('only measures when alerting is off', async () => {
+    const readings = await monitor.checkOnce({ alert: false });
+
+    expect(readings[0].breaches).toEqual([BREACHES.DIVERGENCE]);
+    expect(monitor.lastCheck).not.toBeNull();
+    expect(notifier.notify).not.toHaveBeenCalled();
+    expect(monitor.recentAlerts).toHaveLength(0);
+
+    // The next loop check still raises the breach as new
+    await monitor.checkOnce();
+    expect(notifier.notify).toHaveBeenCalledTimes(1);
+  });
+});
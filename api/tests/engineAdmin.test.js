@@ -0,0 +1,77 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const { ethers } = require('ethers');
+
+const EngineAdmin = require('../services/engineAdmin');
+const AdminAuditStore = require('../services/adminAuditStore');
+const TransactionSimulator = require('../services/transactionSimulator');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+const engineAbi = require('../abis/InvestmentEngineV3.json');
+
+const { AUDIT_STATUS } = AdminAuditStore;
+const { SIMULATION_STATUS } = TransactionSimulator;
+
+describe('EngineAdmin.execute', () => {
+  const signer = ethers.Wallet.createRandom();
+  const investmentEngine = {
+    target: '0x' + 'e'.repeat(40),
+    interface: new ethers.Interface(engineAbi),
+    slippage: async () => 300n
+  };
+  let txManager;
+  let engineAdmin;
+
+  beforeEach(() => {
+    txManager = {
+      signer,
+      enqueue: jest.fn(async ({ label }) => ({ jobId: `job-${label}`, status: 'queued', nonce: 7 }))
+    };
+    engineAdmin = new EngineAdmin({
+      provider: {},
+      investmentEngine,
+      planManager: {},
+      simulator: { simulateCall: async () => ({ status: SIMULATION_STATUS.SUCCESS, gasEstimate: 30000n, revert: null, error: null }) },
+      auditStore: new AdminAuditStore(),
+      txManager
+    });
+  });
+
+  const setSlippage = (options = {}) =>
+    engineAdmin.execute({
+      action: 'setSlippage',
+      params: { slippage: '250' },
+      actor: signer.address,
+      roles: [ADMIN_ROLES.RISK],
+      ...options
+    });
+
+  it('queues a live call on the admin transaction manager instead of sending it', async () => {
+    const entry = await setSlippage();
+
+    expect(txManager.enqueue).toHaveBeenCalledWith({
+      to: investmentEngine.target,
+      data: investmentEngine.interface.encodeFunctionData('setSlippage', [250n]),
+      label: 'setSlippage'
+    });
+    expect(entry).toMatchObject({
+      status: AUDIT_STATUS.QUEUED,
+      txJobId: 'job-setSlippage',
+      from: signer.address,
+      previousValue: '300'
+    });
+  });
+
+  it('does not queue a dry run', async () => {
+    const entry = await setSlippage({ dryRun: true });
+
+    expect(txManager.enqueue).not.toHaveBeenCalled();
+    expect(entry.status).toBe(AUDIT_STATUS.SIMULATED);
+  });
+
+  it('audits a call the queue refuses as failed', async () => {
+    txManager.enqueue.mockRejectedValueOnce(new Error('execution reverted: Max 20%'));
+    const entry = await setSlippage();
+
+    expect(entry).toMatchObject({ status: AUDIT_STATUS.FAILED, txJobId: null, error: 'execution reverted: Max 20%' });
+  });
+});
@@ -0,0 +1,136 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.INDEXER_START_BLOCK = '10';
+
+const EventIndexer = require('../services/eventIndexer');
+const EventStore = require('../services/eventStore');
+
+const ENGINE_ADDRESS = '0x' + 'e'.repeat(40);
+const PLAN_MANAGER_ADDRESS = '0x' + 'b'.repeat(40);
+const USER = '0x' + '1'.repeat(40);
+
+const hashOf = (blockNumber, fork = 'a') => '0x' + `${fork}${blockNumber}`.padStart(64, '0');
+
+describe('EventIndexer reorg handling', () => {
+  const store = new EventStore();
+  // Block number to hash on the canonical chain
+  let chain;
+  // Block number to InvestmentExecuted amounts emitted in that block
+  let emitted;
+
+  const provider = {
+    getBlockNumber: async () => Math.max(...chain.keys()),
+    getBlock: async (blockNumber) =>
+      chain.has(blockNumber)
+        ? { number: blockNumber, hash: chain.get(blockNumber), parentHash: chain.get(blockNumber - 1) || null }
+        : null
+  };
+
+  const contract = (address, eventsFor) => ({
+    getAddress: async () => address,
+    queryFilter: async (filter, fromBlock, toBlock) => {
+      const logs = [];
+      for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+        logs.push(...eventsFor(blockNumber));
+      }
+      return logs;
+    }
+  });
+
+  const investmentLog = (blockNumber, amount, index) => ({
+    eventName: 'InvestmentExecuted',
+    fragment: { inputs: [{ name: 'user' }, { name: 'amount' }] },
+    args: [USER, amount],
+    blockNumber,
+    blockHash: chain.get(blockNumber),
+    transactionHash: '0x' + `${chain.get(blockNumber).slice(-8)}${index}`.padStart(64, '0'),
+    index
+  });
+
+  const createIndexer = () =>
+    new EventIndexer({
+      provider,
+      store,
+      blockCache: { getBlock: async () => null },
+      investmentEngine: contract(ENGINE_ADDRESS, (blockNumber) =>
+        (emitted.get(blockNumber) || []).map((amount, index) => investmentLog(blockNumber, amount, index))
+      ),
+      planManager: contract(PLAN_MANAGER_ADDRESS, () => [])
+    });
+
+  const indexedAmounts = () =>
+    store.queryEvents({ order: 'asc' }).events.map((event) => [event.blockNumber, event.args.amount]);
+
+  beforeEach(() => {
+    store.db.exec(`
+      DELETE FROM chain_events;
+      DELETE FROM indexed_blocks;
+      DELETE FROM indexer_checkpoints;
+      DELETE FROM indexer_state;
+      DELETE FROM chain_reorgs;
+    `);
+    chain = new Map([10, 11, 12].map((blockNumber) => [blockNumber, hashOf(blockNumber)]));
+    emitted = new Map([[10, [100n]], [11, [200n]], [12, [300n]]]);
+  });
+
+  it('does nothing while the tracked hashes match the chain', async () => {
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    expect(await indexer.checkForReorg()).toBeNull();
+    expect(indexedAmounts()).toEqual([[10, '100'], [11, '200'], [12, '300']]);
+  });
+
+  it('rolls back to the newest block that still matches and rewinds the checkpoints', async () => {
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    chain.set(11, hashOf(11, 'b'));
+    chain.set(12, hashOf(12, 'b'));
+
+    expect(await indexer.checkForReorg()).toEqual({ commonAncestor: 10, orphanedBlock: 11, removedEvents: 2 });
+    expect(indexedAmounts()).toEqual([[10, '100']]);
+    expect(store.getCheckpoint(ENGINE_ADDRESS)).toBe(10);
+    expect(store.getCheckpoint(PLAN_MANAGER_ADDRESS)).toBe(10);
+    expect(store.getRecentReorgs()).toEqual([
+      expect.objectContaining({ commonAncestor: 10, orphanedBlock: 11, orphanedHash: hashOf(11), removedEvents: 2 })
+    ]);
+  });
+
+  it('re-ingests the replacement blocks on the next sync', async () => {
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    chain.set(12, hashOf(12, 'b'));
+    chain.set(13, hashOf(13, 'b'));
+    emitted.set(12, [301n]);
+    emitted.set(13, [400n]);
+    await indexer.syncOnce();
+
+    expect(indexer.lastError).toBeNull();
+    expect(indexedAmounts()).toEqual([[10, '100'], [11, '200'], [12, '301'], [13, '400']]);
+    expect(store.queryEvents({ fromBlock: 12, toBlock: 12 }).events[0].blockHash).toBe(hashOf(12, 'b'));
+  });
+
+  it('rewinds below the oldest tracked block when no tracked hash survived', async () => {
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    for (const blockNumber of chain.keys()) {
+      chain.set(blockNumber, hashOf(blockNumber, 'c'));
+    }
+
+    expect(await indexer.checkForReorg()).toEqual({ commonAncestor: 9, orphanedBlock: 10, removedEvents: 3 });
+    expect(indexedAmounts()).toEqual([]);
+    expect(store.getCheckpoint(ENGINE_ADDRESS)).toBe(9);
+  });
+
+  it('reports events above the finalized block as pending', async () => {
+    process.env.INDEXER_CONFIRMATIONS = '1';
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+    delete process.env.INDEXER_CONFIRMATIONS;
+
+    const statuses = store.queryEvents({ order: 'asc' }).events.map((event) => [event.blockNumber, event.status]);
+    expect(statuses).toEqual([[10, 'finalized'], [11, 'finalized'], [12, 'pending']]);
+  });
+});
@@ -0,0 +1,149 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const EventStore = require('../services/eventStore');
+const BlockCache = require('../services/blockCache');
+
+const ENGINE_ADDRESS = '0x' + 'e'.repeat(40);
+const USER = '0x' + '1'.repeat(40);
+const OTHER_USER = '0x' + '2'.repeat(40);
+
+const event = (blockNumber, logIndex, overrides = {}) => ({
+  contractAddress: ENGINE_ADDRESS,
+  eventName: 'InvestmentExecuted',
+  blockNumber,
+  blockHash: '0x' + String(blockNumber).padStart(64, '0'),
+  blockTimestamp: 1700000000 + blockNumber * 12,
+  transactionHash: '0x' + `${blockNumber}0${logIndex}`.padStart(64, '0'),
+  logIndex,
+  userAddress: USER,
+  planId: '1',
+  investmentId: null,
+  queueId: null,
+  amount: '1000',
+  args: {},
+  ...overrides
+});
+
+const positions = (events) => events.map((indexed) => [indexed.blockNumber, indexed.logIndex]);
+
+describe('EventStore.queryEvents keyset pagination', () => {
+  const store = new EventStore();
+
+  beforeEach(() => {
+    store.db.exec('DELETE FROM chain_events');
+    store.saveBatch(ENGINE_ADDRESS, [
+      event(10, 0),
+      event(10, 1),
+      event(11, 0, { userAddress: OTHER_USER }),
+      event(12, 0),
+      event(12, 3),
+      event(13, 0)
+    ], 13);
+  });
+
+  const collectPages = (options, onPage = () => {}) => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = store.queryEvents({ ...options, cursor: cursor && EventStore.decodeCursor(cursor) });
+      pages.push(positions(page.events));
+      cursor = page.nextCursor;
+      onPage(page);
+    } while (cursor);
+    return pages;
+  };
+
+  it('pages newest first by (block, log index) by default', () => {
+    expect(collectPages({ limit: 4 })).toEqual([
+      [[13, 0], [12, 3], [12, 0], [11, 0]],
+      [[10, 1], [10, 0]]
+    ]);
+  });
+
+  it('pages oldest first and splits a block across pages', () => {
+    expect(collectPages({ order: 'asc', limit: 2 })).toEqual([
+      [[10, 0], [10, 1]],
+      [[11, 0], [12, 0]],
+      [[12, 3], [13, 0]]
+    ]);
+  });
+
+  it('neither repeats nor skips events indexed while paging', () => {
+    let indexed = false;
+    const pages = collectPages({ limit: 2 }, () => {
+      if (!indexed) {
+        indexed = true;
+        store.saveBatch(ENGINE_ADDRESS, [event(14, 0), event(15, 0)], 15);
+      }
+    });
+
+    // The new events are newer than the first page, so a descending walk does not reach them
+    expect(pages.flat()).toEqual([[13, 0], [12, 3], [12, 0], [11, 0], [10, 1], [10, 0]]);
+  });
+
+  it('applies filters to both the page and the total', () => {
+    const page = store.queryEvents({ userAddress: USER, fromBlock: 11, toBlock: 12, order: 'asc', limit: 1 });
+
+    expect(page.total).toBe(2);
+    expect(page.hasMore).toBe(true);
+    expect(positions(page.events)).toEqual([[12, 0]]);
+    expect(positions(store.queryEvents({
+      userAddress: USER,
+      fromBlock: 11,
+      toBlock: 12,
+      order: 'asc',
+      cursor: EventStore.decodeCursor(page.nextCursor)
+    }).events)).toEqual([[12, 3]]);
+  });
+
+  it('returns no cursor on the last page', () => {
+    const page = store.queryEvents({ limit: 6 });
+
+    expect(page.hasMore).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+});
+
+describe('EventStore cursors', () => {
+  it('round-trips a position', () => {
+    const cursor = EventStore.encodeCursor({ blockNumber: 12, logIndex: 3, order: 'asc' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(EventStore.decodeCursor(cursor)).toEqual({ blockNumber: 12, logIndex: 3, order: 'asc' });
+  });
+
+  it.each([
+    ['not base64 JSON', 'not-a-cursor'],
+    ['a missing log index', Buffer.from(JSON.stringify({ b: 1, o: 'asc' })).toString('base64url')],
+    ['a fractional block', Buffer.from(JSON.stringify({ b: 1.5, l: 0, o: 'asc' })).toString('base64url')],
+    ['an unknown order', Buffer.from(JSON.stringify({ b: 1, l: 0, o: 'up' })).toString('base64url')]
+  ])('rejects %s', (description, cursor) => {
+    expect(EventStore.decodeCursor(cursor)).toBeNull();
+  });
+});
+
+describe('BlockCache', () => {
+  it('fetches each block from the provider once, by lower-cased hash', async () => {
+    const provider = { getBlock: jest.fn(async (hash) => ({ hash, number: 12, timestamp: 1700000144 })) };
+    const cache = new BlockCache(provider);
+
+    const first = await cache.getBlock('0xABC');
+    const second = await cache.getBlock('0xabc');
+
+    expect(first).toEqual({ hash: '0xabc', number: 12, timestamp: 1700000144 });
+    expect(second).toBe(first);
+    expect(provider.getBlock).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves blocks persisted by an earlier instance without calling the provider', async () => {
+    await new BlockCache({ getBlock: async () => ({ number: 13, timestamp: 1700000156 }) }).getBlock('0xdef');
+    const provider = { getBlock: jest.fn() };
+
+    expect(await new BlockCache(provider).getBlock('0xDEF')).toEqual({ hash: '0xdef', number: 13, timestamp: 1700000156 });
+    expect(provider.getBlock).not.toHaveBeenCalled();
+  });
+
+  it('returns null when the node does not have the block', async () => {
+    expect(await new BlockCache({ getBlock: async () => null }).getBlock('0x123')).toBeNull();
+  });
+});
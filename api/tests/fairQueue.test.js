@@ -0,0 +1,79 @@
+const { ethers } = require('ethers');
+
+const FairQueue = require('../services/fairQueue');
+
+const USER = '0x' + '1'.repeat(40);
+
+const pendingEntry = (queueId, timestamp) => ({
+  queueId: String(queueId),
+  user: USER,
+  amount: '1000000',
+  planId: '1',
+  sequenceNumber: String(queueId),
+  timestamp,
+  isExecuted: false
+});
+
+describe('FairQueue.estimateExecution', () => {
+  // Defaults: KEEPER_MAX_WAIT_SECONDS 300, KEEPER_POLL_INTERVAL_MS 30000
+  const queue = new FairQueue({ provider: {}, investmentEngine: {} });
+
+  it('runs full batches on the next polls and waits maxWaitSeconds for a partial one', () => {
+    const pending = [900, 901, 902, 903, 904].map((timestamp, index) => pendingEntry(index + 1, timestamp));
+    const estimates = queue.estimateExecution(pending, 2, 1000);
+
+    expect(estimates.map(({ queueId, estimatedBatch, estimatedExecutionTime }) => [queueId, estimatedBatch, estimatedExecutionTime]))
+      .toEqual([
+        ['1', 0, 1030],
+        ['2', 0, 1030],
+        ['3', 1, 1060],
+        ['4', 1, 1060],
+        ['5', 2, 1234]
+      ]);
+  });
+
+  it('runs a partial batch on the next poll once its oldest entry has waited long enough', () => {
+    const [estimate] = queue.estimateExecution([pendingEntry(1, 600)], 10, 1000);
+
+    expect(estimate.estimatedExecutionTime).toBe(1030);
+  });
+
+  it('returns nothing for an empty queue', () => {
+    expect(queue.estimateExecution([], 10, 1000)).toEqual([]);
+  });
+});
+
+describe('FairQueue.getPending', () => {
+  const entries = {
+    1: { isExecuted: true, user: USER },
+    2: { isExecuted: false, user: USER },
+    3: { isExecuted: true, user: USER },
+    4: { isExecuted: false, user: USER },
+    5: { isExecuted: false, user: ethers.ZeroAddress }
+  };
+
+  const investmentEngine = {
+    getQueueSize: async () => 5n,
+    getPendingInvestment: jest.fn(async (queueId) => ({
+      queueId: BigInt(queueId),
+      amount: 1000000n,
+      planId: 1n,
+      sequenceNumber: BigInt(queueId),
+      timestamp: 900n + BigInt(queueId),
+      ...entries[queueId]
+    }))
+  };
+
+  it('returns unexecuted entries and skips the executed prefix on later reads', async () => {
+    const queue = new FairQueue({ provider: {}, investmentEngine });
+
+    const pending = await queue.getPending();
+    expect(pending.map((entry) => entry.queueId)).toEqual(['2', '4']);
+    expect(pending[0]).toEqual(pendingEntry(2, 902));
+    expect(queue.nextQueueId).toBe(2);
+
+    investmentEngine.getPendingInvestment.mockClear();
+    await queue.getPending();
+    expect(investmentEngine.getPendingInvestment.mock.calls.map(([queueId]) => queueId)).toEqual([2, 3, 4, 5]);
+  });
+});
@@ -0,0 +1,113 @@
+const { ethers } = require('ethers');
+
+const FairnessVerifier = require('../services/fairnessVerifier');
+const engineAbi = require('../abis/InvestmentEngineV3.json');
+
+const { generateRandomOrder } = FairnessVerifier;
+
+const ENGINE_ADDRESS = '0x' + 'e'.repeat(40);
+const USER = '0x' + '1'.repeat(40);
+const SEED = '0x8f2c6a1e9d3b7f0425c8e1a6b9d2f3e4c5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0';
+
+// keccak256(abi.encode(uint256 seed, uint256 i)) written out as two big-endian words
+const solidityIndex = (seed, i) => {
+  const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+  return Number(BigInt(ethers.keccak256('0x' + word(seed) + word(i))) % BigInt(i + 1));
+};
+
+describe('generateRandomOrder', () => {
+  it('draws every swap index the way InvestmentEngineV3._generateRandomOrder does', () => {
+    const queueIds = Array.from({ length: 12 }, (_, index) => String(index + 1));
+    const { swaps } = generateRandomOrder(queueIds, SEED);
+
+    expect(swaps.map(({ i }) => i)).toEqual([11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    swaps.forEach(({ i, j }) => expect(j).toBe(solidityIndex(SEED, i)));
+  });
+
+  it('applies the swaps from the last position down to produce a permutation', () => {
+    const queueIds = ['7', '8', '9', '10', '11'];
+    const { order, swaps } = generateRandomOrder(queueIds, SEED);
+
+    const expected = [...queueIds];
+    for (let i = expected.length - 1; i > 0; i--) {
+      const j = solidityIndex(SEED, i);
+      [expected[i], expected[j]] = [expected[j], expected[i]];
+    }
+
+    expect(order).toEqual(expected);
+    expect([...order].sort()).toEqual([...queueIds].sort());
+    expect(swaps).toHaveLength(4);
+  });
+
+  it('accepts bigint queue IDs and decimal seeds', () => {
+    const fromHex = generateRandomOrder([1n, 2n, 3n], SEED).order;
+    const fromDecimal = generateRandomOrder(['1', '2', '3'], BigInt(SEED).toString()).order;
+
+    expect(fromDecimal).toEqual(fromHex);
+  });
+
+  it('leaves a single-entry batch untouched', () => {
+    expect(generateRandomOrder(['5'], SEED)).toEqual({ order: ['5'], swaps: [] });
+  });
+});
+
+describe('FairnessVerifier.verifyTransaction', () => {
+  const investmentEngine = new ethers.Contract(ENGINE_ADDRESS, engineAbi);
+  const iface = investmentEngine.interface;
+  const queueIds = ['3', '4', '5', '6'];
+  const batchId = 1760000000n;
+
+  const eventLog = (name, args) => ({ address: ENGINE_ADDRESS, ...iface.encodeEventLog(name, args) });
+
+  const createVerifier = (executedOrder) => {
+    const logs = [
+      eventLog('BatchExecutionStarted', [batchId, queueIds.length, SEED]),
+      ...executedOrder.map((queueId, index) =>
+        eventLog('QueuedInvestmentExecuted', [queueId, 100 + index, USER, index])
+      )
+    ];
+
+    return new FairnessVerifier({
+      investmentEngine,
+      eventStore: {},
+      provider: {
+        getTransaction: async () => ({
+          data: iface.encodeFunctionData('executeQueuedInvestments', [queueIds, ethers.ZeroHash]),
+          value: 0n
+        }),
+        // Logs in the receipt are not required to be in execution order
+        getTransactionReceipt: async () => ({ blockNumber: 42, logs: [logs[0], ...logs.slice(1).reverse()] })
+      }
+    });
+  };
+
+  it('passes when the contract executed the recomputed order', async () => {
+    const { order } = generateRandomOrder(queueIds, SEED);
+    const proof = await createVerifier(order).verifyTransaction('0x' + 'a'.repeat(64));
+
+    expect(proof.passed).toBe(true);
+    expect(proof.batchId).toBe(batchId.toString());
+    expect(proof.randomSeed).toBe(BigInt(SEED).toString());
+    expect(proof.submittedQueueIds).toEqual(queueIds);
+    expect(proof.onChainOrder).toEqual(order);
+    expect(proof.checks).toEqual({ queueSizeMatches: true, allExecuted: true, orderMatches: true });
+  });
+
+  it('fails when the executed order differs from the recomputed one', async () => {
+    const { order } = generateRandomOrder(queueIds, SEED);
+    const tampered = [order[1], order[0], ...order.slice(2)];
+    const proof = await createVerifier(tampered).verifyTransaction('0x' + 'a'.repeat(64));
+
+    expect(proof.passed).toBe(false);
+    expect(proof.checks.orderMatches).toBe(false);
+    expect(proof.expectedOrder).toEqual(order);
+  });
+
+  it('fails when an entry was not executed', async () => {
+    const { order } = generateRandomOrder(queueIds, SEED);
+    const proof = await createVerifier(order.slice(0, 3)).verifyTransaction('0x' + 'a'.repeat(64));
+
+    expect(proof.passed).toBe(false);
+    expect(proof.checks.allExecuted).toBe(false);
+  });
+});
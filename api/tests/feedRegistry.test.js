@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { validateFeedRegistry, loadFeedRegistry } = require('../config/feedRegistry');
+const FeedRegistrySync = require('../services/feedRegistrySync');
+const engineAbi = require('../abis/InvestmentEngineV3.json');
+
+const FEED_ID = '0x' + 'f'.repeat(64);
+const WETH_ADDRESS = '0x' + 'a'.repeat(40);
+
+const asset = (overrides = {}) => ({ feedId: FEED_ID, decimals: 18, assetClass: 'Crypto', riskTier: 'medium', ...overrides });
+
+describe('validateFeedRegistry', () => {
+  it('accepts the bundled registry', () => {
+    expect(() => loadFeedRegistry(path.join(__dirname, '..', 'config', 'feedRegistry.json'))).not.toThrow();
+  });
+
+  it('reports every problem at once', () => {
+    const errors = validateFeedRegistry({
+      version: 2,
+      assets: {
+        weth: asset(),
+        WBTC: asset({ feedId: '0x1234', decimals: 8.5, assetClass: 'Meme', riskTier: 'extreme' })
+      },
+      networks: {
+        localhost: {
+          WBTC: { address: WETH_ADDRESS },
+          LINK: { address: WETH_ADDRESS.toUpperCase().replace('0X', '0x') },
+          USDC: { address: 'not-an-address', decimals: -1 }
+        }
+      }
+    });
+
+    expect(errors).toEqual([
+      'unsupported version 2 (expected 1)',
+      'assets.weth: symbol must be upper case',
+      'assets.WBTC.feedId must be a 32-byte hex string',
+      'assets.WBTC.decimals must be an integer between 0 and 36',
+      'assets.WBTC.assetClass must be one of Crypto, RWA, Liquidity, Stablecoin',
+      'assets.WBTC.riskTier must be one of low, medium, high',
+      'networks.localhost.LINK: no asset named LINK',
+      'networks.localhost.LINK.address is already used by WBTC',
+      'networks.localhost.USDC: no asset named USDC',
+      'networks.localhost.USDC.address is not a valid address: not-an-address',
+      'networks.localhost.USDC.decimals must be a non-negative integer'
+    ]);
+  });
+
+  it('requires at least one asset', () => {
+    expect(validateFeedRegistry({ version: 1, assets: {} })).toEqual(['assets must list at least one asset']);
+  });
+});
+
+describe('loadFeedRegistry', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads YAML, fills ${VAR} and ${VAR:-default} from the environment and checksums addresses', () => {
+    const registryPath = path.join(directory, 'registry.yaml');
+    fs.writeFileSync(registryPath, [
+      'version: 1',
+      'assets:',
+      '  WETH:',
+      `    feedId: "${FEED_ID}"`,
+      '    decimals: 18',
+      '    assetClass: Crypto',
+      '    riskTier: medium',
+      'networks:',
+      '  localhost:',
+      '    WETH:',
+      '      address: "${TEST_REGISTRY_WETH}"',
+      '      decimals: 8',
+      '  testnet:',
+      '    WETH:',
+      '      address: "${TEST_REGISTRY_MISSING:-}"'
+    ].join('\n'));
+    process.env.TEST_REGISTRY_WETH = WETH_ADDRESS;
+
+    const registry = loadFeedRegistry(registryPath);
+    delete process.env.TEST_REGISTRY_WETH;
+
+    expect(registry.networks.localhost).toEqual([
+      { symbol: 'WETH', feedId: FEED_ID, assetClass: 'Crypto', riskTier: 'medium', address: ethers.getAddress(WETH_ADDRESS), decimals: 8 }
+    ]);
+    expect(registry.networks.testnet[0]).toMatchObject({ address: null, decimals: 18 });
+  });
+
+  it('throws with the validation errors', () => {
+    const registryPath = path.join(directory, 'registry.json');
+    fs.writeFileSync(registryPath, JSON.stringify({ version: 1, assets: { WETH: asset({ riskTier: 'none' }) } }));
+
+    expect(() => loadFeedRegistry(registryPath))
+      .toThrow(`Invalid feed registry ${registryPath}:\n  - assets.WETH.riskTier must be one of low, medium, high`);
+  });
+});
+
+describe('FeedRegistrySync.buildTransaction', () => {
+  const investmentEngine = new ethers.Contract('0x' + 'e'.repeat(40), engineAbi);
+  const sync = new FeedRegistrySync({ provider: {}, investmentEngine, txManager: { signer: null } });
+  const change = (tokenAddress, feedId) => ({ tokenAddress, feedId });
+
+  it('sets a single feed with setPriceFeedId', () => {
+    const transaction = sync.buildTransaction([change(WETH_ADDRESS, FEED_ID)]);
+
+    expect(transaction).toEqual({
+      method: 'setPriceFeedId',
+      to: investmentEngine.target,
+      data: investmentEngine.interface.encodeFunctionData('setPriceFeedId', [WETH_ADDRESS, FEED_ID])
+    });
+  });
+
+  it('sets several feeds in one setInitialPriceFeeds call', () => {
+    const other = '0x' + 'b'.repeat(40);
+    const transaction = sync.buildTransaction([change(WETH_ADDRESS, FEED_ID), change(other, ethers.ZeroHash)]);
+
+    expect(transaction.method).toBe('setInitialPriceFeeds');
+    expect(investmentEngine.interface.decodeFunctionData('setInitialPriceFeeds', transaction.data).map((values) => [...values]))
+      .toEqual([[ethers.getAddress(WETH_ADDRESS), ethers.getAddress(other)], [FEED_ID, ethers.ZeroHash]]);
+  });
+});
@@ -0,0 +1,67 @@
+process.env.LOCAL_PYUSD_ADDRESS = '0x' + 'c'.repeat(40);
+process.env.LOCAL_INVESTMENT_ENGINE_V3_ADDRESS = '0x' + 'e'.repeat(40);
+
+const { ethers } = require('ethers');
+
+const InvestmentTransactionBuilder = require('../services/investmentTransactionBuilder');
+
+const USER = '0x' + '1'.repeat(40);
+const PYUSD = process.env.LOCAL_PYUSD_ADDRESS;
+const ENGINE = process.env.LOCAL_INVESTMENT_ENGINE_V3_ADDRESS;
+const PRICE_UPDATE_DATA = ['0x0102', '0x0304'];
+
+const erc20 = new ethers.Interface(require('../abis/ERC20.json'));
+const engine = new ethers.Interface(require('../abis/InvestmentEngineV3.json'));
+
+// Node that answers the PYUSD balanceOf/allowance reads
+const createProvider = ({ balance, allowance }) => ({
+  getFeeData: async () => ({ gasPrice: null, maxFeePerGas: 3000000000n, maxPriorityFeePerGas: 1000000000n }),
+  call: async ({ data }) => {
+    const { name } = erc20.parseTransaction({ data });
+    return erc20.encodeFunctionResult(name, [name === 'balanceOf' ? balance : allowance]);
+  }
+});
+
+describe('InvestmentTransactionBuilder.prepareInvestmentWithPriceUpdate', () => {
+  const prepare = (provider) =>
+    new InvestmentTransactionBuilder(provider).prepareInvestmentWithPriceUpdate({
+      userAddress: USER,
+      amount: '5000000',
+      planId: 2,
+      priceUpdateData: PRICE_UPDATE_DATA,
+      updateFee: 2n
+    });
+
+  it('approves PYUSD first and sends the Pyth update fee with the investment', async () => {
+    const prepared = await prepare(createProvider({ balance: 10000000n, allowance: 0n }));
+
+    expect(prepared).toMatchObject({
+      needsApproval: true,
+      currentBalance: '10000000',
+      currentAllowance: '0',
+      requiredAmount: '5000000',
+      gasPrice: null,
+      maxFeePerGas: '3000000000'
+    });
+
+    const [approval, investment] = prepared.transactions;
+    expect(approval).toEqual({
+      type: 'approval',
+      to: ethers.getAddress(PYUSD),
+      data: erc20.encodeFunctionData('approve', [ENGINE, '5000000']),
+      gasLimit: '60000'
+    });
+    expect(investment).toMatchObject({ type: 'investment', to: ENGINE, value: '2', gasLimit: '500000' });
+
+    const { name, args } = engine.parseTransaction(investment);
+    expect(name).toBe('depositAndInvestWithPriceUpdate');
+    expect([args[0], args[1], [...args[2]]]).toEqual([5000000n, 2n, PRICE_UPDATE_DATA]);
+  });
+
+  it('skips the approval when the allowance already covers the amount', async () => {
+    const prepared = await prepare(createProvider({ balance: 10000000n, allowance: 5000000n }));
+
+    expect(prepared.needsApproval).toBe(false);
+    expect(prepared.transactions.map((transaction) => transaction.type)).toEqual(['investment']);
+  });
+});
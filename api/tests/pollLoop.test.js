@@ -0,0 +1,55 @@
+const PollLoop = require('../services/pollLoop');
+
+describe('PollLoop', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('runs straight away, then every interval until stopped', async () => {
+    const task = jest.fn(async () => {});
+    const loop = new PollLoop(task, 1000);
+
+    expect(loop.start()).toBe(true);
+    expect(loop.start()).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    loop.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(loop.running).toBe(false);
+  });
+
+  it('waits for a run to finish before scheduling the next', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const loop = new PollLoop(task, 1000);
+
+    loop.start();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(2);
+    loop.stop();
+  });
+
+  it('runs early on trigger only while running', async () => {
+    const task = jest.fn(async () => {});
+    const loop = new PollLoop(task, 60000);
+
+    loop.trigger();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(task).not.toHaveBeenCalled();
+
+    loop.start();
+    await jest.advanceTimersByTimeAsync(0);
+    loop.trigger();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(task).toHaveBeenCalledTimes(2);
+    loop.stop();
+  });
+});
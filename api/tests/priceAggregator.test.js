@@ -0,0 +1,117 @@
+const PriceAggregator = require('../services/priceAggregator');
+const PriceProvider = require('../services/priceProvider');
+
+const { formatPrice } = PriceProvider;
+
+const NOW = 1760000000;
+
+class StubPriceProvider extends PriceProvider {
+  constructor(name, prices, synthetic = false) {
+    super(name, `${name} source`, synthetic);
+    this.prices = prices;
+  }
+
+  supports(symbol) {
+    return symbol === 'WETH' || symbol === 'WBTC';
+  }
+
+  async getPrices() {
+    if (this.prices instanceof Error) {
+      throw this.prices;
+    }
+    return this.prices;
+  }
+}
+
+// WETH price in dollars with 8 decimals, published `age` seconds ago
+const weth = (dollars, { age = 0, confidence = 100000n } = {}) =>
+  ({ WETH: formatPrice({ symbol: 'WETH', price: BigInt(dollars * 1e8), expo: -8, confidence, publishTime: NOW - age, source: 'stub' }) });
+
+const createAggregator = (...providers) => new PriceAggregator({ mode: 'live', providers, now: () => NOW });
+
+const statuses = (price) => price.aggregation.sources.map(({ provider, status }) => [provider, status]);
+
+describe('PriceAggregator', () => {
+  it('takes the median of an odd number of sources', async () => {
+    const price = await createAggregator(
+      new StubPriceProvider('a', weth(4000)),
+      new StubPriceProvider('b', weth(4010)),
+      new StubPriceProvider('c', weth(4004))
+    ).getPrice('weth');
+
+    expect(price.formattedPrice).toBe(4004);
+    expect(price.price).toBe('400400000000');
+    expect(price.source).toBe('Median of a source, b source, c source');
+    expect(price.aggregation).toMatchObject({ method: 'median', consensus: true, acceptedCount: 3 });
+  });
+
+  it('averages the middle two of an even number of sources', async () => {
+    const price = await createAggregator(
+      new StubPriceProvider('a', weth(4000)),
+      new StubPriceProvider('b', weth(4010)),
+      new StubPriceProvider('c', weth(4002)),
+      new StubPriceProvider('d', weth(4020))
+    ).getPrice('WETH');
+
+    expect(price.formattedPrice).toBe(4006);
+  });
+
+  it('rejects outliers from the median and reports the widest confidence and oldest publish time', async () => {
+    const price = await createAggregator(
+      new StubPriceProvider('a', weth(4000, { age: 10, confidence: 5n })),
+      new StubPriceProvider('b', weth(4010, { age: 20, confidence: 9n })),
+      new StubPriceProvider('c', weth(5000))
+    ).getPrice('WETH');
+
+    expect(price.formattedPrice).toBe(4005);
+    expect(price.confidence).toBe('9');
+    expect(price.publishTime).toBe(NOW - 20);
+    expect(statuses(price)).toEqual([['a', 'accepted'], ['b', 'accepted'], ['c', 'outlier']]);
+    expect(price.aggregation.sources[2].deviationPercent).toBeCloseTo(24.69, 2);
+  });
+
+  it('drops stale, failed and missing quotes before taking the median', async () => {
+    const price = await createAggregator(
+      new StubPriceProvider('a', weth(3000, { age: 301 })),
+      new StubPriceProvider('b', new Error('RPC down')),
+      new StubPriceProvider('c', {}),
+      new StubPriceProvider('d', weth(4000))
+    ).getPrice('WETH');
+
+    expect(price.formattedPrice).toBe(4000);
+    expect(price.source).toBe('d source');
+    expect(statuses(price)).toEqual([['a', 'stale'], ['b', 'error'], ['c', 'missing'], ['d', 'accepted']]);
+    expect(price.aggregation.sources[1].error).toBe('RPC down');
+  });
+
+  it('falls back to the first provider without consensus when every quote is an outlier', async () => {
+    const price = await createAggregator(
+      new StubPriceProvider('a', weth(4000)),
+      new StubPriceProvider('b', weth(4400))
+    ).getPrice('WETH');
+
+    expect(price.formattedPrice).toBe(4000);
+    expect(price.aggregation).toMatchObject({ consensus: false, acceptedCount: 1 });
+    expect(statuses(price)).toEqual([['a', 'accepted'], ['b', 'outlier']]);
+  });
+
+  it('omits symbols no source could price', async () => {
+    const aggregator = createAggregator(new StubPriceProvider('a', weth(4000, { age: 400 })));
+
+    expect(await aggregator.getPrices(['WETH', 'WBTC'])).toEqual({});
+    await expect(aggregator.getPrice('WETH')).rejects.toThrow('No price source returned a usable price for WETH');
+  });
+
+  it('marks prices from synthetic providers', async () => {
+    const aggregator = createAggregator(new StubPriceProvider('fixture', weth(4000), true));
+
+    expect((await aggregator.getPrice('WETH')).synthetic).toBe(true);
+    expect(aggregator.getModeInfo()).toEqual({ priceMode: 'live', synthetic: true });
+  });
+});
+
+describe('createPriceProviders', () => {
+  it('rejects unknown provider names', () => {
+    expect(() => PriceAggregator.createPriceProviders('hermes,coingecko')).toThrow('Unknown price provider: coingecko');
+  });
+});
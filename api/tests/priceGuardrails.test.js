@@ -0,0 +1,96 @@
+const PriceGuardrails = require('../services/priceGuardrails');
+
+const { GUARDRAILS, GUARDRAIL_ACTIONS, parseGuardrailConfig } = PriceGuardrails;
+
+const NOW = 1760000000;
+const WETH = { tokenAddress: '0x' + 'a'.repeat(40), symbol: 'WETH' };
+const WBTC = { tokenAddress: '0x' + 'b'.repeat(40), symbol: 'WBTC' };
+
+// Price of 4000.00000000 with the given confidence (same 8 decimals) and age
+const price = ({ confidence = 100000000, age = 0 } = {}) => ({
+  price: '400000000000',
+  confidence: String(confidence),
+  publishTime: NOW - age
+});
+
+describe('parseGuardrailConfig', () => {
+  it('reads per-asset limits and falls back to the defaults for omitted values', () => {
+    expect(parseGuardrailConfig('weth:0.5:60, PYUSD:0.1')).toEqual({
+      defaults: { maxConfidencePercent: 1, maxAgeSeconds: 120 },
+      assets: {
+        WETH: { maxConfidencePercent: 0.5, maxAgeSeconds: 60 },
+        PYUSD: { maxConfidencePercent: 0.1, maxAgeSeconds: 120 }
+      }
+    });
+  });
+
+  it('has no per-asset limits when unset', () => {
+    expect(parseGuardrailConfig(undefined).assets).toEqual({});
+  });
+
+  it.each(['WETH:0', 'WETH:abc', 'WETH:0.5:-1'])('rejects %s', (value) => {
+    expect(() => parseGuardrailConfig(value)).toThrow('Invalid price guardrail for WETH');
+  });
+});
+
+describe('PriceGuardrails.check', () => {
+  const config = parseGuardrailConfig('WETH:0.5:60');
+
+  it('passes prices within their limits', () => {
+    // 0.025% confidence, 60s old: exactly at the WETH age limit
+    const result = new PriceGuardrails({ config }).check([WETH], { WETH: price({ age: 60 }) }, NOW);
+
+    expect(result).toEqual({ action: GUARDRAIL_ACTIONS.BLOCK, passed: true, blocked: false, violations: [] });
+  });
+
+  it('blocks a wide confidence interval and a stale price against the asset limits', () => {
+    const result = new PriceGuardrails({ config }).check(
+      [WETH],
+      { WETH: price({ confidence: 2400000000, age: 61 }) },
+      NOW
+    );
+
+    expect(result.blocked).toBe(true);
+    expect(result.violations).toEqual([
+      { guardrail: GUARDRAILS.CONFIDENCE, ...WETH, value: 0.6, limit: 0.5 },
+      { guardrail: GUARDRAILS.STALENESS, ...WETH, value: 61, limit: 60 }
+    ]);
+  });
+
+  it('uses the default limits for assets without their own', () => {
+    const guardrails = new PriceGuardrails({ config });
+    const result = guardrails.check([WBTC], { WBTC: price({ confidence: 2400000000, age: 100 }) }, NOW);
+
+    expect(guardrails.getLimits('wbtc')).toEqual({ maxConfidencePercent: 1, maxAgeSeconds: 120 });
+    expect(result.passed).toBe(true);
+  });
+
+  it('reports allocations without a price as unavailable', () => {
+    const result = new PriceGuardrails({ config }).check(
+      [WETH, { tokenAddress: '0x' + 'c'.repeat(40), symbol: null }],
+      {},
+      NOW
+    );
+
+    expect(result.violations.map((violation) => [violation.guardrail, violation.symbol])).toEqual([
+      [GUARDRAILS.UNAVAILABLE, 'WETH'],
+      [GUARDRAILS.UNAVAILABLE, null]
+    ]);
+  });
+
+  it('treats a zero price as infinitely uncertain', () => {
+    const result = new PriceGuardrails({ config }).check([WETH], { WETH: { ...price(), price: '0' } }, NOW);
+
+    expect(result.violations[0]).toMatchObject({ guardrail: GUARDRAILS.CONFIDENCE, value: Infinity });
+  });
+
+  it('flags instead of blocking in flag mode', () => {
+    const result = new PriceGuardrails({ config, action: GUARDRAIL_ACTIONS.FLAG }).check([WETH], {}, NOW);
+
+    expect(result).toMatchObject({ action: GUARDRAIL_ACTIONS.FLAG, passed: false, blocked: false });
+  });
+
+  it('rejects an unknown action', () => {
+    expect(() => new PriceGuardrails({ config, action: 'warn' })).toThrow('Invalid PRICE_GUARDRAIL_ACTION "warn"');
+  });
+});
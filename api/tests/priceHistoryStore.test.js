@@ -0,0 +1,114 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const PriceHistoryStore = require('../services/priceHistoryStore');
+
+const { buildCandles } = PriceHistoryStore;
+
+// Start of an hour
+const HOUR = 1760000400;
+
+const sample = (formattedPrice, publishTime, synthetic = false) => ({
+  symbol: 'WETH',
+  formattedPrice,
+  price: String(formattedPrice * 1e8),
+  expo: -8,
+  confidence: '0',
+  publishTime,
+  synthetic
+});
+
+const ohlc = (candles) => candles.map(({ time, open, high, low, close, samples, gap }) => [time - HOUR, open, high, low, close, samples, gap]);
+
+describe('buildCandles', () => {
+  const points = [4000, 4010, 3990, 4005].map((price, index) => ({
+    time: HOUR + index * 20,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    samples: 1
+  }));
+
+  it('groups points into buckets with open, high, low and close', () => {
+    const candles = buildCandles(points, { intervalSeconds: 60, from: HOUR, to: HOUR + 119, fillGaps: false });
+
+    expect(ohlc(candles)).toEqual([
+      [0, 4000, 4010, 3990, 3990, 3, false],
+      [60, 4005, 4005, 4005, 4005, 1, false]
+    ]);
+  });
+
+  it('fills empty buckets with the previous close when asked to', () => {
+    const candles = buildCandles(points.slice(0, 1), { intervalSeconds: 60, from: HOUR - 60, to: HOUR + 120, fillGaps: true, previousClose: 3980 });
+
+    expect(ohlc(candles)).toEqual([
+      [-60, 3980, 3980, 3980, 3980, 0, true],
+      [0, 4000, 4000, 4000, 4000, 1, false],
+      [60, 4000, 4000, 4000, 4000, 0, true],
+      [120, 4000, 4000, 4000, 4000, 0, true]
+    ]);
+  });
+
+  it('leaves leading gaps out when there is no earlier price', () => {
+    const candles = buildCandles(points.slice(3), { intervalSeconds: 60, from: HOUR - 60, to: HOUR + 60, fillGaps: true });
+
+    expect(ohlc(candles)).toEqual([[60, 4005, 4005, 4005, 4005, 1, false]]);
+  });
+});
+
+describe('PriceHistoryStore', () => {
+  const store = new PriceHistoryStore();
+
+  beforeEach(() => {
+    store.db.exec('DELETE FROM price_samples; DELETE FROM price_rollups;');
+  });
+
+  it('ignores a sample whose publish time is already recorded', () => {
+    expect(store.recordSamples([sample(4000, HOUR), sample(4001, HOUR + 1)], HOUR + 2)).toBe(2);
+    expect(store.recordSamples([sample(4000, HOUR), sample(4002, HOUR + 3)], HOUR + 4)).toBe(1);
+  });
+
+  it('keeps live and synthetic samples apart', () => {
+    store.recordSamples([sample(4000, HOUR), sample(1, HOUR + 10, true)], HOUR + 20);
+
+    const candles = store.getCandles({ symbol: 'WETH', synthetic: false, intervalSeconds: 60, from: HOUR, to: HOUR + 59 });
+    expect(ohlc(candles)).toEqual([[0, 4000, 4000, 4000, 4000, 1, false]]);
+  });
+
+  it('compacts whole hours before the cutoff into hourly rollups with the same candles', () => {
+    store.recordSamples([
+      sample(4000, HOUR + 10),
+      sample(4100, HOUR + 1200),
+      sample(3900, HOUR + 2400),
+      sample(4050, HOUR + 3500),
+      sample(4060, HOUR + 3610)
+    ], HOUR + 3700);
+    const query = { symbol: 'WETH', synthetic: false, intervalSeconds: 3600, from: HOUR, to: HOUR + 7199 };
+    const before = store.getCandles(query);
+
+    // The cutoff rounds down to the hour, so the sample after HOUR + 3600 stays raw
+    expect(store.compactSamples(HOUR + 3650)).toBe(4);
+    expect(store.getCandles(query)).toEqual(before);
+    expect(ohlc(before)).toEqual([
+      [0, 4000, 4100, 3900, 4050, 4, false],
+      [3600, 4060, 4060, 4060, 4060, 1, false]
+    ]);
+  });
+
+  it('merges a late sample into an already compacted hour', () => {
+    store.recordSamples([sample(4000, HOUR + 10), sample(4020, HOUR + 20)], HOUR + 30);
+    store.compactSamples(HOUR + 3600);
+    store.recordSamples([sample(4200, HOUR + 30)], HOUR + 3700);
+    store.compactSamples(HOUR + 3600);
+
+    const [candle] = store.getCandles({ symbol: 'WETH', synthetic: false, intervalSeconds: 3600, from: HOUR, to: HOUR + 3599 });
+    expect(candle).toMatchObject({ open: 4000, high: 4200, low: 4000, close: 4200, samples: 3 });
+  });
+
+  it('fills a leading gap from the last price before the range', () => {
+    store.recordSamples([sample(3950, HOUR - 30)], HOUR);
+
+    const candles = store.getCandles({ symbol: 'WETH', synthetic: false, intervalSeconds: 60, from: HOUR, to: HOUR + 59, fillGaps: true });
+    expect(ohlc(candles)).toEqual([[0, 3950, 3950, 3950, 3950, 0, true]]);
+  });
+});
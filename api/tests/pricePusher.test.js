@@ -0,0 +1,114 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const { ethers } = require('ethers');
+
+const PricePusher = require('../services/pricePusher');
+const PricePusherStore = require('../services/pricePusherStore');
+
+const { PUSH_STATUS } = PricePusherStore;
+
+const NOW = 1760000000;
+const FEED = { symbol: 'WETH', priceId: '0x' + 'f'.repeat(64), deviationPercent: 0.5, heartbeatSeconds: 3600 };
+
+// Hermes price in dollars with 8 decimals, published `age` seconds ago
+const hermes = (dollars, age = 0) => ({ price: String(dollars * 1e8), expo: -8, publishTime: NOW - age });
+
+describe('PricePusher.evaluateFeed', () => {
+  let onChain;
+  let pusher;
+
+  beforeEach(() => {
+    onChain = { formattedPrice: 4000, publishTime: NOW - 600 };
+    pusher = new PricePusher({
+      provider: {},
+      investmentEngine: {},
+      store: new PricePusherStore(),
+      feeds: [FEED],
+      oracle: {
+        readOnChainPrice: async () => {
+          if (!onChain) {
+            throw new Error('StalePrice');
+          }
+          return onChain;
+        }
+      }
+    });
+  });
+
+  it('pushes when the Hermes price deviates by at least the threshold', async () => {
+    const evaluation = await pusher.evaluateFeed(FEED, hermes(4020), NOW);
+
+    expect(evaluation).toMatchObject({ trigger: 'deviation', hermesPrice: 4020, onChainPrice: 4000, onChainAgeSeconds: 600 });
+    expect(evaluation.deviationPercent).toBeCloseTo(0.5, 10);
+  });
+
+  it('does not push a small move before the heartbeat', async () => {
+    expect((await pusher.evaluateFeed(FEED, hermes(4010), NOW)).trigger).toBeNull();
+  });
+
+  it('pushes on the heartbeat once the on-chain price is old enough', async () => {
+    onChain.publishTime = NOW - 3600;
+
+    expect((await pusher.evaluateFeed(FEED, hermes(4001), NOW)).trigger).toBe('heartbeat');
+  });
+
+  it('does not push a Hermes price that is not newer than the on-chain one', async () => {
+    onChain.publishTime = NOW;
+
+    expect((await pusher.evaluateFeed(FEED, hermes(5000, 10), NOW)).trigger).toBeNull();
+  });
+
+  it('pushes when the on-chain price cannot be read', async () => {
+    onChain = null;
+
+    expect((await pusher.evaluateFeed(FEED, hermes(4000), NOW)).trigger).toBe('unavailable');
+  });
+
+  it('skips feeds Hermes returned no price for', async () => {
+    expect(await pusher.evaluateFeed(FEED, undefined, NOW)).toMatchObject({ symbol: 'WETH', trigger: null, hermesPrice: null });
+  });
+});
+
+describe('PricePusher.getRemainingBudget', () => {
+  const store = new PricePusherStore();
+  const pusher = new PricePusher({ provider: {}, investmentEngine: {}, store, feeds: [FEED], oracle: {} });
+
+  const recordPush = (spent, { dryRun = false, createdAt } = {}) => {
+    const push = store.createPush({ feeds: [], dryRun, updateFee: 0n, estimatedCost: spent });
+    store.updatePush(push.id, { status: PUSH_STATUS.CONFIRMED, spent });
+    if (createdAt) {
+      store.db.prepare('UPDATE price_pushes SET created_at = ? WHERE id = ?').run(createdAt, push.id);
+    }
+  };
+
+  it('subtracts today\'s live spending from the daily budget', () => {
+    const now = new Date();
+    const yesterday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - 1000);
+
+    recordPush(ethers.parseEther('0.01'));
+    recordPush(ethers.parseEther('0.02'), { dryRun: true });
+    recordPush(ethers.parseEther('0.03'), { createdAt: yesterday.toISOString() });
+
+    expect(pusher.getRemainingBudget(now)).toBe(ethers.parseEther('0.04'));
+  });
+
+  it('never goes below zero', () => {
+    recordPush(ethers.parseEther('1'));
+
+    expect(pusher.getRemainingBudget()).toBe(0n);
+  });
+});
+
+describe('parseFeedConfig', () => {
+  const oracle = { getPriceFeedId: (symbol) => (symbol === 'WETH' ? FEED.priceId : null) };
+
+  it('resolves price feed IDs for the listed feeds', () => {
+    expect(PricePusher.parseFeedConfig('weth:1:60', oracle)).toEqual([
+      { symbol: 'WETH', priceId: FEED.priceId, deviationPercent: 1, heartbeatSeconds: 60 }
+    ]);
+  });
+
+  it('rejects feeds without a price feed ID', () => {
+    expect(() => PricePusher.parseFeedConfig('WETH,DOGE', oracle)).toThrow('Unsupported price pusher feed: DOGE');
+  });
+});
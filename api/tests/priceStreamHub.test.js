@@ -0,0 +1,79 @@
+const PriceStreamHub = require('../services/priceStreamHub');
+const { getPriceFeedId } = require('../config/priceFeeds');
+
+// Hermes client whose stream never emits; tests publish batches directly
+const hermesClient = {
+  getPriceUpdatesStream: async () => ({ close: () => {} })
+};
+
+const createClient = () => {
+  const writes = [];
+  return {
+    writes,
+    req: { on: () => {} },
+    res: {
+      writeHead: () => {},
+      write: (chunk) => writes.push(chunk) > 0,
+      on: () => {},
+      end: () => {}
+    },
+    events: () => writes.filter((chunk) => chunk.startsWith('id: '))
+  };
+};
+
+const priceUpdate = (symbol, price) =>
+  JSON.stringify({
+    parsed: [
+      {
+        id: getPriceFeedId(symbol),
+        price: { price: String(price), expo: -8, conf: '1', publish_time: 1760000000 }
+      }
+    ]
+  });
+
+describe('PriceStreamHub event IDs', () => {
+  let hub;
+
+  beforeEach(() => {
+    hub = new PriceStreamHub({ hermesClient, bootId: 'a1b2c3d4' });
+    hub.publish(priceUpdate('WETH', 400000000000));
+    hub.publish(priceUpdate('WETH', 401000000000));
+    hub.publish(priceUpdate('WETH', 402000000000));
+  });
+
+  afterEach(() => hub.close());
+
+  it('prefixes event IDs with the boot ID', () => {
+    expect(hub.formatEventId(3)).toBe('a1b2c3d4-3');
+    expect(hub.getStatus().lastEventId).toBe('a1b2c3d4-3');
+  });
+
+  it('resumes an event ID from this boot with the missed batches', () => {
+    const client = createClient();
+    hub.subscribe(client.req, client.res, { symbols: ['WETH'], lastEventId: 'a1b2c3d4-1' });
+
+    const events = client.events();
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatch(/^id: a1b2c3d4-2\nevent: price\n/);
+    expect(events[1]).toMatch(/^id: a1b2c3d4-3\nevent: price\n/);
+  });
+
+  it('sends a snapshot for an event ID from another boot', () => {
+    const client = createClient();
+    hub.subscribe(client.req, client.res, { symbols: ['WETH'], lastEventId: 'ffffffff-1' });
+
+    const events = client.events();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatch(/^id: a1b2c3d4-3\nevent: snapshot\n/);
+  });
+
+  it('sends a snapshot for a bare sequence number', () => {
+    expect(hub.parseEventId('2')).toBeNull();
+
+    const client = createClient();
+    hub.subscribe(client.req, client.res, { symbols: ['WETH'], lastEventId: '2' });
+
+    expect(client.events()).toHaveLength(1);
+    expect(client.events()[0]).toMatch(/event: snapshot/);
+  });
+});
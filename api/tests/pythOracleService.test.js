@@ -0,0 +1,64 @@
+const PythOracleService = require('../services/pythOracleService');
+
+const WETH_FEED = '0x' + 'a'.repeat(64);
+const WBTC_FEED = '0x' + 'b'.repeat(64);
+
+const parsedUpdate = (id, publishTime) => ({
+  id,
+  price: { price: '350000000000', conf: '120000000', expo: -8, publish_time: publishTime }
+});
+
+describe('PythOracleService price updates', () => {
+  let service;
+  let getLatestPriceUpdates;
+
+  beforeEach(() => {
+    getLatestPriceUpdates = jest.fn();
+    service = new PythOracleService('http://127.0.0.1:8545', '0x' + 'f'.repeat(40));
+    service.hermesClient = { getLatestPriceUpdates };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns 0x-prefixed update data with the publish time of each feed', async () => {
+    getLatestPriceUpdates.mockResolvedValue({
+      binary: { encoding: 'hex', data: ['504e4155', '0x504e4156'] },
+      parsed: [parsedUpdate('a'.repeat(64), 1760000000), parsedUpdate(WBTC_FEED, 1760000003)]
+    });
+
+    const updates = await service.fetchPriceUpdatesByIds([WETH_FEED, WBTC_FEED]);
+
+    expect(getLatestPriceUpdates).toHaveBeenCalledWith([WETH_FEED, WBTC_FEED], { parsed: true });
+    expect(updates).toMatchObject({
+      priceUpdateData: ['0x504e4155', '0x504e4156'],
+      priceIds: [WETH_FEED, WBTC_FEED],
+      publishTimes: [
+        { priceId: WETH_FEED, publishTime: 1760000000 },
+        { priceId: WBTC_FEED, publishTime: 1760000003 }
+      ],
+      count: 2
+    });
+    expect(updates.prices[0]).toEqual({ priceId: WETH_FEED, price: '350000000000', confidence: '120000000', expo: -8, publishTime: 1760000000 });
+  });
+
+  it('fails when Hermes returns no update data', async () => {
+    getLatestPriceUpdates.mockResolvedValue({ binary: { encoding: 'hex', data: [] }, parsed: [] });
+
+    await expect(service.fetchPriceUpdatesByIds([WETH_FEED]))
+      .rejects.toThrow('Failed to fetch price updates: No price updates available from Hermes');
+  });
+
+  it('looks feed IDs up by symbol and rejects unknown symbols', async () => {
+    getLatestPriceUpdates.mockResolvedValue({ binary: { data: ['01'] }, parsed: [] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const updates = await service.fetchPriceUpdates(['weth']);
+
+    expect(getLatestPriceUpdates.mock.calls[0][0]).toEqual([service.priceFeeds.WETH]);
+    expect(updates.symbols).toEqual(['weth']);
+    await expect(service.fetchPriceUpdates(['DOGE'])).rejects.toThrow('Unsupported asset symbol: DOGE');
+  });
+});
@@ -0,0 +1,92 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.QUOTE_SIGNING_SECRET = 'test-quote-secret';
+
+const QuoteStore = require('../services/quoteStore');
+
+const { QUOTE_STATUS, signPayload, verifySignature } = QuoteStore;
+
+const USER = '0x' + 'A'.repeat(40);
+
+describe('quote signatures', () => {
+  it('are HMAC-SHA256 over the payload string', () => {
+    // RFC 4231 test case 2
+    expect(signPayload('what do ya want for nothing?', 'Jefe'))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+
+  it('verify only with the same payload and secret', () => {
+    const signature = signPayload('{"amount":"100"}');
+
+    expect(verifySignature('{"amount":"100"}', signature)).toBe(true);
+    expect(verifySignature('{"amount":"1000"}', signature)).toBe(false);
+    expect(verifySignature('{"amount":"100"}', signature, 'another-secret')).toBe(false);
+  });
+
+  it.each([
+    ['missing', null],
+    ['truncated', signPayload('{}').slice(0, 32)],
+    ['not hex', 'z'.repeat(64)]
+  ])('reject a %s signature', (description, signature) => {
+    expect(verifySignature('{}', signature)).toBe(false);
+  });
+});
+
+describe('QuoteStore', () => {
+  const store = new QuoteStore();
+  const createdAt = new Date('2026-05-01T12:00:00.000Z');
+
+  const createQuote = () =>
+    store.create({ planId: 2, amount: 1000000n, userAddress: USER, legs: [{ symbol: 'WETH', amountOut: '250' }] }, createdAt);
+
+  it('stores a signed quote that expires after QUOTE_TTL_SECONDS', () => {
+    const quote = createQuote();
+
+    expect(quote).toMatchObject({
+      planId: '2',
+      amount: '1000000',
+      userAddress: USER.toLowerCase(),
+      legs: [{ symbol: 'WETH', amountOut: '250' }],
+      createdAt: '2026-05-01T12:00:00.000Z',
+      expiresAt: '2026-05-01T12:01:00.000Z',
+      status: QUOTE_STATUS.QUOTED,
+      signatureValid: true,
+      expired: false
+    });
+    expect(store.get(quote.quoteId, new Date('2026-05-01T12:00:59.999Z')).expired).toBe(false);
+    expect(store.get(quote.quoteId, new Date('2026-05-01T12:01:00.000Z')).expired).toBe(true);
+  });
+
+  it('reports a quote whose stored payload was changed as invalid', () => {
+    const { quoteId } = createQuote();
+    const { payload } = store.db.prepare('SELECT payload FROM quotes WHERE quote_id = ?').get(quoteId);
+    store.db
+      .prepare('UPDATE quotes SET payload = ? WHERE quote_id = ?')
+      .run(payload.replace('"amountOut":"250"', '"amountOut":"260"'), quoteId);
+
+    expect(store.get(quoteId, createdAt)).toMatchObject({ signatureValid: false, legs: [{ amountOut: '260' }] });
+  });
+
+  it('marks a quote prepared once and records its execution', () => {
+    const { quoteId } = createQuote();
+
+    const prepared = store.markPrepared(quoteId, USER);
+    expect(prepared).toMatchObject({ status: QUOTE_STATUS.PREPARED, preparedBy: USER.toLowerCase() });
+
+    // A second prepare does not overwrite the first
+    expect(store.markPrepared(quoteId, '0x' + 'b'.repeat(40)).preparedBy).toBe(USER.toLowerCase());
+
+    const transactionHash = '0x' + 'C'.repeat(64);
+    store.recordExecution(quoteId, transactionHash, { amountIn: '1000000' });
+    expect(store.getByTransactionHash(transactionHash)).toMatchObject({
+      quoteId,
+      status: QUOTE_STATUS.EXECUTED,
+      transactionHash: transactionHash.toLowerCase(),
+      execution: { amountIn: '1000000' },
+      signatureValid: true
+    });
+  });
+
+  it('returns null for unknown quotes', () => {
+    expect(store.get('00000000-0000-0000-0000-000000000000')).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+const ReplayPriceProvider = require('../services/replayPriceProvider');
+const PriceAggregator = require('../services/priceAggregator');
+const { PRICE_MODES, getPriceMode, requireLivePrices } = require('../config/priceMode');
+
+// The bundled recording has WETH updates at 1760000000, +60 and +120
+const START = 1760000000;
+
+describe('ReplayPriceProvider', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const wethAt = async (provider) => (await provider.getPrices(['weth'])).WETH;
+
+  it('serves the latest update at or before the replay clock', async () => {
+    const provider = new ReplayPriceProvider({ clockStart: START + 59, clockSpeed: 0 });
+
+    expect(await wethAt(provider)).toMatchObject({
+      symbol: 'WETH',
+      formattedPrice: 3500,
+      publishTime: START,
+      source: 'Recorded Hermes Replay',
+      synthetic: true
+    });
+  });
+
+  it('advances the clock at PRICE_REPLAY_CLOCK_SPEED and holds it at the end of the recording', async () => {
+    const provider = new ReplayPriceProvider({ clockSpeed: 10 });
+    expect(provider.now()).toBe(START);
+
+    now += 6000;
+    expect(provider.now()).toBe(START + 60);
+    expect((await wethAt(provider)).formattedPrice).toBeCloseTo(3504.2, 8);
+
+    now += 60000;
+    expect(provider.now()).toBe(START + 120);
+    expect((await wethAt(provider)).publishTime).toBe(START + 120);
+  });
+
+  it('serves the first update before the recording starts', async () => {
+    const provider = new ReplayPriceProvider({ clockStart: START - 3600, clockSpeed: 0 });
+
+    expect((await wethAt(provider)).publishTime).toBe(START);
+  });
+
+  it('omits symbols that are not in the recording', async () => {
+    const provider = new ReplayPriceProvider({ clockSpeed: 0 });
+
+    expect(provider.supports('DOGE')).toBe(false);
+    expect(await provider.getPrices(['DOGE'])).toEqual({});
+  });
+
+  it('refuses an empty recording', () => {
+    expect(() => new ReplayPriceProvider({ updates: new Map() })).toThrow('Price replay recording contains no price updates');
+  });
+
+  it('is not judged stale by the aggregator, which runs on the replay clock', async () => {
+    const aggregator = new PriceAggregator({ mode: PRICE_MODES.REPLAY, clockStart: START + 120, clockSpeed: 0 });
+
+    expect(aggregator.getModeInfo()).toEqual({ priceMode: 'replay', synthetic: true });
+    expect(await aggregator.getPrice('WETH')).toMatchObject({ publishTime: START + 120, synthetic: true });
+  });
+});
+
+describe('price modes', () => {
+  const saved = process.env.PRICE_MODE;
+
+  afterEach(() => {
+    if (saved === undefined) {
+      delete process.env.PRICE_MODE;
+    } else {
+      process.env.PRICE_MODE = saved;
+    }
+  });
+
+  it('defaults to live and rejects unknown modes', () => {
+    delete process.env.PRICE_MODE;
+    expect(getPriceMode()).toBe(PRICE_MODES.LIVE);
+
+    process.env.PRICE_MODE = 'simulated';
+    expect(getPriceMode).toThrow('Unsupported PRICE_MODE: simulated (expected live, replay, fixture)');
+  });
+
+  it('keeps synthetic prices away from flows that need live ones', () => {
+    process.env.PRICE_MODE = 'Fixture';
+
+    expect(() => requireLivePrices('The price pusher')).toThrow('The price pusher requires PRICE_MODE=live (current mode: fixture)');
+  });
+
+  it('does not mix synthetic providers into live mode', () => {
+    const providers = process.env.PRICE_PROVIDERS;
+    process.env.PRICE_PROVIDERS = 'hermes,fixture';
+
+    try {
+      expect(() => PriceAggregator.createModeProviders(PRICE_MODES.LIVE)).toThrow('PRICE_PROVIDERS includes synthetic sources (fixture)');
+    } finally {
+      if (providers === undefined) {
+        delete process.env.PRICE_PROVIDERS;
+      } else {
+        process.env.PRICE_PROVIDERS = providers;
+      }
+    }
+  });
+});
@@ -0,0 +1,179 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const { ethers } = require('ethers');
+
+const SafeProposals = require('../services/safeProposals');
+const EngineAdmin = require('../services/engineAdmin');
+const AdminAuditStore = require('../services/adminAuditStore');
+const SafeProposalStore = require('../services/safeProposalStore');
+const TransactionSimulator = require('../services/transactionSimulator');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+const engineAbi = require('../abis/InvestmentEngineV3.json');
+
+const { SAFE_OPERATION } = SafeProposals;
+const { AUDIT_STATUS } = AdminAuditStore;
+const { PROPOSAL_STATUS } = SafeProposalStore;
+const { SIMULATION_STATUS } = TransactionSimulator;
+
+const SAFE_ADDRESS = ethers.getAddress('0x' + '5'.repeat(40));
+const ENGINE_ADDRESS = ethers.getAddress('0x' + 'e'.repeat(40));
+
+// Typehashes hard-coded in the Safe contracts
+const SAFE_TX_TYPEHASH = '0xbb8310d486368db6bd6f849402fdd73ad53d316b5a4b2644ad6efe0f941286d8';
+const DOMAIN_SEPARATOR_TYPEHASH = '0x47e79534a245952e8b16893a336b85a3d9ea9fa8c573f3d803afb92a79469218';
+const LEGACY_DOMAIN_SEPARATOR_TYPEHASH = '0x035aff83d86937d35b32e04f0ddc6ff469290eef2f1b692d8a815c89404d4749';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Safe.getTransactionHash with the gas and refund fields left at zero
+const safeTransactionHash = ({ to, data, operation, nonce }, chainId, legacy = false) => {
+  const domainSeparator = legacy
+    ? ethers.keccak256(abiCoder.encode(['bytes32', 'address'], [LEGACY_DOMAIN_SEPARATOR_TYPEHASH, SAFE_ADDRESS]))
+    : ethers.keccak256(abiCoder.encode(['bytes32', 'uint256', 'address'], [DOMAIN_SEPARATOR_TYPEHASH, chainId, SAFE_ADDRESS]));
+  const safeTxStructHash = ethers.keccak256(abiCoder.encode(
+    ['bytes32', 'address', 'uint256', 'bytes32', 'uint8', 'uint256', 'uint256', 'uint256', 'address', 'address', 'uint256'],
+    [SAFE_TX_TYPEHASH, to, 0, ethers.keccak256(data), operation, 0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, nonce]
+  ));
+  return ethers.keccak256(ethers.concat(['0x1901', domainSeparator, safeTxStructHash]));
+};
+
+// eth_sign over the hash, with v raised by 4 as the Safe expects
+const ethSign = async (wallet, hash) => {
+  const signature = ethers.Signature.from(await wallet.signMessage(ethers.getBytes(hash)));
+  return ethers.concat([signature.r, signature.s, ethers.toBeHex(signature.v + 4)]);
+};
+
+describe('SafeProposals', () => {
+  const owners = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const investmentEngine = new ethers.Contract(ENGINE_ADDRESS, engineAbi);
+  let info;
+  let proposals;
+
+  beforeEach(() => {
+    info = {
+      address: SAFE_ADDRESS,
+      chainId: 84532,
+      version: '1.3.0',
+      nonce: 4,
+      threshold: 2,
+      owners: owners.map((owner) => owner.address),
+      multiSendAddress: null
+    };
+
+    const engineAdmin = new EngineAdmin({
+      provider: {},
+      investmentEngine,
+      planManager: {},
+      simulator: { simulateCall: async () => ({ status: SIMULATION_STATUS.SUCCESS, gasEstimate: 30000n, revert: null, error: null }) },
+      auditStore: new AdminAuditStore(),
+      txManager: { signer: null }
+    });
+    proposals = new SafeProposals({ engineAdmin, safeAddress: SAFE_ADDRESS });
+    proposals.getSafeInfo = async () => info;
+  });
+
+  const propose = (actions, options = {}) =>
+    proposals.propose({ actions, actor: owners[0].address, roles: [ADMIN_ROLES.SUPERADMIN], ...options });
+
+  const setSlippage = { action: 'setSlippage', params: { slippage: '250' } };
+  const setBatchSize = { action: 'setExecutionBatchSize', params: { batchSize: '20' } };
+
+  it('hashes a single action as a SafeTx the way the Safe contract does', async () => {
+    const { status, proposal, audit } = await propose([setSlippage]);
+    const data = investmentEngine.interface.encodeFunctionData('setSlippage', [250n]);
+
+    expect(status).toBe(AUDIT_STATUS.PROPOSED);
+    expect(proposal.typedData.message).toMatchObject({ to: ENGINE_ADDRESS, data, operation: SAFE_OPERATION.CALL, nonce: '4' });
+    expect(proposal.safeTxHash).toBe(
+      safeTransactionHash({ to: ENGINE_ADDRESS, data, operation: SAFE_OPERATION.CALL, nonce: 4 }, 84532)
+    );
+    expect(proposal.status).toBe(PROPOSAL_STATUS.AWAITING_SIGNATURES);
+    expect(audit[0]).toMatchObject({ status: AUDIT_STATUS.PROPOSED, safeProposalId: proposal.proposalId });
+  });
+
+  it('leaves the chain ID out of the domain for Safes before v1.3.0', async () => {
+    info.version = '1.1.1';
+    const { proposal } = await propose([setSlippage], { nonce: 9 });
+    const { to, data, operation } = proposal.typedData.message;
+
+    expect(proposal.typedData.domain).toEqual({ verifyingContract: SAFE_ADDRESS });
+    expect(proposal.safeTxHash).toBe(safeTransactionHash({ to, data, operation, nonce: 9 }, null, true));
+  });
+
+  it('batches several actions through MultiSendCallOnly as a delegate call', async () => {
+    const { proposal } = await propose([setSlippage, setBatchSize]);
+    const { to, data, operation } = proposal.typedData.message;
+
+    expect(to).toBe('0x40A2aCCbd92BCA938b02010E17A5b8929b49130D');
+    expect(operation).toBe(SAFE_OPERATION.DELEGATE_CALL);
+    expect(proposal.safeTxHash).toBe(safeTransactionHash({ to, data, operation, nonce: 4 }, 84532));
+
+    const packed = ethers.concat(proposal.actions.map((action) =>
+      ethers.solidityPacked(
+        ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+        [0, ENGINE_ADDRESS, 0, ethers.dataLength(action.data), action.data]
+      )
+    ));
+    expect(data).toBe(new ethers.Interface(['function multiSend(bytes transactions)']).encodeFunctionData('multiSend', [packed]));
+  });
+
+  it('refuses a nonce below the Safe nonce', async () => {
+    const result = await propose([setSlippage], { nonce: 3 });
+
+    expect(result.status).toBe(AUDIT_STATUS.INVALID);
+    expect(result.error).toBe('setSlippage: nonce 3 is below the Safe nonce 4');
+  });
+
+  it('recovers EIP-712 (v = 27/28) and eth_sign (v = 31/32) owner signatures', async () => {
+    const { proposal } = await propose([setSlippage]);
+    const typedSignature = owners[0].signingKey.sign(proposal.safeTxHash).serialized;
+    const ethSignSignature = await ethSign(owners[1], proposal.safeTxHash);
+
+    expect([27, 28]).toContain(ethers.getBytes(typedSignature)[64]);
+    expect([31, 32]).toContain(ethers.getBytes(ethSignSignature)[64]);
+    expect(proposals.recoverSigner(proposal.safeTxHash, typedSignature)).toBe(owners[0].address);
+    expect(proposals.recoverSigner(proposal.safeTxHash, ethSignSignature)).toBe(owners[1].address);
+  });
+
+  it('rejects signatures from non-owners and unsupported signature types', async () => {
+    const { proposal } = await propose([setSlippage]);
+    const stranger = ethers.Wallet.createRandom();
+    const contractSignature = ethers.concat([ethers.zeroPadValue(owners[0].address, 32), ethers.ZeroHash, '0x00']);
+
+    const result = await proposals.addSignatures(proposal.proposalId, [
+      stranger.signingKey.sign(proposal.safeTxHash).serialized,
+      contractSignature
+    ]);
+
+    expect(result.accepted).toEqual([]);
+    expect(result.rejected).toEqual([
+      expect.objectContaining({ signer: stranger.address.toLowerCase(), error: 'Signer is not an owner of the Safe' }),
+      expect.objectContaining({ signer: null, error: 'Unsupported signature type (v = 0); only owner EOA signatures are accepted' })
+    ]);
+  });
+
+  it('builds execTransaction with signatures ordered by owner once the threshold is met', async () => {
+    const { proposal } = await propose([setSlippage]);
+    const signatures = [
+      owners[0].signingKey.sign(proposal.safeTxHash).serialized,
+      await ethSign(owners[2], proposal.safeTxHash)
+    ];
+
+    const { proposal: ready, accepted } = await proposals.addSignatures(proposal.proposalId, signatures);
+    expect(accepted).toHaveLength(2);
+    expect(ready.status).toBe(PROPOSAL_STATUS.READY);
+
+    const call = proposals.safe.interface.decodeFunctionData('execTransaction', ready.execTransaction.data);
+    const byOwner = [[owners[0].address, signatures[0]], [owners[2].address, signatures[1]]]
+      .sort(([a], [b]) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+    expect(call.signatures).toBe(ethers.concat(byOwner.map(([, signature]) => signature)).toLowerCase());
+    expect(ready.confirmations).toEqual(byOwner.map(([owner]) => owner));
+  });
+
+  it('marks a proposal stale once the Safe nonce has moved past it', async () => {
+    const { proposal } = await propose([setSlippage]);
+    info.nonce = 5;
+
+    expect((await proposals.getProposal(proposal.proposalId)).status).toBe(PROPOSAL_STATUS.STALE);
+  });
+});
@@ -0,0 +1,132 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.SIWE_DOMAIN = 'app.example.com';
+
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+const { SiweMessage } = require('siwe');
+
+const SiweAuth = require('../services/siweAuth');
+const { validateAuthConfig } = require('../config/auth');
+
+const DOMAIN = process.env.SIWE_DOMAIN;
+
+describe('SiweAuth', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const address = wallet.address.toLowerCase();
+  const auth = new SiweAuth({ provider: {} });
+
+  const signIn = async ({ nonce, chainId = auth.network.chainId, domain = DOMAIN, signer = wallet } = {}) => {
+    const message = new SiweMessage({
+      domain,
+      address: wallet.address,
+      statement: 'Sign in to the investment API',
+      uri: `http://${domain}`,
+      version: '1',
+      chainId,
+      nonce: nonce || auth.createNonce().nonce
+    }).prepareMessage();
+
+    return { message, signature: await signer.signMessage(message) };
+  };
+
+  it('opens a session for a valid signature and nonce', async () => {
+    const session = await auth.verifySignIn(await signIn());
+
+    expect(session.address).toBe(address);
+    expect(jwt.decode(session.token)).toMatchObject({ sub: address, jti: session.sessionId });
+    expect(auth.verifySession(session.token)).toMatchObject({ sessionId: session.sessionId, address });
+  });
+
+  it('accepts each nonce once', async () => {
+    const request = await signIn();
+    await auth.verifySignIn(request);
+
+    await expect(auth.verifySignIn(request)).rejects.toThrow('Nonce is unknown, expired or already used');
+  });
+
+  it('rejects nonces it did not issue', async () => {
+    await expect(auth.verifySignIn(await signIn({ nonce: 'abcdefgh12345678' })))
+      .rejects.toThrow('Nonce is unknown, expired or already used');
+  });
+
+  it('rejects expired nonces', async () => {
+    const { nonce } = auth.createNonce(new Date(Date.now() - (auth.nonceTtlSeconds + 1) * 1000));
+
+    await expect(auth.verifySignIn(await signIn({ nonce }))).rejects.toThrow('Nonce is unknown, expired or already used');
+  });
+
+  it('does not burn the nonce on a bad signature', async () => {
+    const request = await signIn({ signer: ethers.Wallet.createRandom() });
+
+    await expect(auth.verifySignIn(request)).rejects.toThrow('SIWE verification failed');
+    const retry = await signIn({ nonce: new SiweMessage(request.message).nonce });
+    await expect(auth.verifySignIn(retry)).resolves.toMatchObject({ address });
+  });
+
+  it('rejects a message the wallet signed for another site, whatever host the request names', async () => {
+    const request = await signIn({ domain: 'attacker.example' });
+
+    await expect(auth.verifySignIn({ ...request, host: 'attacker.example' })).rejects.toThrow('SIWE verification failed');
+    // The nonce is still unused, so it was the domain that failed
+    const retry = await signIn({ nonce: new SiweMessage(request.message).nonce });
+    await expect(auth.verifySignIn(retry)).resolves.toMatchObject({ address });
+  });
+
+  it('rejects messages for another domain or chain', async () => {
+    await expect(auth.verifySignIn(await signIn({ domain: 'evil.example' }))).rejects.toThrow('SIWE verification failed');
+    await expect(auth.verifySignIn(await signIn({ chainId: 1 })))
+      .rejects.toThrow(`SIWE message is for chain 1, expected ${auth.network.chainId}`);
+  });
+
+  it('rejects revoked sessions and tokens signed with another secret', async () => {
+    const session = await auth.verifySignIn(await signIn());
+    const forged = jwt.sign({ sub: address }, 'another-secret', { jwtid: session.sessionId });
+
+    expect(() => auth.verifySession(forged)).toThrow('Invalid session token');
+    expect(auth.revokeSession(session.sessionId)).toBe(true);
+    expect(() => auth.verifySession(session.token)).toThrow('Session has been revoked');
+  });
+});
+
+describe('SiweAuth configuration', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+  });
+
+  const configure = (network, env) => {
+    delete process.env.SIWE_DOMAIN;
+    delete process.env.AUTH_JWT_SECRET;
+    process.env.NETWORK = network;
+    Object.assign(process.env, env);
+  };
+
+  it('requires SIWE_DOMAIN outside localhost', () => {
+    configure('base_sepolia', { AUTH_JWT_SECRET: 'test-jwt-secret' });
+
+    expect(() => new SiweAuth({ provider: {} })).toThrow('SIWE_DOMAIN must be set on NETWORK=base_sepolia');
+    expect(validateAuthConfig).toThrow('SIWE_DOMAIN must be set');
+  });
+
+  it('requires AUTH_JWT_SECRET outside localhost', () => {
+    configure('base_sepolia', { SIWE_DOMAIN: DOMAIN });
+
+    expect(() => new SiweAuth({ provider: {} })).toThrow('AUTH_JWT_SECRET must be set on NETWORK=base_sepolia');
+    expect(validateAuthConfig).toThrow('AUTH_JWT_SECRET must be set');
+  });
+
+  it('defaults both on localhost without reading the request', () => {
+    configure('localhost', { PORT: '3001' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const auth = new SiweAuth({ provider: {} });
+
+    expect(auth.domain).toBe('localhost:3001');
+    expect(auth.createNonce().domain).toBe('localhost:3001');
+    expect(auth.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(validateAuthConfig).not.toThrow();
+  });
+});
@@ -0,0 +1,43 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const SubscriptionStore = require('../services/subscriptionStore');
+
+const { INTENT_STATUS } = SubscriptionStore;
+
+describe('SubscriptionStore.recordIntent', () => {
+  const store = new SubscriptionStore();
+
+  const createSubscription = (nextRunAt) =>
+    store.create({
+      userAddress: '0x' + '1'.repeat(40),
+      planId: 1,
+      amount: '1000000',
+      cadence: 'daily',
+      startDate: nextRunAt,
+      nextRunAt
+    });
+
+  it('returns the intent it inserted', () => {
+    const subscription = createSubscription('2026-01-01T00:00:00.000Z');
+    const intent = store.recordIntent(subscription, { status: INTENT_STATUS.SKIPPED }, { nextRunAt: '2026-01-02T00:00:00.000Z' });
+
+    expect(intent.subscriptionId).toBe(subscription.id);
+    expect(intent.scheduledFor).toBe('2026-01-01T00:00:00.000Z');
+    expect(intent.status).toBe(INTENT_STATUS.SKIPPED);
+  });
+
+  it('returns the already recorded intent when the run was recorded before', () => {
+    const subscription = createSubscription('2026-02-01T00:00:00.000Z');
+    const first = store.recordIntent(subscription, { status: INTENT_STATUS.FAILED, error: 'boom' }, { nextRunAt: '2026-02-02T00:00:00.000Z' });
+
+    // Another insert on the connection moves lastInsertRowid away from this subscription
+    const other = createSubscription('2026-03-01T00:00:00.000Z');
+    store.recordIntent(other, { status: INTENT_STATUS.SKIPPED }, { nextRunAt: '2026-03-02T00:00:00.000Z' });
+
+    // Paused and resumed onto the same scheduled_for
+    const again = store.recordIntent(subscription, { status: INTENT_STATUS.SKIPPED }, { nextRunAt: '2026-02-02T00:00:00.000Z' });
+
+    expect(again).toEqual(first);
+    expect(store.listIntents(subscription.id).total).toBe(1);
+  });
+});
@@ -0,0 +1,115 @@
+const SwapQuoter = require('../services/swapQuoter');
+
+const { QUOTE_SOURCES } = SwapQuoter;
+
+const USDC = '0x' + 'c'.repeat(40);
+const WETH = '0x' + 'a'.repeat(40);
+const UNLISTED = '0x' + 'd'.repeat(40);
+
+const PRICES = {
+  USDC: { formattedPrice: 1 },
+  WETH: { formattedPrice: 4000 }
+};
+
+// A pool at $4000 per WETH whose rate worsens linearly with the trade size
+const poolQuote = async ({ amountIn }) => ({
+  amountOut: (amountIn * 250000000n * (1000000000000n - amountIn)) / 1000000000000n,
+  gasEstimate: 90000n
+});
+
+describe('SwapQuoter.quoteLegs', () => {
+  let quoteExactInputSingle;
+  let quoter;
+
+  beforeEach(() => {
+    quoteExactInputSingle = jest.fn(poolQuote);
+    quoter = new SwapQuoter({
+      provider: {},
+      investmentEngine: {
+        baseToken: async () => USDC,
+        fee: async () => 3000n,
+        slippage: async () => 300n
+      },
+      quoter: { target: '0x' + 'b'.repeat(40), quoteExactInputSingle: { staticCall: quoteExactInputSingle } }
+    });
+    quoter.network = {
+      tokens: [
+        { symbol: 'USDC', address: USDC, decimals: 6 },
+        { symbol: 'WETH', address: WETH, decimals: 18 }
+      ],
+      contracts: {}
+    };
+  });
+
+  const quoteWeth = async (prices = PRICES) => {
+    const { legs } = await quoter.quoteLegs([{ tokenAddress: WETH, amountIn: '4000000000' }], prices);
+    return legs[0];
+  };
+
+  it('quotes a leg with the pool fee, slippage floor, price impact and Pyth cross-check', async () => {
+    const leg = await quoteWeth();
+
+    expect(quoteExactInputSingle).toHaveBeenCalledWith({
+      tokenIn: USDC,
+      tokenOut: WETH,
+      amountIn: 4000000000n,
+      fee: 3000,
+      sqrtPriceLimitX96: 0
+    });
+    expect(leg).toMatchObject({
+      symbol: 'WETH',
+      source: QUOTE_SOURCES.UNISWAP,
+      expectedAmountOut: '996000000000000000',
+      expectedAmountOutFormatted: '0.996',
+      minAmountOut: '966120000000000000',
+      gasEstimate: '90000',
+      pythEstimate: '1000000000000000000',
+      sanityCheckPassed: true,
+      error: null
+    });
+    // The 4 USDC probe (1/1000 of the leg) returns 0.000999996 WETH
+    expect(leg.priceImpactPercent).toBeCloseTo((1 - 0.996 / 0.999996) * 100, 8);
+    expect(leg.pythDeviationPercent).toBeCloseTo(0.4, 8);
+  });
+
+  it('flags a quote that deviates from Pyth by more than the tolerance', async () => {
+    const leg = await quoteWeth({ ...PRICES, WETH: { formattedPrice: 3800 } });
+
+    expect(leg.pythDeviationPercent).toBeCloseTo(5.38, 2);
+    expect(leg.sanityCheckPassed).toBe(false);
+  });
+
+  it('falls back to the Pyth estimate when the quoter fails', async () => {
+    quoteExactInputSingle.mockRejectedValue(new Error('execution reverted'));
+    const leg = await quoteWeth();
+
+    expect(leg).toMatchObject({
+      source: QUOTE_SOURCES.PYTH,
+      expectedAmountOut: '1000000000000000000',
+      minAmountOut: '970000000000000000',
+      priceImpactPercent: null,
+      sanityCheckPassed: null,
+      error: 'execution reverted'
+    });
+  });
+
+  it('returns the error without an amount when neither source can quote', async () => {
+    quoteExactInputSingle.mockRejectedValue(new Error('execution reverted'));
+    const { legs } = await quoter.quoteLegs([{ tokenAddress: UNLISTED, amountIn: '1000000' }], PRICES);
+
+    expect(legs[0]).toMatchObject({ symbol: null, expectedAmountOut: null, minAmountOut: null, error: 'execution reverted' });
+  });
+
+  it('passes the base token through without a swap', async () => {
+    const { legs } = await quoter.quoteLegs([{ tokenAddress: USDC, amountIn: '2500000' }], PRICES);
+
+    expect(legs[0]).toMatchObject({
+      source: QUOTE_SOURCES.NONE,
+      expectedAmountOut: '2500000',
+      expectedAmountOutFormatted: '2.5',
+      minAmountOut: '2500000',
+      priceImpactPercent: 0
+    });
+    expect(quoteExactInputSingle).not.toHaveBeenCalled();
+  });
+});
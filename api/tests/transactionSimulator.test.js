@@ -0,0 +1,210 @@
+const { ethers } = require('ethers');
+
+const TransactionSimulator = require('../services/transactionSimulator');
+
+const { SIMULATION_STATUS, decodeRevert } = TransactionSimulator;
+
+const USER = '0x' + '1'.repeat(40);
+const ENGINE = '0x' + 'e'.repeat(40);
+const TOKEN = '0x' + 'c'.repeat(40);
+const WETH = '0x' + 'a'.repeat(40);
+
+const erc20 = new ethers.Interface(require('../abis/ERC20.json'));
+const engine = new ethers.Interface([
+  ...require('../abis/InvestmentEngineV3.json'),
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+
+// Storage key of allowance[owner][spender] for a Solidity mapping at `slot`
+const solidityAllowanceKey = (owner, spender, slot) => {
+  const inner = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [owner, slot]));
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [spender, inner]));
+};
+
+const callException = (data, message = 'execution reverted') =>
+  Object.assign(new Error(message), { code: 'CALL_EXCEPTION', data, info: { error: { message } } });
+
+/**
+ * Fake node: the token keeps its allowance mapping at `allowanceSlot` and
+ * answers allowance() from the state override; everything else is delegated
+ * to `handlers[method]`
+ */
+const createProvider = ({ allowanceSlot = 1, handlers = {} } = {}) => {
+  const provider = {
+    calls: [],
+    estimateGas: async () => 46000n,
+    send: async (method, params) => {
+      provider.calls.push([method, params]);
+      const [transaction, , override] = params;
+
+      if (method === 'eth_call' && transaction.to === TOKEN) {
+        const [owner, spender] = erc20.decodeFunctionData('allowance', transaction.data);
+        const stateDiff = (override && override[TOKEN].stateDiff) || {};
+        return stateDiff[solidityAllowanceKey(owner, spender, allowanceSlot)] || ethers.ZeroHash;
+      }
+      return handlers[method](params);
+    }
+  };
+  return provider;
+};
+
+describe('TransactionSimulator.findAllowanceSlot', () => {
+  it('finds the slot of a Solidity allowance mapping and caches it per token', async () => {
+    const provider = createProvider({ allowanceSlot: 1 });
+    const simulator = new TransactionSimulator({ provider });
+
+    expect(await simulator.findAllowanceSlot(TOKEN, USER, ENGINE)).toEqual({ layout: 'solidity', slot: 1 });
+    // slot 0 and the Vyper layout at slot 0 were probed first
+    expect(provider.calls).toHaveLength(3);
+
+    expect(await simulator.findAllowanceSlot(TOKEN.toUpperCase().replace('0X', '0x'), USER, ENGINE)).toEqual({ layout: 'solidity', slot: 1 });
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  it('writes the approved amount into the found slot', async () => {
+    const simulator = new TransactionSimulator({ provider: createProvider({ allowanceSlot: 0 }) });
+
+    expect(await simulator.buildAllowanceOverride(TOKEN, USER, ENGINE, 5000000n)).toEqual({
+      [TOKEN]: { stateDiff: { [solidityAllowanceKey(USER, ENGINE, 0)]: ethers.toBeHex(5000000n, 32) } }
+    });
+  });
+
+  it('gives up after the probed slots', async () => {
+    const provider = createProvider({ allowanceSlot: 42 });
+    const simulator = new TransactionSimulator({ provider });
+
+    await expect(simulator.buildAllowanceOverride(TOKEN, USER, ENGINE, 1n)).rejects.toThrow(`Allowance storage slot not found for token ${TOKEN}`);
+    expect(provider.calls).toHaveLength(20);
+  });
+});
+
+describe('decodeRevert', () => {
+  const transaction = { to: ENGINE, data: '0x' };
+
+  it('decodes custom errors with their arguments', () => {
+    const data = engine.encodeErrorResult('ERC20InsufficientAllowance', [ENGINE, 0n, 5000000n]);
+
+    expect(decodeRevert(data, transaction)).toEqual({
+      reason: `ERC20InsufficientAllowance(${ethers.getAddress(ENGINE)}, 0, 5000000)`,
+      error: 'ERC20InsufficientAllowance',
+      args: [ethers.getAddress(ENGINE), '0', '5000000']
+    });
+  });
+
+  it('uses the message of a require string', () => {
+    const data = engine.encodeErrorResult('Error(string)', ['Plan not active']);
+
+    expect(decodeRevert(data, transaction)).toMatchObject({ reason: 'Plan not active', error: 'Error' });
+  });
+
+  it('handles empty and unknown revert data', () => {
+    expect(decodeRevert('0x', transaction).reason).toBe('execution reverted without a reason');
+    expect(decodeRevert('0xdeadbeef', transaction).reason).toBe('unknown revert data 0xdeadbeef');
+  });
+});
+
+describe('TransactionSimulator.simulatePreparedInvestment', () => {
+  const prepared = {
+    transactions: [
+      { type: 'approval', to: TOKEN, data: erc20.encodeFunctionData('approve', [ENGINE, 5000000n]) },
+      { type: 'investment', to: ENGINE, data: '0x1234' }
+    ]
+  };
+
+  const swapLog = () => {
+    const { topics, data } = engine.encodeEventLog('TokenSwapped', [USER, TOKEN, WETH, 5000000n, 1250000000000000n]);
+    return { address: ENGINE, topics, data };
+  };
+
+  it('runs the investment against the overridden allowance and decodes traced swaps', async () => {
+    const handlers = {
+      eth_call: jest.fn(async () => '0x'),
+      eth_estimateGas: jest.fn(async () => '0x30d40'),
+      debug_traceCall: jest.fn(async () => ({ calls: [{ logs: [swapLog()] }] }))
+    };
+    const simulator = new TransactionSimulator({ provider: createProvider({ handlers }) });
+
+    const simulation = await simulator.simulatePreparedInvestment(USER, prepared);
+
+    const [[[call, blockTag, override]]] = handlers.eth_call.mock.calls;
+    expect(call).toEqual({ from: USER, to: ENGINE, data: '0x1234' });
+    expect(blockTag).toBe('pending');
+    expect(override[TOKEN].stateDiff[solidityAllowanceKey(USER, ENGINE, 1)]).toBe(ethers.toBeHex(5000000n, 32));
+    expect(handlers.debug_traceCall.mock.calls[0][0][2]).toMatchObject({ tracer: 'callTracer', stateOverrides: override });
+
+    expect(simulation).toEqual({
+      status: SIMULATION_STATUS.SUCCESS,
+      blockTag: 'pending',
+      approvalOverridden: true,
+      revert: null,
+      error: null,
+      gasEstimates: { approval: '46000', investment: '200000' },
+      swaps: [{ user: ethers.getAddress(USER), tokenIn: ethers.getAddress(TOKEN), tokenOut: ethers.getAddress(WETH), amountIn: '5000000', amountOut: '1250000000000000' }]
+    });
+  });
+
+  it('reports a revert and skips the trace', async () => {
+    const handlers = {
+      eth_call: async () => {
+        throw callException(engine.encodeErrorResult('Error(string)', ['Plan not active']));
+      },
+      debug_traceCall: jest.fn()
+    };
+    const simulator = new TransactionSimulator({ provider: createProvider({ handlers }) });
+
+    const simulation = await simulator.simulatePreparedInvestment(USER, prepared);
+
+    expect(simulation).toMatchObject({ status: SIMULATION_STATUS.REVERTED, revert: { reason: 'Plan not active' }, swaps: null });
+    expect(handlers.debug_traceCall).not.toHaveBeenCalled();
+  });
+
+  it('tells RPC failures apart from reverts', async () => {
+    const handlers = {
+      eth_call: async () => {
+        throw callException(null, 'state override is not supported');
+      }
+    };
+    const simulator = new TransactionSimulator({ provider: createProvider({ handlers }) });
+
+    expect(await simulator.simulatePreparedInvestment(USER, prepared)).toMatchObject({
+      status: SIMULATION_STATUS.UNAVAILABLE,
+      revert: null,
+      error: 'state override is not supported'
+    });
+  });
+
+  it('keeps a successful call when estimateGas or the trace is not available', async () => {
+    const handlers = {
+      eth_call: async () => '0x',
+      eth_estimateGas: async () => {
+        throw new Error('estimateGas does not accept state overrides');
+      },
+      debug_traceCall: async () => {
+        throw new Error('the method debug_traceCall does not exist');
+      }
+    };
+    const simulator = new TransactionSimulator({ provider: createProvider({ handlers }) });
+
+    expect(await simulator.simulatePreparedInvestment(USER, { transactions: [prepared.transactions[1]] })).toMatchObject({
+      status: SIMULATION_STATUS.SUCCESS,
+      approvalOverridden: false,
+      error: 'estimateGas does not accept state overrides',
+      gasEstimates: {},
+      swaps: null
+    });
+  });
+});
+
+describe('TransactionSimulator.applyGasEstimates', () => {
+  it('adds the gas buffer to simulated estimates and keeps the defaults otherwise', () => {
+    const simulator = new TransactionSimulator({ provider: {} });
+
+    expect(simulator.applyGasEstimates(
+      [{ type: 'approval', gasLimit: '100000' }, { type: 'investment', gasLimit: '500000' }],
+      { investment: '200000' }
+    )).toEqual([
+      { type: 'approval', gasLimit: '100000', gasLimitSource: 'default' },
+      { type: 'investment', gasLimit: '240000', gasLimitSource: 'simulation' }
+    ]);
+  });
+});